@@ -0,0 +1,229 @@
+// ============================================================================
+// aurora.js — OVATION Aurora Oval Zones
+// Drop into: /var/www/realnow/backend/enhancements/aurora.js
+// ============================================================================
+//
+// SWPC's OVATION model publishes a 1° global grid of the probability (%) of
+// visible aurora for the next 30–90 minutes. This module turns the grid into
+// map zones per hemisphere:
+//
+//   overhead   probability ≥ OVERHEAD_PCT            aurora likely overhead
+//   horizon    probability ≥ VISIBLE_PCT, widened    visible on the horizon
+//              equatorward by HORIZON_KM
+//
+// The oval is a ring around the magnetic pole, which in [lon, lat] is a band
+// across all longitudes, so each zone is built per longitude column: from the
+// equatorward to the poleward edge of the cells over threshold. Columns with
+// no such cell split the band into separate polygons.
+//
+// Aurora shows at night, and the oval reaches furthest equatorward on the
+// night side. Each zone records the lowest magnetic latitude its edge reaches
+// between NIGHT_START and NIGHT_END solar local time (nightsideMagLat);
+// auroraOutlook() compares a watch area's magnetic latitude against it for
+// the "aurora visible tonight" flag. Magnetic latitude uses a centred dipole.
+// ============================================================================
+
+const OVERHEAD_PCT = 50;
+const VISIBLE_PCT = 10;
+// The aurora's lower border (~100 km up) stands ~3° above the horizon here
+const HORIZON_KM = 800;
+
+const NIGHT_START = 21;
+const NIGHT_END = 3;
+
+// Geomagnetic north pole (IGRF-13, epoch 2020)
+const DIPOLE_LAT = 80.65;
+const DIPOLE_LON = -72.68;
+
+const KM_PER_DEG = 111.32;
+const HALF_CELL = 0.5;
+const RAD = Math.PI / 180;
+
+const ZONES = [
+  { zone: 'overhead', threshold: OVERHEAD_PCT, widenDeg: 0, label: 'Aurora likely overhead' },
+  { zone: 'horizon', threshold: VISIBLE_PCT, widenDeg: HORIZON_KM / KM_PER_DEG, label: 'Aurora visible on the horizon' }
+];
+
+function round(value, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Centred-dipole magnetic latitude (degrees, negative in the south).
+ */
+function magneticLatitude(lat, lon) {
+  const sinM = Math.sin(lat * RAD) * Math.sin(DIPOLE_LAT * RAD) +
+    Math.cos(lat * RAD) * Math.cos(DIPOLE_LAT * RAD) * Math.cos((lon - DIPOLE_LON) * RAD);
+  return Math.asin(Math.max(-1, Math.min(1, sinM))) / RAD;
+}
+
+function solarLocalHour(lon, time) {
+  const d = new Date(time);
+  const utcHours = d.getUTCHours() + d.getUTCMinutes() / 60;
+  return (((utcHours + lon / 15) % 24) + 24) % 24;
+}
+
+function isNightside(lon, time) {
+  const h = solarLocalHour(lon, time);
+  return h >= NIGHT_START || h < NIGHT_END;
+}
+
+function normalizeLon(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * OVATION JSON → hemisphere → longitude → [{ lat, p }].
+ */
+function readGrid(data) {
+  const grid = { north: new Map(), south: new Map() };
+  (Array.isArray(data?.coordinates) ? data.coordinates : []).forEach(([lon, lat, p]) => {
+    if (typeof p !== 'number' || lat === 0 || Math.abs(lat) > 90) return;
+    const columns = grid[lat > 0 ? 'north' : 'south'];
+    const key = normalizeLon(lon);
+    if (!columns.has(key)) columns.set(key, []);
+    columns.get(key).push({ lat, p });
+  });
+  return grid;
+}
+
+/**
+ * Per-column band of one zone: |lat| of its equatorward and poleward edges.
+ */
+function columnBands(columns, { threshold, widenDeg }) {
+  const bands = new Map();
+  columns.forEach((cells, lon) => {
+    const over = cells.filter(c => c.p >= threshold);
+    if (over.length === 0) return;
+    const abs = over.map(c => Math.abs(c.lat));
+    bands.set(lon, {
+      equatorward: Math.max(0, Math.min(...abs) - HALF_CELL - widenDeg),
+      poleward: Math.min(90, Math.max(...abs) + HALF_CELL),
+      maxP: Math.max(...over.map(c => c.p))
+    });
+  });
+  return bands;
+}
+
+// Append a vertex, dropping the previous one when all three lie on one parallel
+function pushVertex(points, point) {
+  const n = points.length;
+  if (n >= 2 && points[n - 1][1] === point[1] && points[n - 2][1] === point[1]) points[n - 1] = point;
+  else points.push(point);
+}
+
+/**
+ * Runs of adjacent columns → polygon rings ([lon, lat], closed).
+ */
+function bandPolygons(bands, sign) {
+  const lons = [...bands.keys()].sort((a, b) => a - b);
+  const runs = [];
+  lons.forEach(lon => {
+    const run = runs[runs.length - 1];
+    if (run && lon - run[run.length - 1] <= 1) run.push(lon);
+    else runs.push([lon]);
+  });
+
+  return runs.map(run => {
+    const lower = [];
+    const upper = [];
+    run.forEach(lon => {
+      const { equatorward, poleward } = bands.get(lon);
+      const west = Math.max(-180, lon - HALF_CELL);
+      const east = Math.min(180, lon + HALF_CELL);
+      pushVertex(lower, [west, sign * round(equatorward)]);
+      pushVertex(lower, [east, sign * round(equatorward)]);
+      pushVertex(upper, [west, sign * round(poleward)]);
+      pushVertex(upper, [east, sign * round(poleward)]);
+    });
+    const ring = [...lower, ...upper.reverse()];
+    ring.push(ring[0]);
+    return [ring];
+  });
+}
+
+/**
+ * Build the aurora zone features of one OVATION grid.
+ * @param {Object} data — ovation_aurora_latest.json
+ * @returns {Array} features (type 'aurora', one per zone and hemisphere with cells over threshold)
+ */
+function buildAuroraZones(data) {
+  const grid = readGrid(data);
+  const forecastTime = data?.['Forecast Time'] || null;
+  const observationTime = data?.['Observation Time'] || null;
+  const time = Date.parse(forecastTime) || Date.now();
+  const features = [];
+
+  Object.entries(grid).forEach(([hemisphere, columns]) => {
+    const sign = hemisphere === 'north' ? 1 : -1;
+
+    ZONES.forEach(spec => {
+      const bands = columnBands(columns, spec);
+      if (bands.size === 0) return;
+
+      // Furthest equatorward reach, overall and on the night side
+      let reach = null;
+      let nightsideMagLat = null;
+      let maxProbability = 0;
+      bands.forEach((band, lon) => {
+        maxProbability = Math.max(maxProbability, band.maxP);
+        if (!reach || band.equatorward < reach.lat) reach = { lon, lat: band.equatorward };
+        if (isNightside(lon, time)) {
+          const mlat = Math.abs(magneticLatitude(sign * band.equatorward, lon));
+          if (nightsideMagLat === null || mlat < nightsideMagLat) nightsideMagLat = mlat;
+        }
+      });
+
+      const lat = sign * round(reach.lat);
+      features.push({
+        id: `aurora_${spec.zone}_${hemisphere}`,
+        type: 'aurora',
+        zone: spec.zone,
+        hemisphere,
+        name: `${spec.label} (${hemisphere === 'north' ? 'Northern' : 'Southern'} Hemisphere)`,
+        threshold: spec.threshold,
+        maxProbability,
+        latitude: lat,
+        longitude: reach.lon,
+        coordinates: [reach.lon, lat],
+        geometry: { type: 'MultiPolygon', coordinates: bandPolygons(bands, sign) },
+        equatorwardLatitude: lat,
+        nightsideMagLat: nightsideMagLat === null ? null : round(nightsideMagLat, 1),
+        observationTime,
+        forecastTime,
+        date: forecastTime,
+        isActive: true,
+        source: 'NOAA_SWPC_OVATION'
+      });
+    });
+  });
+
+  return features;
+}
+
+/**
+ * Aurora chances tonight at a point, from the layer's features.
+ * @returns {Object} { visibleTonight, overheadTonight, magneticLatitude }
+ */
+function auroraOutlook(features, lat, lon) {
+  const hemisphere = lat >= 0 ? 'north' : 'south';
+  const mlat = magneticLatitude(lat, lon);
+  const reaches = zone => {
+    const f = (features || []).find(x => x.type === 'aurora' && x.zone === zone && x.hemisphere === hemisphere);
+    return !!f && f.nightsideMagLat !== null && Math.abs(mlat) >= f.nightsideMagLat;
+  };
+  return {
+    visibleTonight: reaches('horizon'),
+    overheadTonight: reaches('overhead'),
+    magneticLatitude: round(mlat, 1)
+  };
+}
+
+module.exports = {
+  buildAuroraZones,
+  auroraOutlook,
+  magneticLatitude,
+  OVERHEAD_PCT,
+  VISIBLE_PCT
+};
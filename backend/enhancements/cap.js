@@ -0,0 +1,517 @@
+// ============================================================================
+// cap.js — Common Alerting Protocol 1.2 Ingestion
+// Drop into: /var/www/realnow/backend/enhancements/cap.js
+// ============================================================================
+//
+// Generic reader for CAP 1.2 alert feeds (MeteoAlarm, national met services,
+// civil protection agencies). A feed is an Atom or RSS index whose entries
+// link to CAP XML documents — or a single CAP document. Each current alert
+// becomes an event in the canonical `weather` model (see
+// transformNOAAWeather in server.js):
+//
+//   info/area/polygon   "lat,lon lat,lon ..."   → GeoJSON polygon
+//   info/area/circle    "lat,lon radiusKm"      → 32-point polygon
+//   info/area/geocode   UGC / SAME              → bundled NWS zone shapes
+//                       anything else           → gazetteer lookup of areaDesc
+//                                                 (centroid only)
+//
+// Update / Cancel messages are threaded the same way as NWS alerts: a
+// message referenced by another one is superseded, Cancel messages close
+// their thread, and a thread keeps the identifier of its first message.
+// Alerts drop out once their info/expires has passed; expired() tells the
+// fetcher to re-read an unchanged feed when the earliest of them has.
+//
+// No XML dependency — parseXml() is a small tolerant element-tree parser,
+// enough for CAP / Atom / RSS (no DTDs, no processing instructions).
+//
+// Feeds are declared in sources/cap-feeds.json (see sources/cap-feeds.js).
+// ============================================================================
+
+const axios = require('axios');
+const { resolveZoneGeometry } = require('./nws-zones');
+const { centroid, mergePolygons } = require('./geometry');
+const { getGazetteer } = require('./gazetteer');
+
+const CIRCLE_SEGMENTS = 32;
+const DEFAULT_MAX_ENTRIES = 200;
+const FETCH_CONCURRENCY = 4;
+
+// CAP <parameter> names the weather drawer already knows (NWS naming)
+const PARAMETER_FIELDS = {
+  NWSheadline: 'nwsHeadline',
+  windThreat: 'windThreat',
+  maxWindGust: 'maxWindGust',
+  hailThreat: 'hailThreat',
+  maxHailSize: 'maxHailSize',
+  tornadoDetection: 'tornadoDetection',
+  thunderstormDamageThreat: 'thunderstormDamageThreat',
+  flashFloodDetection: 'flashFloodDetection',
+  flashFloodDamageThreat: 'flashFloodDamageThreat'
+};
+
+// ── XML ────────────────────────────────────────────────────────────────────
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isNaN(n) ? match : String.fromCodePoint(n);
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function localName(name) {
+  const i = name.indexOf(':');
+  return i === -1 ? name : name.slice(i + 1);
+}
+
+/**
+ * Parse XML into { name, attrs, children, text } nodes. Namespace prefixes
+ * are dropped (cap:info → info). Returns a synthetic root node.
+ */
+function parseXml(xml) {
+  const root = { name: '#root', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const source = String(xml || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+
+  const token = /<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s>/]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = token.exec(source)) !== null) {
+    const [, cdata, closing, rawName, rawAttrs, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined || text !== undefined) {
+      // Text is kept both concatenated (textOf) and in document order as
+      // #text children, for mixed content such as XHTML summaries
+      const value = cdata !== undefined ? cdata : decodeEntities(text);
+      current.text += value;
+      current.children.push({ name: '#text', attrs: {}, children: [], text: value });
+    } else if (closing) {
+      const name = localName(rawName);
+      const index = stack.map(n => n.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+    } else {
+      const attrs = {};
+      const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let a;
+      while ((a = attrPattern.exec(rawAttrs)) !== null) {
+        attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3]);
+      }
+      const node = { name: localName(rawName), attrs, children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+  return root;
+}
+
+function child(node, name) {
+  return node?.children.find(c => c.name === name) || null;
+}
+
+function childrenOf(node, name) {
+  return node ? node.children.filter(c => c.name === name) : [];
+}
+
+function textOf(node, name) {
+  const c = name ? child(node, name) : node;
+  return c ? c.text.trim() : '';
+}
+
+function findFirst(node, name) {
+  if (!node) return null;
+  if (node.name === name) return node;
+  for (const c of node.children) {
+    const found = findFirst(c, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// ── CAP documents ──────────────────────────────────────────────────────────
+
+/**
+ * "lat,lon lat,lon ..." → closed GeoJSON ring of [lon, lat]
+ */
+function parsePolygon(text) {
+  const ring = text.trim().split(/\s+/)
+    .map(pair => pair.split(',').map(Number))
+    .filter(p => p.length >= 2 && !isNaN(p[0]) && !isNaN(p[1]))
+    .map(([lat, lon]) => [lon, lat]);
+  if (ring.length < 3) return null;
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push([...first]);
+  return ring.length >= 4 ? ring : null;
+}
+
+/**
+ * "lat,lon radiusKm" → polygon ring approximating the circle
+ */
+function parseCircle(text) {
+  const [center, radius] = text.trim().split(/\s+/);
+  const [lat, lon] = (center || '').split(',').map(Number);
+  const radiusKm = parseFloat(radius);
+  if (isNaN(lat) || isNaN(lon) || isNaN(radiusKm)) return null;
+
+  // A zero radius is a point — give it a nominal 1 km footprint
+  const r = Math.max(radiusKm, 1);
+  const dLat = r / 111.32;
+  const dLon = r / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  const ring = [];
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const angle = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+    ring.push([
+      Math.round((lon + dLon * Math.cos(angle)) * 1e4) / 1e4,
+      Math.round((lat + dLat * Math.sin(angle)) * 1e4) / 1e4
+    ]);
+  }
+  ring.push([...ring[0]]);
+  return ring;
+}
+
+function parseArea(node) {
+  const polygons = childrenOf(node, 'polygon').map(p => parsePolygon(p.text)).filter(Boolean);
+  const circles = childrenOf(node, 'circle').map(c => parseCircle(c.text)).filter(Boolean);
+  const geocodes = childrenOf(node, 'geocode').map(g => ({
+    valueName: textOf(g, 'valueName'),
+    value: textOf(g, 'value')
+  })).filter(g => g.valueName && g.value);
+
+  return {
+    areaDesc: textOf(node, 'areaDesc'),
+    polygons: [...polygons, ...circles].map(ring => [ring]),
+    geocodes
+  };
+}
+
+function parseInfo(node) {
+  const parameters = {};
+  childrenOf(node, 'parameter').forEach(p => {
+    const name = textOf(p, 'valueName');
+    if (name && !(name in parameters)) parameters[name] = textOf(p, 'value');
+  });
+
+  return {
+    language: textOf(node, 'language') || 'en-US',
+    category: childrenOf(node, 'category').map(c => textOf(c)),
+    event: textOf(node, 'event'),
+    responseType: childrenOf(node, 'responseType').map(c => textOf(c)).join(', '),
+    urgency: textOf(node, 'urgency'),
+    severity: textOf(node, 'severity'),
+    certainty: textOf(node, 'certainty'),
+    effective: textOf(node, 'effective') || null,
+    onset: textOf(node, 'onset') || null,
+    expires: textOf(node, 'expires') || null,
+    senderName: textOf(node, 'senderName'),
+    headline: textOf(node, 'headline'),
+    description: textOf(node, 'description'),
+    instruction: textOf(node, 'instruction'),
+    web: textOf(node, 'web'),
+    parameters,
+    areas: childrenOf(node, 'area').map(parseArea)
+  };
+}
+
+/**
+ * "sender,identifier,sent sender,identifier,sent" → [{ sender, identifier, sent }]
+ */
+function parseReferences(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).map(triple => {
+    const [sender, identifier, sent] = triple.split(',');
+    return { sender, identifier, sent: sent || null };
+  }).filter(r => r.identifier);
+}
+
+/**
+ * Parse a CAP 1.2 document (string or parsed node containing <alert>).
+ * @returns {Object|null} { identifier, sender, sent, status, msgType, scope, references, infos }
+ */
+function parseCapAlert(xml) {
+  const alert = findFirst(typeof xml === 'string' ? parseXml(xml) : xml, 'alert');
+  if (!alert || !child(alert, 'identifier')) return null;
+
+  return {
+    identifier: textOf(alert, 'identifier'),
+    sender: textOf(alert, 'sender'),
+    sent: textOf(alert, 'sent') || null,
+    status: textOf(alert, 'status'),
+    msgType: textOf(alert, 'msgType'),
+    scope: textOf(alert, 'scope'),
+    references: parseReferences(textOf(alert, 'references')),
+    infos: childrenOf(alert, 'info').map(parseInfo)
+  };
+}
+
+/**
+ * Parse an Atom or RSS index into the CAP documents it links to.
+ * @returns {Array<{ id, url, updated, title }>}
+ */
+function parseCapIndex(xml) {
+  const root = parseXml(xml);
+  const atomEntries = [];
+  const walk = node => node.children.forEach(c => {
+    if (c.name === 'entry' || c.name === 'item') atomEntries.push(c);
+    else walk(c);
+  });
+  walk(root);
+
+  return atomEntries.map(entry => {
+    const links = childrenOf(entry, 'link');
+    // Atom: prefer the CAP-typed link; RSS: <link>text</link>
+    const capLink = links.find(l => /cap/i.test(l.attrs.type || ''))
+      || links.find(l => /\.xml(\?|$)/i.test(l.attrs.href || ''))
+      || links.find(l => l.attrs.href && (!l.attrs.rel || l.attrs.rel === 'alternate'))
+      || links[0];
+    const url = capLink ? (capLink.attrs.href || textOf(capLink)) : '';
+    return {
+      id: textOf(entry, 'id') || textOf(entry, 'guid') || url,
+      url,
+      updated: textOf(entry, 'updated') || textOf(entry, 'pubDate') || textOf(entry, 'published') || '',
+      title: textOf(entry, 'title')
+    };
+  }).filter(e => e.url);
+}
+
+// ── Threading ──────────────────────────────────────────────────────────────
+
+function sentAt(value) {
+  const t = new Date(value || 0).getTime();
+  return isNaN(t) ? 0 : t;
+}
+
+/**
+ * Drop superseded and cancelled messages; tag each survivor with the
+ * identifier of its thread's first message.
+ */
+function currentAlerts(alerts) {
+  const referenced = new Set();
+  alerts.forEach(a => a.references.forEach(r => referenced.add(r.identifier)));
+
+  return alerts
+    .filter(a => !referenced.has(a.identifier) && a.msgType !== 'Cancel')
+    .map(a => {
+      const first = a.references.reduce(
+        (oldest, r) => (sentAt(r.sent) <= sentAt(oldest.sent) ? r : oldest),
+        { identifier: a.identifier, sent: a.sent }
+      );
+      return { ...a, threadId: first.identifier, supersededCount: a.references.length };
+    });
+}
+
+// ── Canonical weather events ───────────────────────────────────────────────
+
+function pickInfos(infos, preferredLanguage) {
+  if (infos.length <= 1) return infos;
+  const lang = (preferredLanguage || 'en').toLowerCase();
+  const matching = infos.filter(i => i.language.toLowerCase().startsWith(lang));
+  if (matching.length) return matching;
+  const first = infos[0].language;
+  return infos.filter(i => i.language === first);
+}
+
+function timeRemainingUntil(expires, now) {
+  const diff = new Date(expires) - now;
+  if (!expires || !(diff > 0)) return '';
+  const hrs = Math.floor(diff / 3600000);
+  const mins = Math.floor((diff % 3600000) / 60000);
+  return hrs > 0 ? `${hrs}h ${mins}m remaining` : `${mins}m remaining`;
+}
+
+function resolveGeometry(info, feed) {
+  const geometry = mergePolygons(info.areas.map(a => ({ type: 'MultiPolygon', coordinates: a.polygons })));
+  if (geometry) return { geometry, geometrySource: 'alert', coordinates: centroid(geometry) };
+
+  const geocodes = info.areas.flatMap(a => a.geocodes);
+  const ugc = geocodes.filter(g => g.valueName === 'UGC').map(g => g.value);
+  const same = geocodes.filter(g => g.valueName === 'SAME').map(g => g.value);
+  if (ugc.length || same.length) {
+    const resolved = resolveZoneGeometry({ UGC: ugc, SAME: same });
+    if (resolved) return { ...resolved, coordinates: centroid(resolved.geometry) };
+  }
+
+  // Region names only — place the alert at the named region's centroid
+  const gazetteer = getGazetteer();
+  if (gazetteer) {
+    for (const area of info.areas) {
+      for (const name of area.areaDesc.split(/[;,]/).map(s => s.trim()).filter(Boolean)) {
+        const place = gazetteer.forward(feed.country ? `${name}, ${feed.country}` : name);
+        if (place?.level === 'admin1' || (place && !feed.country)) {
+          return { geometry: null, geometrySource: null, coordinates: place.centroid };
+        }
+      }
+    }
+    const country = feed.country ? gazetteer.findCountry(feed.country) : null;
+    if (country) return { geometry: null, geometrySource: null, coordinates: country.labelPoint || country.centroid };
+  }
+  return null;
+}
+
+/**
+ * Map one parsed (and threaded) CAP alert to canonical weather events.
+ * @param {Object} feed — { id, name, country?, language? }
+ * @param {Object} options — { categorize(event) → category, now }
+ */
+function capToEvents(alert, feed, options = {}) {
+  const now = options.now || new Date();
+  const categorize = options.categorize || (() => 'other');
+  if (alert.status && alert.status !== 'Actual') return [];
+
+  const infos = pickInfos(alert.infos, feed.language);
+  return infos.map((info, i) => {
+    if (info.expires && new Date(info.expires) < now) return null;
+    const location = resolveGeometry(info, feed);
+    if (!location?.coordinates) return null;
+
+    const parameters = {};
+    Object.entries(PARAMETER_FIELDS).forEach(([capName, field]) => {
+      parameters[field] = info.parameters[capName] || '';
+    });
+
+    const threadId = alert.threadId || alert.identifier;
+    return {
+      id: `cap:${feed.id}:${threadId}${infos.length > 1 ? `#${i}` : ''}`,
+      type: 'weather',
+      severity: info.severity,
+      urgency: info.urgency,
+      event: info.event,
+      headline: info.headline,
+      description: info.description.substring(0, 800),
+      areas: info.areas.map(a => a.areaDesc).filter(Boolean).join('; '),
+      zones: [...new Set(info.areas.flatMap(a => a.geocodes.map(g => g.value)))],
+      coordinates: location.coordinates.map(c => Math.round(c * 1e4) / 1e4),
+      geometry: location.geometry,
+      geometrySource: location.geometrySource,
+      geometryRef: location.geometryRef || null,
+      onset: info.onset || info.effective || alert.sent,
+      expires: info.expires,
+      source: feed.name || feed.id,
+      category: categorize(info.event),
+      instruction: info.instruction.substring(0, 800),
+      effective: info.effective || alert.sent,
+      certainty: info.certainty,
+      sender: info.senderName || alert.sender,
+      web: info.web,
+      response: info.responseType,
+      timeRemaining: timeRemainingUntil(info.expires, now),
+      status: alert.status,
+      messageType: alert.msgType,
+      language: info.language,
+      alertIds: [alert.identifier],
+      supersededCount: alert.supersededCount || 0,
+      parameters
+    };
+  }).filter(Boolean);
+}
+
+// ── Feed reader ────────────────────────────────────────────────────────────
+
+/**
+ * Reads one configured feed: index → CAP documents → weather events.
+ * CAP documents are cached by entry id + updated stamp, so each cycle only
+ * downloads entries that are new or changed.
+ */
+class CapFeed {
+  /**
+   * @param {Object} feed — { id, name, url, country?, language?, maxEntries?, timeout? }
+   * @param {Object} options — { fetch(url) → Promise<string> } (defaults to axios)
+   */
+  constructor(feed, options = {}) {
+    this.feed = feed;
+    this.documents = new Map();
+    // Earliest info/expires of the last parse, ms (null when nothing expires)
+    this.expiresAt = null;
+    this.fetch = options.fetch || (async url => {
+      const response = await axios.get(url, {
+        timeout: feed.timeout || 15000,
+        responseType: 'text',
+        headers: { 'User-Agent': 'RealNow-DisasterTracker/5.0', 'Accept': 'application/cap+xml, application/xml, */*' }
+      });
+      return response.data;
+    });
+  }
+
+  async loadDocuments(entries) {
+    const results = [];
+    const queue = [...entries];
+    const worker = async () => {
+      while (queue.length) {
+        const entry = queue.shift();
+        const key = `${entry.id}|${entry.updated}`;
+        if (this.documents.has(key)) {
+          results.push(this.documents.get(key));
+          continue;
+        }
+        try {
+          const alert = parseCapAlert(await this.fetch(entry.url));
+          if (alert) {
+            this.documents.set(key, alert);
+            results.push(alert);
+          }
+        } catch (error) {
+          console.error(`⚠️ [CAP] ${this.feed.id}: ${entry.url} — ${error.message}`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+
+    // Forget documents that dropped out of the index
+    const live = new Set(entries.map(e => `${e.id}|${e.updated}`));
+    [...this.documents.keys()].forEach(key => { if (!live.has(key)) this.documents.delete(key); });
+    return results;
+  }
+
+  /**
+   * Turn the fetched index (or single CAP document) into a layer payload.
+   */
+  async parse(body, options = {}) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body || '');
+    let alerts;
+    const root = parseXml(text).children.find(c => c.name !== '#text');
+    if (root?.name === 'alert') {
+      alerts = [parseCapAlert(root)].filter(Boolean);
+    } else {
+      const entries = parseCapIndex(text).slice(0, this.feed.maxEntries || DEFAULT_MAX_ENTRIES);
+      alerts = await this.loadDocuments(entries);
+    }
+
+    const events = currentAlerts(alerts).flatMap(alert => capToEvents(alert, this.feed, options));
+    const expires = events.map(e => Date.parse(e.expires)).filter(t => !isNaN(t));
+    this.expiresAt = expires.length ? Math.min(...expires) : null;
+    console.log(`✅ [CAP] ${this.feed.id}: ${events.length} alerts from ${alerts.length} CAP messages`);
+
+    return {
+      type: 'weather',
+      timestamp: new Date().toISOString(),
+      count: events.length,
+      features: events
+    };
+  }
+
+  /**
+   * True once an alert in the last parse has expired, even if the feed
+   * itself has not changed since.
+   */
+  expired(now = Date.now()) {
+    return this.expiresAt !== null && now > this.expiresAt;
+  }
+}
+
+module.exports = {
+  CapFeed,
+  parseXml,
+  child,
+  childrenOf,
+  textOf,
+  findFirst,
+  parseCapAlert,
+  parseCapIndex,
+  currentAlerts,
+  capToEvents
+};
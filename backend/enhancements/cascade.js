@@ -0,0 +1,260 @@
+// ============================================================================
+// cascade.js — Earthquake → Tsunami / Landslide Hazard Chains
+// Drop into: /var/www/realnow/backend/enhancements/cascade.js
+// ============================================================================
+//
+// Earthquakes, tsunamis and landslides arrive from three unrelated feeds and
+// are stored under separate keys, although a PTWC bulletin is almost always
+// triggered by one specific USGS quake and large quakes set off landslides.
+// After each ingest of one of those layers the latest snapshots are
+// correlated and every causally plausible pair is linked into a hazard chain:
+//
+//   chain_<quake id>   parent = the earthquake
+//                      members = tsunami bulletins and landslides it explains
+//
+// A pair is plausible when the child follows the quake inside the rule's time
+// window and lies inside its distance envelope. A child that fits several
+// quakes is attached to the best-fitting one only.
+//
+// Redis:
+//   cascade:chains   HASH  chain id → chain JSON
+//   cascade:links    HASH  event id → { chainId, parentId, role, relation }
+// ============================================================================
+
+const { getCoords, haversineKm } = require('./geo-dedup');
+
+const CHAINS_KEY = 'cascade:chains';
+const LINKS_KEY = 'cascade:links';
+
+const MINUTE = 60 * 1000;
+
+// Layers the correlation pass reads; storing any of them triggers a pass
+const CASCADE_LAYERS = ['earthquakes', 'tsunamis', 'landslides'];
+
+/**
+ * Linking rules, one per parent → child hazard pair.
+ *   minMagnitude   — weaker quakes never trigger this hazard
+ *   maxDistanceKm  — epicenter → child distance envelope (number or fn(magnitude))
+ *   lagMinutes     — [min, max] child time minus quake time
+ */
+const CASCADE_RULES = [
+  {
+    parent: 'earthquakes',
+    child: 'tsunamis',
+    relation: 'triggered_tsunami',
+    minMagnitude: 6.0,
+    // Bulletins carry the warning center's own epicenter, which can sit a
+    // few tens of km from the USGS solution
+    maxDistanceKm: 150,
+    // Bulletin issue time: first message within minutes, updates for hours.
+    // With a stated origin time the match is much tighter (see childTime).
+    lagMinutes: [-5, 12 * 60],
+    originToleranceMinutes: 5
+  },
+  {
+    parent: 'earthquakes',
+    child: 'landslides',
+    relation: 'triggered_landslide',
+    minMagnitude: 4.5,
+    // Rough envelope of the farthest earthquake-triggered slides after
+    // Keefer (1984): ~20 km at M5, ~60 km at M6, ~200 km at M7
+    maxDistanceKm: magnitude => Math.min(500, Math.pow(10, 0.5 * magnitude - 1.2)),
+    // EONET landslide dates are day-resolution (midnight UTC)
+    lagMinutes: [-24 * 60, 7 * 24 * 60]
+  }
+];
+
+function eventKey(event) {
+  return event.id || event.name || null;
+}
+
+function timeOf(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const t = typeof value === 'number' ? value : new Date(value).getTime();
+  return isNaN(t) ? null : t;
+}
+
+/**
+ * Position and time of a child event. Tsunami bulletins describe their
+ * source quake, which is what has to line up with the USGS event.
+ * @returns {Object|null} { coords, time, exact } — exact when the time is an origin time
+ */
+function childLocation(event) {
+  const quake = event.earthquake;
+  if (quake) {
+    const coords = quake.latitude != null && quake.longitude != null
+      ? { lat: quake.latitude, lon: quake.longitude }
+      : getCoords(event);
+    const origin = timeOf(quake.originTime);
+    if (coords && origin !== null) return { coords, time: origin, exact: true };
+    if (coords) return { coords, time: timeOf(event.date), exact: false };
+  }
+  const coords = getCoords(event);
+  if (!coords) return null;
+  return { coords, time: timeOf(event.date || event.time), exact: false };
+}
+
+/**
+ * Score one parent/child pair against a rule.
+ * @returns {Object|null} { distanceKm, lagMinutes, confidence } or null when implausible
+ */
+function matchPair(rule, quake, child) {
+  const magnitude = Number(quake.magnitude);
+  if (!(magnitude >= rule.minMagnitude)) return null;
+
+  const origin = getCoords(quake);
+  const quakeTime = timeOf(quake.time);
+  const target = childLocation(child);
+  if (!origin || quakeTime === null || !target || target.time === null) return null;
+
+  const maxDistanceKm = typeof rule.maxDistanceKm === 'function'
+    ? rule.maxDistanceKm(magnitude)
+    : rule.maxDistanceKm;
+  const distanceKm = haversineKm(origin.lat, origin.lon, target.coords.lat, target.coords.lon);
+  if (distanceKm > maxDistanceKm) return null;
+
+  const lagMinutes = (target.time - quakeTime) / MINUTE;
+  let timeFit;
+  if (target.exact && rule.originToleranceMinutes) {
+    if (Math.abs(lagMinutes) > rule.originToleranceMinutes) return null;
+    timeFit = 1 - Math.abs(lagMinutes) / rule.originToleranceMinutes;
+  } else {
+    const [minLag, maxLag] = rule.lagMinutes;
+    if (lagMinutes < minLag || lagMinutes > maxLag) return null;
+    timeFit = 1 - Math.max(0, lagMinutes) / maxLag;
+  }
+
+  const distanceFit = 1 - distanceKm / maxDistanceKm;
+  return {
+    distanceKm: Math.round(distanceKm),
+    lagMinutes: Math.round(lagMinutes),
+    confidence: Math.round((0.5 * distanceFit + 0.5 * timeFit) * 100) / 100
+  };
+}
+
+/**
+ * Pure correlation pass over the latest layer snapshots.
+ * @param {Object} layers — { earthquakes: [...], tsunamis: [...], landslides: [...] }
+ * @returns {Array} chains { id, parentId, parentType, magnitude, place, time, members, updated }
+ */
+function linkHazards(layers) {
+  const chains = new Map();
+
+  CASCADE_RULES.forEach(rule => {
+    const parents = (layers[rule.parent] || []).filter(p => eventKey(p));
+    (layers[rule.child] || []).forEach(child => {
+      const childId = eventKey(child);
+      if (!childId) return;
+
+      let best = null;
+      parents.forEach(parent => {
+        const match = matchPair(rule, parent, child);
+        if (match && (!best || match.confidence > best.match.confidence)) {
+          best = { parent, match };
+        }
+      });
+      if (!best) return;
+
+      const parentId = String(eventKey(best.parent));
+      const chainId = `chain_${parentId}`;
+      if (!chains.has(chainId)) {
+        chains.set(chainId, {
+          id: chainId,
+          parentId,
+          parentType: rule.parent,
+          magnitude: best.parent.magnitude,
+          place: best.parent.place || best.parent.title || null,
+          time: new Date(timeOf(best.parent.time)).toISOString(),
+          members: []
+        });
+      }
+      chains.get(chainId).members.push({
+        id: String(childId),
+        type: rule.child,
+        parentId,
+        relation: rule.relation,
+        ...best.match
+      });
+    });
+  });
+
+  const updated = new Date().toISOString();
+  return [...chains.values()].map(chain => {
+    chain.members.sort((a, b) => a.lagMinutes - b.lagMinutes);
+    chain.updated = updated;
+    return chain;
+  });
+}
+
+class CascadeLinker {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  /**
+   * Re-correlate the latest snapshots and replace the stored chains.
+   * @returns {Promise<Array>} chains
+   */
+  async correlate() {
+    const layers = {};
+    for (const type of CASCADE_LAYERS) {
+      const cached = await this.redis.get(`data:${type}`);
+      layers[type] = cached ? JSON.parse(cached).features || [] : [];
+    }
+
+    const chains = linkHazards(layers);
+
+    const multi = this.redis.multi();
+    multi.del(CHAINS_KEY);
+    multi.del(LINKS_KEY);
+    chains.forEach(chain => {
+      multi.hSet(CHAINS_KEY, chain.id, JSON.stringify(chain));
+      multi.hSet(LINKS_KEY, chain.parentId, JSON.stringify({
+        chainId: chain.id, parentId: null, role: 'trigger', relation: null
+      }));
+      chain.members.forEach(member => {
+        multi.hSet(LINKS_KEY, member.id, JSON.stringify({
+          chainId: chain.id, parentId: member.parentId, role: member.type, relation: member.relation
+        }));
+      });
+    });
+    await multi.exec();
+
+    const linked = chains.reduce((sum, chain) => sum + chain.members.length, 0);
+    console.log(`⛓️ [Cascade] ${chains.length} hazard chains, ${linked} linked events`);
+    return chains;
+  }
+
+  /**
+   * Chain an event belongs to, with every member resolved from the current
+   * layer snapshots.
+   * @returns {Promise<Object|null>} { chainId, parentId, role, relation, chain, events }
+   */
+  async getChainFor(eventId) {
+    const link = await this.redis.hGet(LINKS_KEY, String(eventId));
+    if (!link) return null;
+    const { chainId, parentId, role, relation } = JSON.parse(link);
+    const stored = await this.redis.hGet(CHAINS_KEY, chainId);
+    if (!stored) return null;
+    const chain = JSON.parse(stored);
+
+    const byType = {};
+    for (const type of CASCADE_LAYERS) {
+      const cached = await this.redis.get(`data:${type}`);
+      byType[type] = new Map((cached ? JSON.parse(cached).features || [] : [])
+        .map(e => [String(eventKey(e)), e]));
+    }
+
+    const events = [
+      { id: chain.parentId, type: chain.parentType, role: 'trigger', relation: null, parentId: null },
+      ...chain.members.map(m => ({ ...m, role: m.type }))
+    ].map(member => ({
+      ...member,
+      event: byType[member.type]?.get(member.id) || null
+    })).filter(member => member.event);
+
+    return { chainId, parentId, role, relation, chain, events };
+  }
+}
+
+module.exports = { CascadeLinker, linkHazards, matchPair, CASCADE_RULES, CASCADE_LAYERS };
@@ -0,0 +1,306 @@
+// ============================================================================
+// cluster.js — Multi-Instance Fetch Scheduling + Update Relay
+// Drop into: /var/www/realnow/backend/enhancements/cluster.js
+// ============================================================================
+//
+// Several backend instances can run behind one load balancer against a
+// shared Redis. Without coordination each would poll every upstream on its
+// own cron and race on data:<layer> writes. Here:
+//
+//   Leader lease   every instance runs the cron schedule, but only the holder
+//                  of scheduler:leader fetches. The leader renews the lease
+//                  every RENEW_MS; if it dies, another instance takes over
+//                  within LEASE_MS and runs the initial sweep.
+//   Source locks   each fetch also holds lock:fetch:<source>, so a lease
+//                  handover (or a manual /api/refresh) never fetches one
+//                  source twice at the same time.
+//   Update relay   the instance that stored a layer publishes the socket
+//                  events on CHANNEL; every other instance re-emits them to
+//                  its own clients. Layer updates carry only the layer name —
+//                  receivers read the payload from data:<layer>.
+//   Rooms          update:<layer> goes to the layer:<layer> room (sockets
+//                  join it on subscribe); emitToUser reaches the user:<uid>
+//                  room on whichever instance the user is connected to.
+//                  Lifecycle event:<kind> transitions go to their layer's room.
+//                  Handlers added with use() see every delivered event, which
+//                  is how filtered subscriptions get their share.
+//                  This is our own channel rather than @socket.io/redis-adapter
+//                  so one published layer name fans out without each
+//                  instance shipping the full payload.
+//
+// SCHEDULER_ROLE=follower keeps an instance out of the election entirely
+// (read replica). A single instance simply wins the lease.
+// ============================================================================
+
+const os = require('os');
+const crypto = require('crypto');
+
+const LEADER_KEY = 'scheduler:leader';
+const LOCK_PREFIX = 'lock:';
+const CHANNEL = 'realnow:updates';
+
+const LEASE_MS = 30 * 1000;
+const RENEW_MS = 10 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+
+// Extend / delete a key only while it still holds our token
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+const layerRoom = (layer) => `layer:${layer}`;
+const userRoom = (userId) => `user:${userId}`;
+
+function newInstanceId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+}
+
+class FetchCoordinator {
+  /**
+   * @param {Object} redis — node-redis v4 client
+   * @param {Object} options — { instanceId, role: 'auto'|'follower', leaseMs, renewMs, lockMs }
+   */
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.id = options.instanceId || newInstanceId();
+    this.role = options.role || process.env.SCHEDULER_ROLE || 'auto';
+    this.leaseMs = options.leaseMs || LEASE_MS;
+    this.renewMs = options.renewMs || RENEW_MS;
+    this.lockMs = options.lockMs || LOCK_MS;
+    this.isLeader = false;
+    this.timer = null;
+    this.handlers = {};
+    this.stats = { elections: 0, lockSkips: 0, since: null };
+  }
+
+  /**
+   * Join the election. onElected runs (not awaited) each time this instance
+   * wins the lease; onDemoted when it loses it.
+   */
+  start(handlers = {}) {
+    this.handlers = handlers;
+    if (this.role === 'follower') {
+      console.log(`👥 [Scheduler] ${this.id} is a follower (SCHEDULER_ROLE=follower) — serving reads only`);
+      return;
+    }
+    const loop = () => this.tick().catch(() => {});
+    loop();
+    this.timer = setInterval(loop, this.renewMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Renew or try to take the lease.
+   * @returns {Promise<boolean>} whether this instance is the leader
+   */
+  async tick() {
+    let leader = false;
+    try {
+      if (this.isLeader) {
+        leader = await this.redis.eval(RENEW_SCRIPT, { keys: [LEADER_KEY], arguments: [this.id, String(this.leaseMs)] }) === 1;
+      }
+      if (!leader) {
+        leader = await this.redis.set(LEADER_KEY, this.id, { NX: true, PX: this.leaseMs }) === 'OK';
+      }
+    } catch (error) {
+      // Without Redis nothing can be stored anyway — stand down
+      console.error(`⚠️ [Scheduler] Lease check failed — ${error.message}`);
+      leader = false;
+    }
+
+    if (leader && !this.isLeader) {
+      this.isLeader = true;
+      this.stats.elections++;
+      this.stats.since = new Date().toISOString();
+      console.log(`👑 [Scheduler] ${this.id} holds the fetch lease`);
+      this._notify('onElected');
+    } else if (!leader && this.isLeader) {
+      this.isLeader = false;
+      this.stats.since = null;
+      console.log(`🔻 [Scheduler] ${this.id} lost the fetch lease`);
+      this._notify('onDemoted');
+    }
+    return this.isLeader;
+  }
+
+  _notify(name) {
+    if (!this.handlers[name]) return;
+    Promise.resolve()
+      .then(() => this.handlers[name]())
+      .catch(error => console.error(`❌ [Scheduler] ${name} failed:`, error.message));
+  }
+
+  /**
+   * Run fn while holding lock:<name>. Resolves to null without running fn
+   * when another instance holds the lock. With keep: true the lock is left
+   * to expire, so the job runs once per ttlMs across all instances.
+   */
+  async withLock(name, fn, { ttlMs = this.lockMs, keep = false } = {}) {
+    const key = `${LOCK_PREFIX}${name}`;
+    try {
+      if (await this.redis.set(key, this.id, { NX: true, PX: ttlMs }) !== 'OK') {
+        this.stats.lockSkips++;
+        console.log(`⏭️  [Scheduler] ${name} is locked by another instance, skipping`);
+        return null;
+      }
+    } catch (error) {
+      console.error(`⚠️ [Scheduler] Could not lock ${name} — ${error.message}`);
+      return null;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      if (!keep) await this._release(key);
+    }
+  }
+
+  async _release(key) {
+    try {
+      await this.redis.eval(RELEASE_SCRIPT, { keys: [key], arguments: [this.id] });
+    } catch (error) {
+      console.error(`⚠️ [Scheduler] Could not release ${key} — ${error.message}`);
+    }
+  }
+
+  /**
+   * Leave the election and hand the lease over straight away.
+   */
+  async stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    if (this.isLeader) {
+      this.isLeader = false;
+      await this._release(LEADER_KEY);
+    }
+  }
+
+  status() {
+    return {
+      instanceId: this.id,
+      role: this.role,
+      isLeader: this.isLeader,
+      leaderSince: this.stats.since,
+      elections: this.stats.elections,
+      lockSkips: this.stats.lockSkips
+    };
+  }
+}
+
+class UpdateRelay {
+  /**
+   * @param {Object} redis — node-redis v4 client (a duplicate is opened for SUBSCRIBE)
+   * @param {Object} io — socket.io server
+   * @param {Object} options — { instanceId, channel }
+   */
+  constructor(redis, io, options = {}) {
+    this.redis = redis;
+    this.io = io;
+    this.id = options.instanceId || newInstanceId();
+    this.channel = options.channel || CHANNEL;
+    this.subscriber = null;
+    // Layer updates wait on a GET, so messages are handled one at a time to
+    // keep an update ahead of the event:* transitions published after it
+    this.queue = Promise.resolve();
+    this.handlers = [];
+    this.stats = { published: 0, relayed: 0 };
+  }
+
+  async start() {
+    try {
+      this.subscriber = this.redis.duplicate();
+      this.subscriber.on('error', err => console.error('⚠️ [Relay] Subscriber error:', err.message));
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(this.channel, message => {
+        this.queue = this.queue
+          .then(() => this.receive(message))
+          .catch(error => console.error('⚠️ [Relay] Relay failed:', error.message));
+      });
+      console.log(`📣 [Relay] Listening on ${this.channel}`);
+    } catch (error) {
+      console.error(`❌ [Relay] Could not subscribe to ${this.channel}:`, error.message);
+    }
+  }
+
+  /**
+   * Emit to this instance's clients and publish for the others.
+   * Pass { layer } for update:<layer> events: only the name is published and
+   * the event goes to the layer's room. { room } targets any other room.
+   */
+  emit(event, payload, { layer, room } = {}) {
+    const target = room || (layer ? layerRoom(layer) : null);
+    this._local(event, payload, target);
+    const message = layer ? { origin: this.id, event, layer } : { origin: this.id, event, payload };
+    if (target) message.room = target;
+    this.stats.published++;
+    Promise.resolve(this.redis.publish(this.channel, JSON.stringify(message)))
+      .catch(error => console.error(`⚠️ [Relay] Publish ${event} failed — ${error.message}`));
+  }
+
+  /**
+   * Also hand every event delivered on this instance to fn(event, payload),
+   * e.g. to push filtered copies to filter rooms.
+   */
+  use(fn) {
+    this.handlers.push(fn);
+  }
+
+  /**
+   * Emit to every socket of one user, on every instance.
+   */
+  emitToUser(userId, event, payload) {
+    this.emit(event, payload, { room: userRoom(userId) });
+  }
+
+  _local(event, payload, room) {
+    if (this.io) {
+      if (room) this.io.to(room).emit(event, payload);
+      else this.io.emit(event, payload);
+    }
+    this.handlers.forEach(fn => {
+      try {
+        fn(event, payload);
+      } catch (error) {
+        console.error(`⚠️ [Relay] Handler failed on ${event} — ${error.message}`);
+      }
+    });
+  }
+
+  async receive(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return;
+    }
+    if (!message || message.origin === this.id || !message.event) return;
+
+    let payload = message.payload;
+    if (message.layer) {
+      const cached = await this.redis.get(`data:${message.layer}`);
+      if (!cached) return;
+      payload = JSON.parse(cached);
+    }
+    this.stats.relayed++;
+    this._local(message.event, payload, message.room);
+  }
+
+  async stop() {
+    if (!this.subscriber) return;
+    try {
+      await this.subscriber.unsubscribe(this.channel);
+      await this.subscriber.quit();
+    } catch (error) {
+      // Already closed
+    }
+    this.subscriber = null;
+  }
+}
+
+module.exports = {
+  FetchCoordinator,
+  UpdateRelay,
+  layerRoom,
+  userRoom,
+  LEADER_KEY,
+  CHANNEL
+};
@@ -0,0 +1,437 @@
+// ============================================================================
+// conflicts.js — GDELT Conflict Incidents
+// Drop into: /var/www/realnow/backend/enhancements/conflicts.js
+// ============================================================================
+//
+// GDELT's DOC 2.0 API lists news articles matching a conflict query. This
+// module turns those articles into map incidents:
+//
+//   1. Geocode   place names in the headline against the offline gazetteer
+//                (countries and admin-1 regions). Articles naming no place
+//                it knows are dropped — never placed at a guessed point.
+//   2. Group     articles about the same incident: same country, no
+//                conflicting region, within INCIDENT_WINDOW_HOURS, and the
+//                same region and category or similar headlines.
+//   3. Score     a 0–100 confidence per incident from corroboration
+//                (distinct outlets), location precision and how specific
+//                the reporting is (category, casualty figure).
+//
+// Articles are kept for RETAIN_HOURS across polls, so an incident collects
+// coverage from successive fetches. Its id comes from its earliest article
+// and stays stable while that article is retained. Given a Redis client the
+// window survives restarts; each poll only fetches the last 24 h.
+//
+// Redis:
+//   conflicts:articles   HASH  url → JSON GDELT article (as received)
+// ============================================================================
+
+const crypto = require('crypto');
+const { getGazetteer, normalizeName } = require('./gazetteer');
+
+const GDELT_DOC_URL = 'https://api.gdeltproject.org/api/v2/doc/doc';
+const CONFLICT_QUERY = '(conflict OR violence OR attack OR bombing OR airstrike OR shelling OR clashes OR protest OR riot OR "armed conflict" OR militants)';
+
+const ARTICLES_KEY = 'conflicts:articles';
+
+const RETAIN_HOURS = 72;
+const INCIDENT_WINDOW_HOURS = 24;
+const ACTIVE_HOURS = 24;
+const SIMILARITY = 0.3;
+const MAX_NGRAM = 4;
+const MAX_LISTED_ARTICLES = 8;
+
+const HOUR = 60 * 60 * 1000;
+
+// Words that introduce where something happened ("clashes in Kharkiv")
+const LOCATIVES = new Set(['in', 'on', 'near', 'at', 'into', 'across', 'inside', 'outside', 'over']);
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'against', 'amid', 'among', 'been', 'being', 'from', 'have', 'into', 'more', 'over',
+  'said', 'says', 'than', 'that', 'their', 'them', 'they', 'this', 'were', 'what', 'when', 'where',
+  'which', 'while', 'will', 'with', 'would', 'news', 'live', 'latest', 'update', 'updates'
+]);
+
+/**
+ * GDELT DOC API request for the last `timespan` of conflict coverage.
+ */
+function buildQueryUrl({ timespan = '24h', maxrecords = 250 } = {}) {
+  const params = new URLSearchParams({
+    query: `${CONFLICT_QUERY} sourcelang:english`,
+    mode: 'ArtList',
+    maxrecords: String(maxrecords),
+    timespan,
+    format: 'json',
+    sort: 'DateDesc'
+  });
+  return `${GDELT_DOC_URL}?${params}`;
+}
+
+// '20261019T143000Z' → ms
+function parseSeenDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})T?(\d{2})(\d{2})(\d{2})Z?$/.exec(String(value || ''));
+  if (m) return Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+  const t = Date.parse(value);
+  return isNaN(t) ? null : t;
+}
+
+function categorize(title) {
+  const lower = title.toLowerCase();
+  if (lower.includes('protest') || lower.includes('demonstrat')) return 'Protest';
+  if (lower.includes('bomb') || lower.includes('explos')) return 'Explosion';
+  if (/\b(air ?strike|drone strike|missile|shelling)/.test(lower)) return 'Strike';
+  if (lower.includes('attack') || lower.includes('assault')) return 'Attack';
+  if (lower.includes('riot') || lower.includes('unrest')) return 'Civil Unrest';
+  if (lower.includes('military') || lower.includes('armed') || lower.includes('clash')) return 'Military Activity';
+  if (lower.includes('kill') || lower.includes('dead')) return 'Violence';
+  return 'Conflict';
+}
+
+/**
+ * Headline → intensity 1 (reported) … 5 (deadly).
+ */
+function intensity(title) {
+  const lower = title.toLowerCase();
+  let level = 1;
+  if (/\b(kill|dead|death|massacre)/.test(lower) || lower.includes('bomb') || lower.includes('explos')) level = 5;
+  else if (/\b(injur|wound|hurt)/.test(lower) || lower.includes('attack') || lower.includes('assault') || lower.includes('airstrike')) level = 4;
+  else if (lower.includes('riot') || lower.includes('clash') || lower.includes('shelling')) level = 3;
+  else if (lower.includes('protest') || lower.includes('demonstrat')) level = 2;
+
+  const count = fatalities(title);
+  if (count !== null && count > 10) level = 5;
+  else if (count !== null && count > 5) level = Math.max(level, 4);
+  return level;
+}
+
+/**
+ * Death toll stated in a headline ("kills 12", "at least 7 dead"), or null.
+ */
+function fatalities(title) {
+  const m = /(\d[\d,]*)\s+(?:people\s+|civilians\s+|soldiers\s+)?(?:killed|dead|died|deaths|casualties)/i.exec(title) ||
+    /\bkill(?:s|ed|ing)?\s+(?:at least\s+)?(\d[\d,]*)/i.exec(title);
+  return m ? parseInt(m[1].replace(/,/g, ''), 10) : null;
+}
+
+function tokens(title) {
+  return new Set(normalizeName(title).split(' ').filter(w => w.length >= 4 && !STOP_WORDS.has(w)));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(w => { if (b.has(w)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+// Headline words, with possessives dropped: "Ukraine's" → "Ukraine"
+function words(title) {
+  return String(title || '').split(/[^\p{L}\p{N}'’-]+/u)
+    .map(w => w.replace(/['’]s?$/, ''))
+    .filter(Boolean);
+}
+
+const isCapitalized = word => /^\p{Lu}/u.test(word);
+
+/**
+ * Place named in a headline, resolved with the gazetteer.
+ * Admin-1 regions win over countries; a region name shared by several
+ * countries is only used when one of them is also named. Among several
+ * places, one introduced by a locative ("in Sudan") wins, otherwise the
+ * last named — headlines run actor → target ("Israel strikes Lebanon").
+ * @returns {Object|null} { precision, name, country, iso3, admin1, admin1Code, lat, lon }
+ */
+function geocodeTitle(title, gazetteer = getGazetteer()) {
+  if (!gazetteer || !title) return null;
+  const list = words(title);
+  const used = new Array(list.length).fill(false);
+  const countries = [];
+  const regions = [];
+
+  for (let n = MAX_NGRAM; n >= 1; n--) {
+    for (let i = 0; i + n <= list.length; i++) {
+      if (used.slice(i, i + n).some(Boolean)) continue;
+      if (!isCapitalized(list[i]) || !isCapitalized(list[i + n - 1])) continue;
+      const phrase = list.slice(i, i + n).join(' ');
+      const locative = i > 0 && LOCATIVES.has(list[i - 1].toLowerCase());
+
+      const country = gazetteer.findCountry(phrase);
+      // Short words are acronyms ("UN", "EU", "RSF") rather than ISO codes — US and UK aside
+      if (country && (n > 1 || phrase.length > 3 || phrase === 'US' || phrase === 'UK')) {
+        countries.push({ country, locative, index: i });
+        used.fill(true, i, i + n);
+        continue;
+      }
+      if (phrase.length < 4) continue;
+      const candidates = gazetteer.admin1ByName.get(normalizeName(phrase));
+      if (candidates?.length) {
+        regions.push({ candidates, locative, index: i });
+        used.fill(true, i, i + n);
+      }
+    }
+  }
+
+  const named = new Set(countries.map(c => c.country.iso3));
+  const resolved = regions.map(r => {
+    const inNamed = r.candidates.filter(c => named.has(c.iso3));
+    const pool = inNamed.length ? inNamed : r.candidates;
+    return new Set(pool.map(c => c.iso3)).size === 1 ? { ...r, region: pool[0] } : null;
+  }).filter(Boolean);
+
+  const pick = items => items.find(x => x.locative) || [...items].sort((a, b) => b.index - a.index)[0];
+
+  if (resolved.length) {
+    const { region } = pick(resolved);
+    const country = gazetteer.byIso3.get(region.iso3);
+    return {
+      precision: 'admin1',
+      name: `${region.name}, ${country?.name || region.iso3}`,
+      country: country?.name || null,
+      iso3: region.iso3,
+      admin1: region.name,
+      admin1Code: region.code,
+      lat: region.centroid[1],
+      lon: region.centroid[0]
+    };
+  }
+  if (countries.length) {
+    const { country } = pick(countries);
+    return {
+      precision: 'country',
+      name: country.name,
+      country: country.name,
+      iso3: country.iso3,
+      admin1: null,
+      admin1Code: null,
+      lat: country.centroid[1],
+      lon: country.centroid[0]
+    };
+  }
+  return null;
+}
+
+/**
+ * GDELT article → geocoded, classified article (null when it cannot be placed).
+ */
+function readArticle(article, gazetteer = getGazetteer()) {
+  if (!article?.url || !article.title) return null;
+  const seen = parseSeenDate(article.seendate);
+  if (seen === null) return null;
+  const place = geocodeTitle(article.title, gazetteer);
+  if (!place) return null;
+
+  return {
+    url: article.url,
+    title: article.title.trim(),
+    domain: article.domain || null,
+    language: article.language || null,
+    sourceCountry: article.sourcecountry || null,
+    image: article.socialimage || null,
+    seen,
+    place,
+    category: categorize(article.title),
+    intensity: intensity(article.title),
+    fatalities: fatalities(article.title),
+    tokens: tokens(article.title)
+  };
+}
+
+function sameIncident(incident, article) {
+  if (incident.place.iso3 !== article.place.iso3) return false;
+  if (Math.abs(article.seen - incident.lastSeen) > INCIDENT_WINDOW_HOURS * HOUR &&
+      Math.abs(article.seen - incident.firstSeen) > INCIDENT_WINDOW_HOURS * HOUR) return false;
+
+  const a = incident.place.admin1Code;
+  const b = article.place.admin1Code;
+  if (a && b && a !== b) return false;
+
+  if (a && a === b && incident.category === article.category) return true;
+  return incident.articles.some(x => jaccard(x.tokens, article.tokens) >= SIMILARITY);
+}
+
+/**
+ * 0–100: corroboration (distinct outlets) 50%, location precision 30%,
+ * specificity (a named category, a stated toll) 20%.
+ */
+function confidenceScore(incident) {
+  const outlets = new Set(incident.articles.map(a => a.domain || a.url)).size;
+  const corroboration = Math.min(outlets, 4) / 4;
+  const precision = incident.place.precision === 'admin1' ? 1 : 0.5;
+  const specificity = (incident.category !== 'Conflict' ? 0.5 : 0) + (incident.fatalities !== null ? 0.5 : 0);
+  return Math.round(100 * (0.5 * corroboration + 0.3 * precision + 0.2 * specificity));
+}
+
+function confidenceLevel(score) {
+  if (score >= 70) return 'high';
+  if (score >= 40) return 'medium';
+  return 'low';
+}
+
+/**
+ * Group geocoded articles into incidents (oldest article first).
+ */
+function groupIncidents(articles) {
+  const incidents = [];
+  [...articles].sort((a, b) => a.seen - b.seen).forEach(article => {
+    const incident = incidents.find(i => sameIncident(i, article));
+    if (!incident) {
+      incidents.push({
+        place: article.place,
+        category: article.category,
+        firstSeen: article.seen,
+        lastSeen: article.seen,
+        fatalities: article.fatalities,
+        articles: [article]
+      });
+      return;
+    }
+    incident.articles.push(article);
+    incident.lastSeen = Math.max(incident.lastSeen, article.seen);
+    // Region-level reporting refines a country-level incident
+    if (incident.place.precision === 'country' && article.place.precision === 'admin1') incident.place = article.place;
+    if (incident.category === 'Conflict') incident.category = article.category;
+    if (article.fatalities !== null) incident.fatalities = Math.max(incident.fatalities || 0, article.fatalities);
+  });
+  return incidents;
+}
+
+function toFeature(incident, now) {
+  const { place, articles } = incident;
+  const outlets = new Set(articles.map(a => a.domain || a.url));
+  // Headline: the most specific report, then the earliest
+  const lead = [...articles].sort((a, b) => b.intensity - a.intensity || a.seen - b.seen)[0];
+  const confidence = confidenceScore(incident);
+  const id = crypto.createHash('sha1').update(articles[0].url).digest('hex').slice(0, 12);
+
+  return {
+    id: `gdelt_${id}`,
+    type: 'conflict',
+    name: `${incident.category} — ${place.name}`,
+    category: incident.category,
+    description: lead.title,
+    intensity: Math.max(...articles.map(a => a.intensity)),
+    fatalities: incident.fatalities,
+    latitude: place.lat,
+    longitude: place.lon,
+    coordinates: [place.lon, place.lat],
+    locality: place.name,
+    country: place.country,
+    iso3: place.iso3,
+    locationPrecision: place.precision,
+    confidence,
+    confidenceLevel: confidenceLevel(confidence),
+    articleCount: articles.length,
+    sourceCount: outlets.size,
+    articles: [...articles].sort((a, b) => b.seen - a.seen).slice(0, MAX_LISTED_ARTICLES).map(a => ({
+      title: a.title,
+      url: a.url,
+      domain: a.domain,
+      seen: new Date(a.seen).toISOString()
+    })),
+    image: lead.image,
+    link: lead.url,
+    firstSeen: new Date(incident.firstSeen).toISOString(),
+    lastSeen: new Date(incident.lastSeen).toISOString(),
+    date: new Date(incident.firstSeen).toISOString(),
+    lastUpdate: new Date(incident.lastSeen).toISOString(),
+    isActive: now - incident.lastSeen <= ACTIVE_HOURS * HOUR,
+    source: 'GDELT'
+  };
+}
+
+// The GDELT fields readArticle() uses, as stored in Redis
+function storedArticle(raw) {
+  const { url, title, seendate, domain, language, sourcecountry, socialimage } = raw;
+  return JSON.stringify({ url, title, seendate, domain, language, sourcecountry, socialimage });
+}
+
+class ConflictStore {
+  /**
+   * @param {Object} options — { redis, gazetteer }
+   */
+  constructor(options = {}) {
+    this.redis = options.redis || null;
+    this.gazetteer = options.gazetteer;
+    // article url → geocoded article
+    this.articles = new Map();
+    this.loaded = false;
+    // url → stored JSON (or null to delete) not yet written to Redis
+    this.pending = new Map();
+  }
+
+  /**
+   * Restore the retained articles from Redis, once.
+   */
+  async load(now = Date.now()) {
+    if (this.loaded || !this.redis) return;
+    this.loaded = true;
+    const stored = await this.redis.hGetAll(ARTICLES_KEY);
+    const raw = Object.values(stored || {}).map(json => JSON.parse(json));
+    const restored = this.ingest({ articles: raw }, now);
+    // Already stored; what aged out (or no longer geocodes) is deleted on save
+    raw.filter(r => r?.url).forEach(r => {
+      if (this.articles.has(r.url)) this.pending.delete(r.url);
+      else this.pending.set(r.url, null);
+    });
+    console.log(`⚔️ [Conflicts] Restored ${restored} retained articles`);
+  }
+
+  /**
+   * Write the articles added or aged out since the last save.
+   */
+  async save() {
+    if (!this.redis || this.pending.size === 0) return;
+    const multi = this.redis.multi();
+    this.pending.forEach((json, url) => {
+      if (json) multi.hSet(ARTICLES_KEY, url, json);
+      else multi.hDel(ARTICLES_KEY, url);
+    });
+    this.pending.clear();
+    await multi.exec();
+  }
+
+  /**
+   * Add one DOC API response's articles; returns how many were new and placeable.
+   */
+  ingest(response, now = Date.now()) {
+    const gazetteer = this.gazetteer || getGazetteer();
+    const cutoff = now - RETAIN_HOURS * HOUR;
+    let added = 0;
+    (Array.isArray(response?.articles) ? response.articles : []).forEach(raw => {
+      if (this.articles.has(raw?.url)) return;
+      const article = readArticle(raw, gazetteer);
+      if (!article || article.seen < cutoff) return;
+      this.articles.set(article.url, article);
+      this.pending.set(article.url, storedArticle(raw));
+      added++;
+    });
+
+    [...this.articles.values()].forEach(a => {
+      if (a.seen >= cutoff) return;
+      this.articles.delete(a.url);
+      this.pending.set(a.url, null);
+    });
+    return added;
+  }
+
+  /**
+   * Current incidents, most recently reported first.
+   */
+  incidents(now = Date.now()) {
+    return groupIncidents([...this.articles.values()])
+      .map(incident => toFeature(incident, now))
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+  }
+}
+
+module.exports = {
+  ConflictStore,
+  ARTICLES_KEY,
+  buildQueryUrl,
+  geocodeTitle,
+  readArticle,
+  groupIncidents,
+  confidenceScore,
+  categorize,
+  intensity,
+  fatalities
+};
@@ -21,6 +21,9 @@
 // ============================================================================
 
 const cron = require('node-cron');
+const { distanceToKm } = require('./geometry');
+const { isCollapsed } = require('./sequences');
+const { auroraOutlook } = require('./aurora');
 
 // Distance helper (same as geo-dedup)
 function haversineKm(lat1, lon1, lat2, lon2) {
@@ -48,13 +51,18 @@ const DISASTER_LABELS = {
   earthquakes: '🌍 Earthquake',
   wildfires: '🔥 Wildfire',
   fires: '🔥 Fire Hotspot',
+  firecomplexes: '🔥 Fire Complex',
   floods: '🌊 Flood',
   cyclones: '🌀 Cyclone',
   volcanoes: '🌋 Volcano',
   droughts: '🏜️ Drought',
   spaceweather: '☀️ Space Weather',
+  aurora: '🌌 Aurora',
+  ashadvisories: '🌋 Volcanic Ash',
+  conflicts: '⚔️ Conflict',
   landslides: '⛰️ Landslide',
-  tsunamis: '🌊 Tsunami'
+  tsunamis: '🌊 Tsunami',
+  weather: '⛈️ Weather Alert'
 };
 
 class DigestService {
@@ -91,10 +99,10 @@ class DigestService {
   /**
    * Find all events within a watch area from the last N hours.
    */
-  async findEventsInWatchArea(watchArea, hoursBack = 24) {
+  async findEventsInWatchArea(watchArea, hoursBack = 24, { collapseSequences = false, maskStaticHeat = false } = {}) {
     const types = [
-      'earthquakes', 'wildfires', 'floods', 'cyclones',
-      'volcanoes', 'droughts', 'landslides', 'tsunamis'
+      'earthquakes', 'wildfires', 'firecomplexes', 'floods', 'cyclones',
+      'volcanoes', 'ashadvisories', 'droughts', 'landslides', 'tsunamis', 'weather', 'conflicts'
     ];
     
     const cutoff = Date.now() - (hoursBack * 60 * 60 * 1000);
@@ -109,18 +117,28 @@ class DigestService {
         if (!data.features) continue;
 
         for (const item of data.features) {
+          // Aftershocks are summed up on their mainshock's row
+          if (collapseSequences && isCollapsed(item)) continue;
+          // Fire detections no second sensor or overpass has seen
+          if (item.confirmed === false) continue;
+          // Persistent heat sources (flares, industry, lava lakes)
+          if (maskStaticHeat && item.likelyStatic) continue;
+
           const coords = getEventCoords(item);
           if (!coords) continue;
 
           // Check timestamp
-          const ts = new Date(item.date || item.time || item.fromDate || item.timestamp || 0).getTime();
+          const ts = new Date(item.date || item.time || item.fromDate || item.effective || item.timestamp || 0).getTime();
           if (ts < cutoff && ts > 0) continue;
 
-          // Check distance
-          const dist = haversineKm(
-            watchArea.lat, watchArea.lon,
-            coords.lat, coords.lon
-          );
+          // Check distance — to the warning area itself when the event has
+          // one, so a large alert overlapping the watch area counts
+          const dist = item.geometry
+            ? distanceToKm(item.geometry, watchArea.lat, watchArea.lon)
+            : haversineKm(
+              watchArea.lat, watchArea.lon,
+              coords.lat, coords.lon
+            );
 
           if (dist <= (watchArea.radiusKm || 500)) {
             nearbyEvents.push({
@@ -130,10 +148,11 @@ class DigestService {
               distance: Math.round(dist),
               severity: item.alertLevel || item.severity || '',
               magnitude: item.magnitude,
+              aftershocks: item.sequence?.count || 0,
               windSpeed: item.windSpeed,
               isActive: item.isActive !== false,
               coordinates: coords,
-              date: item.date || item.time || item.fromDate || ''
+              date: item.date || item.time || item.fromDate || item.effective || ''
             });
           }
         }
@@ -144,6 +163,27 @@ class DigestService {
 
     // Sort by distance
     nearbyEvents.sort((a, b) => a.distance - b.distance);
+
+    // Not an event near the area but the sky over it: the current aurora oval
+    try {
+      const cached = await this.redis.get('data:aurora');
+      const outlook = cached && auroraOutlook(JSON.parse(cached).features, watchArea.lat, watchArea.lon);
+      if (outlook?.visibleTonight) {
+        nearbyEvents.push({
+          type: 'aurora',
+          label: DISASTER_LABELS.aurora,
+          name: outlook.overheadTonight ? 'Aurora likely overhead tonight' : 'Aurora visible tonight',
+          distance: 0,
+          severity: '',
+          isActive: true,
+          coordinates: { lat: watchArea.lat, lon: watchArea.lon },
+          date: ''
+        });
+      }
+    } catch (e) {
+      // No aurora forecast cached
+    }
+
     return nearbyEvents;
   }
 
@@ -154,14 +194,15 @@ class DigestService {
     const eventRows = events.map(ev => {
       const severity = ev.severity ? `<span style="color: ${ev.severity === 'Red' ? '#ff4444' : ev.severity === 'Orange' ? '#ff8800' : '#88cc00'}; font-weight: bold;">[${ev.severity}]</span>` : '';
       const mag = ev.magnitude ? ` M${ev.magnitude.toFixed(1)}` : '';
+      const sequence = ev.aftershocks ? ` <span style="color: #888;">+${ev.aftershocks} aftershocks</span>` : '';
       const wind = ev.windSpeed ? ` ${ev.windSpeed}km/h` : '';
       const active = ev.isActive ? '🔴' : '⚪';
       
       return `
         <tr style="border-bottom: 1px solid #333;">
           <td style="padding: 8px; font-size: 14px;">${active} ${ev.label}${mag}${wind}</td>
-          <td style="padding: 8px; font-size: 14px;">${ev.name}</td>
-          <td style="padding: 8px; font-size: 14px;">${ev.distance} km</td>
+          <td style="padding: 8px; font-size: 14px;">${ev.name}${sequence}</td>
+          <td style="padding: 8px; font-size: 14px;">${ev.type === 'aurora' ? '—' : `${ev.distance} km`}</td>
           <td style="padding: 8px; font-size: 14px;">${severity}</td>
         </tr>`;
     }).join('');
@@ -265,7 +306,10 @@ class DigestService {
           if (!prefs.watchArea || !prefs.digestEmail) continue;
           if (prefs.digestFrequency !== frequency && frequency !== 'test') continue;
           
-          const events = await this.findEventsInWatchArea(prefs.watchArea, hoursBack);
+          const events = await this.findEventsInWatchArea(prefs.watchArea, hoursBack, {
+            collapseSequences: prefs.collapseSequences !== false,
+            maskStaticHeat: prefs.maskStaticHeat !== false
+          });
           await this.sendDigest(prefs.digestEmail, prefs.watchArea, events, hoursBack);
           sent++;
         }
@@ -280,17 +324,25 @@ class DigestService {
 
   /**
    * Start the cron schedule.
+   * With a coordinator every instance keeps the schedule, but a per-day lock
+   * lets only the first one to fire send each digest.
    */
-  startSchedule() {
+  startSchedule({ coordinator } = {}) {
+    const run = (frequency) => {
+      if (!coordinator) return this.runDigest(frequency);
+      const day = new Date().toISOString().slice(0, 10);
+      return coordinator.withLock(`digest:${frequency}:${day}`, () => this.runDigest(frequency), { ttlMs: 12 * 3600000, keep: true });
+    };
+
     // Daily digest at 8:00 AM UTC
     cron.schedule('0 8 * * *', () => {
-      this.runDigest('daily');
+      run('daily');
     });
     console.log('📧 [Digest] Scheduled: daily at 08:00 UTC');
 
     // Weekly digest every Monday at 8:00 AM UTC
     cron.schedule('0 8 * * 1', () => {
-      this.runDigest('weekly');
+      run('weekly');
     });
     console.log('📧 [Digest] Scheduled: weekly on Mondays at 08:00 UTC');
   }
@@ -0,0 +1,360 @@
+// ============================================================================
+// event-index.js — Spatial/Temporal Event Index behind /api/events
+// Drop into: /var/www/realnow/backend/enhancements/event-index.js
+// ============================================================================
+//
+// /api/data/:type hands out whole layers, which is fine for the map but
+// wasteful for a regional dashboard that only wants the fires in one state.
+// Every time a layer is stored its events are also indexed in Redis:
+//
+//   index:<type>:geo     GEO   member = event id (lon/lat)
+//   index:<type>:time    ZSET  score = event time (ms), member = event id
+//   index:<type>:events  HASH  event id → event JSON
+//
+// A query narrows the candidates with GEOSEARCH and ZRANGEBYSCORE, loads only
+// those events, applies the exact filters and pages with a keyset cursor
+// (time desc, layer, id) so pages stay stable while layers refresh.
+// ============================================================================
+
+const { getCoords, haversineKm } = require('./geo-dedup');
+const { parseTime, parseBbox, inBbox } = require('./history');
+const { BUCKETS } = require('./severity');
+const { isCollapsed } = require('./sequences');
+
+const INDEX_PREFIX = 'index:';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_RADIUS_KM = 5000;
+
+// Beyond this the GEOSEARCH circle covers most of the globe — scan instead
+const MAX_PREFILTER_RADIUS_KM = 10000;
+
+// Redis GEO only accepts latitudes within the Web Mercator range
+const MAX_GEO_LAT = 85.05112878;
+
+function eventKey(event) {
+  return event.id || event.name || null;
+}
+
+/**
+ * Best-effort event time in ms. FIRMS splits the acquisition into a date and
+ * an HHMM time; USGS uses epoch ms; the rest carry ISO dates.
+ */
+function eventTime(event) {
+  if (event.date && /^\d{3,4}$/.test(String(event.time || ''))) {
+    const hhmm = String(event.time).padStart(4, '0');
+    const t = new Date(`${event.date}T${hhmm.slice(0, 2)}:${hhmm.slice(2)}:00Z`).getTime();
+    if (!isNaN(t)) return t;
+  }
+  if (typeof event.time === 'number') return event.time;
+
+  for (const field of ['date', 'fromDate', 'onset', 'effective', 'sent', 'timestamp', 'time']) {
+    if (!event[field]) continue;
+    const t = new Date(event[field]).getTime();
+    if (!isNaN(t)) return t;
+  }
+  return null;
+}
+
+// Matches a country name or an ISO3 code
+function matchesCountry(event, country) {
+  const wanted = country.toLowerCase();
+  const names = [event.iso3, event.country, ...(event.affectedCountries || [])]
+    .filter(Boolean)
+    .map(name => String(name).toLowerCase());
+  return names.includes(wanted);
+}
+
+function encodeCursor(item) {
+  return Buffer.from(JSON.stringify({ t: item.t, l: item.layer, i: item.id })).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (typeof cursor.t !== 'number' || typeof cursor.l !== 'string' || typeof cursor.i !== 'string') {
+      return null;
+    }
+    return cursor;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Sort order: newest first, then layer and id for a total order
+function compareItems(a, b) {
+  if (a.t !== b.t) return b.t - a.t;
+  if (a.layer !== b.layer) return a.layer < b.layer ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+}
+
+function isAfterCursor(item, cursor) {
+  return compareItems(item, { t: cursor.t, layer: cursor.l, id: cursor.i }) > 0;
+}
+
+function parseList(value) {
+  if (!value) return null;
+  const list = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Smallest circle around a bbox, for the GEOSEARCH prefilter.
+ * Handles boxes that cross the antimeridian (minLon > maxLon).
+ */
+function bboxCircle(bbox) {
+  const width = ((bbox.maxLon - bbox.minLon) + 360) % 360 || 360;
+  let centerLon = bbox.minLon + width / 2;
+  if (centerLon > 180) centerLon -= 360;
+  const centerLat = (bbox.minLat + bbox.maxLat) / 2;
+
+  // Distance from the centre along each edge peaks at the corners
+  const radiusKm = Math.max(
+    ...[bbox.minLat, bbox.maxLat].flatMap(lat => [bbox.minLon, bbox.maxLon].map(lon =>
+      haversineKm(centerLat, centerLon, lat, lon)
+    ))
+  );
+  return { lat: centerLat, lon: centerLon, radiusKm };
+}
+
+/**
+ * Validate /api/events query parameters.
+ * @param {Object} query — req.query
+ * @param {Array} knownTypes — layers that can be queried
+ * Returns { options } or { error } with a message suitable for a 400.
+ */
+function parseEventsQuery(query = {}, knownTypes = []) {
+  const options = {
+    types: knownTypes,
+    bbox: null,
+    near: null,
+    since: null,
+    until: null,
+    minSeverity: 0,
+    country: query.country ? String(query.country).trim() : null,
+    source: query.source ? String(query.source).trim() : null,
+    limit: DEFAULT_LIMIT,
+    cursor: null,
+    fields: parseList(query.fields),
+    collapseSequences: false
+  };
+
+  const types = parseList(query.types);
+  if (types) {
+    const unknown = types.filter(t => !knownTypes.includes(t));
+    if (unknown.length) return { error: `Unknown type(s): ${unknown.join(', ')}` };
+    options.types = types;
+  }
+
+  const bbox = parseBbox(query.bbox);
+  if (bbox === undefined) return { error: 'Invalid "bbox" — expected minLon,minLat,maxLon,maxLat' };
+  options.bbox = bbox;
+
+  const hasNear = ['lat', 'lon', 'radiusKm'].some(k => query[k] !== undefined);
+  if (hasNear) {
+    if (bbox) return { error: 'Use either "bbox" or "lat/lon/radiusKm", not both' };
+    const lat = parseFloat(query.lat);
+    const lon = parseFloat(query.lon);
+    const radiusKm = parseFloat(query.radiusKm);
+    if (isNaN(lat) || isNaN(lon) || isNaN(radiusKm)) {
+      return { error: '"lat", "lon" and "radiusKm" must all be given as numbers' };
+    }
+    if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return { error: '"lat"/"lon" out of range' };
+    if (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `"radiusKm" must be between 0 and ${MAX_RADIUS_KM}` };
+    }
+    options.near = { lat, lon, radiusKm };
+  }
+
+  options.since = parseTime(query.since);
+  options.until = parseTime(query.until);
+  if (Number.isNaN(options.since)) return { error: 'Invalid "since" — use an ISO date or epoch milliseconds' };
+  if (Number.isNaN(options.until)) return { error: 'Invalid "until" — use an ISO date or epoch milliseconds' };
+  if (options.since !== null && options.until !== null && options.since > options.until) {
+    return { error: '"since" must be before "until"' };
+  }
+
+  // A 0-100 severityScore threshold, or a bucket name meaning its lower bound
+  if (query.minSeverity !== undefined) {
+    const value = String(query.minSeverity).toLowerCase();
+    const bucket = BUCKETS.find(b => b.name === value);
+    const min = bucket ? bucket.min : parseFloat(value);
+    if (isNaN(min) || min < 0 || min > 100) {
+      return { error: 'Invalid "minSeverity" — use a 0-100 score or minor/moderate/severe/critical' };
+    }
+    options.minSeverity = min;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1) return { error: 'Invalid "limit" — must be a positive integer' };
+    options.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  if (query.collapse !== undefined) {
+    if (query.collapse !== 'sequences') return { error: 'Invalid "collapse" — only "sequences" is supported' };
+    options.collapseSequences = true;
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) return { error: 'Invalid "cursor"' };
+  }
+
+  return { options };
+}
+
+class EventIndex {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  _keys(type) {
+    return {
+      geo: `${INDEX_PREFIX}${type}:geo`,
+      time: `${INDEX_PREFIX}${type}:time`,
+      events: `${INDEX_PREFIX}${type}:events`
+    };
+  }
+
+  /**
+   * Replace a layer's index with the events of a new snapshot.
+   */
+  async index(type, data) {
+    const keys = this._keys(type);
+    const events = {};
+    const points = [];
+    const times = [];
+
+    (data?.features || []).forEach(event => {
+      const id = eventKey(event);
+      if (!id) return;
+      const member = String(id);
+      events[member] = JSON.stringify(event);
+
+      const coords = getCoords(event);
+      if (coords && isFinite(coords.lat) && isFinite(coords.lon) &&
+          Math.abs(coords.lat) <= MAX_GEO_LAT && Math.abs(coords.lon) <= 180) {
+        points.push({ longitude: coords.lon, latitude: coords.lat, member });
+      }
+
+      const t = eventTime(event);
+      if (t !== null) times.push({ score: t, value: member });
+    });
+
+    const multi = this.redis.multi();
+    multi.del([keys.geo, keys.time, keys.events]);
+    if (Object.keys(events).length) multi.hSet(keys.events, events);
+    if (points.length) multi.geoAdd(keys.geo, points);
+    if (times.length) multi.zAdd(keys.time, times);
+    await multi.exec();
+  }
+
+  /**
+   * Ids worth loading for one layer: the GEOSEARCH and time-range prefilters
+   * intersected, or every indexed id when neither applies.
+   */
+  async _candidateIds(type, { bbox, near, since, until }) {
+    const keys = this._keys(type);
+    let ids = null;
+
+    const circle = near || (bbox && bboxCircle(bbox));
+    if (circle && circle.radiusKm <= MAX_PREFILTER_RADIUS_KM) {
+      const lat = Math.max(-MAX_GEO_LAT, Math.min(MAX_GEO_LAT, circle.lat));
+      ids = await this.redis.geoSearch(keys.geo,
+        { longitude: circle.lon, latitude: lat },
+        { radius: Math.ceil(circle.radiusKm) + 1, unit: 'km' }
+      );
+    }
+
+    if (since !== null || until !== null) {
+      const inRange = await this.redis.zRangeByScore(keys.time,
+        since !== null ? since : '-inf',
+        until !== null ? until : '+inf'
+      );
+      if (ids === null) {
+        ids = inRange;
+      } else {
+        const wanted = new Set(inRange);
+        ids = ids.filter(id => wanted.has(id));
+      }
+    }
+
+    return ids === null ? this.redis.hKeys(keys.events) : ids;
+  }
+
+  _matches(event, options) {
+    const { bbox, near, since, until, minSeverity, country, source, collapseSequences } = options;
+
+    if (collapseSequences && isCollapsed(event)) return false;
+
+    if (bbox || near) {
+      const coords = getCoords(event);
+      if (!coords) return false;
+      if (bbox && !inBbox(coords, bbox)) return false;
+      if (near && haversineKm(near.lat, near.lon, coords.lat, coords.lon) > near.radiusKm) return false;
+    }
+    if (since !== null || until !== null) {
+      const t = eventTime(event);
+      if (t === null) return false;
+      if (since !== null && t < since) return false;
+      if (until !== null && t > until) return false;
+    }
+    if (minSeverity && (event.severityScore || 0) < minSeverity) return false;
+    if (country && !matchesCountry(event, country)) return false;
+    if (source && String(event.source || '').toLowerCase() !== source.toLowerCase()) return false;
+    return true;
+  }
+
+  /**
+   * Query events across layers.
+   * @param {Object} options — as returned by parseEventsQuery
+   * @returns {Promise<Object>} { count, limit, nextCursor, events }
+   */
+  async query(options) {
+    const items = [];
+
+    for (const layer of options.types) {
+      // Index keys carry no TTL; a layer whose cached data expired is skipped
+      if (!(await this.redis.exists(`data:${layer}`))) continue;
+
+      const ids = await this._candidateIds(layer, options);
+      if (ids.length === 0) continue;
+
+      const raws = await this.redis.hmGet(this._keys(layer).events, ids);
+      raws.forEach((raw, i) => {
+        if (!raw) return;
+        const event = JSON.parse(raw);
+        if (!this._matches(event, options)) return;
+
+        const item = { t: eventTime(event) || 0, layer, id: ids[i], event };
+        if (options.cursor && !isAfterCursor(item, options.cursor)) return;
+        items.push(item);
+      });
+    }
+
+    items.sort(compareItems);
+    const page = items.slice(0, options.limit);
+    const hasMore = items.length > options.limit;
+
+    return {
+      count: page.length,
+      limit: options.limit,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      events: page.map(item => project(item, options.fields))
+    };
+  }
+}
+
+function project(item, fields) {
+  if (!fields) return { layer: item.layer, ...item.event };
+  const out = { layer: item.layer, id: item.event.id ?? item.id };
+  fields.forEach(field => {
+    if (item.event[field] !== undefined) out[field] = item.event[field];
+  });
+  return out;
+}
+
+module.exports = { EventIndex, parseEventsQuery, eventTime, matchesCountry };
@@ -0,0 +1,212 @@
+// ============================================================================
+// fetch-cache.js — Conditional HTTP Fetching + Payload Hashing
+// Drop into: /var/www/realnow/backend/enhancements/fetch-cache.js
+// ============================================================================
+//
+// Most feeds change far less often than their cron schedule polls them.
+// For every source this keeps:
+//
+//   - the ETag / Last-Modified validators of the last 200 response, sent back
+//     as If-None-Match / If-Modified-Since so the upstream can answer 304
+//   - a hash of the last body, so a feed that ignores validators but returns
+//     identical bytes is still recognized as unchanged
+//
+// An unchanged cycle skips parse, Redis writes and the socket broadcast; the
+// cached layers only get their TTL extended. State is in memory: after a
+// restart the first fetch of each source is unconditional.
+// ============================================================================
+
+const crypto = require('crypto');
+
+class FetchCache {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.ttl = options.ttl || 2 * 60 * 60;
+    this.entries = new Map();
+  }
+
+  _getEntry(source) {
+    if (!this.entries.has(source)) {
+      this.entries.set(source, {
+        etag: null,
+        lastModified: null,
+        bodyHash: null,
+        bodyBytes: 0,
+        layers: [],
+        pending: null,
+        requests: 0,
+        notModified: 0,
+        unchanged: 0,
+        bytesReceived: 0,
+        bytesSaved: 0,
+        lastStatus: null,
+        lastChanged: null
+      });
+    }
+    return this.entries.get(source);
+  }
+
+  /**
+   * Axios options for a conditional request: the adapter's options plus
+   * validator headers, a raw body and 304 treated as success.
+   */
+  requestOptions(source, fetchOptions = {}) {
+    const entry = this._getEntry(source);
+    const headers = { ...(fetchOptions.headers || {}) };
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    return {
+      ...fetchOptions,
+      headers,
+      responseType: 'arraybuffer',
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    };
+  }
+
+  /**
+   * Inspect a response made with requestOptions().
+   * @returns {{ changed: boolean, reason?: string, data?: any }}
+   *   data is the decoded body (JSON when it parses, text otherwise)
+   */
+  handleResponse(source, response) {
+    const entry = this._getEntry(source);
+    entry.requests++;
+    entry.lastStatus = response.status;
+
+    if (response.status === 304) {
+      entry.notModified++;
+      entry.bytesSaved += entry.bodyBytes;
+      return { changed: false, reason: '304 Not Modified' };
+    }
+
+    const body = Buffer.from(response.data || '');
+    const hash = crypto.createHash('sha1').update(body).digest('hex');
+    entry.bytesReceived += body.length;
+
+    if (entry.bodyHash === hash) {
+      entry.unchanged++;
+      return { changed: false, reason: 'body unchanged' };
+    }
+
+    // Held back until commit(): a body that fails to parse or store must
+    // not be remembered as the current one.
+    entry.pending = {
+      bodyHash: hash,
+      bodyBytes: body.length,
+      etag: response.headers?.etag || null,
+      lastModified: response.headers?.['last-modified'] || null
+    };
+    return { changed: true, data: decodeBody(body) };
+  }
+
+  /**
+   * One fetch cycle: a conditional request, and when the upstream reports
+   * no change, either keep the cached layers alive or — if one of them
+   * already expired, or the adapter says what it parsed last has — refetch
+   * exactly once, unconditionally.
+   * @param {string} source
+   * @param {Function} get — axios options → response (e.g. options => axios.get(url, options))
+   * @param {Object} options
+   * @param {Object} options.fetchOptions — the adapter's axios options
+   * @param {boolean} options.conditional — false: never send validators (default true)
+   * @param {Function} options.expired — the adapter's expired() hook, if any
+   * @returns {Promise<{ changed: boolean, skipped?: boolean, reason?: string, data?: any }>}
+   *   skipped is set when the cycle was unchanged and the cache kept alive
+   */
+  async fetch(source, get, { fetchOptions = {}, conditional = true, expired = null } = {}) {
+    const request = async () => {
+      if (!conditional) this.invalidate(source);
+      return this.handleResponse(source, await get(this.requestOptions(source, fetchOptions)));
+    };
+
+    const result = await request();
+    if (result.changed) return result;
+
+    const stale = expired ? expired() : false;
+    if (!stale && await this.touch(source)) return { ...result, skipped: true };
+
+    this.invalidate(source);
+    return request();
+  }
+
+  /**
+   * Accept the body from the last handleResponse() once it has been
+   * published, together with the layers that cycle wrote and any other
+   * Redis keys that live as long as they do (e.g. shakemap:<id>).
+   */
+  commit(source, layers, keys = []) {
+    const entry = this._getEntry(source);
+    if (entry.pending) Object.assign(entry, entry.pending);
+    entry.pending = null;
+    entry.layers = layers || [];
+    entry.keys = keys;
+    entry.lastChanged = new Date().toISOString();
+  }
+
+  /**
+   * Forget a source's validators so its next fetch is unconditional
+   * (used when the cached layers it relies on are gone).
+   */
+  invalidate(source) {
+    const entry = this._getEntry(source);
+    entry.etag = null;
+    entry.lastModified = null;
+    entry.bodyHash = null;
+  }
+
+  /**
+   * Extend the TTL of a source's cached layers (and their companion keys)
+   * on a skipped cycle. Resolves to false when any layer has already
+   * expired; a missing companion key does not force a refetch.
+   */
+  async touch(source) {
+    const { layers, keys = [] } = this._getEntry(source);
+    const [results] = await Promise.all([
+      Promise.all(layers.map(layer => this.redis.expire(`data:${layer}`, this.ttl))),
+      Promise.all(keys.map(key => this.redis.expire(key, this.ttl)))
+    ]);
+    return results.every(Boolean);
+  }
+
+  getStats() {
+    const sources = {};
+    const totals = { requests: 0, skippedCycles: 0, notModified: 0, unchanged: 0, bytesReceived: 0, bytesSaved: 0 };
+
+    this.entries.forEach((entry, source) => {
+      const skippedCycles = entry.notModified + entry.unchanged;
+      sources[source] = {
+        requests: entry.requests,
+        skippedCycles,
+        notModified: entry.notModified,
+        unchanged: entry.unchanged,
+        bytesReceived: entry.bytesReceived,
+        bytesSaved: entry.bytesSaved,
+        conditional: !!(entry.etag || entry.lastModified),
+        lastStatus: entry.lastStatus,
+        lastChanged: entry.lastChanged
+      };
+      totals.requests += entry.requests;
+      totals.skippedCycles += skippedCycles;
+      totals.notModified += entry.notModified;
+      totals.unchanged += entry.unchanged;
+      totals.bytesReceived += entry.bytesReceived;
+      totals.bytesSaved += entry.bytesSaved;
+    });
+
+    return { totals, sources };
+  }
+}
+
+// Same behaviour as axios' default response handling: JSON when it parses,
+// the raw text otherwise (CSV, XML, RSS).
+function decodeBody(buffer) {
+  const text = buffer.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+module.exports = { FetchCache };
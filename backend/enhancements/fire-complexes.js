@@ -0,0 +1,350 @@
+// ============================================================================
+// fire-complexes.js — FIRMS Hotspot Clustering into Fire Complexes
+// Drop into: /var/www/realnow/backend/enhancements/fire-complexes.js
+// ============================================================================
+//
+// A single large wildfire shows up in FIRMS as hundreds of 375 m VIIRS
+// pixels, one set per overpass. The `fires` layer can only ship a 2000-pixel
+// sample of the ~100k global detections, which is both expensive to draw and
+// useless to alert on. This module groups ALL detections of a fetch into
+// fire complexes:
+//
+//   link        two hotspots within LINK_KM of each other and LINK_HOURS
+//               apart belong to the same complex (single linkage, so a
+//               spreading front chains its overpasses together)
+//   complex     a connected group of at least MIN_DETECTIONS hotspots
+//   hull        convex hull of the pixel footprints (scan × track km)
+//   growth      hull area now minus the hull of the detections older than
+//               24 h before the latest one, in km²/day
+//
+// Complex ids survive across fetches: a complex inherits the id of the
+// previous complex most of its hotspots belonged to, so the lifecycle
+// tracker sees one growing fire instead of a new event every cycle.
+//
+// Hotspots are not linked across the antimeridian.
+// ============================================================================
+
+const { getGazetteer } = require('./gazetteer');
+
+// Hotspots this close in space and time are the same fire
+const LINK_KM = 3;
+const LINK_HOURS = 24;
+const MIN_DETECTIONS = 3;
+
+// Complexes are sorted by total FRP; the tail is agricultural burning
+const MAX_COMPLEXES = 1000;
+
+// A complex with no detection in this long is reported as inactive
+const ACTIVE_HOURS = 24;
+
+// VIIRS I-band nadir pixel, used when a row has no scan / track
+const DEFAULT_PIXEL_KM = 0.375;
+
+const KM_PER_DEG = 111.32;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function round(value, digits = 2) {
+  const f = Math.pow(10, digits);
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Acquisition time of a FIRMS row (date YYYY-MM-DD + HHMM UTC) in ms.
+ */
+function hotspotTime(fire) {
+  const hhmm = String(fire.time || '0').padStart(4, '0');
+  const t = new Date(`${fire.date}T${hhmm.slice(0, 2)}:${hhmm.slice(2, 4)}:00Z`).getTime();
+  return isNaN(t) ? null : t;
+}
+
+/**
+ * Union-find over hotspot indices with path halving.
+ */
+function makeSets(n) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = i => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+  return { find, union };
+}
+
+/**
+ * Group hotspots into connected components. Points are bucketed into a
+ * LINK_KM grid so each one is only compared with its neighbouring cells.
+ * @param {Array} points — { lat, lon, t }
+ * @returns {Array<Array<number>>} index groups
+ */
+function clusterHotspots(points, { linkKm = LINK_KM, linkHours = LINK_HOURS } = {}) {
+  const cellDeg = linkKm / KM_PER_DEG;
+  const linkMs = linkHours * HOUR;
+  const grid = new Map();
+
+  points.forEach((p, i) => {
+    const key = `${Math.floor(p.lat / cellDeg)}:${Math.floor(p.lon / cellDeg)}`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(i);
+  });
+
+  const sets = makeSets(points.length);
+  points.forEach((p, i) => {
+    const cy = Math.floor(p.lat / cellDeg);
+    const cx = Math.floor(p.lon / cellDeg);
+    const cosLat = Math.max(Math.cos(p.lat * Math.PI / 180), 0.01);
+    // Longitude cells shrink towards the poles
+    const lonSpan = Math.ceil(1 / cosLat);
+
+    for (let y = cy - 1; y <= cy + 1; y++) {
+      for (let x = cx - lonSpan; x <= cx + lonSpan; x++) {
+        for (const j of grid.get(`${y}:${x}`) || []) {
+          if (j <= i || Math.abs(points[j].t - p.t) > linkMs) continue;
+          if (sets.find(i) === sets.find(j)) continue;
+          const dy = (points[j].lat - p.lat) * KM_PER_DEG;
+          const dx = (points[j].lon - p.lon) * KM_PER_DEG * cosLat;
+          if (dx * dx + dy * dy <= linkKm * linkKm) sets.union(i, j);
+        }
+      }
+    }
+  });
+
+  const groups = new Map();
+  points.forEach((_, i) => {
+    const root = sets.find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Convex hull (Andrew's monotone chain) of [x, y] points.
+ * @returns {Array} hull vertices, counter-clockwise, not closed
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+}
+
+/**
+ * Corners of each hotspot's pixel footprint as [lon, lat].
+ */
+function footprintCorners(hotspots) {
+  const corners = [];
+  hotspots.forEach(h => {
+    const halfLat = (h.track || DEFAULT_PIXEL_KM) / 2 / KM_PER_DEG;
+    const halfLon = (h.scan || DEFAULT_PIXEL_KM) / 2 / (KM_PER_DEG * Math.max(Math.cos(h.lat * Math.PI / 180), 0.01));
+    corners.push(
+      [h.lon - halfLon, h.lat - halfLat],
+      [h.lon + halfLon, h.lat - halfLat],
+      [h.lon + halfLon, h.lat + halfLat],
+      [h.lon - halfLon, h.lat + halfLat]
+    );
+  });
+  return corners;
+}
+
+/**
+ * Planar area (km²) of a [lon, lat] ring, projected around its mean latitude.
+ */
+function areaKm2(ring) {
+  if (ring.length < 3) return 0;
+  const lat0 = ring.reduce((s, p) => s + p[1], 0) / ring.length;
+  const kx = KM_PER_DEG * Math.cos(lat0 * Math.PI / 180);
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    sum += (x1 * kx) * (y2 * KM_PER_DEG) - (x2 * kx) * (y1 * KM_PER_DEG);
+  }
+  return Math.abs(sum) / 2;
+}
+
+function hullOf(hotspots) {
+  return convexHull(footprintCorners(hotspots));
+}
+
+/**
+ * Intensity class from the complex's summed FRP (MW).
+ */
+function complexIntensity(totalFrp) {
+  if (totalFrp >= 2000) return 'Extreme';
+  if (totalFrp >= 500) return 'High';
+  if (totalFrp >= 100) return 'Moderate';
+  return 'Low';
+}
+
+function complexName(lat, lon) {
+  const hit = getGazetteer()?.reverse(lat, lon, { maxDistanceKm: 50 });
+  if (!hit) return `Fire complex ${lat.toFixed(2)}, ${lon.toFixed(2)}`;
+  const place = hit.match === 'within' && hit.admin1 ? `${hit.admin1}, ${hit.country}` : hit.country;
+  return `Fire complex near ${place || hit.admin1}`;
+}
+
+/**
+ * Summarize one group of hotspots as a fire complex.
+ */
+function buildComplex(hotspots, now) {
+  hotspots.sort((a, b) => a.t - b.t);
+  const first = hotspots[0];
+  const last = hotspots[hotspots.length - 1];
+
+  const totalFrp = hotspots.reduce((s, h) => s + (h.fire.frp || 0), 0);
+  const weight = h => (totalFrp > 0 ? (h.fire.frp || 0) : 1);
+  const weightSum = hotspots.reduce((s, h) => s + weight(h), 0);
+  const lat = hotspots.reduce((s, h) => s + h.lat * weight(h), 0) / weightSum;
+  const lon = hotspots.reduce((s, h) => s + h.lon * weight(h), 0) / weightSum;
+
+  const hull = hullOf(hotspots);
+  const area = areaKm2(hull);
+  const earlier = hotspots.filter(h => h.t <= last.t - DAY);
+  const staticHotspots = hotspots.filter(h => h.fire.likelyStatic);
+  const likelyStatic = staticHotspots.length * 2 > hotspots.length;
+
+  return {
+    // Provisional id; FireComplexTracker swaps in the previous fetch's id
+    id: `firecomplex_${first.fire.id.replace(/^fire_/, '')}`,
+    type: 'firecomplex',
+    name: complexName(lat, lon),
+    latitude: round(lat, 4),
+    longitude: round(lon, 4),
+    coordinates: [round(lon, 4), round(lat, 4)],
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[...hull, hull[0]].map(([x, y]) => [round(x, 4), round(y, 4)])]
+    },
+    detectionCount: hotspots.length,
+    detectionsLast24h: hotspots.filter(h => h.t > last.t - DAY).length,
+    totalFrp: round(totalFrp, 1),
+    maxFrp: round(Math.max(...hotspots.map(h => h.fire.frp || 0)), 1),
+    firstSeen: new Date(first.t).toISOString(),
+    lastSeen: new Date(last.t).toISOString(),
+    date: new Date(last.t).toISOString(),
+    areaKm2: round(area),
+    // New complexes (nothing older than a day) have no baseline yet
+    growthKm2PerDay: earlier.length > 0 ? round(area - areaKm2(hullOf(earlier))) : null,
+    intensity: complexIntensity(totalFrp),
+    satellites: [...new Set(hotspots.map(h => h.fire.satellite).filter(Boolean))],
+    // Hotspots corroborated by another sensor or overpass (firms.js)
+    confirmedCount: hotspots.filter(h => h.fire.confirmed).length,
+    confirmed: hotspots.some(h => h.fire.confirmed),
+    // Mostly persistent heat sources (static-heat.js) — a flare field, not a wildfire
+    likelyStatic,
+    staticSource: likelyStatic ? staticHotspots[0].fire.staticSource : null,
+    isActive: now - last.t <= ACTIVE_HOURS * HOUR,
+    source: 'NASA_FIRMS'
+  };
+}
+
+/**
+ * Cluster FIRMS hotspots into fire complexes (pure; ids are provisional).
+ * @param {Array} fires — Transformed FIRMS rows ({ id, latitude, longitude, date, time, frp, scan, track })
+ * @param {Object} options
+ * @param {number} options.now — Reference time for isActive (ms)
+ * @returns {Array} complexes with `hotspotIds`, largest total FRP first
+ */
+function buildFireComplexes(fires, { now = Date.now(), minDetections = MIN_DETECTIONS } = {}) {
+  const points = [];
+  (fires || []).forEach(fire => {
+    const t = hotspotTime(fire);
+    if (t === null || typeof fire.latitude !== 'number' || typeof fire.longitude !== 'number') return;
+    points.push({ lat: fire.latitude, lon: fire.longitude, t, scan: fire.scan, track: fire.track, fire });
+  });
+
+  return clusterHotspots(points)
+    .filter(group => group.length >= minDetections)
+    .map(group => {
+      const hotspots = group.map(i => points[i]);
+      const complex = buildComplex(hotspots, now);
+      // Kept out of the stored JSON — only the tracker needs it
+      Object.defineProperty(complex, 'hotspotIds', {
+        value: hotspots.map(h => h.fire.id),
+        enumerable: false
+      });
+      return complex;
+    })
+    .sort((a, b) => b.totalFrp - a.totalFrp);
+}
+
+class FireComplexTracker {
+  constructor() {
+    // hotspot id → complex id from the previous fetch
+    this.assignments = new Map();
+  }
+
+  /**
+   * Build the `firecomplexes` layer payload, carrying ids over from the
+   * previous call by majority hotspot overlap (largest complexes first).
+   * @param {Array} fires — All FIRMS detections of the fetch (unsampled)
+   */
+  update(fires, options = {}) {
+    const complexes = buildFireComplexes(fires, options);
+    const claimed = new Set();
+
+    [...complexes].sort((a, b) => b.detectionCount - a.detectionCount).forEach(complex => {
+      const votes = new Map();
+      complex.hotspotIds.forEach(id => {
+        const previous = this.assignments.get(id);
+        if (previous && !claimed.has(previous)) votes.set(previous, (votes.get(previous) || 0) + 1);
+      });
+      const inherited = [...votes.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0];
+      if (inherited) {
+        complex.id = inherited[0];
+      } else {
+        // The piece of a split complex that kept the earliest hotspot
+        const base = complex.id;
+        for (let n = 2; claimed.has(complex.id); n++) complex.id = `${base}_${n}`;
+      }
+      claimed.add(complex.id);
+    });
+
+    this.assignments = new Map();
+    complexes.forEach(complex => complex.hotspotIds.forEach(id => this.assignments.set(id, complex.id)));
+
+    const features = complexes.slice(0, MAX_COMPLEXES);
+    const clustered = complexes.reduce((s, c) => s + c.detectionCount, 0);
+    console.log(`🔥 [FireComplexes] ${complexes.length} complexes from ${clustered}/${(fires || []).length} hotspots`);
+
+    return {
+      type: 'firecomplexes',
+      timestamp: new Date().toISOString(),
+      count: features.length,
+      features,
+      totalAvailable: complexes.length,
+      activeCount: complexes.filter(c => c.isActive).length
+    };
+  }
+}
+
+module.exports = {
+  FireComplexTracker,
+  buildFireComplexes,
+  clusterHotspots,
+  convexHull,
+  areaKm2,
+  hotspotTime
+};
@@ -0,0 +1,297 @@
+// ============================================================================
+// firms.js — Multi-Sensor NASA FIRMS Ingestion and Cross-Sensor Confirmation
+// Drop into: /var/www/realnow/backend/enhancements/firms.js
+// ============================================================================
+//
+// FIRMS publishes one CSV per sensor product. Each product is polled by its
+// own source (sources/fires.js); this module parses them into a common
+// detection shape, keeps the latest detections of every product in memory
+// and flags detections that more than one look agrees on.
+//
+// Confidence scales differ per sensor and are normalized to low / nominal /
+// high (the raw value is kept in confidenceRaw):
+//
+//   VIIRS   l / n / h
+//   MODIS   0–100        < 30 low, 30–79 nominal, ≥ 80 high (FIRMS guidance)
+//
+// A detection is `confirmed` when another detection from a different
+// satellite, or from the same satellite on a different overpass, lies
+// within one pixel footprint (CONFIRM_MIN_KM at least) and CONFIRM_HOURS.
+// Single-pixel, single-look detections — sun glint, hot roofs, sensor
+// noise — stay unconfirmed and can be kept out of alerts.
+//
+// The products are polled a couple of minutes apart. Confirmation and
+// clustering run over all of them, so the store waits until ingests have
+// settled for SETTLE_MS and then calls onSettled once for the whole cycle.
+// ============================================================================
+
+// Polled products. `source` is the adapter id in sources/fires.js.
+const FIRMS_PRODUCTS = [
+  { id: 'VIIRS_SNPP_NRT',   source: 'firms_viirs_snpp',   sensor: 'VIIRS', platform: 'Suomi NPP', priority: 2 },
+  { id: 'VIIRS_NOAA20_NRT', source: 'firms_viirs_noaa20', sensor: 'VIIRS', platform: 'NOAA-20',   priority: 8 },
+  { id: 'VIIRS_NOAA21_NRT', source: 'firms_viirs_noaa21', sensor: 'VIIRS', platform: 'NOAA-21',   priority: 9 },
+  { id: 'MODIS_NRT',        source: 'firms_modis',        sensor: 'MODIS', platform: 'Terra/Aqua', priority: 10 }
+];
+
+const VIIRS_CONFIDENCE = { l: 'low', n: 'nominal', h: 'high' };
+
+const CONFIRM_MIN_KM = 0.75;
+const CONFIRM_MAX_KM = 3;
+const CONFIRM_HOURS = 24;
+
+// The sources request the past 3 days; detections of a product whose fetches
+// keep failing age out of the merged layer after the same window
+const WINDOW_HOURS = 72;
+
+// Longer than the stagger between products (sources/fires.js), shorter than
+// the gap between the last product of one cycle and the first of the next
+const SETTLE_MS = 3 * 60 * 1000;
+
+// Kept per stored detection: what confirmation, static-heat tagging and
+// clustering read, plus what the hotspot drawer shows. Raw CSV extras
+// (bright_t31, version) are dropped.
+const STORED_FIELDS = [
+  'id', 'latitude', 'longitude', 'date', 'time', 'scan', 'track', 'satellite', 'frp',
+  'brightness', 'confidence', 'confidenceRaw', 'instrument', 'daynight', 'product', 'sensor'
+];
+
+const KM_PER_DEG = 111.32;
+const HOUR = 60 * 60 * 1000;
+
+function productFor(id) {
+  return FIRMS_PRODUCTS.find(p => p.id === id) || null;
+}
+
+/**
+ * Sensor-specific confidence → 'low' | 'nominal' | 'high' (null if unknown).
+ */
+function normalizeConfidence(raw, sensor) {
+  const value = String(raw ?? '').trim().toLowerCase();
+  if (!value) return null;
+  if (VIIRS_CONFIDENCE[value]) return VIIRS_CONFIDENCE[value];
+  if (['low', 'nominal', 'high'].includes(value)) return value;
+
+  const n = parseFloat(value);
+  if (isNaN(n) || sensor === 'VIIRS') return null;
+  if (n >= 80) return 'high';
+  if (n >= 30) return 'nominal';
+  return 'low';
+}
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Parse one FIRMS area CSV. Columns are read by header name, so VIIRS
+ * (bright_ti4 / bright_ti5) and MODIS (brightness / bright_t31) rows land in
+ * the same fields.
+ * @param {string} csv
+ * @param {string} productId — e.g. 'VIIRS_NOAA20_NRT'
+ * @returns {Array} detections
+ */
+function parseFirmsCsv(csv, productId) {
+  if (!csv || typeof csv !== 'string') return [];
+  const lines = csv.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length <= 1) return [];
+
+  const product = productFor(productId) || { id: productId, sensor: /MODIS/i.test(productId) ? 'MODIS' : 'VIIRS' };
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const col = (...names) => names.map(n => header.indexOf(n)).find(i => i >= 0) ?? -1;
+  const idx = {
+    lat: col('latitude'),
+    lon: col('longitude'),
+    brightness: col('bright_ti4', 'brightness'),
+    scan: col('scan'),
+    track: col('track'),
+    date: col('acq_date'),
+    time: col('acq_time'),
+    satellite: col('satellite'),
+    instrument: col('instrument'),
+    confidence: col('confidence'),
+    version: col('version'),
+    bright2: col('bright_ti5', 'bright_t31'),
+    frp: col('frp'),
+    daynight: col('daynight')
+  };
+  if (idx.lat < 0 || idx.lon < 0 || idx.date < 0) return [];
+
+  const detections = [];
+  for (let i = 1; i < lines.length; i++) {
+    const values = lines[i].split(',');
+    const lat = parseFloat(values[idx.lat]);
+    const lon = parseFloat(values[idx.lon]);
+    if (isNaN(lat) || isNaN(lon)) continue;
+
+    const date = values[idx.date];
+    const time = idx.time >= 0 ? values[idx.time] : '0000';
+    const rawConfidence = idx.confidence >= 0 ? values[idx.confidence] : '';
+
+    detections.push({
+      // Stable across fetches: one pixel, one overpass
+      id: `fire_${lat.toFixed(4)}_${lon.toFixed(4)}_${date}_${time}`,
+      latitude: lat,
+      longitude: lon,
+      brightness: toNumber(values[idx.brightness]),
+      bright_t31: toNumber(values[idx.bright2]),
+      scan: toNumber(values[idx.scan]) || 0,
+      track: toNumber(values[idx.track]) || 0,
+      date,
+      time,
+      satellite: idx.satellite >= 0 ? values[idx.satellite] : '',
+      instrument: idx.instrument >= 0 ? values[idx.instrument] || product.sensor : product.sensor,
+      confidence: normalizeConfidence(rawConfidence, product.sensor),
+      confidenceRaw: rawConfidence,
+      version: idx.version >= 0 ? values[idx.version] : '',
+      frp: toNumber(values[idx.frp]) || 0,
+      daynight: (idx.daynight >= 0 && values[idx.daynight]) || 'D',
+      product: product.id,
+      sensor: product.sensor
+    });
+  }
+  return detections;
+}
+
+function acquisitionTime(d) {
+  const hhmm = String(d.time || '0').padStart(4, '0');
+  const t = new Date(`${d.date}T${hhmm.slice(0, 2)}:${hhmm.slice(2, 4)}:00Z`).getTime();
+  return isNaN(t) ? null : t;
+}
+
+function footprintKm(d) {
+  return Math.max(d.scan || 0, d.track || 0, 0.375);
+}
+
+/**
+ * Mark every detection corroborated by another satellite or overpass, in
+ * place: confirmed, confirmations (corroborating detections) and
+ * confirmedBy (the other satellites that saw it).
+ * @param {Array} detections
+ * @returns {number} confirmed count
+ */
+function confirmDetections(detections) {
+  const cellDeg = CONFIRM_MAX_KM / KM_PER_DEG;
+  const points = detections.map(d => ({ d, t: acquisitionTime(d), size: footprintKm(d) }));
+  const grid = new Map();
+  points.forEach((p, i) => {
+    const key = `${Math.floor(p.d.latitude / cellDeg)}:${Math.floor(p.d.longitude / cellDeg)}`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(i);
+  });
+
+  const counts = new Array(points.length).fill(0);
+  const others = points.map(() => new Set());
+
+  points.forEach((p, i) => {
+    if (p.t === null) return;
+    const cy = Math.floor(p.d.latitude / cellDeg);
+    const cx = Math.floor(p.d.longitude / cellDeg);
+    const cosLat = Math.max(Math.cos(p.d.latitude * Math.PI / 180), 0.01);
+    const lonSpan = Math.ceil(1 / cosLat);
+
+    for (let y = cy - 1; y <= cy + 1; y++) {
+      for (let x = cx - lonSpan; x <= cx + lonSpan; x++) {
+        for (const j of grid.get(`${y}:${x}`) || []) {
+          if (j <= i) continue;
+          const q = points[j];
+          if (q.t === null || Math.abs(q.t - p.t) > CONFIRM_HOURS * HOUR) continue;
+          // Same look: neighbouring pixels of one overpass prove nothing
+          if (q.d.satellite === p.d.satellite && q.t === p.t) continue;
+
+          const limit = Math.min(Math.max((p.size + q.size) / 2, CONFIRM_MIN_KM), CONFIRM_MAX_KM);
+          const dy = (q.d.latitude - p.d.latitude) * KM_PER_DEG;
+          const dx = (q.d.longitude - p.d.longitude) * KM_PER_DEG * cosLat;
+          if (dx * dx + dy * dy > limit * limit) continue;
+
+          counts[i]++;
+          counts[j]++;
+          if (q.d.satellite !== p.d.satellite) {
+            others[i].add(q.d.satellite);
+            others[j].add(p.d.satellite);
+          }
+        }
+      }
+    }
+  });
+
+  let confirmed = 0;
+  points.forEach((p, i) => {
+    p.d.confirmed = counts[i] > 0;
+    p.d.confirmations = counts[i];
+    p.d.confirmedBy = [...others[i]].filter(Boolean).sort();
+    if (p.d.confirmed) confirmed++;
+  });
+  return confirmed;
+}
+
+function storedFields(d) {
+  const row = {};
+  STORED_FIELDS.forEach(field => { row[field] = d[field]; });
+  return row;
+}
+
+class FirmsStore {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onSettled — called once no product has been
+   *   ingested for settleMs
+   * @param {number} options.settleMs
+   */
+  constructor(options = {}) {
+    // product id → detections of its latest fetch
+    this.products = new Map();
+    this.onSettled = options.onSettled || null;
+    this.settleMs = options.settleMs ?? SETTLE_MS;
+    this.timer = null;
+  }
+
+  /**
+   * Replace a product's detections with its latest fetch.
+   */
+  ingest(productId, detections) {
+    this.products.set(productId, detections.map(storedFields));
+    if (!this.onSettled) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.onSettled();
+    }, this.settleMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Detections of every product from the last WINDOW_HOURS, de-duplicated
+   * by id, with confirmation flags recomputed.
+   * @returns {Object} { detections, counts: { <product>: n }, confirmed }
+   */
+  snapshot(now = Date.now()) {
+    const seen = new Set();
+    const detections = [];
+    const counts = {};
+    const cutoff = now - WINDOW_HOURS * HOUR;
+
+    this.products.forEach((rows, productId) => {
+      counts[productId] = 0;
+      rows.forEach(d => {
+        if (seen.has(d.id) || acquisitionTime(d) < cutoff) return;
+        seen.add(d.id);
+        counts[productId]++;
+        detections.push(d);
+      });
+    });
+
+    const confirmed = confirmDetections(detections);
+    return { detections, counts, confirmed };
+  }
+}
+
+module.exports = {
+  FIRMS_PRODUCTS,
+  SETTLE_MS,
+  FirmsStore,
+  parseFirmsCsv,
+  normalizeConfidence,
+  confirmDetections
+};
@@ -0,0 +1,319 @@
+// ============================================================================
+// gazetteer.js — Offline Country / Admin-1 Gazetteer
+// Drop into: /var/www/realnow/backend/enhancements/gazetteer.js
+// ============================================================================
+//
+// Backed by data/gazetteer.json (simplified Natural Earth admin-1 boundaries,
+// rebuilt with scripts/build-gazetteer.js). No network calls.
+//
+//   findCountry('DR Congo')           → { iso3: 'COD', name, centroid, bbox, ... }
+//   findAdmin1('Kerala', 'IND')       → { iso3: 'IND', code: 'IN-KL', name, centroid, bbox }
+//   reverse(lat, lon)                 → { iso3, iso2, country, admin1, admin1Code, match }
+//   enrichLocation(type, data)        → stamps iso3 / admin1 on every event
+//   locateTitle('Kenya: Floods - Oct 2026')
+//                                     → { country: 'Kenya', name: 'Floods - Oct 2026', coordinates }
+//
+// reverse() answers 'within' when the point falls inside a region, or
+// 'nearest' for points just offshore (quakes, cyclones, tsunamis) within
+// maxDistanceKm of a coastline.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { getCoords, haversineKm } = require('./geo-dedup');
+
+const DATA_FILE = path.join(__dirname, '..', 'data', 'gazetteer.json');
+
+// Grid cell size (degrees) for the reverse-lookup index
+const CELL_DEG = 2;
+
+// Offshore events are attributed to the nearest country within this distance
+const DEFAULT_OFFSHORE_KM = 200;
+
+// Names feeds use that differ from the Natural Earth ones
+const COUNTRY_ALIASES = {
+  'us': 'USA', 'usa': 'USA', 'united states': 'USA', 'u s a': 'USA',
+  'uk': 'GBR', 'great britain': 'GBR', 'britain': 'GBR',
+  'dr congo': 'COD', 'drc': 'COD', 'congo dem rep': 'COD', 'democratic republic of congo': 'COD',
+  'congo the democratic republic of the': 'COD',
+  'congo': 'COG', 'congo rep': 'COG',
+  'tanzania': 'TZA', 'cote divoire': 'CIV', 'viet nam': 'VNM', 'czechia': 'CZE',
+  'turkiye': 'TUR', 'eswatini': 'SWZ', 'north macedonia': 'MKD', 'lao pdr': 'LAO',
+  'lao peoples democratic republic': 'LAO', 'syrian arab republic': 'SYR',
+  'russian federation': 'RUS', 'republic of korea': 'KOR', 'korea republic of': 'KOR',
+  'dprk': 'PRK', 'democratic peoples republic of korea': 'PRK',
+  'cabo verde': 'CPV', 'timor leste': 'TLS', 'east timor': 'TLS', 'micronesia': 'FSM',
+  'palestine': 'PSE', 'occupied palestinian territory': 'PSE', 'state of palestine': 'PSE',
+  'burma': 'MMR', 'brunei darussalam': 'BRN', 'republic of moldova': 'MDA',
+  'bahamas': 'BHS', 'gambia': 'GMB', 'kyrgyz republic': 'KGZ', 'slovak republic': 'SVK',
+  'hong kong': 'HKG', 'macau': 'MAC', 'macao': 'MAC', 'taiwan province of china': 'TWN',
+  'iran islamic republic of': 'IRN', 'bolivia plurinational state of': 'BOL',
+  'venezuela bolivarian republic of': 'VEN'
+};
+
+/**
+ * Lowercase, strip diacritics, parentheses and punctuation, drop a leading "the".
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(([^)]*)\)/g, ' $1 ')
+    .replace(/['’`.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+// Ray casting on a flat [lon, lat, lon, lat, ...] ring
+function inRing(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+    const xi = ring[i], yi = ring[i + 1];
+    const xj = ring[j], yj = ring[j + 1];
+    if (((yi > lat) !== (yj > lat)) && (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function inPolygons(polygons, lon, lat) {
+  return polygons.some(rings => {
+    if (!inRing(rings[0], lon, lat)) return false;
+    for (let h = 1; h < rings.length; h++) {
+      if (inRing(rings[h], lon, lat)) return false;
+    }
+    return true;
+  });
+}
+
+function inBbox(bbox, lon, lat) {
+  return lon >= bbox[0] && lon <= bbox[2] && lat >= bbox[1] && lat <= bbox[3];
+}
+
+function cellKey(lon, lat) {
+  return `${Math.floor(lon / CELL_DEG)}:${Math.floor(lat / CELL_DEG)}`;
+}
+
+class Gazetteer {
+  constructor(data) {
+    this.countries = data.countries;
+    this.admin1 = data.admin1;
+    this.byIso3 = new Map();
+    this.byCountryName = new Map();
+    this.admin1ByName = new Map();
+    this.grid = new Map();
+
+    this.countries.forEach(c => {
+      this.byIso3.set(c.iso3, c);
+      [c.name, ...(c.aliases || [])].forEach(n => this.byCountryName.set(normalizeName(n), c));
+      if (c.iso2) this.byCountryName.set(c.iso2.toLowerCase(), c);
+    });
+
+    this.admin1.forEach((region, index) => {
+      [region.name, ...(region.aliases || [])].forEach(n => {
+        const key = normalizeName(n);
+        if (!key) return;
+        if (!this.admin1ByName.has(key)) this.admin1ByName.set(key, []);
+        this.admin1ByName.get(key).push(region);
+      });
+
+      const [minLon, minLat, maxLon, maxLat] = region.bbox;
+      for (let x = Math.floor(minLon / CELL_DEG); x <= Math.floor(maxLon / CELL_DEG); x++) {
+        for (let y = Math.floor(minLat / CELL_DEG); y <= Math.floor(maxLat / CELL_DEG); y++) {
+          const key = `${x}:${y}`;
+          if (!this.grid.has(key)) this.grid.set(key, []);
+          this.grid.get(key).push(index);
+        }
+      }
+    });
+
+    // An area-weighted centroid can fall outside a crescent-shaped country
+    // or into the sea between islands — use the label point there instead
+    this.countries.forEach(c => {
+      const hit = this.reverse(c.centroid[1], c.centroid[0], { maxDistanceKm: 0 });
+      if (!hit || hit.iso3 !== c.iso3) c.centroid = c.labelPoint;
+    });
+  }
+
+  /**
+   * Country by ISO3, ISO2, name or common alias.
+   * @returns {Object|null} { iso3, iso2, name, centroid, bbox }
+   */
+  findCountry(query) {
+    if (!query) return null;
+    const raw = String(query).trim();
+    if (/^[A-Za-z]{3}$/.test(raw) && this.byIso3.has(raw.toUpperCase())) {
+      return this.byIso3.get(raw.toUpperCase());
+    }
+    const key = normalizeName(raw);
+    const alias = COUNTRY_ALIASES[key];
+    if (alias && this.byIso3.has(alias)) return this.byIso3.get(alias);
+    return this.byCountryName.get(key) || null;
+  }
+
+  /**
+   * Admin-1 region by name (or ISO 3166-2 code), optionally within a country.
+   * Ambiguous names without a country resolve to the first match.
+   */
+  findAdmin1(name, country = null) {
+    const iso3 = country ? this.findCountry(country)?.iso3 : null;
+    const raw = String(name || '').trim();
+    const candidates = /^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(raw)
+      ? this.admin1.filter(r => r.code === raw)
+      : (this.admin1ByName.get(normalizeName(raw)) || []);
+    const match = iso3 ? candidates.find(r => r.iso3 === iso3) : candidates[0];
+    if (!match) return null;
+    const { polygons, ...summary } = match;
+    return summary;
+  }
+
+  /**
+   * Forward lookup of a free-form place: "Kerala, India", "India", "IND".
+   * @returns {Object|null} { level: 'admin1'|'country', iso3, name, centroid, bbox, ... }
+   */
+  forward(place) {
+    const parts = String(place || '').split(',').map(s => s.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const country = this.findCountry(parts[parts.length - 1]);
+    if (parts.length > 1) {
+      const region = this.findAdmin1(parts[parts.length - 2], country?.iso3);
+      if (region) return { level: 'admin1', ...region, country: this.byIso3.get(region.iso3)?.name };
+    }
+    if (country) return { level: 'country', ...country };
+
+    const region = this.findAdmin1(parts[0]);
+    return region ? { level: 'admin1', ...region, country: this.byIso3.get(region.iso3)?.name } : null;
+  }
+
+  /**
+   * Country / admin-1 containing a point, or the nearest one offshore.
+   * @param {Object} options — { maxDistanceKm } (0 disables the offshore match)
+   */
+  reverse(lat, lon, { maxDistanceKm = DEFAULT_OFFSHORE_KM } = {}) {
+    if (typeof lat !== 'number' || typeof lon !== 'number' || isNaN(lat) || isNaN(lon)) return null;
+
+    for (const index of this.grid.get(cellKey(lon, lat)) || []) {
+      const region = this.admin1[index];
+      if (inBbox(region.bbox, lon, lat) && inPolygons(region.polygons, lon, lat)) {
+        return this._result(region, 'within', 0);
+      }
+    }
+
+    if (!maxDistanceKm) return null;
+    return this._nearest(lat, lon, maxDistanceKm);
+  }
+
+  _nearest(lat, lon, maxDistanceKm) {
+    const latSpan = Math.ceil(maxDistanceKm / 111 / CELL_DEG);
+    const lonSpan = Math.ceil(maxDistanceKm / (111 * Math.max(Math.cos(lat * Math.PI / 180), 0.1)) / CELL_DEG);
+    const cx = Math.floor(lon / CELL_DEG);
+    const cy = Math.floor(lat / CELL_DEG);
+    const seen = new Set();
+    let best = null;
+
+    for (let x = cx - lonSpan; x <= cx + lonSpan; x++) {
+      for (let y = cy - latSpan; y <= cy + latSpan; y++) {
+        // Wrap across the antimeridian
+        const cellLon = ((x * CELL_DEG + 180) % 360 + 360) % 360 - 180;
+        const wx = cellLon / CELL_DEG;
+        for (const index of this.grid.get(`${wx}:${y}`) || []) {
+          if (seen.has(index)) continue;
+          seen.add(index);
+          const region = this.admin1[index];
+          region.polygons.forEach(rings => {
+            const ring = rings[0];
+            for (let i = 0; i < ring.length; i += 2) {
+              const d = haversineKm(lat, lon, ring[i + 1], ring[i]);
+              if (d <= maxDistanceKm && (!best || d < best.distanceKm)) {
+                best = { region, distanceKm: d };
+              }
+            }
+          });
+        }
+      }
+    }
+
+    return best ? this._result(best.region, 'nearest', Math.round(best.distanceKm)) : null;
+  }
+
+  _result(region, match, distanceKm) {
+    const country = this.byIso3.get(region.iso3);
+    return {
+      iso3: region.iso3,
+      iso2: country?.iso2 || null,
+      country: country?.name || null,
+      admin1: region.name,
+      admin1Code: region.code,
+      match,
+      distanceKm
+    };
+  }
+}
+
+let instance = null;
+
+/**
+ * Shared gazetteer, loaded on first use (~3.5 MB of JSON).
+ * Returns null if the data file is missing so callers can degrade.
+ */
+function getGazetteer() {
+  if (instance !== null) return instance || null;
+  try {
+    const started = Date.now();
+    instance = new Gazetteer(JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')));
+    console.log(`🗺️ [Gazetteer] Loaded ${instance.countries.length} countries, ${instance.admin1.length} admin-1 regions in ${Date.now() - started}ms`);
+  } catch (error) {
+    console.error(`❌ [Gazetteer] Could not load ${DATA_FILE}:`, error.message);
+    instance = false;
+  }
+  return instance || null;
+}
+
+/**
+ * Stamp normalized location fields on every event of a layer payload:
+ *   iso3, admin1, admin1Code — from the event's coordinates
+ *   country                  — filled in when the source left it empty
+ * Events a source already tagged with a valid ISO3 keep it.
+ */
+function enrichLocation(type, data) {
+  const gazetteer = getGazetteer();
+  if (!gazetteer || !data?.features) return data;
+
+  data.features.forEach(event => {
+    const coords = getCoords(event);
+    const hit = coords ? gazetteer.reverse(coords.lat, coords.lon) : null;
+
+    const sourceIso3 = /^[A-Z]{3}$/.test(event.iso3 || '') && gazetteer.byIso3.has(event.iso3) ? event.iso3 : null;
+    const byName = !hit && !sourceIso3 ? gazetteer.findCountry(event.country) : null;
+
+    event.iso3 = sourceIso3 || hit?.iso3 || byName?.iso3 || null;
+    const sameCountry = hit && hit.iso3 === event.iso3;
+    event.admin1 = sameCountry && hit.match === 'within' ? hit.admin1 : null;
+    event.admin1Code = sameCountry && hit.match === 'within' ? hit.admin1Code : null;
+
+    if ((!event.country || event.country === 'Unknown') && event.iso3) {
+      event.country = gazetteer.byIso3.get(event.iso3)?.name || event.country;
+    }
+  });
+  return data;
+}
+
+/**
+ * Place a "<Country>: <event name>" title (ReliefWeb disaster names) at
+ * its country's centroid.
+ * @returns {Object|null} { country, name, coordinates } — null when the
+ *   title names no country the gazetteer knows
+ */
+function locateTitle(title, gazetteer = getGazetteer()) {
+  const parts = String(title || '').split(':');
+  if (parts.length < 2 || !gazetteer) return null;
+  const country = parts[0].trim();
+  const match = gazetteer.findCountry(country);
+  if (!match) return null;
+  return { country, name: parts[1].trim(), coordinates: match.centroid };
+}
+
+module.exports = { Gazetteer, getGazetteer, enrichLocation, locateTitle, normalizeName };
@@ -60,7 +60,9 @@ const DEDUP_CONFIG = {
   },
   earthquakes: {
     radiusKm: 30,
-    timeWindowDays: 1,       // Earthquakes are point-in-time
+    // Same origin within 2 minutes — anything further apart is a separate
+    // quake (aftershocks are grouped by sequences.js, not dropped)
+    timeWindowDays: 2 / (24 * 60),
     mergeStrategy: 'keep_strongest',
     nameWeight: 0
   },
@@ -0,0 +1,176 @@
+// ============================================================================
+// geometry.js — GeoJSON Polygon Helpers
+// Drop into: /var/www/realnow/backend/enhancements/geometry.js
+// ============================================================================
+//
+// Small, dependency-free helpers for the (Multi)Polygon geometries some
+// events carry (NWS warning areas): centroid, point-in-polygon and
+// distance from a point, which is what watch-area matching needs to treat
+// a warning as "nearby" when it overlaps the area, not only when its
+// centre point does. simplifyGeometry thins rings (Douglas–Peucker) for
+// shapes that are drawn, not measured.
+// ============================================================================
+
+const { haversineKm } = require('./geo-dedup');
+
+function polygonsOf(geometry) {
+  if (!geometry?.coordinates) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+function ringContains(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (((yi > lat) !== (yj > lat)) && (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Point-in-(Multi)Polygon, holes excluded.
+ */
+function containsPoint(geometry, lon, lat) {
+  return polygonsOf(geometry).some(rings =>
+    rings.length > 0 &&
+    ringContains(rings[0], lon, lat) &&
+    !rings.slice(1).some(hole => ringContains(hole, lon, lat))
+  );
+}
+
+/**
+ * Area-weighted centroid of the outer rings, [lon, lat].
+ * Falls back to the mean vertex for degenerate rings.
+ */
+function centroid(geometry) {
+  let x = 0, y = 0, area = 0;
+  let sx = 0, sy = 0, n = 0;
+
+  polygonsOf(geometry).forEach(rings => {
+    const ring = rings[0] || [];
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const f = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+      x += (ring[j][0] + ring[i][0]) * f;
+      y += (ring[j][1] + ring[i][1]) * f;
+      area += f;
+      sx += ring[i][0];
+      sy += ring[i][1];
+      n++;
+    }
+  });
+
+  if (n === 0) return null;
+  if (Math.abs(area) < 1e-12) return [sx / n, sy / n];
+  return [x / (3 * area), y / (3 * area)];
+}
+
+// Distance from a point to a segment on a local equirectangular projection —
+// accurate enough at warning-area scales
+function segmentDistanceKm(lat, lon, a, b) {
+  const kx = Math.cos(lat * Math.PI / 180);
+  const ax = (a[0] - lon) * kx, ay = a[1] - lat;
+  const bx = (b[0] - lon) * kx, by = b[1] - lat;
+  const dx = bx - ax, dy = by - ay;
+  const len = dx * dx + dy * dy;
+  const t = len === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len));
+  const px = ax + t * dx;
+  const py = ay + t * dy;
+  return haversineKm(lat, lon, lat + py, lon + (kx ? px / kx : 0));
+}
+
+/**
+ * Distance in km from a point to a (Multi)Polygon — 0 when inside.
+ */
+function distanceToKm(geometry, lat, lon) {
+  if (containsPoint(geometry, lon, lat)) return 0;
+  let best = Infinity;
+  polygonsOf(geometry).forEach(rings => rings.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const d = segmentDistanceKm(lat, lon, ring[i - 1], ring[i]);
+      if (d < best) best = d;
+    }
+  }));
+  return best;
+}
+
+/**
+ * Does the geometry overlap a circle (watch area)?
+ */
+function intersectsCircle(geometry, lat, lon, radiusKm) {
+  return distanceToKm(geometry, lat, lon) <= radiusKm;
+}
+
+/**
+ * Merge several (Multi)Polygons into one MultiPolygon (null if none).
+ */
+function mergePolygons(geometries) {
+  const coordinates = geometries.flatMap(polygonsOf);
+  return coordinates.length > 0 ? { type: 'MultiPolygon', coordinates } : null;
+}
+
+// Squared distance (in degrees) from p to segment a–b
+function segmentDistanceSq(p, a, b) {
+  const dx = b[0] - a[0], dy = b[1] - a[1];
+  const len = dx * dx + dy * dy;
+  const t = len === 0 ? 0 : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len));
+  const x = a[0] + t * dx - p[0];
+  const y = a[1] + t * dy - p[1];
+  return x * x + y * y;
+}
+
+/**
+ * Douglas–Peucker on a closed ring. Returns null when the ring collapses
+ * below a triangle at this tolerance (degrees).
+ */
+function simplifyRing(ring, tolerance) {
+  if (ring.length <= 4) return ring;
+  const keep = new Uint8Array(ring.length);
+  keep[0] = keep[ring.length - 1] = 1;
+  const stack = [[0, ring.length - 1]];
+  const limit = tolerance * tolerance;
+
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let index = -1, max = limit;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistanceSq(ring[i], ring[first], ring[last]);
+      if (d > max) { index = i; max = d; }
+    }
+    if (index < 0) continue;
+    keep[index] = 1;
+    stack.push([first, index], [index, last]);
+  }
+
+  const out = ring.filter((_, i) => keep[i]);
+  return out.length >= 4 ? out : null;
+}
+
+/**
+ * Thin a (Multi)Polygon's rings. A polygon whose outer ring collapses is
+ * dropped, unless that would drop all of them.
+ */
+function simplifyGeometry(geometry, tolerance) {
+  const polygons = polygonsOf(geometry);
+  const simplified = polygons
+    .map(rings => rings.map(ring => simplifyRing(ring, tolerance)))
+    .filter(rings => rings[0])
+    .map(rings => rings.filter(Boolean));
+  if (simplified.length === 0) return geometry;
+  return geometry.type === 'Polygon'
+    ? { type: 'Polygon', coordinates: simplified[0] }
+    : { type: 'MultiPolygon', coordinates: simplified };
+}
+
+function vertexCount(geometry) {
+  return polygonsOf(geometry).reduce((n, rings) => n + rings.reduce((m, ring) => m + ring.length, 0), 0);
+}
+
+module.exports = {
+  containsPoint, centroid, distanceToKm, intersectsCircle, mergePolygons,
+  simplifyRing, simplifyGeometry, vertexCount
+};
@@ -0,0 +1,262 @@
+// ============================================================================
+// history.js — Append-Only Event History Store
+// Drop into: /var/www/realnow/backend/enhancements/history.js
+// ============================================================================
+//
+// data:<type> only ever holds the latest snapshot, so an incident that drops
+// out of an upstream feed is gone for good. This store keeps every
+// observation of every event in Redis sorted sets scored by time:
+//
+//   history:<type>:obs   ZSET  score = observedAt (ms), member = observation JSON
+//   history:<type>:seen  ZSET  score = lastSeen (ms),   member = event id
+//   history:<type>:hash  HASH  event id → content hash of the last observation
+//
+// An observation is appended only when an event is first seen or its content
+// changes, so an unchanged quake re-fetched every 5 minutes costs nothing.
+// Retention is enforced after every write, by age and by observation count.
+// ============================================================================
+
+const crypto = require('crypto');
+const { getCoords } = require('./geo-dedup');
+const { stableFields } = require('./lifecycle');
+
+const HISTORY_PREFIX = 'history:';
+
+/**
+ * Retention per layer. maxObservations caps memory for high-volume layers.
+ */
+const RETENTION = {
+  default:     { days: 30,  maxObservations: 20000 },
+  fires:       { days: 7,   maxObservations: 50000 },
+  weather:     { days: 14,  maxObservations: 30000 },
+  droughts:    { days: 180, maxObservations: 5000 },
+  spaceweather:{ days: 30,  maxObservations: 5000 },
+  aurora:      { days: 7,   maxObservations: 2000 }
+};
+
+const MAX_QUERY_LIMIT = 5000;
+const DEFAULT_QUERY_LIMIT = 500;
+
+function getRetention(type) {
+  const base = RETENTION[type] || RETENTION.default;
+  const days = parseInt(process.env.HISTORY_RETENTION_DAYS || '0') || base.days;
+  return { ...base, days };
+}
+
+// Fields derived from "now" or republished samples (lifecycle.js volatile
+// fields) are left out, so an event is only observed again when it really changed
+function hashEvent(event, type) {
+  const fields = stableFields(event, type);
+  const stable = {};
+  Object.keys(fields).sort().forEach(k => { stable[k] = fields[k]; });
+  return crypto.createHash('sha1').update(JSON.stringify(stable)).digest('hex');
+}
+
+function eventKey(event) {
+  return event.id || event.name || null;
+}
+
+/**
+ * Parse a time query value: epoch ms, epoch seconds or an ISO date string.
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) {
+    const n = parseInt(value);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const t = new Date(value).getTime();
+  return isNaN(t) ? NaN : t;
+}
+
+/**
+ * Parse "minLon,minLat,maxLon,maxLat".
+ */
+function parseBbox(value) {
+  if (!value) return null;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(isNaN)) return undefined;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLat > maxLat) return undefined;
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+function inBbox(coords, bbox) {
+  if (!coords) return false;
+  if (coords.lat < bbox.minLat || coords.lat > bbox.maxLat) return false;
+  // A bbox whose minLon > maxLon crosses the antimeridian
+  if (bbox.minLon <= bbox.maxLon) {
+    return coords.lon >= bbox.minLon && coords.lon <= bbox.maxLon;
+  }
+  return coords.lon >= bbox.minLon || coords.lon <= bbox.maxLon;
+}
+
+/**
+ * Validate /api/history query parameters.
+ * Returns { options } or { error } with a message suitable for a 400.
+ */
+function parseHistoryQuery(query = {}) {
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  if (Number.isNaN(from)) return { error: 'Invalid "from" — use an ISO date or epoch milliseconds' };
+  if (Number.isNaN(to)) return { error: 'Invalid "to" — use an ISO date or epoch milliseconds' };
+  if (from !== null && to !== null && from > to) return { error: '"from" must be before "to"' };
+
+  const bbox = parseBbox(query.bbox);
+  if (bbox === undefined) return { error: 'Invalid "bbox" — expected minLon,minLat,maxLon,maxLat' };
+
+  let limit = DEFAULT_QUERY_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1) return { error: 'Invalid "limit" — must be a positive integer' };
+    limit = Math.min(limit, MAX_QUERY_LIMIT);
+  }
+
+  return { options: { from, to, bbox, limit } };
+}
+
+class HistoryStore {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  _keys(type) {
+    return {
+      obs: `${HISTORY_PREFIX}${type}:obs`,
+      seen: `${HISTORY_PREFIX}${type}:seen`,
+      hash: `${HISTORY_PREFIX}${type}:hash`
+    };
+  }
+
+  /**
+   * Record a snapshot of a layer. Appends an observation for every event
+   * that is new or whose content changed since it was last observed.
+   * @returns {Promise<number>} number of observations appended
+   */
+  async record(type, data) {
+    if (!data?.features?.length) return 0;
+
+    const keys = this._keys(type);
+    const observedAt = Date.now();
+    const previousHashes = await this.redis.hGetAll(keys.hash);
+
+    const observations = [];
+    const seen = [];
+    const newHashes = {};
+
+    data.features.forEach(event => {
+      const id = eventKey(event);
+      if (!id) return;
+      seen.push({ score: observedAt, value: String(id) });
+
+      const hash = hashEvent(event, type);
+      if (previousHashes[id] === hash) return;
+
+      newHashes[id] = hash;
+      observations.push({
+        score: observedAt,
+        value: JSON.stringify({
+          id,
+          observedAt: new Date(observedAt).toISOString(),
+          change: previousHashes[id] ? 'updated' : 'new',
+          event
+        })
+      });
+    });
+
+    const multi = this.redis.multi();
+    if (seen.length) multi.zAdd(keys.seen, seen);
+    if (observations.length) {
+      multi.zAdd(keys.obs, observations);
+      multi.hSet(keys.hash, newHashes);
+    }
+    await multi.exec();
+
+    await this.prune(type);
+
+    if (observations.length > 0) {
+      console.log(`🗂️ [History] ${type}: ${observations.length} observations appended`);
+    }
+    return observations.length;
+  }
+
+  /**
+   * Enforce retention: drop observations older than the retention window,
+   * cap the total count, and forget hashes of events no longer seen.
+   */
+  async prune(type) {
+    const keys = this._keys(type);
+    const retention = getRetention(type);
+    const cutoff = Date.now() - retention.days * 24 * 60 * 60 * 1000;
+
+    const expiredIds = await this.redis.zRangeByScore(keys.seen, '-inf', cutoff);
+
+    const multi = this.redis.multi();
+    multi.zRemRangeByScore(keys.obs, '-inf', cutoff);
+    // Keep only the newest maxObservations entries
+    multi.zRemRangeByRank(keys.obs, 0, -(retention.maxObservations + 1));
+    if (expiredIds.length) {
+      multi.zRem(keys.seen, expiredIds);
+      multi.hDel(keys.hash, expiredIds);
+    }
+    await multi.exec();
+  }
+
+  /**
+   * Query observations newest first.
+   * @param {string} type — Layer name
+   * @param {Object} options — { from, to, bbox, limit } as returned by parseHistoryQuery
+   */
+  async query(type, { from = null, to = null, bbox = null, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const keys = this._keys(type);
+    const min = from !== null ? from : '-inf';
+    const max = to !== null ? to : '+inf';
+    const batchSize = Math.max(limit, 500);
+
+    const observations = [];
+    let offset = 0;
+
+    // Without a bbox one page is enough; with one, keep paging until the
+    // limit is filled or the time range is exhausted.
+    while (observations.length < limit) {
+      const batch = await this.redis.zRange(keys.obs, max, min, {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset, count: batchSize }
+      });
+      if (batch.length === 0) break;
+
+      for (const raw of batch) {
+        const obs = JSON.parse(raw);
+        if (bbox && !inBbox(getCoords(obs.event), bbox)) continue;
+        observations.push(obs);
+        if (observations.length >= limit) break;
+      }
+
+      if (batch.length < batchSize) break;
+      offset += batchSize;
+    }
+
+    return observations;
+  }
+
+  /**
+   * Size and time span of a layer's history (for /api/stats).
+   */
+  async getStats(type) {
+    const keys = this._keys(type);
+    const [observations, events, oldest] = await Promise.all([
+      this.redis.zCard(keys.obs),
+      this.redis.zCard(keys.seen),
+      this.redis.zRangeWithScores(keys.obs, 0, 0)
+    ]);
+    return {
+      observations,
+      events,
+      oldest: oldest.length ? new Date(oldest[0].score).toISOString() : null,
+      retentionDays: getRetention(type).days
+    };
+  }
+}
+
+module.exports = { HistoryStore, parseHistoryQuery, parseTime, parseBbox, inBbox, getRetention, RETENTION };
@@ -35,6 +35,14 @@ const { limiters } = require('./rate-limiter');
 const { deduplicateEvents } = require('./geo-dedup');
 const { preferencesRouter } = require('./preferences');
 const { DigestService } = require('./digest');
+const { HistoryStore, parseHistoryQuery } = require('./history');
+const { LifecycleTracker } = require('./lifecycle');
+const { FetchCache } = require('./fetch-cache');
+const { EventIndex, parseEventsQuery } = require('./event-index');
+const { applySeverity, scoreEvent } = require('./severity');
+const { enrichLocation } = require('./gazetteer');
+const { CascadeLinker, linkHazards, CASCADE_LAYERS } = require('./cascade');
+const { layerRoom } = require('./cluster');
 
 // Singleton circuit breaker
 const circuitBreaker = new CircuitBreaker({
@@ -53,6 +61,10 @@ function applyMiddleware(app, redis) {
   // Rate limiting on routes
   app.use('/api/data', limiters.dataRead);
   app.use('/api/aggregate', limiters.dataRead);
+  app.use('/api/history', limiters.dataRead);
+  app.use('/api/transitions', limiters.dataRead);
+  app.use('/api/events', limiters.dataRead);
+  app.use('/api/stream', limiters.dataRead);
   app.use('/api/stats', limiters.health);
   app.use('/api/refresh', limiters.refresh);
   app.use('/health', limiters.health);
@@ -83,10 +95,21 @@ function applyMiddleware(app, redis) {
 }
 
 /**
- * Enhance the DisasterDataAggregator with circuit breaker and dedup.
+ * Enhance the DisasterDataAggregator with circuit breaker, dedup and history.
  * Monkey-patches fetchData and storeInRedis to add the new behaviors.
  */
 function enhanceAggregator(aggregator, redis) {
+  // Append-only observation history behind /api/history/:type
+  aggregator.history = new HistoryStore(redis);
+  // new/updated/ended diffing between consecutive snapshots
+  aggregator.lifecycle = new LifecycleTracker(redis);
+  // ETag / Last-Modified validators and body hashes for fetchData
+  aggregator.fetchCache = new FetchCache(redis, { ttl: DATA_TTL });
+  // GEO + time index behind /api/events
+  aggregator.eventIndex = new EventIndex(redis);
+  // earthquake → tsunami / landslide hazard chains behind /api/event/:id
+  aggregator.cascades = new CascadeLinker(redis);
+
   // --- Patch: fetchData with circuit breaker ---
   const originalFetchData = aggregator.fetchData.bind(aggregator);
   
@@ -95,10 +118,11 @@ function enhanceAggregator(aggregator, redis) {
     
     if (!check.allowed) {
       console.log(`⚡ [CircuitBreaker] ${source}: Skipped (${check.reason})`);
-      // Return cached data instead
+      // Return cached data instead — source ids are not layer ids
+      // (gdacs_combined, firms_viirs_snpp, cap_*), so ask the adapter
       try {
-        const cached = await redis.get(`data:${source}`);
-        return cached ? JSON.parse(cached) : null;
+        const adapter = aggregator.registry.get(source);
+        return adapter ? await aggregator.getCachedLayer(adapter) : null;
       } catch (e) {
         return null;
       }
@@ -118,6 +142,12 @@ function enhanceAggregator(aggregator, redis) {
   const originalStoreInRedis = aggregator.storeInRedis.bind(aggregator);
   
   aggregator.storeInRedis = async function(type, data) {
+    // Normalized iso3 / admin1 from the offline gazetteer
+    enrichLocation(type, data);
+
+    // Normalized 0-100 severityScore + severityBucket on every event
+    applySeverity(type, data);
+
     // Apply geo-deduplication before storing
     if (data && data.features && data.features.length > 0) {
       const { features, removedCount } = deduplicateEvents(data.features, type);
@@ -128,13 +158,50 @@ function enhanceAggregator(aggregator, redis) {
       }
     }
     
-    // Store with TTL (2 hours safety net)
+    // History and lifecycle only track client-facing layers (merge inputs
+    // such as floods_nasa are covered by the merged 'floods' layer)
+    const isPublic = aggregator.registry.publicLayers().includes(type);
     const key = `data:${type}`;
+    const previous = isPublic ? await redis.get(key) : null;
+
+    // Store with TTL (2 hours safety net)
     await redis.setEx(key, DATA_TTL, JSON.stringify(data));
+
+    let transitions = [];
+    if (isPublic) {
+      try {
+        await aggregator.history.record(type, data);
+      } catch (error) {
+        console.error(`❌ [History] Failed to record ${type}:`, error.message);
+      }
+      try {
+        await aggregator.eventIndex.index(type, data);
+      } catch (error) {
+        console.error(`❌ [EventIndex] Failed to index ${type}:`, error.message);
+      }
+      try {
+        transitions = await aggregator.lifecycle.process(type, previous ? JSON.parse(previous) : null, data);
+      } catch (error) {
+        console.error(`❌ [Lifecycle] Failed to diff ${type}:`, error.message);
+      }
+    }
+
+    if (CASCADE_LAYERS.includes(type)) {
+      try {
+        await aggregator.cascades.correlate();
+      } catch (error) {
+        console.error(`❌ [Cascade] Failed to correlate after ${type}:`, error.message);
+      }
+    }
     
-    // Also emit to connected WebSocket clients
-    if (aggregator.io) {
+    // Also emit to connected WebSocket clients — through the relay when
+    // present, so clients of the other instances get the update too
+    if (aggregator.relay) {
+      aggregator.relay.emit(`update:${type}`, data, { layer: type });
+      transitions.forEach(t => aggregator.relay.emit(`event:${t.kind}`, t, { room: layerRoom(type) }));
+    } else if (aggregator.io) {
       aggregator.io.emit(`update:${type}`, data);
+      transitions.forEach(t => aggregator.io.emit(`event:${t.kind}`, t));
     }
     
     return data;
@@ -167,15 +234,16 @@ function enhanceAggregator(aggregator, redis) {
     aggregator.io = null; // Will be set when io is available
   }
 
-  console.log('🔌 [Enhancements] Aggregator enhanced: circuit breaker, geo-dedup, Redis TTL');
+  console.log('🔌 [Enhancements] Aggregator enhanced: circuit breaker, geo-dedup, Redis TTL, history, lifecycle, conditional fetch, event index, gazetteer, cascades');
 }
 
 /**
  * Start background services (digest scheduler).
+ * @param {Object} options — { coordinator } to run each digest on one instance only
  */
-function startServices(redis) {
+function startServices(redis, options = {}) {
   const digest = new DigestService(redis);
-  digest.startSchedule();
+  digest.startSchedule(options);
   console.log('🔌 [Enhancements] Background services started');
 }
 
@@ -186,5 +254,16 @@ module.exports = {
   circuitBreaker,
   CircuitBreaker,
   deduplicateEvents,
-  DigestService
+  DigestService,
+  HistoryStore,
+  parseHistoryQuery,
+  LifecycleTracker,
+  FetchCache,
+  EventIndex,
+  parseEventsQuery,
+  applySeverity,
+  scoreEvent,
+  enrichLocation,
+  CascadeLinker,
+  linkHazards
 };
\ No newline at end of file
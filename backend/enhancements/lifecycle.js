@@ -0,0 +1,237 @@
+// ============================================================================
+// lifecycle.js — Event Lifecycle Diffing (new / updated / ended)
+// Drop into: /var/www/realnow/backend/enhancements/lifecycle.js
+// ============================================================================
+//
+// Compares each new layer snapshot with the previous one by stable event id
+// and produces transitions:
+//
+//   event:new      — id not present in the previous snapshot
+//   event:updated  — same id, tracked content changed (magnitude revision,
+//                    alert-level escalation, status change, ...)
+//   event:ended    — id present before, gone now
+//
+// Transitions are appended to a capped Redis stream so clients can catch up
+// on what changed (GET /api/transitions) instead of rebuilding the feed from
+// full snapshots.
+// ============================================================================
+
+const TRANSITIONS_STREAM = 'lifecycle:transitions';
+const STREAM_MAX_LENGTH = 5000;
+
+// Derived from "now" at transform time — never a real change. Dotted paths
+// reach into nested objects: a sequence's decay stats (rate over the last
+// 24 h, daily counts, Omori p) are recomputed on every USGS poll.
+const VOLATILE_FIELDS = ['timeRemaining', 'daysSinceStart', 'daysSinceEnd', 'freshness', 'sequence.decay'];
+
+// Per-layer volatile fields. Aurora zones keep fixed ids while the OVATION
+// grid they come from is republished every 10 minutes; the space weather
+// feature carries live X-ray, proton and solar wind samples. Their scales,
+// peaks, alerts and forecast are what change.
+const LAYER_VOLATILE_FIELDS = {
+  aurora: ['date', 'forecastTime', 'observationTime'],
+  spaceweather: ['xray.flux', 'xray.class', 'xray.time', 'protons', 'solarWind']
+};
+
+// Layers excluded from per-event diffing. FIRMS hotspots are a sampled
+// pixel cloud: thousands of them appear and vanish every cycle.
+const EXCLUDED_LAYERS = ['fires'];
+
+// Layers whose events change on every fetch (fire complexes regrow their
+// detection counts, FRP and hull each FIRMS cycle) only record an update
+// when one of these fields moves
+const TRACKED_FIELDS = {
+  firecomplexes: ['intensity', 'severityBucket', 'isActive']
+};
+
+const ALERT_RANK = { green: 1, yellow: 2, orange: 3, red: 4 };
+const SEVERITY_RANK = {
+  minor: 1, moderate: 2, severe: 3, extreme: 4,
+  information: 1, advisory: 2, watch: 3, warning: 4
+};
+const BUCKET_RANK = { minor: 1, moderate: 2, severe: 3, critical: 4 };
+
+function eventKey(event) {
+  return event.id || event.name || null;
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Shallow copy of an event without its volatile fields, for change
+ * detection here and in the history hash.
+ * @param {Object} event
+ * @param {string} [type] — Layer name, for LAYER_VOLATILE_FIELDS
+ */
+function stableFields(event, type) {
+  const stable = { ...event };
+  [...VOLATILE_FIELDS, ...(LAYER_VOLATILE_FIELDS[type] || [])].forEach(path => {
+    const [field, nested] = path.split('.');
+    if (!nested) {
+      delete stable[field];
+    } else if (stable[field] && typeof stable[field] === 'object') {
+      stable[field] = { ...stable[field] };
+      delete stable[field][nested];
+    }
+  });
+  return stable;
+}
+
+/**
+ * Field-level differences between two versions of one event.
+ * @returns {Object} { field: { from, to } }
+ */
+function diffEvent(prevEvent, nextEvent, type) {
+  const changes = {};
+  const prev = stableFields(prevEvent, type);
+  const next = stableFields(nextEvent, type);
+  const fields = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  fields.forEach(field => {
+    if (!sameValue(prev[field], next[field])) {
+      changes[field] = { from: prev[field] ?? null, to: next[field] ?? null };
+    }
+  });
+  return changes;
+}
+
+/**
+ * An update is an escalation when the alert level, severity, normalized
+ * severity bucket or magnitude moved upwards.
+ */
+function isEscalation(changes) {
+  const rankUp = (change, ranks) => {
+    if (!change) return false;
+    const from = ranks[String(change.from || '').toLowerCase()] || 0;
+    const to = ranks[String(change.to || '').toLowerCase()] || 0;
+    return to > from;
+  };
+  if (rankUp(changes.alertLevel, ALERT_RANK)) return true;
+  if (rankUp(changes.severity, SEVERITY_RANK)) return true;
+  if (rankUp(changes.severityBucket, BUCKET_RANK)) return true;
+  if (changes.magnitude && (changes.magnitude.to || 0) > (changes.magnitude.from || 0)) return true;
+  if (changes.windSpeed && (changes.windSpeed.to || 0) > (changes.windSpeed.from || 0)) return true;
+  return false;
+}
+
+/**
+ * Pure snapshot diff.
+ * @param {string} type — Layer name
+ * @param {Array} prevFeatures — Previous snapshot features
+ * @param {Array} nextFeatures — New snapshot features
+ * @returns {Array} transitions { kind, type, id, at, event, changes?, escalated? }
+ */
+function diffSnapshots(type, prevFeatures, nextFeatures) {
+  const at = new Date().toISOString();
+  const prevById = new Map();
+  (prevFeatures || []).forEach(e => {
+    const id = eventKey(e);
+    if (id) prevById.set(String(id), e);
+  });
+
+  const transitions = [];
+  const nextIds = new Set();
+
+  (nextFeatures || []).forEach(event => {
+    const id = eventKey(event);
+    if (!id) return;
+    const key = String(id);
+    nextIds.add(key);
+
+    const prev = prevById.get(key);
+    if (!prev) {
+      transitions.push({ kind: 'new', type, id: key, at, event });
+      return;
+    }
+
+    const changes = diffEvent(prev, event, type);
+    if (Object.keys(changes).length > 0) {
+      transitions.push({
+        kind: 'updated', type, id: key, at, event, changes,
+        escalated: isEscalation(changes)
+      });
+    }
+  });
+
+  prevById.forEach((event, key) => {
+    if (!nextIds.has(key)) {
+      transitions.push({ kind: 'ended', type, id: key, at, event });
+    }
+  });
+
+  return transitions;
+}
+
+class LifecycleTracker {
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  /**
+   * Diff a layer against its previous snapshot and record the transitions.
+   * With no previous snapshot the layer is treated as a baseline and nothing
+   * is emitted — otherwise a cold start would announce every event as new.
+   * @returns {Promise<Array>} recorded transitions, each with its streamId
+   */
+  async process(type, previous, next) {
+    if (EXCLUDED_LAYERS.includes(type)) return [];
+    if (!previous?.features) {
+      console.log(`🧬 [Lifecycle] ${type}: baseline snapshot (${next?.features?.length || 0} events)`);
+      return [];
+    }
+
+    const tracked = TRACKED_FIELDS[type];
+    const transitions = diffSnapshots(type, previous.features, next?.features)
+      .filter(t => t.kind !== 'updated' || !tracked || tracked.some(field => t.changes[field]));
+    if (transitions.length === 0) return [];
+
+    const multi = this.redis.multi();
+    transitions.forEach(t => {
+      multi.xAdd(TRANSITIONS_STREAM, '*', {
+        kind: t.kind,
+        type: t.type,
+        id: t.id,
+        payload: JSON.stringify(t)
+      }, {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: STREAM_MAX_LENGTH }
+      });
+    });
+    const streamIds = await multi.exec();
+    transitions.forEach((t, i) => { t.streamId = streamIds[i]; });
+
+    const counts = transitions.reduce((acc, t) => {
+      acc[t.kind] = (acc[t.kind] || 0) + 1;
+      return acc;
+    }, {});
+    console.log(`🧬 [Lifecycle] ${type}: ${counts.new || 0} new, ${counts.updated || 0} updated, ${counts.ended || 0} ended`);
+
+    return transitions;
+  }
+
+  /**
+   * Read recorded transitions.
+   * @param {Object} options
+   * @param {string} options.since — Stream id; only later transitions are returned (oldest first)
+   * @param {Array}  options.types — Restrict to these layers
+   * @param {number} options.limit — Max transitions (default 100)
+   * Without `since` the most recent `limit` transitions are returned, oldest first.
+   */
+  async getTransitions({ since = null, types = null, limit = 100 } = {}) {
+    const entries = since
+      ? await this.redis.xRange(TRANSITIONS_STREAM, `(${since}`, '+', { COUNT: limit * 4 })
+      : (await this.redis.xRevRange(TRANSITIONS_STREAM, '+', '-', { COUNT: limit * 4 })).reverse();
+
+    const transitions = [];
+    for (const entry of entries) {
+      if (types && !types.includes(entry.message.type)) continue;
+      const transition = JSON.parse(entry.message.payload);
+      transition.streamId = entry.id;
+      transitions.push(transition);
+    }
+    return since ? transitions.slice(0, limit) : transitions.slice(-limit);
+  }
+}
+
+module.exports = { LifecycleTracker, diffSnapshots, diffEvent, stableFields, TRANSITIONS_STREAM };
@@ -0,0 +1,133 @@
+// ============================================================================
+// nws-threads.js — NWS Alert Threading (CAP references + VTEC)
+// Drop into: /var/www/realnow/backend/enhancements/nws-threads.js
+// ============================================================================
+//
+// api.weather.gov publishes one CAP message per issuance *and* per zone
+// segment, so a single winter storm warning shows up as a dozen alerts, and
+// every Update or Cancel arrives as yet another one. This module folds the
+// raw features back into logical alerts ("threads"):
+//
+//   thread key   VTEC event (office.phenomena.significance.ETN) when the
+//                product has one — that identifies the hazard across zones
+//                and updates; otherwise the oldest message in the CAP
+//                `references` chain
+//   superseded   any message referenced by another one is dropped in
+//                favour of the message that replaced it
+//   closed       per zone, the newest message wins; a zone whose newest
+//                message is a Cancel (or VTEC CAN / EXP / UPG) is removed,
+//                and a thread with no zones left is closed entirely — it
+//                drops out of the layer, which lifecycle reports as ended
+//
+// Thread ids stay stable while a warning is updated, so clients see one
+// event being revised rather than a stream of new ones.
+// ============================================================================
+
+const VTEC_PATTERN = /^\/O\.([A-Z]{3})\.([A-Z]{4})\.([A-Z]{2})\.([A-Z])\.(\d{4})\./;
+const CLOSING_ACTIONS = ['CAN', 'EXP', 'UPG'];
+
+/**
+ * Parse the operational VTEC strings of an alert.
+ * @returns {Array<{ key: string, action: string }>}
+ */
+function parseVtec(properties) {
+  return (properties.parameters?.VTEC || [])
+    .map(vtec => VTEC_PATTERN.exec(vtec))
+    .filter(Boolean)
+    .map(([, action, office, phenomena, significance, etn]) => ({
+      key: `${office}.${phenomena}.${significance}.${etn}`,
+      action
+    }));
+}
+
+function sentAt(value) {
+  const t = new Date(value || 0).getTime();
+  return isNaN(t) ? 0 : t;
+}
+
+/**
+ * Group raw NWS alert features into logical alerts.
+ * @param {Array} features — api.weather.gov /alerts/active features
+ * @returns {Array<{ id, vtec, primary, messages, zones, same, supersededCount }>}
+ *   primary is the newest open message; messages are all open messages
+ *   still current for at least one zone.
+ */
+function threadAlerts(features) {
+  const alerts = (features || []).filter(f => f?.properties && f.id);
+  const byId = new Map(alerts.map(f => [f.id, f]));
+
+  const superseded = new Set();
+  alerts.forEach(f => (f.properties.references || []).forEach(ref => {
+    if (ref['@id']) superseded.add(ref['@id']);
+  }));
+
+  // Oldest message of the references chain, following referenced
+  // messages that are still in the feed
+  const roots = new Map();
+  const rootOf = (f, seen = new Set()) => {
+    if (roots.has(f.id)) return roots.get(f.id);
+    seen.add(f.id);
+    let root = { id: f.id, sent: sentAt(f.properties.sent) };
+    (f.properties.references || []).forEach(ref => {
+      const referenced = byId.get(ref['@id']);
+      const candidate = referenced && !seen.has(referenced.id)
+        ? rootOf(referenced, seen)
+        : { id: ref['@id'], sent: sentAt(ref.sent) };
+      if (candidate.id && candidate.sent <= root.sent) root = candidate;
+    });
+    roots.set(f.id, root);
+    return root;
+  };
+
+  // thread key → zone → newest { message, open }
+  const threads = new Map();
+  alerts.forEach(f => {
+    const p = f.properties;
+    const zones = p.geocode?.UGC?.length ? p.geocode.UGC : ['*'];
+    const vtecs = parseVtec(p);
+    const entries = vtecs.length > 0
+      ? vtecs.map(v => ({ key: `vtec:${v.key}`, vtec: v.key, open: !CLOSING_ACTIONS.includes(v.action) }))
+      : [{ key: rootOf(f).id, vtec: null, open: true }];
+
+    entries.forEach(({ key, vtec, open }) => {
+      if (!threads.has(key)) threads.set(key, { vtec, zones: new Map(), supersededCount: 0 });
+      const thread = threads.get(key);
+      if (superseded.has(f.id)) {
+        thread.supersededCount++;
+        return;
+      }
+      const isOpen = open && p.messageType !== 'Cancel';
+      zones.forEach(zone => {
+        const current = thread.zones.get(zone);
+        if (!current || sentAt(p.sent) >= sentAt(current.message.properties.sent)) {
+          thread.zones.set(zone, { message: f, open: isOpen });
+        }
+      });
+    });
+  });
+
+  const results = [];
+  threads.forEach((thread, key) => {
+    const openZones = [...thread.zones.entries()].filter(([, state]) => state.open);
+    if (openZones.length === 0) return;
+
+    const messages = [...new Set(openZones.map(([, state]) => state.message))]
+      .sort((a, b) => sentAt(b.properties.sent) - sentAt(a.properties.sent));
+    const same = new Set();
+    messages.forEach(m => (m.properties.geocode?.SAME || []).forEach(code => same.add(code)));
+
+    results.push({
+      id: key,
+      vtec: thread.vtec,
+      primary: messages[0],
+      messages,
+      zones: openZones.map(([zone]) => zone).filter(zone => zone !== '*').sort(),
+      same: [...same],
+      supersededCount: thread.supersededCount
+    });
+  });
+
+  return results;
+}
+
+module.exports = { threadAlerts, parseVtec };
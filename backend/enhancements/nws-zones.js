@@ -0,0 +1,108 @@
+// ============================================================================
+// nws-zones.js — Offline NWS Zone / County Shapes
+// Drop into: /var/www/realnow/backend/enhancements/nws-zones.js
+// ============================================================================
+//
+// Backed by data/nws-zones.json (rebuilt with scripts/build-nws-zones.js).
+// Resolves the geometry of NWS alerts that come with geometry: null and
+// only list their zones:
+//
+//   geocode.UGC   ['CAZ041', 'CAZ087']   → public forecast zone shapes
+//   geocode.SAME  ['006037', '006059']   → county shapes (FIPS 06037, 06059)
+//
+// Zone shapes (forecast and marine, by UGC) are preferred; alerts whose
+// zones are not in the dataset fall back to their counties. The shapes are
+// simplified at build time. An alert covering many of them gets its merged
+// geometry thinned further until it fits MAX_VERTICES, and names the shapes
+// it was built from in geometryRef so a client can draw them in detail.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { simplifyGeometry, vertexCount } = require('./geometry');
+
+const DATA_FILE = path.join(__dirname, '..', 'data', 'nws-zones.json');
+
+// Per-alert vertex budget, and the tolerances (degrees) tried to meet it
+const MAX_VERTICES = 2000;
+const TOLERANCES = [0.02, 0.05, 0.1];
+
+let shapes = null;
+
+/**
+ * Shared zone shapes, loaded on first use.
+ * Returns null if the data file is missing so callers can degrade.
+ */
+function getZoneShapes() {
+  if (shapes !== null) return shapes || null;
+  try {
+    const started = Date.now();
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    shapes = { counties: data.counties || {}, zones: data.zones || {} };
+    console.log(`🗺️ [NWS Zones] Loaded ${Object.keys(shapes.counties).length} counties, ${Object.keys(shapes.zones).length} forecast / marine zones in ${Date.now() - started}ms`);
+    if (Object.keys(shapes.zones).length === 0) {
+      console.log('⚠️ [NWS Zones] No zone shapes bundled — zone-only alerts without a county code (marine) cannot be drawn');
+    }
+  } catch (error) {
+    console.error(`❌ [NWS Zones] Could not load ${DATA_FILE}:`, error.message);
+    shapes = false;
+  }
+  return shapes || null;
+}
+
+function collect(codes, table) {
+  const polygons = [];
+  const found = [];
+  (codes || []).forEach(code => {
+    const entry = table[String(code)];
+    if (!entry) return;
+    polygons.push(...entry.polygons);
+    found.push(String(code));
+  });
+  return { polygons, found };
+}
+
+function fitBudget(geometry) {
+  let fitted = geometry;
+  for (const tolerance of TOLERANCES) {
+    if (vertexCount(fitted) <= MAX_VERTICES) break;
+    fitted = simplifyGeometry(geometry, tolerance);
+  }
+  return fitted;
+}
+
+/**
+ * Build a MultiPolygon for an alert's geocode block.
+ * @param {{ UGC?: string[], SAME?: string[] }} geocode
+ * @param {{ counties: object, zones: object }} [data] shape tables (defaults to the bundled file)
+ * @returns {{ geometry: object, geometrySource: 'zones'|'counties', geometryRef: string[] } | null}
+ *   geometryRef lists the UGC codes or county FIPS the geometry was built from
+ */
+function resolveZoneGeometry(geocode, data = getZoneShapes()) {
+  if (!data || !geocode) return null;
+
+  const zones = collect(geocode.UGC, data.zones);
+  if (zones.polygons.length > 0) {
+    return {
+      geometry: fitBudget({ type: 'MultiPolygon', coordinates: zones.polygons }),
+      geometrySource: 'zones',
+      geometryRef: zones.found
+    };
+  }
+
+  // SAME codes are 0 + 5-digit county FIPS (a leading non-zero digit marks
+  // a county subdivision, which we widen to the whole county)
+  const fips = [...new Set((geocode.SAME || []).map(code => String(code).slice(-5)))];
+  const counties = collect(fips, data.counties);
+  if (counties.polygons.length > 0) {
+    return {
+      geometry: fitBudget({ type: 'MultiPolygon', coordinates: counties.polygons }),
+      geometrySource: 'counties',
+      geometryRef: counties.found
+    };
+  }
+
+  return null;
+}
+
+module.exports = { getZoneShapes, resolveZoneGeometry, MAX_VERTICES };
@@ -27,15 +27,19 @@ const DEFAULT_PREFS = {
   enabledLayers: {
     earthquakes: true,
     volcanoes: true,
+    ashadvisories: true,
     cyclones: true,
     floods: true,
     wildfires: true,
     fires: false,
+    firecomplexes: true,
     weather: false,
     droughts: true,
     spaceweather: false,
+    aurora: false,
     landslides: true,
-    tsunamis: true
+    tsunamis: true,
+    conflicts: false
   },
   watchArea: null,           // { lat, lon, radiusKm, label }
   alertsEnabled: false,
@@ -48,6 +52,8 @@ const DEFAULT_PREFS = {
   mapStyle: 'dark',          // 'dark' | 'satellite' | 'terrain'
   language: 'en',
   soundEnabled: true,
+  collapseSequences: true,   // one entry per aftershock sequence in feed / alerts / digest
+  maskStaticHeat: true,      // skip gas flares / industry / lava lakes in alerts / digest
   digestEmail: null,          // email address for daily digest
   digestFrequency: 'daily',  // 'daily' | 'weekly' | 'off'
   createdAt: null,
@@ -0,0 +1,208 @@
+// ============================================================================
+// sequences.js — Mainshock / Aftershock Sequence Detection
+// Drop into: /var/www/realnow/backend/enhancements/sequences.js
+// ============================================================================
+//
+// USGS lists every quake on its own, so one large event and its hundreds of
+// aftershocks flood the map, the LiveFeed and SmartAlerts. Quakes are grouped
+// with the Gardner & Knopoff (1974) space-time windows, which grow with the
+// mainshock magnitude:
+//
+//   distance   L(M) = 10^(0.1238·M + 0.983) km            ~30 km at M4, ~70 km at M7
+//   time       T(M) = 10^(0.5409·M − 0.547) days   M < 6.5
+//                     10^(0.032·M + 2.7389) days   M ≥ 6.5
+//
+// Quakes are visited strongest first; each one not yet claimed becomes a
+// candidate mainshock and claims every weaker, unclaimed quake inside its
+// window — later ones as aftershocks, earlier ones as foreshocks. A candidate
+// needs MIN_AFTERSHOCKS aftershocks to form a sequence.
+//
+// Every member gets sequenceId / sequenceRole; the mainshock also carries the
+// `sequence` summary (count, largest aftershock, decay stats). Clients that
+// want one marker per sequence drop everything but the mainshocks
+// (collapseSequences, ?collapse=sequences).
+// ============================================================================
+
+const { getCoords, haversineKm } = require('./geo-dedup');
+
+const MIN_MAINSHOCK_MAGNITUDE = 4.0;
+const MIN_AFTERSHOCKS = 2;
+
+// Omori decay is only fitted once there is something to fit
+const MIN_OMORI_AFTERSHOCKS = 10;
+const MAX_DAILY_COUNTS = 30;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Gardner–Knopoff window for a mainshock magnitude.
+ * @returns {Object} { distanceKm, days }
+ */
+function sequenceWindow(magnitude) {
+  return {
+    distanceKm: Math.pow(10, 0.1238 * magnitude + 0.983),
+    days: magnitude >= 6.5
+      ? Math.pow(10, 0.032 * magnitude + 2.7389)
+      : Math.pow(10, 0.5409 * magnitude - 0.547)
+  };
+}
+
+function round(value, digits = 2) {
+  const f = Math.pow(10, digits);
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Modified-Omori p from log-binned aftershock rates:
+ * rate(t) ∝ t^-p, fitted by least squares in log-log space over bins that
+ * double in width from one hour after the mainshock.
+ * @param {Array<number>} lags — Aftershock times after the mainshock (ms)
+ * @param {number} elapsed — Time since the mainshock (ms)
+ * @returns {number|null}
+ */
+function omoriP(lags, elapsed) {
+  if (lags.length < MIN_OMORI_AFTERSHOCKS) return null;
+
+  const points = [];
+  let start = 0;
+  let end = HOUR;
+  while (start < elapsed) {
+    const stop = Math.min(end, elapsed);
+    const n = lags.filter(t => t >= start && t < stop).length;
+    if (n > 0) {
+      const mid = start === 0 ? stop / 2 : Math.sqrt(start * stop);
+      points.push([Math.log10(mid / HOUR), Math.log10(n / ((stop - start) / HOUR))]);
+    }
+    start = end;
+    end *= 2;
+  }
+  if (points.length < 3) return null;
+
+  const meanX = points.reduce((s, p) => s + p[0], 0) / points.length;
+  const meanY = points.reduce((s, p) => s + p[1], 0) / points.length;
+  let sxy = 0;
+  let sxx = 0;
+  points.forEach(([x, y]) => {
+    sxy += (x - meanX) * (y - meanY);
+    sxx += (x - meanX) * (x - meanX);
+  });
+  return sxx > 0 ? round(-sxy / sxx) : null;
+}
+
+/**
+ * Sequence summary carried by the mainshock.
+ */
+function summarize(mainshock, aftershocks, foreshocks, window, now) {
+  const t0 = mainshock.time;
+  const lags = aftershocks.map(a => a.time - t0);
+  const elapsed = Math.max(now - t0, 0);
+  const largest = aftershocks.reduce((best, a) => (!best || a.magnitude > best.magnitude ? a : best), null);
+
+  const days = Math.min(Math.ceil(elapsed / DAY) || 1, MAX_DAILY_COUNTS);
+  const dailyCounts = new Array(days).fill(0);
+  lags.forEach(lag => {
+    const day = Math.floor(lag / DAY);
+    if (day < days) dailyCounts[day]++;
+  });
+
+  return {
+    id: `seq_${mainshock.id}`,
+    mainshockId: mainshock.id,
+    magnitude: mainshock.magnitude,
+    count: aftershocks.length,
+    foreshockCount: foreshocks.length,
+    largestAftershock: largest
+      ? { id: largest.id, magnitude: largest.magnitude, time: largest.time, place: largest.place || null }
+      : null,
+    firstAftershock: Math.min(...aftershocks.map(a => a.time)),
+    lastAftershock: Math.max(...aftershocks.map(a => a.time)),
+    radiusKm: Math.round(window.distanceKm),
+    decay: {
+      rateFirst24h: lags.filter(lag => lag < DAY).length,
+      rateLast24h: aftershocks.filter(a => now - a.time < DAY).length,
+      dailyCounts,
+      omoriP: omoriP(lags, elapsed),
+      // Båth's law: typically ~1.2
+      bathDelta: largest ? round(mainshock.magnitude - largest.magnitude, 1) : null
+    }
+  };
+}
+
+/**
+ * Detect sequences and stamp their members in place.
+ * @param {Array} earthquakes — Transformed USGS quakes ({ id, magnitude, time, coordinates })
+ * @param {Object} options
+ * @param {number} options.now — Reference time for the decay stats (ms)
+ * @returns {Array} sequence summaries, strongest mainshock first
+ */
+function detectSequences(earthquakes, { now = Date.now() } = {}) {
+  const quakes = (earthquakes || [])
+    .filter(q => q.id && typeof q.time === 'number' && typeof q.magnitude === 'number' && getCoords(q))
+    .sort((a, b) => b.magnitude - a.magnitude || a.time - b.time);
+
+  const claimed = new Set();
+  const sequences = [];
+
+  quakes.forEach(candidate => {
+    if (claimed.has(candidate.id) || candidate.magnitude < MIN_MAINSHOCK_MAGNITUDE) return;
+
+    const window = sequenceWindow(candidate.magnitude);
+    const origin = getCoords(candidate);
+    const aftershocks = [];
+    const foreshocks = [];
+
+    quakes.forEach(q => {
+      if (q === candidate || claimed.has(q.id) || q.magnitude > candidate.magnitude) return;
+      if (Math.abs(q.time - candidate.time) > window.days * DAY) return;
+      const coords = getCoords(q);
+      if (haversineKm(origin.lat, origin.lon, coords.lat, coords.lon) > window.distanceKm) return;
+      (q.time >= candidate.time ? aftershocks : foreshocks).push(q);
+    });
+
+    if (aftershocks.length < MIN_AFTERSHOCKS) return;
+
+    const sequence = summarize(candidate, aftershocks, foreshocks, window, now);
+    claimed.add(candidate.id);
+    candidate.sequenceId = sequence.id;
+    candidate.sequenceRole = 'mainshock';
+    candidate.sequence = sequence;
+
+    [[aftershocks, 'aftershock'], [foreshocks, 'foreshock']].forEach(([members, role]) => {
+      members.forEach(q => {
+        claimed.add(q.id);
+        q.sequenceId = sequence.id;
+        q.sequenceRole = role;
+        q.mainshockId = candidate.id;
+        q.mainshockMagnitude = candidate.magnitude;
+      });
+    });
+    sequences.push(sequence);
+  });
+
+  return sequences;
+}
+
+/**
+ * Aftershocks and foreshocks are represented by their mainshock.
+ */
+function isCollapsed(event) {
+  return !!event.sequenceId && event.sequenceRole !== 'mainshock';
+}
+
+/**
+ * One entry per sequence: a copy of the layer without the non-mainshock
+ * members. Layers without sequences come back unchanged.
+ */
+function collapseSequences(data) {
+  if (!data?.features?.some(isCollapsed)) return data;
+  const features = data.features.filter(e => !isCollapsed(e));
+  return {
+    ...data,
+    features,
+    count: features.length,
+    collapsed: data.features.length - features.length
+  };
+}
+
+module.exports = { detectSequences, collapseSequences, isCollapsed, sequenceWindow, omoriP };
@@ -0,0 +1,124 @@
+// ============================================================================
+// severity.js — Normalized Cross-Hazard Severity Score
+// Drop into: /var/www/realnow/backend/enhancements/severity.js
+// ============================================================================
+//
+// Every hazard speaks its own severity language. This module maps each one
+// onto a single 0–100 severityScore plus a severityBucket, so events of
+// different types can be sorted, thresholded and charted on one scale.
+//
+// Scale (each layer's inputs are interpolated between these anchors):
+//
+//   Layer         Input                 ~25 (moderate)  ~50 (severe)  ~75 (critical)
+//   earthquakes   magnitude / PAGER     M4              M5            M6 / orange
+//   cyclones      windSpeed (km/h)      —               Cat 2 (154)   Cat 4 (209)
+//   fires         FRP (MW)              50              100           200
+//   firecomplexes total FRP (MW)        100             500           2000
+//   weather       NWS severity          Minor 15, Moderate 40, Severe 65, Extreme 90
+//   tsunamis      bulletin level        Information 20, Advisory 45, Watch 65, Warning 90
+//   spaceweather  Kp / NOAA G·S·R       —               Kp 6, level 2 Kp 7, level 3
+//   landslides    fatalities            —               1             10
+//   ashadvisories top flight level      FL100           FL200         FL300
+//   conflicts     intensity 1–5 / toll  2               4 / 1 death   10 deaths
+//                 (then scaled by GDELT confidence: ×0.5 at 0, ×1 at 100)
+//   GDACS-style   alertLevel            Green 20, Yellow 40, Orange 65, Red 90
+//
+// Where a layer has both a physical measure and an alert level the higher
+// of the two wins. Events GDACS / EONET mark as no longer active are halved.
+//
+// Buckets: critical ≥ 75, severe ≥ 50, moderate ≥ 25, minor below.
+// ============================================================================
+
+const BUCKETS = [
+  { name: 'critical', min: 75 },
+  { name: 'severe',   min: 50 },
+  { name: 'moderate', min: 25 },
+  { name: 'minor',    min: 0 }
+];
+
+const ALERT_LEVEL_SCORES = { green: 20, yellow: 40, orange: 65, red: 90 };
+const NWS_SEVERITY_SCORES = { unknown: 10, minor: 15, moderate: 40, severe: 65, extreme: 90 };
+const TSUNAMI_SCORES = { information: 20, advisory: 45, watch: 65, warning: 90 };
+
+// [input, score] anchors, ascending
+const MAGNITUDE_CURVE = [[2.5, 0], [4, 25], [5, 50], [6, 75], [7, 90], [8, 100]];
+const WIND_CURVE = [[63, 10], [119, 35], [154, 50], [178, 62], [209, 75], [252, 90], [300, 100]];
+const FRP_CURVE = [[0, 5], [50, 25], [100, 50], [200, 75], [500, 100]];
+const COMPLEX_FRP_CURVE = [[0, 5], [100, 25], [500, 50], [2000, 75], [10000, 100]];
+const KP_CURVE = [[0, 0], [4, 20], [5, 30], [6, 50], [7, 75], [8, 85], [9, 100]];
+const FATALITY_CURVE = [[0, 20], [1, 50], [10, 75], [50, 90], [100, 100]];
+// Ash cloud top (flight level): FL300+ is where jets cruise
+const ASH_FL_CURVE = [[0, 15], [100, 25], [200, 50], [300, 75], [450, 90], [600, 100]];
+// GDELT headline intensity, 1 (reported) … 5 (deadly)
+const CONFLICT_INTENSITY_SCORES = [0, 15, 25, 40, 50, 60];
+// Highest of the G / S / R levels
+const SPACE_SCALE_SCORES = [0, 30, 50, 75, 85, 100];
+
+function interpolate(value, curve) {
+  if (typeof value !== 'number' || isNaN(value)) return 0;
+  if (value <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [x1, y1] = curve[i];
+    if (value <= x1) {
+      const [x0, y0] = curve[i - 1];
+      return y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+function lookup(value, table) {
+  return table[String(value || '').toLowerCase()] || 0;
+}
+
+const SCORERS = {
+  earthquakes: e => Math.max(interpolate(e.magnitude, MAGNITUDE_CURVE), lookup(e.alert, ALERT_LEVEL_SCORES)),
+  cyclones: e => Math.max(interpolate(e.windSpeed, WIND_CURVE), lookup(e.alertLevel, ALERT_LEVEL_SCORES)),
+  wildfires: e => Math.max(lookup(e.alertLevel, ALERT_LEVEL_SCORES), e.affectedArea > 1000 ? 75 : 0),
+  fires: e => interpolate(e.frp, FRP_CURVE),
+  firecomplexes: e => interpolate(e.totalFrp, COMPLEX_FRP_CURVE),
+  weather: e => lookup(e.severity, NWS_SEVERITY_SCORES),
+  tsunamis: e => lookup(e.severity, TSUNAMI_SCORES),
+  spaceweather: e => Math.max(interpolate(e.currentKp, KP_CURVE), SPACE_SCALE_SCORES[e.scales?.maxLevel || 0] || 0),
+  landslides: e => interpolate(e.fatalities || 0, FATALITY_CURVE),
+  ashadvisories: e => interpolate(e.maxFlightLevel, ASH_FL_CURVE),
+  // News-derived, so a thinly sourced incident counts for less
+  conflicts: e => Math.max(
+    CONFLICT_INTENSITY_SCORES[e.intensity] || 0,
+    typeof e.fatalities === 'number' ? interpolate(e.fatalities, FATALITY_CURVE) : 0
+  ) * (0.5 + (e.confidence || 0) / 200)
+};
+
+function defaultScorer(e) {
+  return lookup(e.alertLevel, ALERT_LEVEL_SCORES) || lookup(e.severity, NWS_SEVERITY_SCORES);
+}
+
+function bucketFor(score) {
+  return BUCKETS.find(b => score >= b.min).name;
+}
+
+/**
+ * Score one event.
+ * @param {string} type — Layer name (merge inputs such as floods_gdacs score as their merged layer)
+ * @returns {{ severityScore: number, severityBucket: string }}
+ */
+function scoreEvent(type, event) {
+  const layer = type.split('_')[0];
+  const scorer = SCORERS[layer] || defaultScorer;
+  let score = scorer(event) || 0;
+  if (event.isActive === false) score /= 2;
+  score = Math.round(Math.max(0, Math.min(100, score)));
+  return { severityScore: score, severityBucket: bucketFor(score) };
+}
+
+/**
+ * Annotate every feature of a layer payload in place.
+ */
+function applySeverity(type, data) {
+  (data?.features || []).forEach(event => {
+    Object.assign(event, scoreEvent(type, event));
+  });
+  return data;
+}
+
+module.exports = { scoreEvent, applySeverity, bucketFor, BUCKETS };
@@ -0,0 +1,259 @@
+// ============================================================================
+// socket-filters.js — Server-Side Filtered Socket Subscriptions
+// Drop into: /var/www/realnow/backend/enhancements/socket-filters.js
+// ============================================================================
+//
+// `subscribe` with a list of layers puts a socket in the layer:<type> rooms
+// and it receives whole layers. A mobile client looking at one city does not
+// need ten thousand hotspots, so `subscribe` also takes a filter:
+//
+//   { types: ['fires', ...], bbox: [minLon, minLat, maxLon, maxLat],
+//     minSeverity: 40 | 'severe', countries: ['USA', 'Chile'] }
+//
+// Sockets with the same normalized filter share a filter:<hash> room. The
+// bbox is snapped outwards to whole degrees so nearby viewports land in the
+// same room. Each room receives:
+//
+//   update:<type>   the filtered layer, once, when the socket subscribes
+//   delta:<type>    { type, upserts, removed, count } after every layer store,
+//                   diffed against what the room was last sent
+//   event:<kind>    lifecycle transitions whose event matches the filter
+//
+// Sending a new filter (e.g. after the map moved) moves the socket to the
+// matching room and sends fresh snapshots.
+// ============================================================================
+
+const crypto = require('crypto');
+const { getCoords } = require('./geo-dedup');
+const { parseBbox, inBbox } = require('./history');
+const { BUCKETS } = require('./severity');
+const { diffSnapshots } = require('./lifecycle');
+const { matchesCountry } = require('./event-index');
+
+const ROOM_PREFIX = 'filter:';
+const MAX_COUNTRIES = 20;
+
+const wrapLon = (lon) => ((lon + 540) % 360) - 180;
+
+/**
+ * Snap a bbox outwards to whole degrees and bring longitudes into
+ * [-180, 180]. A box spanning the whole globe keeps only its latitudes.
+ */
+function snapBbox({ minLon, minLat, maxLon, maxLat }) {
+  const lat = {
+    minLat: Math.max(-90, Math.floor(minLat)),
+    maxLat: Math.min(90, Math.ceil(maxLat))
+  };
+  if (maxLon - minLon >= 360) return { minLon: -180, maxLon: 180, ...lat };
+  const west = Math.floor(minLon);
+  const east = Math.ceil(maxLon);
+  if (east - west >= 360) return { minLon: -180, maxLon: 180, ...lat };
+  return {
+    minLon: west === 180 ? 180 : wrapLon(west),
+    maxLon: east === 180 ? 180 : wrapLon(east),
+    ...lat
+  };
+}
+
+/**
+ * Validate a subscribe filter.
+ * @param {Object} input — { types, bbox, minSeverity, countries }
+ * @param {Array} knownTypes — layers that can be subscribed to
+ * Returns { filter } or { error }.
+ */
+function parseFilter(input, knownTypes = []) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Filter must be an object' };
+  }
+  const filter = { types: [...knownTypes].sort(), bbox: null, minSeverity: 0, countries: null };
+
+  if (input.types !== undefined) {
+    if (!Array.isArray(input.types)) return { error: '"types" must be an array' };
+    // Like the list form, layers this server does not have are ignored
+    const types = input.types.filter(t => knownTypes.includes(t));
+    if (!types.length) return { error: 'No known layers in "types"' };
+    filter.types = [...new Set(types)].sort();
+  }
+
+  if (input.bbox !== undefined && input.bbox !== null) {
+    const bbox = parseBbox(Array.isArray(input.bbox) ? input.bbox.join(',') : input.bbox);
+    if (!bbox) {
+      return { error: 'Invalid "bbox" — expected [minLon, minLat, maxLon, maxLat]' };
+    }
+    filter.bbox = snapBbox(bbox);
+  }
+
+  // A 0-100 severityScore threshold, or a bucket name meaning its lower bound
+  if (input.minSeverity !== undefined && input.minSeverity !== null) {
+    const value = String(input.minSeverity).toLowerCase();
+    const bucket = BUCKETS.find(b => b.name === value);
+    const min = bucket ? bucket.min : parseFloat(value);
+    if (isNaN(min) || min < 0 || min > 100) {
+      return { error: 'Invalid "minSeverity" — use a 0-100 score or minor/moderate/severe/critical' };
+    }
+    filter.minSeverity = min;
+  }
+
+  if (input.countries !== undefined && input.countries !== null) {
+    if (!Array.isArray(input.countries) || input.countries.length > MAX_COUNTRIES) {
+      return { error: `"countries" must be an array of at most ${MAX_COUNTRIES} names or ISO3 codes` };
+    }
+    const countries = input.countries.map(c => String(c).trim()).filter(Boolean);
+    filter.countries = countries.length ? [...new Set(countries.map(c => c.toLowerCase()))].sort() : null;
+  }
+
+  return { filter };
+}
+
+function roomFor(filter) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(filter)).digest('hex').slice(0, 12);
+  return `${ROOM_PREFIX}${hash}`;
+}
+
+// Bounding box of a (Multi)Polygon, or null
+function geometryBounds(geometry) {
+  const rings = geometry?.type === 'Polygon' ? geometry.coordinates
+    : geometry?.type === 'MultiPolygon' ? geometry.coordinates.flat() : [];
+  let bounds = null;
+  rings.forEach(ring => ring.forEach(([lon, lat]) => {
+    if (!bounds) bounds = { minLon: lon, minLat: lat, maxLon: lon, maxLat: lat };
+    bounds.minLon = Math.min(bounds.minLon, lon);
+    bounds.minLat = Math.min(bounds.minLat, lat);
+    bounds.maxLon = Math.max(bounds.maxLon, lon);
+    bounds.maxLat = Math.max(bounds.maxLat, lat);
+  }));
+  return bounds;
+}
+
+function lonRangesOverlap(a, b) {
+  // A bbox whose minLon > maxLon crosses the antimeridian
+  const ranges = (box) => box.minLon <= box.maxLon
+    ? [[box.minLon, box.maxLon]]
+    : [[box.minLon, 180], [-180, box.maxLon]];
+  return ranges(a).some(([w1, e1]) => ranges(b).some(([w2, e2]) => w1 <= e2 && w2 <= e1));
+}
+
+/**
+ * An event is in the bbox when its point is, or when its area's bounds
+ * overlap the bbox — a warning polygon covering the viewport counts even
+ * if its centre is elsewhere.
+ */
+function inFilterBbox(event, bbox) {
+  if (inBbox(getCoords(event), bbox)) return true;
+  const bounds = geometryBounds(event.geometry);
+  if (!bounds) return false;
+  if (bounds.maxLat < bbox.minLat || bounds.minLat > bbox.maxLat) return false;
+  return lonRangesOverlap(bounds, bbox);
+}
+
+function matchesFilter(event, filter) {
+  if (!event) return false;
+  if (filter.minSeverity && (event.severityScore || 0) < filter.minSeverity) return false;
+  if (filter.countries && !filter.countries.some(c => matchesCountry(event, c))) return false;
+  if (filter.bbox && !inFilterBbox(event, filter.bbox)) return false;
+  return true;
+}
+
+function filterLayer(data, filter) {
+  const features = (data?.features || []).filter(event => matchesFilter(event, filter));
+  return { ...data, count: features.length, features, filtered: true };
+}
+
+class FilterRooms {
+  /**
+   * @param {Object} io — socket.io server
+   * @param {Object} options
+   * @param {Function} options.loadLayer — async type → cached layer payload or null
+   * @param {Function} options.knownTypes — () → layers that can be subscribed to
+   */
+  constructor(io, { loadLayer, knownTypes }) {
+    this.io = io;
+    this.loadLayer = loadLayer;
+    this.knownTypes = knownTypes;
+    // room → { filter, sent: Map<type, features last pushed to the room> }
+    this.rooms = new Map();
+  }
+
+  /**
+   * Move a socket into the room for a filter and send it the filtered layers.
+   * @returns {Promise<Object>} { room, filter } or { error }
+   */
+  async subscribe(socket, input) {
+    const { filter, error } = parseFilter(input, this.knownTypes());
+    if (error) return { error };
+
+    const room = roomFor(filter);
+    if (socket.data.filterRoom === room) return { room, filter };
+    this.unsubscribe(socket);
+
+    const snapshots = {};
+    for (const type of filter.types) {
+      const data = await this.loadLayer(type);
+      if (data) snapshots[type] = filterLayer(data, filter);
+    }
+
+    if (!this.rooms.has(room)) {
+      const sent = new Map(Object.entries(snapshots).map(([type, layer]) => [type, layer.features]));
+      this.rooms.set(room, { filter, sent });
+    }
+    socket.join(room);
+    socket.data.filterRoom = room;
+    Object.entries(snapshots).forEach(([type, layer]) => socket.emit(`update:${type}`, layer));
+
+    return { room, filter };
+  }
+
+  unsubscribe(socket) {
+    const room = socket.data.filterRoom;
+    if (!room) return;
+    socket.leave(room);
+    socket.data.filterRoom = null;
+    this._prune(room);
+  }
+
+  _prune(room) {
+    if (!this.io.sockets.adapter.rooms.get(room)?.size) this.rooms.delete(room);
+  }
+
+  /**
+   * Relay hook: every update:<type> and event:<kind> delivered on this instance.
+   */
+  handle(event, payload) {
+    if (event.startsWith('update:')) this._layerUpdated(event.slice('update:'.length), payload);
+    else if (event.startsWith('event:')) this._transition(event, payload);
+  }
+
+  _layerUpdated(type, data) {
+    this.rooms.forEach((state, room) => {
+      if (!state.filter.types.includes(type)) return;
+      this._prune(room);
+      if (!this.rooms.has(room)) return;
+
+      const next = filterLayer(data, state.filter).features;
+      const transitions = diffSnapshots(type, state.sent.get(type) || [], next);
+      state.sent.set(type, next);
+      if (transitions.length === 0) return;
+
+      this.io.to(room).emit(`delta:${type}`, {
+        type,
+        upserts: transitions.filter(t => t.kind !== 'ended').map(t => t.event),
+        removed: transitions.filter(t => t.kind === 'ended').map(t => t.id),
+        count: next.length
+      });
+    });
+  }
+
+  _transition(event, transition) {
+    this.rooms.forEach((state, room) => {
+      if (!state.filter.types.includes(transition?.type)) return;
+      if (!matchesFilter(transition.event, state.filter)) return;
+      this.io.to(room).emit(event, transition);
+    });
+  }
+
+  stats() {
+    return { rooms: this.rooms.size };
+  }
+}
+
+module.exports = { FilterRooms, parseFilter, matchesFilter, filterLayer, snapBbox };
@@ -0,0 +1,334 @@
+// ============================================================================
+// space-weather.js — SWPC Space-Weather Model and NOAA G / S / R Scales
+// Drop into: /var/www/realnow/backend/enhancements/space-weather.js
+// ============================================================================
+//
+// The planetary K-index only describes geomagnetic activity. Alongside it
+// the following SWPC products are read into one model:
+//
+//   GOES X-ray flux (0.1–0.8 nm)      current and 6 h peak flare class
+//   GOES ≥10 MeV integral protons     solar radiation storm level
+//   DSCOVR/ACE solar wind             speed, density, Bt, Bz (GSM)
+//   Planetary Kp forecast             predicted Kp per UTC day (3 days)
+//   alerts.json                       active watches / warnings / alerts
+//
+// and assessed against the NOAA space weather scales:
+//
+//   G  geomagnetic storms   Kp 5 / 6 / 7 / 8 / 9                 → G1–G5
+//   S  radiation storms     ≥10 MeV flux 10 / 10² / 10³ / 10⁴ / 10⁵ pfu
+//   R  radio blackouts      X-ray peak M1 / M5 / X1 / X10 / X20
+//
+// A product that fails to load leaves its part of the model null; the Kp
+// reading alone still yields a G assessment.
+// ============================================================================
+
+const axios = require('axios');
+
+const SWPC = 'https://services.swpc.noaa.gov';
+const SWPC_PRODUCTS = {
+  xrays: `${SWPC}/json/goes/primary/xrays-6-hour.json`,
+  protons: `${SWPC}/json/goes/primary/integral-protons-6-hour.json`,
+  plasma: `${SWPC}/products/solar-wind/plasma-2-hour.json`,
+  mag: `${SWPC}/products/solar-wind/mag-2-hour.json`,
+  kpForecast: `${SWPC}/products/noaa-planetary-k-index-forecast.json`,
+  alerts: `${SWPC}/products/alerts.json`
+};
+
+const SCALE_TEXT = ['None', 'Minor', 'Moderate', 'Strong', 'Severe', 'Extreme'];
+
+// Lower bound of each level 1–5
+const S_THRESHOLDS = [10, 1e2, 1e3, 1e4, 1e5];
+const R_THRESHOLDS = [1e-5, 5e-5, 1e-4, 1e-3, 2e-3];
+
+const FLARE_CLASSES = [['X', 1e-4], ['M', 1e-5], ['C', 1e-6], ['B', 1e-7], ['A', 1e-8]];
+
+// How long an SWPC product stays relevant after issue when it states no
+// validity period of its own
+const PRODUCT_LIFETIME_HOURS = { WATCH: 72, WARNING: 24, ALERT: 24, SUMMARY: 24 };
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const HOUR = 60 * 60 * 1000;
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+// SWPC time tags are UTC without a zone ('2026-10-19 14:38:12.857' / '2026-10-19T14:38:00Z')
+function swpcTime(tag) {
+  if (!tag) return null;
+  const iso = String(tag).trim().replace(' ', 'T');
+  const t = Date.parse(/Z$|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso}Z`);
+  return isNaN(t) ? null : t;
+}
+
+function levelFor(value, thresholds) {
+  if (value === null || value === undefined) return 0;
+  let level = 0;
+  thresholds.forEach((min, i) => { if (value >= min) level = i + 1; });
+  return level;
+}
+
+/**
+ * Kp → G level. Kp arrives in thirds (4.67 is "5-"), which NOAA counts
+ * towards the next whole value.
+ */
+function geomagneticLevel(kp) {
+  if (kp === null || kp === undefined) return 0;
+  return Math.max(0, Math.min(5, Math.round(kp) - 4));
+}
+
+function scale(letter, level, basis) {
+  return { level, label: `${letter}${level}`, text: SCALE_TEXT[level], basis };
+}
+
+/**
+ * 0.1–0.8 nm flux (W/m²) → flare class, e.g. 2.3e-5 → 'M2.3'.
+ */
+function flareClass(flux) {
+  if (!(flux > 0)) return null;
+  const [letter, base] = FLARE_CLASSES.find(([, b]) => flux >= b) || FLARE_CLASSES[FLARE_CLASSES.length - 1];
+  return `${letter}${(flux / base).toFixed(1)}`;
+}
+
+/**
+ * xrays-6-hour.json → current and peak long-channel flux.
+ */
+function parseXrays(rows) {
+  const long = (Array.isArray(rows) ? rows : [])
+    .filter(r => r.energy === '0.1-0.8nm' && toNumber(r.flux) !== null)
+    .map(r => ({ time: swpcTime(r.time_tag), flux: toNumber(r.flux) }))
+    .filter(r => r.time !== null)
+    .sort((a, b) => a.time - b.time);
+  if (long.length === 0) return null;
+
+  const latest = long[long.length - 1];
+  const peak = long.reduce((best, r) => (r.flux > best.flux ? r : best), long[0]);
+  return {
+    flux: latest.flux,
+    class: flareClass(latest.flux),
+    time: new Date(latest.time).toISOString(),
+    peakFlux: peak.flux,
+    peakClass: flareClass(peak.flux),
+    peakTime: new Date(peak.time).toISOString()
+  };
+}
+
+/**
+ * integral-protons-6-hour.json → latest ≥10 MeV flux (pfu).
+ */
+function parseProtons(rows) {
+  const p10 = (Array.isArray(rows) ? rows : [])
+    .filter(r => r.energy === '>=10 MeV' && toNumber(r.flux) !== null)
+    .map(r => ({ time: swpcTime(r.time_tag), flux: toNumber(r.flux) }))
+    .filter(r => r.time !== null)
+    .sort((a, b) => a.time - b.time);
+  if (p10.length === 0) return null;
+  const latest = p10[p10.length - 1];
+  return { flux10MeV: latest.flux, time: new Date(latest.time).toISOString() };
+}
+
+/**
+ * Header-row table (SWPC "products" format) → latest complete row as an object.
+ */
+function latestRow(table, fields) {
+  if (!Array.isArray(table) || table.length < 2) return null;
+  const header = table[0];
+  for (let i = table.length - 1; i > 0; i--) {
+    const row = Object.fromEntries(header.map((name, j) => [name, table[i][j]]));
+    if (fields.every(f => toNumber(row[f]) !== null)) return row;
+  }
+  return null;
+}
+
+function parseSolarWind(plasma, mag) {
+  const p = latestRow(plasma, ['speed', 'density']);
+  const m = latestRow(mag, ['bz_gsm', 'bt']);
+  if (!p && !m) return null;
+  return {
+    speed: p ? Math.round(toNumber(p.speed)) : null,
+    density: p ? toNumber(p.density) : null,
+    bz: m ? toNumber(m.bz_gsm) : null,
+    bt: m ? toNumber(m.bt) : null,
+    time: new Date(swpcTime((p || m).time_tag)).toISOString()
+  };
+}
+
+/**
+ * noaa-planetary-k-index-forecast.json → predicted max Kp per UTC day.
+ */
+function parseKpForecast(table, now = Date.now()) {
+  if (!Array.isArray(table) || table.length < 2) return null;
+  const header = table[0];
+  const col = name => header.indexOf(name);
+  const byDay = new Map();
+
+  table.slice(1).forEach(row => {
+    const time = swpcTime(row[col('time_tag')]);
+    const kp = toNumber(row[col('kp')]);
+    if (time === null || kp === null || row[col('observed')] !== 'predicted' || time < now - 3 * HOUR) return;
+    const date = new Date(time).toISOString().slice(0, 10);
+    byDay.set(date, Math.max(byDay.get(date) ?? 0, kp));
+  });
+  if (byDay.size === 0) return null;
+
+  const days = [...byDay.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .slice(0, 3)
+    .map(([date, maxKp]) => ({ date, maxKp, gScale: scale('G', geomagneticLevel(maxKp), `Kp ${maxKp}`).label }));
+  const maxKp = Math.max(...days.map(d => d.maxKp));
+  return { days, maxKp, maxG: geomagneticLevel(maxKp) };
+}
+
+// '2026 Oct 19 1500 UTC' → ms
+function messageTime(text) {
+  const m = /(\d{4})\s+([A-Za-z]{3})\s+(\d{1,2})\s+(\d{2})(\d{2})\s*UTC/.exec(text || '');
+  if (!m) return null;
+  const month = MONTHS.indexOf(m[2]);
+  return month < 0 ? null : Date.UTC(+m[1], month, +m[3], +m[4], +m[5]);
+}
+
+/**
+ * alerts.json → watches / warnings / alerts still in effect, newest first.
+ */
+function parseAlerts(products, now = Date.now()) {
+  const parsed = (Array.isArray(products) ? products : []).map(p => {
+    const message = String(p.message || '').replace(/\r/g, '');
+    const heading = /^(CANCEL WATCH|CANCEL WARNING|EXTENDED WARNING|CONTINUED ALERT|WATCH|WARNING|ALERT|SUMMARY):\s*(.+)$/m.exec(message);
+    if (!heading) return null;
+
+    const kind = heading[1].replace(/^(EXTENDED|CONTINUED) /, '');
+    const validTo = messageTime((/(?:Valid To|Now Valid Until):\s*(.+)/.exec(message) || [])[1]);
+    const serial = (/^Serial Number:\s*(\d+)/m.exec(message) || [])[1] || null;
+    return {
+      id: `swpc_${p.product_id || 'product'}_${serial || swpcTime(p.issue_datetime)}`,
+      code: (/Space Weather Message Code:\s*(\w+)/.exec(message) || [])[1] || p.product_id || null,
+      serial,
+      cancels: (/Cancel Serial Number:\s*(\d+)/.exec(message) || [])[1] || null,
+      extends: (/Extension to Serial Number:\s*(\d+)/.exec(message) || [])[1] || null,
+      kind: kind.toLowerCase().replace(' ', '_'),
+      headline: heading[2].trim(),
+      // Watches name the category in the headline only ('Geomagnetic Storm Category G2 Predicted')
+      scale: (/NOAA Scale:\s*([GSR][1-5])/.exec(message) || /\b([GSR][1-5])\b/.exec(heading[2]) || [])[1] || null,
+      issued: swpcTime(p.issue_datetime),
+      validFrom: messageTime((/Valid From:\s*(.+)/.exec(message) || [])[1]),
+      validTo
+    };
+  }).filter(a => a && a.issued !== null);
+
+  // Cancelled and superseded (extended) products drop out
+  const retired = new Set(parsed.flatMap(a => [a.cancels, a.extends]).filter(Boolean));
+
+  return parsed
+    .filter(a => !a.kind.startsWith('cancel') && !retired.has(a.serial))
+    .filter(a => {
+      if (a.validTo !== null) return a.validTo > now;
+      const hours = PRODUCT_LIFETIME_HOURS[a.kind.toUpperCase()] || 24;
+      return now - a.issued <= hours * HOUR;
+    })
+    .sort((a, b) => b.issued - a.issued)
+    .map(a => ({
+      id: a.id,
+      code: a.code,
+      kind: a.kind,
+      headline: a.headline,
+      scale: a.scale,
+      issued: new Date(a.issued).toISOString(),
+      validFrom: a.validFrom !== null ? new Date(a.validFrom).toISOString() : null,
+      validTo: a.validTo !== null ? new Date(a.validTo).toISOString() : null
+    }));
+}
+
+/**
+ * NOAA G / S / R assessment of the model's current readings.
+ */
+function assessScales({ kp, xray, protons, forecast }) {
+  const G = scale('G', geomagneticLevel(kp), kp !== null && kp !== undefined ? `Kp ${kp}` : null);
+  const S = scale('S', levelFor(protons?.flux10MeV, S_THRESHOLDS),
+    protons ? `${protons.flux10MeV} pfu ≥10 MeV` : null);
+  // Blackouts follow the flare, so the 6 h peak counts, not just this minute
+  const R = scale('R', levelFor(xray?.peakFlux, R_THRESHOLDS), xray ? `X-ray peak ${xray.peakClass}` : null);
+  return {
+    G,
+    S,
+    R,
+    maxLevel: Math.max(G.level, S.level, R.level),
+    predictedG: forecast ? scale('G', forecast.maxG, `Kp ${forecast.maxKp} forecast`) : null
+  };
+}
+
+/**
+ * Plain-language summary of the worst current scale.
+ */
+function describeScales(scales) {
+  const worst = [scales.G, scales.S, scales.R].sort((a, b) => b.level - a.level)[0];
+  if (!worst || worst.level === 0) {
+    return scales.predictedG?.level > 0
+      ? `Quiet now; ${scales.predictedG.text.toLowerCase()} (${scales.predictedG.label}) geomagnetic storm forecast`
+      : 'Quiet conditions - No significant impacts';
+  }
+  const kind = { G: 'geomagnetic storm', S: 'solar radiation storm', R: 'radio blackout' }[worst.label[0]];
+  return `${worst.text} ${kind} (${worst.label})`;
+}
+
+class SpaceWeatherFeed {
+  /**
+   * @param {Object} options — { fetch(url) → Promise<Object> } (defaults to axios)
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || (async url => {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        headers: { 'User-Agent': 'RealNow-DisasterTracker/5.0', 'Accept': 'application/json' }
+      });
+      return response.data;
+    });
+  }
+
+  async load(url) {
+    try {
+      return await this.fetch(url);
+    } catch (error) {
+      console.error(`⚠️ [SpaceWeather] ${url} — ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Load the secondary SWPC products and build the model around a Kp reading.
+   * @param {Object} kpReading — { kpIndex, time, estimated }
+   * @returns {Promise<Object>} { xray, protons, solarWind, forecast, alerts, scales, description }
+   */
+  async read(kpReading, now = Date.now()) {
+    const names = Object.keys(SWPC_PRODUCTS);
+    const docs = await Promise.all(names.map(name => this.load(SWPC_PRODUCTS[name])));
+    const data = Object.fromEntries(names.map((name, i) => [name, docs[i]]));
+
+    const model = {
+      xray: parseXrays(data.xrays),
+      protons: parseProtons(data.protons),
+      solarWind: parseSolarWind(data.plasma, data.mag),
+      forecast: parseKpForecast(data.kpForecast, now),
+      alerts: parseAlerts(data.alerts, now)
+    };
+    model.scales = assessScales({ kp: kpReading?.kpIndex ?? null, ...model });
+    model.description = describeScales(model.scales);
+
+    const loaded = docs.filter(Boolean).length;
+    console.log(`☀️ [SpaceWeather] ${model.scales.G.label}/${model.scales.S.label}/${model.scales.R.label}, ${model.alerts.length} active products (${loaded}/${names.length} feeds)`);
+    return model;
+  }
+}
+
+module.exports = {
+  SpaceWeatherFeed,
+  SWPC_PRODUCTS,
+  parseXrays,
+  parseProtons,
+  parseSolarWind,
+  parseKpForecast,
+  parseAlerts,
+  assessScales,
+  flareClass,
+  geomagneticLevel
+};
@@ -0,0 +1,193 @@
+// ============================================================================
+// sse.js — Server-Sent Events Stream (/api/stream)
+// Drop into: /var/www/realnow/backend/enhancements/sse.js
+// ============================================================================
+//
+// A plain-HTTP alternative to socket.io for consumers behind proxies that
+// break WebSockets, or scripts without a socket.io client:
+//
+//   GET /api/stream?types=earthquakes,fires&bbox=-125,32,-114,42
+//       &minSeverity=severe&countries=USA
+//
+// The filter is the one socket `subscribe` takes (socket-filters.js). The
+// stream carries the socket event names:
+//
+//   event: update:<type>   data: the filtered layer, on connect and after
+//                          every store
+//   event: event:<kind>    data: a lifecycle transition matching the filter
+//   id:    <streamId>      on transitions only — the lifecycle:transitions
+//                          stream id
+//
+// A reconnect with Last-Event-ID (header, or ?lastEventId= for clients that
+// cannot set it) replays the transitions recorded since that id instead of
+// resending snapshots. Layers outside lifecycle diffing (fires) catch up at
+// their next update. A comment line every HEARTBEAT_MS keeps idle proxies
+// from closing the connection.
+//
+// A client that has not drained its previous frame by the time the next one
+// is due is closed rather than buffered without bound; it reconnects with
+// its Last-Event-ID and replays what it missed.
+//
+// The hub is fed by the update relay (cluster.js), so a stream on any
+// instance sees every instance's updates.
+// ============================================================================
+
+const { parseFilter, matchesFilter, filterLayer } = require('./socket-filters');
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+const MAX_CLIENTS = 500;
+const MAX_REPLAY = 1000;
+
+function parseList(value) {
+  if (!value) return undefined;
+  return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Validate /api/stream query parameters.
+ * Returns { filter, lastEventId } or { error } with a message suitable for a 400.
+ */
+function parseStreamQuery(query = {}, headers = {}, knownTypes = []) {
+  const { filter, error } = parseFilter({
+    types: parseList(query.types),
+    bbox: query.bbox,
+    minSeverity: query.minSeverity,
+    countries: parseList(query.countries)
+  }, knownTypes);
+  if (error) return { error };
+
+  const lastEventId = headers['last-event-id'] || query.lastEventId || null;
+  if (lastEventId && !/^\d+-\d+$/.test(lastEventId)) {
+    return { error: 'Invalid "Last-Event-ID" — expected a transition streamId' };
+  }
+  return { filter, lastEventId };
+}
+
+function frame({ event, id, data }) {
+  let out = '';
+  if (id) out += `id: ${id}\n`;
+  if (event) out += `event: ${event}\n`;
+  return `${out}data: ${JSON.stringify(data)}\n\n`;
+}
+
+class SseHub {
+  constructor(options = {}) {
+    this.heartbeatMs = options.heartbeatMs || HEARTBEAT_MS;
+    this.maxClients = options.maxClients || MAX_CLIENTS;
+    this.clients = new Set();
+    this.timer = null;
+  }
+
+  get full() {
+    return this.clients.size >= this.maxClients;
+  }
+
+  /**
+   * Open the stream on an Express response.
+   * @param {Object} options — { filter, snapshots: { type: layer }, replay: [transitions] }
+   */
+  open(req, res, { filter, snapshots = {}, replay = [] }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // nginx would otherwise buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, filter, blocked: false };
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+
+    // The opening burst may fill the socket buffer; it is written in full and
+    // only later frames wait for it to drain
+    let flushed = true;
+    Object.entries(snapshots).forEach(([type, data]) => {
+      flushed = res.write(frame({ event: `update:${type}`, data: filterLayer(data, filter) })) !== false && flushed;
+    });
+    replay.forEach(transition => {
+      if (!this._matches(client, transition)) return;
+      flushed = res.write(frame({ event: `event:${transition.kind}`, id: transition.streamId, data: transition })) !== false && flushed;
+    });
+    if (!flushed) this._block(client);
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+      if (this.timer.unref) this.timer.unref();
+    }
+    return client;
+  }
+
+  heartbeat() {
+    const line = `: heartbeat ${new Date().toISOString()}\n\n`;
+    this.clients.forEach(client => this._write(client, line));
+    if (this.clients.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Relay hook: every update:<type> and event:<kind> delivered on this instance.
+   */
+  handle(event, payload) {
+    if (this.clients.size === 0) return;
+
+    if (event.startsWith('update:')) {
+      const type = event.slice('update:'.length);
+      this.clients.forEach(client => {
+        if (!client.filter.types.includes(type)) return;
+        this._write(client, frame({ event, data: filterLayer(payload, client.filter) }));
+      });
+    } else if (event.startsWith('event:')) {
+      this.clients.forEach(client => this._sendTransition(client, event, payload));
+    }
+  }
+
+  _matches(client, transition) {
+    return client.filter.types.includes(transition?.type) && matchesFilter(transition.event, client.filter);
+  }
+
+  _sendTransition(client, event, transition) {
+    if (!this._matches(client, transition)) return;
+    this._write(client, frame({ event, id: transition.streamId, data: transition }));
+  }
+
+  // Write a frame, or close a client still backed up from the last one
+  _write(client, chunk) {
+    if (client.blocked) {
+      this._drop(client);
+      return;
+    }
+    if (client.res.write(chunk) === false) this._block(client);
+  }
+
+  _block(client) {
+    client.blocked = true;
+    client.res.once('drain', () => { client.blocked = false; });
+  }
+
+  _drop(client) {
+    this.clients.delete(client);
+    client.res.end();
+  }
+
+  /**
+   * End every open stream, e.g. before server.close(), which would otherwise
+   * wait for them.
+   */
+  close() {
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  stats() {
+    return { clients: this.clients.size };
+  }
+}
+
+module.exports = { SseHub, parseStreamQuery, MAX_REPLAY };
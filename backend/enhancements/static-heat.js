@@ -0,0 +1,229 @@
+// ============================================================================
+// static-heat.js — Persistent Heat Source Mask for FIRMS Hotspots
+// Drop into: /var/www/realnow/backend/enhancements/static-heat.js
+// ============================================================================
+//
+// Gas flares, refineries, steel mills and lava lakes are hot every night, so
+// FIRMS reports them as "fires" day after day. Wildfire fronts move; these
+// do not. The mask learns them from persistence:
+//
+//   cell       CELL_DEG grid (~1 km) of hotspot positions
+//   learned    the cell's 3×3 neighbourhood had detections on at least
+//              MIN_DAYS distinct UTC days within the last WINDOW_DAYS
+//   seeded     within radiusKm of an entry of data/static-heat-sources.json
+//              (or STATIC_HEAT_SOURCES_FILE)
+//
+// Each fetch only covers 3 days, so per-cell day lists are kept in Redis.
+// Cells are only tracked once their neighbourhood shows detections on two
+// different days — the one-off pixels of agricultural burns and wildfires,
+// the vast majority, never reach storage.
+//
+// Matching hotspots are tagged likelyStatic / staticSource; alerts and the
+// digest skip them unless the user turns the mask off (maskStaticHeat).
+//
+// Redis:
+//   fires:static   HASH  cell → JSON array of epoch days with detections
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const CELLS_KEY = 'fires:static';
+
+const CELL_DEG = 0.01;
+const MIN_DAYS = 10;
+const WINDOW_DAYS = 30;
+
+const DEFAULT_SOURCES_FILE = path.join(__dirname, '..', 'data', 'static-heat-sources.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+const KM_PER_DEG = 111.32;
+
+function cellOf(lat, lon) {
+  return [Math.floor(lat / CELL_DEG), Math.floor(lon / CELL_DEG)];
+}
+
+function neighbourhood([y, x]) {
+  const keys = [];
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) keys.push(`${y + dy}:${x + dx}`);
+  }
+  return keys;
+}
+
+/**
+ * UTC day number of a FIRMS acquisition date (YYYY-MM-DD).
+ */
+function epochDay(date) {
+  const t = Date.parse(`${date}T00:00:00Z`);
+  return isNaN(t) ? null : Math.floor(t / DAY);
+}
+
+/**
+ * Seed list → cell key → source name, covering each source's radius.
+ */
+function indexSources(sources) {
+  const cells = new Map();
+  (sources || []).forEach(source => {
+    const lat = Number(source.lat);
+    const lon = Number(source.lon);
+    if (isNaN(lat) || isNaN(lon)) return;
+    const radiusKm = Number(source.radiusKm) || 2;
+    const cosLat = Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+    const spanY = Math.ceil(radiusKm / KM_PER_DEG / CELL_DEG);
+    const spanX = Math.ceil(radiusKm / (KM_PER_DEG * cosLat) / CELL_DEG);
+    const [cy, cx] = cellOf(lat, lon);
+
+    for (let y = cy - spanY; y <= cy + spanY; y++) {
+      for (let x = cx - spanX; x <= cx + spanX; x++) {
+        // Distance from the source to the cell centre
+        const dy = ((y + 0.5) * CELL_DEG - lat) * KM_PER_DEG;
+        const dx = ((x + 0.5) * CELL_DEG - lon) * KM_PER_DEG * cosLat;
+        if (dx * dx + dy * dy <= radiusKm * radiusKm) {
+          const key = `${y}:${x}`;
+          if (!cells.has(key)) cells.set(key, `${source.type || 'static'}: ${source.name || 'unnamed'}`);
+        }
+      }
+    }
+  });
+  return cells;
+}
+
+function loadSources(file) {
+  try {
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8')).sources || [];
+  } catch (error) {
+    console.error(`❌ [StaticHeat] Could not read ${file}:`, error.message);
+    return [];
+  }
+}
+
+class StaticHeatMask {
+  /**
+   * @param {Object} redis
+   * @param {Object} options
+   * @param {Array} options.sources — Seed list; defaults to the bundled / configured file
+   */
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    const file = process.env.STATIC_HEAT_SOURCES_FILE
+      ? path.resolve(__dirname, '..', process.env.STATIC_HEAT_SOURCES_FILE)
+      : DEFAULT_SOURCES_FILE;
+    this.seeds = indexSources(options.sources || loadSources(file));
+    // cell → Set of epoch days; loaded from Redis on first use
+    this.cells = null;
+    this.staticCells = new Set();
+  }
+
+  async load() {
+    if (this.cells) return;
+    const stored = await this.redis.hGetAll(CELLS_KEY);
+    this.cells = new Map(Object.entries(stored || {}).map(([cell, days]) => [cell, new Set(JSON.parse(days))]));
+    this._recompute();
+    console.log(`🏭 [StaticHeat] ${this.cells.size} tracked cells, ${this.staticCells.size} static, ${this.seeds.size} seeded`);
+  }
+
+  _recompute() {
+    this.staticCells = new Set();
+    this.cells.forEach((_, cell) => {
+      const days = new Set();
+      neighbourhood(cell.split(':').map(Number)).forEach(key => {
+        (this.cells.get(key) || []).forEach(day => days.add(day));
+      });
+      if (days.size >= MIN_DAYS) this.staticCells.add(cell);
+    });
+  }
+
+  /**
+   * Fold a batch of detections into the per-cell day lists and persist the
+   * cells that changed.
+   * @param {Array} detections — FIRMS detections ({ latitude, longitude, date })
+   */
+  async learn(detections, now = Date.now()) {
+    await this.load();
+    const today = Math.floor(now / DAY);
+
+    const batch = new Map();
+    (detections || []).forEach(d => {
+      const day = epochDay(d.date);
+      if (day === null || day <= today - WINDOW_DAYS) return;
+      const key = cellOf(d.latitude, d.longitude).join(':');
+      if (!batch.has(key)) batch.set(key, new Set());
+      batch.get(key).add(day);
+    });
+
+    const changed = new Set();
+    batch.forEach((days, cell) => {
+      let tracked = this.cells.get(cell);
+      if (!tracked) {
+        // One-off pixels are not worth remembering
+        const seen = new Set();
+        neighbourhood(cell.split(':').map(Number)).forEach(key => {
+          (batch.get(key) || []).forEach(day => seen.add(day));
+          (this.cells.get(key) || []).forEach(day => seen.add(day));
+        });
+        if (seen.size < 2) return;
+        tracked = new Set();
+        this.cells.set(cell, tracked);
+      }
+      days.forEach(day => {
+        if (!tracked.has(day)) {
+          tracked.add(day);
+          changed.add(cell);
+        }
+      });
+    });
+
+    const expired = [];
+    this.cells.forEach((days, cell) => {
+      days.forEach(day => {
+        if (day <= today - WINDOW_DAYS) {
+          days.delete(day);
+          changed.add(cell);
+        }
+      });
+      if (days.size === 0) expired.push(cell);
+    });
+    expired.forEach(cell => this.cells.delete(cell));
+
+    if (changed.size > 0) {
+      const multi = this.redis.multi();
+      changed.forEach(cell => {
+        if (this.cells.has(cell)) multi.hSet(CELLS_KEY, cell, JSON.stringify([...this.cells.get(cell)].sort()));
+        else multi.hDel(CELLS_KEY, cell);
+      });
+      await multi.exec();
+    }
+
+    this._recompute();
+    return { tracked: this.cells.size, static: this.staticCells.size, changed: changed.size };
+  }
+
+  /**
+   * Why a position is masked: 'learned', the seed source's label, or null.
+   */
+  match(lat, lon) {
+    const cell = cellOf(lat, lon);
+    const key = cell.join(':');
+    if (this.seeds.has(key)) return this.seeds.get(key);
+    return neighbourhood(cell).some(k => this.staticCells.has(k)) ? 'learned' : null;
+  }
+
+  /**
+   * Tag detections in place: likelyStatic and staticSource.
+   * @returns {number} tagged count
+   */
+  tag(detections) {
+    let tagged = 0;
+    (detections || []).forEach(d => {
+      const source = this.match(d.latitude, d.longitude);
+      d.likelyStatic = !!source;
+      d.staticSource = source;
+      if (source) tagged++;
+    });
+    return tagged;
+  }
+}
+
+module.exports = { StaticHeatMask, indexSources, epochDay, CELLS_KEY };
@@ -0,0 +1,438 @@
+// ============================================================================
+// tsunami.js — Tsunami Warning Center Atom / CAP / Bulletin Reader
+// Drop into: /var/www/realnow/backend/enhancements/tsunami.js
+// ============================================================================
+//
+// The tsunami.gov Atom feeds only carry a title, a short HTML summary and
+// (sometimes) the epicentre. The detail lives in the documents each entry
+// links to:
+//
+//   CAP (application/cap+xml)   threat area polygons / zones, the
+//                               originating earthquake (Event* parameters)
+//   Bulletin (text or XML)      estimated arrival times per coastal
+//                               location, forecast wave-height bands per
+//                               region, observed gauge amplitudes
+//
+// Events get stable ids — issuing centre + earthquake origin time — so
+// successive bulletins (Number 1, 2, 3 ...) for one earthquake update a
+// single event instead of piling up. Linked documents are immutable per
+// URL and cached for as long as the feed lists them.
+// ============================================================================
+
+const axios = require('axios');
+const { parseXml, child, childrenOf, textOf, parseCapAlert, currentAlerts } = require('./cap');
+const { resolveZoneGeometry } = require('./nws-zones');
+const { centroid, mergePolygons } = require('./geometry');
+
+const FETCH_CONCURRENCY = 4;
+
+// Bulletin time zones (NTWC uses local zones for Alaska / US West Coast)
+const ZONE_OFFSETS = {
+  UTC: 0, GMT: 0, Z: 0,
+  HST: -10, AKST: -9, AKDT: -8, PST: -8, PDT: -7,
+  MST: -7, MDT: -6, CST: -6, CDT: -5, EST: -5, EDT: -4, AST: -4, ChST: 10
+};
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const INLINE_ELEMENTS = ['strong', 'b', 'em', 'i', 'span', 'a', 'code'];
+
+// Text content in document order; block-level elements start a new line
+function deepText(node) {
+  if (!node) return '';
+  return node.children.map(c => {
+    if (c.name === '#text') return c.text;
+    const inner = deepText(c);
+    return INLINE_ELEMENTS.includes(c.name) ? inner : `\n${inner}\n`;
+  }).join('');
+}
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+function signed(value, hemisphere) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  return /^[SW]/i.test(hemisphere) ? -n : n;
+}
+
+// "0913 UTC JAN 15 2026" → ISO string
+function parseBulletinTime(text) {
+  const m = /(\d{3,4})\s+([A-Za-z]+)\s+([A-Z]{3})\s+(\d{1,2})\s+(\d{4})/i.exec(text || '');
+  if (!m) return null;
+  const [, hhmm, zone, month, day, year] = m;
+  const monthIndex = MONTHS.indexOf(month.toUpperCase());
+  const offset = ZONE_OFFSETS[zone.toUpperCase()] ?? ZONE_OFFSETS[zone];
+  if (monthIndex === -1 || offset === undefined) return null;
+  const padded = hhmm.padStart(4, '0');
+  const utc = Date.UTC(+year, monthIndex, +day, +padded.slice(0, 2), +padded.slice(2)) - offset * 3600000;
+  return new Date(utc).toISOString();
+}
+
+// "1525 03/11" relative to the event year → ISO string (UTC)
+function parseEta(hhmm, monthDay, reference) {
+  const [month, day] = monthDay.split('/').map(Number);
+  const ref = reference ? new Date(reference) : new Date();
+  let year = ref.getUTCFullYear();
+  // Arrivals early in January for a late-December earthquake
+  if (month === 1 && ref.getUTCMonth() === 11) year++;
+  return new Date(Date.UTC(year, month - 1, day, +hhmm.slice(0, 2), +hhmm.slice(2))).toISOString();
+}
+
+function normalizeRegion(name) {
+  return String(name || '').toUpperCase().replace(/[^A-Z ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// ── Bulletin text ──────────────────────────────────────────────────────────
+
+/**
+ * Earthquake parameters from the "* MAGNITUDE / ORIGIN TIME / ..." block.
+ */
+function parseBulletinEarthquake(text) {
+  const field = name => {
+    const m = new RegExp(`\\*?\\s*${name}\\s{2,}(.+)`, 'i').exec(text);
+    return m ? m[1].trim() : null;
+  };
+  const coords = /(\d+(?:\.\d+)?)\s*(NORTH|SOUTH)\s+(\d+(?:\.\d+)?)\s*(EAST|WEST)/i.exec(field('COORDINATES') || '');
+  const depth = /(\d+(?:\.\d+)?)\s*(KM|KILOMETERS|MILES|MI)\b/i.exec(field('DEPTH') || '');
+
+  const quake = {
+    magnitude: toNumber(field('MAGNITUDE')),
+    magnitudeType: null,
+    originTime: parseBulletinTime(field('ORIGIN TIME')),
+    latitude: coords ? signed(coords[1], coords[2]) : null,
+    longitude: coords ? signed(coords[3], coords[4]) : null,
+    depthKm: depth ? Math.round(toNumber(depth[1]) * (/^KM|KILO/i.test(depth[2]) ? 1 : 1.609)) : null,
+    location: field('LOCATION')
+  };
+  return Object.values(quake).some(v => v !== null) ? quake : null;
+}
+
+/**
+ * "TSUNAMI WAVES REACHING 1 TO 3 METERS ABOVE THE TIDE LEVEL ARE POSSIBLE
+ *  FOR SOME COASTS OF  JAPAN... RUSSIA" → [{ minM, maxM, regions }]
+ */
+function parseWaveBands(text) {
+  const bands = [];
+  text.split(/\n\s*\*\s+/).forEach(bullet => {
+    // The region list is the paragraph right after "... COASTS OF"
+    const paragraphs = bullet.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim());
+    const m = /TSUNAMI WAVES REACHING (?:(\d+(?:\.\d+)?) TO (\d+(?:\.\d+)?)|(GREATER|MORE|LESS) THAN (\d+(?:\.\d+)?)) METERS ABOVE THE TIDE LEVEL ARE (?:POSSIBLE|FORECAST|EXPECTED) (?:FOR|ALONG) (?:SOME |THE )?COASTS? OF ?(.*)/i.exec(paragraphs[0]);
+    if (!m) return;
+    const [, from, to, bound, limit] = m;
+    const regionText = m[5] || paragraphs[1] || '';
+    const band = bound
+      ? (/LESS/i.test(bound) ? { minM: 0, maxM: toNumber(limit) } : { minM: toNumber(limit), maxM: null })
+      : { minM: toNumber(from), maxM: toNumber(to) };
+    band.regions = regionText.split(/\.{2,}|,|;/).map(r => r.trim().replace(/\.$/, '')).filter(Boolean);
+    bands.push(band);
+  });
+  return bands;
+}
+
+function bandLabel(band) {
+  if (band.maxM === null) return `> ${band.minM} m`;
+  if (!band.minM) return `< ${band.maxM} m`;
+  return `${band.minM}–${band.maxM} m`;
+}
+
+/**
+ * ETA table rows: LOCATION  REGION  40.5N 141.5E  1525 03/11
+ */
+function parseArrivals(text, reference) {
+  const rows = [];
+  const pattern = /^\s*([A-Z][A-Z0-9 .'()/-]*?)\s{2,}([A-Z][A-Z0-9 .'()/-]*?)\s{2,}(\d+(?:\.\d+)?)([NS])\s+(\d+(?:\.\d+)?)([EW])\s+(\d{4})Z?\s+(\d{1,2}\/\d{1,2})\s*$/gm;
+  let m;
+  while ((m = pattern.exec(text)) !== null) {
+    rows.push({
+      location: m[1].trim(),
+      region: m[2].trim(),
+      latitude: signed(m[3], m[4]),
+      longitude: signed(m[5], m[6]),
+      eta: parseEta(m[7], m[8], reference)
+    });
+  }
+  return rows;
+}
+
+/**
+ * Gauge observations: ADAK AK  51.9N 176.6W  1245Z  0.10M / 0.3FT  16MIN
+ */
+function parseObservations(text, reference) {
+  const rows = [];
+  const pattern = /^\s*([A-Z][A-Z0-9 .'()/-]*?)\s{2,}(\d+(?:\.\d+)?)([NS])\s+(\d+(?:\.\d+)?)([EW])\s+(\d{4})Z\s+(\d+(?:\.\d+)?)M\b(?:\s*\/\s*[\d.]+FT)?(?:\s+(\d+)MIN)?/gm;
+  let m;
+  while ((m = pattern.exec(text)) !== null) {
+    const ref = reference ? new Date(reference) : new Date();
+    const time = new Date(Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth(), ref.getUTCDate(), +m[6].slice(0, 2), +m[6].slice(2)));
+    // Gauge readings come after the earthquake — roll past midnight
+    if (reference && time < ref) time.setUTCDate(time.getUTCDate() + 1);
+    rows.push({
+      location: m[1].trim(),
+      latitude: signed(m[2], m[3]),
+      longitude: signed(m[4], m[5]),
+      time: time.toISOString(),
+      amplitudeM: toNumber(m[7]),
+      periodMin: toNumber(m[8])
+    });
+  }
+  return rows;
+}
+
+/**
+ * Everything we read from one bulletin's text.
+ */
+function parseBulletin(text, reference) {
+  const body = String(text || '');
+  const earthquake = parseBulletinEarthquake(body);
+  const when = earthquake?.originTime || reference;
+  const bands = parseWaveBands(body);
+  const forecasts = parseArrivals(body, when).map(row => {
+    const band = bands.find(b => b.regions.some(r => normalizeRegion(r) === normalizeRegion(row.region)));
+    return band
+      ? { ...row, waveHeight: bandLabel(band), waveHeightMinM: band.minM, waveHeightMaxM: band.maxM }
+      : { ...row, waveHeight: null, waveHeightMinM: null, waveHeightMaxM: null };
+  });
+
+  return {
+    earthquake,
+    forecasts,
+    waveBands: bands.map(b => ({ ...b, label: bandLabel(b) })),
+    observations: parseObservations(body, when)
+  };
+}
+
+// ── CAP ────────────────────────────────────────────────────────────────────
+
+/**
+ * Earthquake parameters from the tsunami CAP Event* parameters.
+ */
+function capEarthquake(info) {
+  const p = info.parameters || {};
+  const [lat, lon] = (p.EventLatLon || '').split(/[\s,]+/).map(toNumber);
+  const quake = {
+    magnitude: toNumber(p.EventPreliminaryMagnitude),
+    magnitudeType: p.EventPreliminaryMagnitudeType || null,
+    originTime: p.EventOriginTime || null,
+    latitude: lat ?? null,
+    longitude: lon ?? null,
+    depthKm: toNumber(p.EventDepth),
+    location: p.EventLocationName || null
+  };
+  return Object.values(quake).some(v => v !== null && v !== undefined) ? quake : null;
+}
+
+function capThreatArea(info) {
+  const geometry = mergePolygons(info.areas.map(a => ({ type: 'MultiPolygon', coordinates: a.polygons })));
+  if (geometry) return { geometry, geometrySource: 'alert' };
+  const geocodes = info.areas.flatMap(a => a.geocodes);
+  return resolveZoneGeometry({
+    UGC: geocodes.filter(g => g.valueName === 'UGC').map(g => g.value),
+    SAME: geocodes.filter(g => g.valueName === 'SAME').map(g => g.value)
+  }) || { geometry: null, geometrySource: null };
+}
+
+// ── Atom entries ───────────────────────────────────────────────────────────
+
+function parseSummary(summary) {
+  const field = name => {
+    const m = new RegExp(`${name}\\s*:\\s*([^\\n]+)`, 'i').exec(summary);
+    return m ? m[1].trim() : null;
+  };
+  const magnitude = /([\d.]+)\s*\(?([A-Za-z]+)?\)?/.exec(field('(?:Preliminary )?Magnitude') || '');
+  const latLon = /(-?[\d.]+)\s*\/\s*(-?[\d.]+)/.exec(field('Lat/Lon') || '');
+  return {
+    category: field('Category'),
+    magnitude: magnitude ? toNumber(magnitude[1]) : null,
+    magnitudeType: magnitude?.[2] || null,
+    latitude: latLon ? toNumber(latLon[1]) : null,
+    longitude: latLon ? toNumber(latLon[2]) : null,
+    region: field('Affected Region'),
+    note: field('Note')
+  };
+}
+
+function parseEntry(node) {
+  const links = childrenOf(node, 'link').map(l => l.attrs);
+  const capLink = links.find(l => /cap/i.test(l.type || '') || /^cap$/i.test(l.title || ''));
+  const bulletinLink = links.find(l => /bulletin/i.test(l.title || ''))
+    || links.find(l => l !== capLink && /(xml|text\/plain)/i.test(l.type || ''));
+
+  const point = textOf(node, 'point').split(/\s+/).map(toNumber);
+  const summaryText = deepText(child(node, 'summary') || child(node, 'content'));
+  const title = textOf(node, 'title');
+
+  return {
+    id: textOf(node, 'id'),
+    title,
+    updated: textOf(node, 'updated') || null,
+    summaryText: summaryText.replace(/[ \t]+/g, ' ').trim(),
+    summary: parseSummary(summaryText),
+    latitude: toNumber(textOf(node, 'lat')) ?? point[0] ?? null,
+    longitude: toNumber(textOf(node, 'long')) ?? point[1] ?? null,
+    capUrl: capLink?.href || null,
+    bulletinUrl: bulletinLink?.href || null,
+    bulletinNumber: toNumber((/Number\s+(\d+)/i.exec(title) || [])[1])
+  };
+}
+
+function classifySeverity(text) {
+  const lower = text.toLowerCase();
+  if (lower.includes('warning')) return 'Warning';
+  if (lower.includes('watch')) return 'Watch';
+  if (lower.includes('advisory')) return 'Advisory';
+  if (lower.includes('threat')) return 'Warning';
+  if (lower.includes('information')) return 'Information';
+  return 'Advisory';
+}
+
+function centerOf(entry, alert) {
+  const fromUrl = /\/events\/([A-Z]{4})\//.exec(entry.capUrl || entry.bulletinUrl || '');
+  if (fromUrl) return fromUrl[1];
+  if (/ptwc/i.test(alert?.sender || '')) return 'PHEB';
+  return 'PAAQ';
+}
+
+function compactTime(iso) {
+  const d = new Date(iso);
+  return isNaN(d) ? null : d.toISOString().slice(0, 16).replace(/[-:T]/g, '');
+}
+
+// ── Feed reader ────────────────────────────────────────────────────────────
+
+class TsunamiFeed {
+  /**
+   * @param {Object} options — { fetch(url) → Promise<string> } (defaults to axios)
+   */
+  constructor(options = {}) {
+    this.documents = new Map();
+    this.fetch = options.fetch || (async url => {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        responseType: 'text',
+        headers: { 'User-Agent': 'RealNow-DisasterTracker/5.0', 'Accept': 'application/cap+xml, application/xml, text/plain, */*' }
+      });
+      return response.data;
+    });
+  }
+
+  async loadDocuments(urls) {
+    const queue = urls.filter(url => url && !this.documents.has(url));
+    const worker = async () => {
+      while (queue.length) {
+        const url = queue.shift();
+        try {
+          this.documents.set(url, String(await this.fetch(url)));
+        } catch (error) {
+          console.error(`⚠️ [Tsunami] ${url} — ${error.message}`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+
+    const live = new Set(urls);
+    [...this.documents.keys()].forEach(url => { if (!live.has(url)) this.documents.delete(url); });
+  }
+
+  /**
+   * Atom feed text → tsunami events (newest bulletin per earthquake).
+   */
+  async read(atom) {
+    const root = parseXml(atom);
+    const feed = root.children.find(c => c.name === 'feed') || root;
+    const entries = childrenOf(feed, 'entry').map(parseEntry);
+
+    await this.loadDocuments(entries.flatMap(e => [e.capUrl, e.bulletinUrl]).filter(Boolean));
+
+    const events = new Map();
+    entries.forEach(entry => {
+      const event = this.buildEvent(entry);
+      if (!event) return;
+      const existing = events.get(event.id);
+      if (!existing || new Date(event.date) >= new Date(existing.date)) events.set(event.id, event);
+    });
+    return [...events.values()].sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  buildEvent(entry) {
+    const capText = entry.capUrl && this.documents.get(entry.capUrl);
+    const alert = capText ? parseCapAlert(capText) : null;
+    const threaded = alert ? currentAlerts([alert])[0] : null;
+    const info = alert?.infos.find(i => /^en/i.test(i.language)) || alert?.infos[0] || null;
+
+    const bulletinDoc = entry.bulletinUrl && this.documents.get(entry.bulletinUrl);
+    const bulletinText = bulletinDoc && /^\s*</.test(bulletinDoc) ? deepText(parseXml(bulletinDoc)) : bulletinDoc;
+    const bulletin = parseBulletin(bulletinText || entry.summaryText, entry.updated);
+
+    // Earthquake: CAP parameters, then bulletin text, then the Atom summary
+    const quake = { ...(bulletin.earthquake || {}) };
+    Object.entries(info ? capEarthquake(info) || {} : {}).forEach(([k, v]) => {
+      if (v !== null && v !== undefined) quake[k] = v;
+    });
+    const s = entry.summary;
+    quake.magnitude ??= s.magnitude;
+    quake.magnitudeType ??= s.magnitudeType;
+    quake.latitude ??= s.latitude ?? entry.latitude;
+    quake.longitude ??= s.longitude ?? entry.longitude;
+    quake.location ??= s.region;
+
+    const threat = info ? capThreatArea(info) : { geometry: null, geometrySource: null };
+
+    let lat = quake.latitude;
+    let lon = quake.longitude;
+    if ((lat === null || lat === undefined || lon === null || lon === undefined) && threat.geometry) {
+      [lon, lat] = centroid(threat.geometry);
+    }
+    if (typeof lat !== 'number' || typeof lon !== 'number') return null;
+
+    const center = centerOf(entry, alert);
+    const originKey = compactTime(quake.originTime);
+    const id = originKey
+      ? `tsunami_${center}_${originKey}`
+      : `tsunami_${center}_${threaded?.threadId || entry.id}`;
+
+    const headline = info?.headline || entry.title || 'Tsunami Alert';
+    const severity = classifySeverity(`${info?.event || ''} ${entry.title} ${s.category || ''}`);
+    const cancelled = alert?.msgType === 'Cancel' || /cancel/i.test(entry.title);
+
+    return {
+      id,
+      type: 'tsunami',
+      name: entry.title || headline,
+      headline,
+      coordinates: [lon, lat],
+      latitude: lat,
+      longitude: lon,
+      date: entry.updated || alert?.sent || quake.originTime,
+      severity,
+      region: quake.location || s.region || entry.title,
+      source: 'NOAA_PTWC',
+      center,
+      bulletinNumber: entry.bulletinNumber,
+      description: (info?.description || s.note || entry.summaryText).substring(0, 500),
+      instruction: info?.instruction?.substring(0, 500) || '',
+      isActive: !cancelled,
+      earthquake: {
+        magnitude: quake.magnitude ?? null,
+        magnitudeType: quake.magnitudeType ?? null,
+        originTime: quake.originTime ?? null,
+        latitude: quake.latitude ?? null,
+        longitude: quake.longitude ?? null,
+        depthKm: quake.depthKm ?? null,
+        location: quake.location ?? null
+      },
+      geometry: threat.geometry,
+      geometrySource: threat.geometrySource,
+      geometryRef: threat.geometryRef || null,
+      threatAreas: info ? info.areas.map(a => a.areaDesc).filter(Boolean) : [],
+      forecasts: bulletin.forecasts,
+      waveBands: bulletin.waveBands,
+      observations: bulletin.observations,
+      capUrl: entry.capUrl,
+      bulletinUrl: entry.bulletinUrl
+    };
+  }
+}
+
+module.exports = { TsunamiFeed, parseBulletin, parseBulletinTime };
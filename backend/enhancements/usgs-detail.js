@@ -0,0 +1,298 @@
+// ============================================================================
+// usgs-detail.js — USGS Event-Detail Enrichment (PAGER, ShakeMap, Mechanism)
+// Drop into: /var/www/realnow/backend/enhancements/usgs-detail.js
+// ============================================================================
+//
+// The summary GeoJSON feed only carries the headline PAGER colour. For quakes
+// at or above USGS_DETAIL_MIN_MAGNITUDE (default 5.5, where PAGER runs
+// globally) each event's `detail` GeoJSON is fetched and its products read:
+//
+//   losspager        alert breakdown per fatality / economic loss bin
+//                    (json/alerts.json), point estimates (json/losses.json)
+//   shakemap         MMI contours (download/cont_mmi.json)
+//   moment-tensor    nodal planes, faulting style
+//   focal-mechanism  (fallback when there is no moment tensor)
+//   general-text     tectonic summary
+//
+// Results are cached per event and only refetched when the summary feed's
+// `updated` stamp moves. Contours are bulky, so they are returned separately
+// and kept out of the earthquakes layer; the layer only gets a small
+// `shakemap` summary and the frontend loads contours on selection.
+// ============================================================================
+
+const axios = require('axios');
+
+const DEFAULT_MIN_MAGNITUDE = 5.5;
+const MAX_EVENTS_PER_CYCLE = 25;
+const FETCH_CONCURRENCY = 3;
+const MAX_SUMMARY_LENGTH = 2000;
+
+// ShakeMap contours are drawn at city scale at most — ~100 m is plenty
+const CONTOUR_PRECISION = 3;
+
+const PAGER_ALERTS = ['green', 'yellow', 'orange', 'red'];
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+// Preferred version of a product (the detail feed lists it first)
+function product(products, type) {
+  return (products?.[type] || [])[0] || null;
+}
+
+function contentUrl(prod, name) {
+  return prod?.contents?.[name]?.url || null;
+}
+
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/(p|div|h\d|li)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Rake → faulting style (Aki & Richards convention).
+ */
+function faultingStyle(rake) {
+  if (rake === null) return null;
+  if (Math.abs(rake) <= 45 || Math.abs(rake) >= 135) return 'strike-slip';
+  return rake > 0 ? 'reverse' : 'normal';
+}
+
+/**
+ * Nodal planes and moment of a moment-tensor or focal-mechanism product.
+ */
+function parseFocalMechanism(prod, source) {
+  if (!prod?.properties) return null;
+  const p = prod.properties;
+
+  const nodalPlanes = [1, 2].map(n => ({
+    strike: toNumber(p[`nodal-plane-${n}-strike`]),
+    dip: toNumber(p[`nodal-plane-${n}-dip`]),
+    rake: toNumber(p[`nodal-plane-${n}-rake`] ?? p[`nodal-plane-${n}-slip`])
+  })).filter(plane => plane.strike !== null && plane.dip !== null);
+  if (nodalPlanes.length === 0) return null;
+
+  return {
+    source,
+    nodalPlanes,
+    faultingStyle: faultingStyle(nodalPlanes[0].rake ?? null),
+    magnitude: toNumber(p['derived-magnitude']),
+    magnitudeType: p['derived-magnitude-type'] || null,
+    depthKm: toNumber(p['derived-depth']),
+    percentDoubleCouple: toNumber(p['percent-double-couple']),
+    scalarMoment: toNumber(p['scalar-moment']),
+    catalog: p['beachball-source'] || prod.source || null
+  };
+}
+
+/**
+ * PAGER alert breakdown. alerts.json carries the probability of each
+ * fatality / loss bin; losses.json the empirical point estimates.
+ */
+function parsePager(prod, alerts, losses) {
+  if (!prod && !alerts) return null;
+  const props = prod?.properties || {};
+
+  const breakdown = section => {
+    if (!section) return null;
+    const bins = (section.bins || []).map(bin => ({
+      color: bin.color,
+      min: toNumber(bin.min),
+      max: toNumber(bin.max),
+      probability: toNumber(bin.probability)
+    }));
+    const likeliest = bins.reduce((best, bin) => (!best || bin.probability > best.probability ? bin : best), null);
+    return { level: section.level || null, units: section.units || null, bins, likeliest };
+  };
+
+  const fatality = breakdown(alerts?.fatality);
+  const economic = breakdown(alerts?.economic);
+  const levels = [props.alertlevel, fatality?.level, economic?.level].filter(l => PAGER_ALERTS.includes(l));
+
+  return {
+    alertLevel: levels.sort((a, b) => PAGER_ALERTS.indexOf(b) - PAGER_ALERTS.indexOf(a))[0] || null,
+    maxMmi: toNumber(props.maxmmi),
+    fatality,
+    economic,
+    estimatedFatalities: toNumber(losses?.empirical_fatality?.total_fatalities),
+    estimatedLossesUsd: toNumber(losses?.empirical_economic?.total_dollars)
+  };
+}
+
+/**
+ * cont_mmi.json → compact contour FeatureCollection ({ mmi, color } per line).
+ */
+function parseContours(geojson) {
+  const round = coords => Array.isArray(coords[0])
+    ? coords.map(round)
+    : coords.slice(0, 2).map(v => Math.round(v * Math.pow(10, CONTOUR_PRECISION)) / Math.pow(10, CONTOUR_PRECISION));
+
+  const features = (geojson?.features || [])
+    .filter(f => f.geometry && ['LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'].includes(f.geometry.type))
+    .map(f => ({
+      type: 'Feature',
+      properties: {
+        mmi: toNumber(f.properties?.value),
+        color: f.properties?.color || null
+      },
+      geometry: { type: f.geometry.type, coordinates: round(f.geometry.coordinates) }
+    }))
+    .filter(f => f.properties.mmi !== null)
+    .sort((a, b) => a.properties.mmi - b.properties.mmi);
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Detail GeoJSON → product summaries plus the URLs of the documents to load.
+ */
+function parseDetail(detail) {
+  const products = detail?.properties?.products || {};
+  const pager = product(products, 'losspager');
+  const shakemap = product(products, 'shakemap');
+  const tensor = product(products, 'moment-tensor');
+  const text = (products['general-text'] || [])
+    .find(p => /tectonic/i.test(p.properties?.title || '')) || product(products, 'general-text');
+  const textContent = text?.contents?.[''] || Object.values(text?.contents || {})[0] || null;
+
+  return {
+    pager,
+    shakemap,
+    focalMechanism: parseFocalMechanism(tensor, 'moment-tensor') ||
+      parseFocalMechanism(product(products, 'focal-mechanism'), 'focal-mechanism'),
+    urls: {
+      alerts: contentUrl(pager, 'json/alerts.json'),
+      losses: contentUrl(pager, 'json/losses.json'),
+      contours: contentUrl(shakemap, 'download/cont_mmi.json'),
+      tectonic: textContent && !textContent.bytes ? textContent.url || null : null
+    },
+    tectonicInline: textContent?.bytes || null
+  };
+}
+
+class UsgsDetailEnricher {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetch — (url, { json }) → Promise<Object|string> (defaults to axios)
+   * @param {number} options.minMagnitude — Only quakes at or above this are enriched
+   */
+  constructor(options = {}) {
+    this.minMagnitude = options.minMagnitude ??
+      (toNumber(process.env.USGS_DETAIL_MIN_MAGNITUDE) ?? DEFAULT_MIN_MAGNITUDE);
+    this.cache = new Map();
+    this.fetch = options.fetch || (async (url, { json = true } = {}) => {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        responseType: json ? 'json' : 'text',
+        headers: { 'User-Agent': 'RealNow-DisasterTracker/5.0' }
+      });
+      return response.data;
+    });
+  }
+
+  async load(url, json = true) {
+    if (!url) return null;
+    try {
+      return await this.fetch(url, { json });
+    } catch (error) {
+      console.error(`⚠️ [USGS Detail] ${url} — ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch and parse one event's detail and linked product documents.
+   * @returns {Promise<Object|null>} { detail, contours }
+   */
+  async fetchEvent(quake) {
+    const detail = await this.load(quake.detailUrl);
+    if (!detail) return null;
+
+    const parsed = parseDetail(detail);
+    const [alerts, losses, contours, tectonic] = await Promise.all([
+      this.load(parsed.urls.alerts),
+      this.load(parsed.urls.losses),
+      this.load(parsed.urls.contours),
+      parsed.tectonicInline ? parsed.tectonicInline : this.load(parsed.urls.tectonic, false)
+    ]);
+
+    const shakemapContours = contours ? parseContours(contours) : null;
+    const summary = tectonic ? stripHtml(tectonic) : '';
+
+    return {
+      detail: {
+        pager: parsePager(parsed.pager, alerts, losses),
+        shakemap: parsed.shakemap
+          ? {
+            maxMmi: toNumber(parsed.shakemap.properties?.maxmmi),
+            contourCount: shakemapContours?.features.length || 0
+          }
+          : null,
+        focalMechanism: parsed.focalMechanism,
+        tectonicSummary: summary
+          ? (summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH).trim()}…` : summary)
+          : null
+      },
+      contours: shakemapContours?.features.length ? shakemapContours : null
+    };
+  }
+
+  /**
+   * Attach PAGER / ShakeMap / mechanism / tectonic fields to qualifying quakes
+   * in place. Unchanged events (same `updated`) come from the cache.
+   * @param {Array} earthquakes — Transformed USGS quakes with detailUrl
+   * @returns {Promise<Map>} event id → ShakeMap contour FeatureCollection
+   */
+  async enrich(earthquakes) {
+    const candidates = (earthquakes || [])
+      .filter(q => q.detailUrl && (q.magnitude || 0) >= this.minMagnitude)
+      .sort((a, b) => b.magnitude - a.magnitude)
+      .slice(0, MAX_EVENTS_PER_CYCLE);
+
+    const queue = candidates.filter(q => this.cache.get(q.id)?.updated !== q.updated);
+    const worker = async () => {
+      while (queue.length) {
+        const quake = queue.shift();
+        const result = await this.fetchEvent(quake);
+        if (result) this.cache.set(quake.id, { updated: quake.updated, ...result });
+      }
+    };
+    await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+
+    const live = new Set(candidates.map(q => q.id));
+    [...this.cache.keys()].forEach(id => { if (!live.has(id)) this.cache.delete(id); });
+
+    const contours = new Map();
+    candidates.forEach(quake => {
+      const cached = this.cache.get(quake.id);
+      if (!cached) return;
+      Object.assign(quake, cached.detail);
+      if (cached.contours) contours.set(quake.id, cached.contours);
+    });
+
+    console.log(`🛰️ [USGS Detail] ${this.cache.size}/${candidates.length} events enriched (M${this.minMagnitude}+), ${contours.size} ShakeMaps`);
+    return contours;
+  }
+}
+
+module.exports = {
+  UsgsDetailEnricher,
+  parseDetail,
+  parsePager,
+  parseContours,
+  parseFocalMechanism,
+  faultingStyle
+};
@@ -0,0 +1,420 @@
+// ============================================================================
+// vaac.js — Volcanic Ash Advisory (VAA) Reader
+// Drop into: /var/www/realnow/backend/enhancements/vaac.js
+// ============================================================================
+//
+// The nine Volcanic Ash Advisory Centres issue ICAO-format text advisories
+// (Annex 3 template) for every eruption that puts ash into the air:
+//
+//   DTG / VAAC / VOLCANO / PSN / SUMMIT ELEV / ADVISORY NR / ERUPTION DETAILS
+//   OBS VA DTG + OBS VA CLD          the observed ash cloud(s)
+//   FCST VA CLD +6 / +12 / +18 HR    forecast cloud(s) per time step
+//   NXT ADVISORY                     next issue time, or NO FURTHER ADVISORIES
+//
+// Each cloud is a flight-level band (SFC/FL200, FL250/350) with a polygon
+// and a movement. Every time step keeps its own clouds so the map can show
+// the ash drifting; the feature geometry is the observed step (or the first
+// forecast step when the ash cannot be seen on satellite).
+//
+// A feed is a page that either carries advisory text itself or links to one
+// document per advisory (feed.linkPattern). Linked advisories are immutable
+// per URL and cached while the page lists them. Successive advisories for a
+// volcano update one event: vaa_<vaac>_<volcano number>.
+//
+// An advisory stays current until its NXT ADVISORY time plus
+// NEXT_GRACE_HOURS (DEFAULT_VALID_HOURS after issue when none is given); a
+// final advisory is shown as inactive for DEFAULT_VALID_HOURS. Features
+// carry that validUntil; expired() tells the fetcher to re-read an unchanged
+// page once the earliest of them has passed.
+// ============================================================================
+
+const axios = require('axios');
+const { centroid, mergePolygons } = require('./geometry');
+const { haversineKm } = require('./geo-dedup');
+
+const FETCH_CONCURRENCY = 4;
+const MAX_DOCUMENTS = 60;
+
+const NEXT_GRACE_HOURS = 3;
+const DEFAULT_VALID_HOURS = 6;
+
+// Matching an advisory to a volcano event by summit position
+const LINK_KM = 50;
+const NAME_LINK_KM = 150;
+
+const HOUR = 60 * 60 * 1000;
+
+const FIELD = /^(DTG|VAAC|VOLCANO|PSN|AREA|SUMMIT ELEV|ADVISORY NR|INFO SOURCE|AVIATION COLOU?R CODE|ERUPTION DETAILS|OBS VA DTG|OBS VA CLD|FCST VA CLD \+\s?(\d+)\s?HR|RMK|NXT ADVISORY)\s*:\s*(.*)$/;
+const LEVEL = /\b(SFC|FL\d{3})\/(?:FL)?(\d{3})\b/g;
+const POINT = /\b([NS])(\d{2})(\d{2})?\s*([EW])(\d{3})(\d{2})?\b/g;
+
+function stripHtml(text) {
+  return String(text || '')
+    .replace(/<(br|\/p|\/div|\/tr|\/pre|\/h\d)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\r/g, '');
+}
+
+function titleCase(name) {
+  return name.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+function normalizeName(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// '20261019/1200Z' → ms
+function parseDtg(text) {
+  const m = /(\d{4})(\d{2})(\d{2})\/(\d{2})(\d{2})Z/.exec(text || '');
+  return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]) : null;
+}
+
+// '19/1130Z' → ms, in the month of the advisory (or the next one across a month end)
+function parseDayTime(text, reference) {
+  const m = /\b(\d{2})\/(\d{2})(\d{2})Z/.exec(text || '');
+  if (!m || reference === null) return null;
+  const ref = new Date(reference);
+  let t = Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth(), +m[1], +m[2], +m[3]);
+  if (t < reference - 15 * 24 * HOUR) t = Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + 1, +m[1], +m[2], +m[3]);
+  if (t > reference + 15 * 24 * HOUR) t = Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() - 1, +m[1], +m[2], +m[3]);
+  return t;
+}
+
+function coordinate(hemi, deg, min) {
+  const value = +deg + (min ? +min / 60 : 0);
+  return Math.round((/[SW]/.test(hemi) ? -value : value) * 10000) / 10000;
+}
+
+/**
+ * 'N1903 W09840 - N1910 W09820 - ...' → [[lon, lat], ...]
+ */
+function parsePoints(text) {
+  return [...String(text || '').matchAll(POINT)].map(m => [coordinate(m[4], m[5], m[6]), coordinate(m[1], m[2], m[3])]);
+}
+
+function flightLevel(token) {
+  return token === 'SFC' ? 0 : parseInt(token.replace('FL', ''), 10);
+}
+
+/**
+ * One time step's cloud text → { clouds, note }.
+ */
+function parseClouds(text) {
+  const body = String(text || '').replace(/\s+/g, ' ').trim();
+  const levels = [...body.matchAll(LEVEL)];
+  const clouds = [];
+
+  levels.forEach((m, i) => {
+    const segment = body.slice(m.index + m[0].length, i + 1 < levels.length ? levels[i + 1].index : body.length);
+    const points = parsePoints(segment);
+    if (points.length < 3) return;
+    const ring = [...points];
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+
+    const move = /MOV\s+([NESW]{1,3})\s+(\d+)\s*(KT|KMH)/.exec(segment);
+    clouds.push({
+      base: m[1],
+      top: `FL${m[2]}`,
+      baseFl: flightLevel(m[1]),
+      topFl: parseInt(m[2], 10),
+      geometry: { type: 'Polygon', coordinates: [ring] },
+      movement: move ? `${move[1]} ${move[2]}${move[3]}` : /\bSTNR\b/.test(segment) ? 'STNR' : null
+    });
+  });
+
+  let note = null;
+  if (/NO VA EXP/.test(body)) note = 'NO VA EXP';
+  else if (/NOT IDENTIFIABLE/.test(body)) note = 'VA NOT IDENTIFIABLE';
+  else if (/NOT (AVBL|AVAILABLE|PROVIDED)/.test(body)) note = 'NOT AVBL';
+  return { clouds, note };
+}
+
+/**
+ * One advisory's text → structured advisory (null when it is not a VAA).
+ */
+function parseAdvisory(text) {
+  const fields = {};
+  let current = null;
+  stripHtml(text).split('\n').forEach(raw => {
+    const line = raw.trim();
+    if (!line) return;
+    const m = FIELD.exec(line);
+    if (m) {
+      current = m[2] ? `FCST ${m[2]}` : m[1].replace('COLOUR', 'COLOR');
+      fields[current] = m[3];
+    } else if (current) {
+      fields[current] += ` ${line}`;
+    }
+  });
+  if (!fields.VOLCANO || !fields.DTG) return null;
+
+  const issued = parseDtg(fields.DTG);
+  if (issued === null) return null;
+
+  const volcanoMatch = /^(.*?)\s+(\d{6}|\d{3}-\d{3})\b/.exec(fields.VOLCANO.trim());
+  const volcanoName = (volcanoMatch ? volcanoMatch[1] : fields.VOLCANO).trim();
+  const [psn] = parsePoints(fields.PSN);
+  const elevation = /(\d+)\s*FT/.exec(fields['SUMMIT ELEV'] || '');
+
+  const steps = [];
+  if (fields['OBS VA CLD'] !== undefined || fields['OBS VA DTG'] !== undefined) {
+    steps.push({
+      label: 'OBS',
+      offsetHours: 0,
+      observed: true,
+      time: parseDayTime(fields['OBS VA DTG'], issued) ?? issued,
+      ...parseClouds(fields['OBS VA CLD'])
+    });
+  }
+  Object.keys(fields).filter(k => k.startsWith('FCST ')).forEach(key => {
+    const offsetHours = parseInt(key.slice(5), 10);
+    steps.push({
+      label: `+${offsetHours} HR`,
+      offsetHours,
+      observed: false,
+      time: parseDayTime(fields[key], issued) ?? issued + offsetHours * HOUR,
+      ...parseClouds(fields[key].replace(/^\s*\d{2}\/\d{4}Z/, ''))
+    });
+  });
+  steps.sort((a, b) => a.offsetHours - b.offsetHours);
+
+  const next = fields['NXT ADVISORY'] || '';
+  return {
+    vaac: (fields.VAAC || '').trim(),
+    volcano: volcanoName,
+    volcanoNumber: volcanoMatch ? volcanoMatch[2] : null,
+    position: psn || null,
+    area: fields.AREA?.trim() || null,
+    summitElevationFt: elevation ? parseInt(elevation[1], 10) : null,
+    advisoryNumber: fields['ADVISORY NR']?.trim() || null,
+    infoSource: fields['INFO SOURCE']?.trim() || null,
+    colorCode: fields['AVIATION COLOR CODE']?.trim() || null,
+    eruptionDetails: fields['ERUPTION DETAILS']?.trim() || null,
+    remarks: fields.RMK?.trim() || null,
+    issued,
+    nextAdvisory: parseDtg(next),
+    final: /NO FURTHER ADVISOR/.test(next),
+    steps
+  };
+}
+
+/**
+ * Page or document text → every advisory it carries.
+ */
+function parseAdvisories(text) {
+  return stripHtml(text)
+    .split(/(?=^\s*VA ADVISORY\s*$)/m)
+    .map(parseAdvisory)
+    .filter(Boolean);
+}
+
+/**
+ * Advisory → ashadvisories feature (null once it has expired).
+ */
+function toFeature(advisory, { vaacId, url } = {}, now = Date.now()) {
+  const validUntil = advisory.final
+    ? advisory.issued + DEFAULT_VALID_HOURS * HOUR
+    : advisory.nextAdvisory !== null
+      ? advisory.nextAdvisory + NEXT_GRACE_HOURS * HOUR
+      : advisory.issued + DEFAULT_VALID_HOURS * HOUR;
+  if (now > validUntil) return null;
+
+  const steps = advisory.steps.map(step => ({
+    label: step.label,
+    offsetHours: step.offsetHours,
+    observed: step.observed,
+    time: new Date(step.time).toISOString(),
+    note: step.note,
+    clouds: step.clouds
+  }));
+  const shown = steps.find(s => s.clouds.length > 0);
+  const geometry = shown ? mergePolygons(shown.clouds.map(c => c.geometry)) : null;
+
+  let [lon, lat] = advisory.position || [];
+  if ((lon === undefined || lat === undefined) && geometry) [lon, lat] = centroid(geometry);
+  if (typeof lat !== 'number' || typeof lon !== 'number') return null;
+
+  const vaac = vaacId || advisory.vaac.toLowerCase().replace(/[^a-z]/g, '') || 'vaac';
+  const volcanoKey = advisory.volcanoNumber || normalizeName(advisory.volcano) || 'unknown';
+  const tops = steps.flatMap(s => s.clouds.map(c => c.topFl));
+
+  return {
+    id: `vaa_${vaac}_${volcanoKey}`,
+    type: 'ashadvisory',
+    name: `Volcanic ash — ${titleCase(advisory.volcano)}`,
+    volcano: titleCase(advisory.volcano),
+    volcanoNumber: advisory.volcanoNumber,
+    vaac: advisory.vaac,
+    advisoryNumber: advisory.advisoryNumber,
+    area: advisory.area,
+    summitElevationFt: advisory.summitElevationFt,
+    infoSource: advisory.infoSource,
+    colorCode: advisory.colorCode,
+    eruptionDetails: advisory.eruptionDetails,
+    remarks: advisory.remarks,
+    coordinates: [lon, lat],
+    latitude: lat,
+    longitude: lon,
+    geometry,
+    steps,
+    maxFlightLevel: tops.length ? Math.max(...tops) : null,
+    issued: new Date(advisory.issued).toISOString(),
+    date: new Date(advisory.issued).toISOString(),
+    nextAdvisory: advisory.nextAdvisory !== null ? new Date(advisory.nextAdvisory).toISOString() : null,
+    finalAdvisory: advisory.final,
+    isActive: !advisory.final,
+    validUntil: new Date(validUntil).toISOString(),
+    link: url || null,
+    source: `VAAC_${(advisory.vaac || vaac).toUpperCase().replace(/\s+/g, '_')}`
+  };
+}
+
+/**
+ * Whether a feature is still inside its validity window.
+ */
+function isCurrent(feature, now = Date.now()) {
+  return !feature.validUntil || Date.parse(feature.validUntil) >= now;
+}
+
+/**
+ * Attach each advisory to the volcano event it describes: same name within
+ * NAME_LINK_KM, otherwise the nearest event within LINK_KM. Sets volcanoId /
+ * volcanoEventName in place.
+ * @returns {number} linked count
+ */
+function linkVolcanoes(advisories, volcanoes) {
+  let linked = 0;
+  (advisories || []).forEach(advisory => {
+    const name = normalizeName(advisory.volcano);
+    let best = null;
+    (volcanoes || []).forEach(volcano => {
+      const lat = volcano.latitude ?? volcano.coordinates?.[1];
+      const lon = volcano.longitude ?? volcano.coordinates?.[0];
+      if (typeof lat !== 'number' || typeof lon !== 'number') return;
+      const km = haversineKm(advisory.latitude, advisory.longitude, lat, lon);
+      const named = name.length >= 4 && normalizeName(volcano.name).includes(name);
+      if (km > (named ? NAME_LINK_KM : LINK_KM)) return;
+      // A name match beats proximity
+      const score = (named ? 0 : NAME_LINK_KM) + km;
+      if (!best || score < best.score) best = { volcano, score };
+    });
+    advisory.volcanoId = best ? best.volcano.id : null;
+    advisory.volcanoEventName = best ? best.volcano.name : null;
+    if (best) linked++;
+  });
+  return linked;
+}
+
+class VaacFeed {
+  /**
+   * @param {Object} feed — vaac-feeds.json entry ({ id, name, url, linkPattern })
+   * @param {Object} options — { fetch(url) → Promise<string> } (defaults to axios)
+   */
+  constructor(feed = {}, options = {}) {
+    this.feed = feed;
+    this.linkPattern = feed.linkPattern ? new RegExp(feed.linkPattern, 'g') : null;
+    this.documents = new Map();
+    // Earliest validUntil of the last parse, ms (null when nothing is shown)
+    this.expiresAt = null;
+    this.fetch = options.fetch || (async url => {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        headers: { 'User-Agent': 'RealNow-DisasterTracker/5.0', 'Accept': 'text/plain, text/html, */*' }
+      });
+      return response.data;
+    });
+  }
+
+  /**
+   * Advisory document URLs linked from the feed page, in page order.
+   */
+  links(page) {
+    if (!this.linkPattern) return [];
+    const urls = [];
+    [...String(page).matchAll(this.linkPattern)].forEach(m => {
+      try {
+        const url = new URL(m[1] || m[0], this.feed.url).toString();
+        if (!urls.includes(url)) urls.push(url);
+      } catch (error) {
+        // Not a resolvable link
+      }
+    });
+    return urls.slice(0, MAX_DOCUMENTS);
+  }
+
+  async loadDocuments(urls) {
+    const queue = urls.filter(url => !this.documents.has(url));
+    const worker = async () => {
+      while (queue.length) {
+        const url = queue.shift();
+        try {
+          this.documents.set(url, parseAdvisories(await this.fetch(url)));
+        } catch (error) {
+          console.error(`⚠️ [VAAC] ${url} — ${error.message}`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+
+    const live = new Set(urls);
+    [...this.documents.keys()].forEach(url => { if (!live.has(url)) this.documents.delete(url); });
+  }
+
+  /**
+   * Feed page → current advisories, newest per volcano.
+   */
+  async read(page, now = Date.now()) {
+    const sources = parseAdvisories(page).map(advisory => ({ advisory, url: this.feed.url }));
+    const urls = this.links(page);
+    await this.loadDocuments(urls);
+    urls.forEach(url => (this.documents.get(url) || []).forEach(advisory => sources.push({ advisory, url })));
+
+    const latest = new Map();
+    sources.forEach(({ advisory, url }) => {
+      const feature = toFeature(advisory, { vaacId: this.feed.id, url }, now);
+      if (!feature) return;
+      const existing = latest.get(feature.id);
+      if (!existing || feature.issued > existing.issued) latest.set(feature.id, feature);
+    });
+    return [...latest.values()].sort((a, b) => b.issued.localeCompare(a.issued));
+  }
+
+  /**
+   * Build this feed's layer payload.
+   */
+  async parse(page, now = Date.now()) {
+    const features = await this.read(page, now);
+    const until = features.map(f => Date.parse(f.validUntil));
+    this.expiresAt = until.length ? Math.min(...until) : null;
+    console.log(`🌋 [VAAC] ${this.feed.name || this.feed.id}: ${features.length} current ash advisories`);
+    return {
+      type: 'ashadvisories',
+      timestamp: new Date().toISOString(),
+      count: features.length,
+      features
+    };
+  }
+
+  /**
+   * True once an advisory in the last parse has run out, even if the feed
+   * page itself has not changed since.
+   */
+  expired(now = Date.now()) {
+    return this.expiresAt !== null && now > this.expiresAt;
+  }
+}
+
+module.exports = {
+  VaacFeed,
+  parseAdvisory,
+  parseAdvisories,
+  parseClouds,
+  toFeature,
+  isCurrent,
+  linkVolcanoes
+};
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// ============================================================================
+// build-gazetteer.js — Build the bundled offline boundary dataset
+// ============================================================================
+//
+// Produces data/gazetteer.json (country + admin-1 boundaries) from the
+// Natural Earth 1:10m "Admin 1 – States, Provinces" GeoJSON (public domain):
+//
+//   https://www.naturalearthdata.com/downloads/10m-cultural-vectors/
+//
+// Usage:
+//   node scripts/build-gazetteer.js <ne_10m_admin_1_states_provinces.geojson> [toleranceDeg]
+//
+// Polygons are simplified (Douglas-Peucker, default 0.03° ≈ 3 km) and
+// coordinates rounded to 3 decimals, which keeps the file small enough to
+// ship with the backend while staying well inside the accuracy any feed
+// we ingest reports locations with.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'gazetteer.json');
+const PRECISION = 1000;
+
+// Natural Earth adm0_a3 codes that differ from ISO 3166-1 alpha-3
+const ISO3_FIXES = { SDS: 'SSD', PSX: 'PSE', SAH: 'ESH', KOS: 'XKX' };
+
+function round(n) {
+  return Math.round(n * PRECISION) / PRECISION;
+}
+
+function perpendicularDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  if (dx === 0 && dy === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  const t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy);
+  const cx = a[0] + t * dx;
+  const cy = a[1] + t * dy;
+  return Math.hypot(p[0] - cx, p[1] - cy);
+}
+
+// Iterative Douglas-Peucker (rings can have tens of thousands of points)
+function simplify(points, tolerance) {
+  if (points.length <= 4) return points;
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = perpendicularDistance(points[i], points[first], points[last]);
+      if (d > maxDist) { maxDist = d; index = i; }
+    }
+    if (maxDist > tolerance && index !== -1) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+  }
+  return area / 2;
+}
+
+function ringCentroid(ring) {
+  let x = 0, y = 0, a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const f = (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+    x += (ring[j][0] + ring[i][0]) * f;
+    y += (ring[j][1] + ring[i][1]) * f;
+    a += f;
+  }
+  if (a === 0) return { x: ring[0][0], y: ring[0][1], area: 0 };
+  return { x: x / (3 * a), y: y / (3 * a), area: Math.abs(a / 2) };
+}
+
+/**
+ * Simplify a (Multi)Polygon into a list of polygons, each a list of flat
+ * rings [lon, lat, lon, lat, ...] with the outer ring first.
+ */
+function processGeometry(geometry, tolerance) {
+  if (!geometry) return [];
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+  const roundRing = ring => ring
+    .map(([lon, lat]) => [round(lon), round(lat)])
+    .filter((pt, i, arr) => i === 0 || pt[0] !== arr[i - 1][0] || pt[1] !== arr[i - 1][1]);
+
+  // Small islands collapse under the tolerance — keep those at full detail
+  // rather than losing the whole region
+  return polygons.map(rings => rings
+    .map(ring => {
+      const simplified = roundRing(simplify(ring, tolerance));
+      return simplified.length >= 4 ? simplified : roundRing(ring);
+    })
+    .filter(ring => ring.length >= 4)
+  ).filter(rings => rings.length > 0);
+}
+
+function bboxOf(polygons) {
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  polygons.forEach(rings => rings[0].forEach(([lon, lat]) => {
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }));
+  return [minLon, minLat, maxLon, maxLat];
+}
+
+function main() {
+  const [input, toleranceArg] = process.argv.slice(2);
+  if (!input) {
+    console.error('Usage: node scripts/build-gazetteer.js <ne_10m_admin_1_states_provinces.geojson> [toleranceDeg]');
+    process.exit(1);
+  }
+  const tolerance = parseFloat(toleranceArg || '0.03');
+  const source = JSON.parse(fs.readFileSync(input, 'utf8'));
+
+  const admin1 = [];
+  const countries = new Map();
+
+  source.features.forEach(feature => {
+    const p = feature.properties;
+    const iso3 = ISO3_FIXES[p.adm0_a3] || p.adm0_a3;
+    const polygons = processGeometry(feature.geometry, tolerance);
+    if (!iso3 || polygons.length === 0) return;
+
+    const bbox = bboxOf(polygons);
+    let area = 0;
+    polygons.forEach(rings => { area += Math.abs(ringArea(rings[0])); });
+
+    admin1.push({
+      iso3,
+      code: p.iso_3166_2 && !p.iso_3166_2.endsWith('~') ? p.iso_3166_2 : p.adm1_code,
+      name: p.name || p.name_en || p.gn_name || '',
+      aliases: [...new Set([p.name_en, p.name_alt, p.gns_name, p.woe_name]
+        .flatMap(a => String(a || '').split('|'))
+        .map(a => a.trim())
+        .filter(a => a && a !== p.name))],
+      centroid: [round(p.longitude), round(p.latitude)],
+      bbox,
+      polygons: polygons.map(rings => rings.map(ring => ring.flat()))
+    });
+
+    if (!countries.has(iso3)) {
+      countries.set(iso3, {
+        iso3,
+        iso2: p.iso_a2 && p.iso_a2 !== '-1' ? p.iso_a2 : null,
+        name: p.admin,
+        aliases: new Set(),
+        bbox: [...bbox],
+        weighted: { x: 0, y: 0, area: 0 },
+        largest: { area: -1, centroid: null }
+      });
+    }
+    const country = countries.get(iso3);
+    if (p.geonunit && p.geonunit !== p.admin) country.aliases.add(p.geonunit);
+    country.bbox = [
+      Math.min(country.bbox[0], bbox[0]), Math.min(country.bbox[1], bbox[1]),
+      Math.max(country.bbox[2], bbox[2]), Math.max(country.bbox[3], bbox[3])
+    ];
+    polygons.forEach(rings => {
+      const c = ringCentroid(rings[0]);
+      country.weighted.x += c.x * c.area;
+      country.weighted.y += c.y * c.area;
+      country.weighted.area += c.area;
+    });
+    if (area > country.largest.area) {
+      country.largest = { area, centroid: [round(p.longitude), round(p.latitude)] };
+    }
+  });
+
+  const countryList = [...countries.values()].map(c => ({
+    iso3: c.iso3,
+    iso2: c.iso2,
+    name: c.name,
+    aliases: [...c.aliases],
+    // Area-weighted centroid; the gazetteer falls back to labelPoint when
+    // that lands outside the country (archipelagos, crescent shapes)
+    centroid: c.weighted.area > 0
+      ? [round(c.weighted.x / c.weighted.area), round(c.weighted.y / c.weighted.area)]
+      : c.largest.centroid,
+    labelPoint: c.largest.centroid,
+    bbox: c.bbox
+  })).sort((a, b) => a.iso3.localeCompare(b.iso3));
+
+  const output = {
+    source: 'Natural Earth 1:10m Admin 1 – States, Provinces (public domain)',
+    generated: new Date().toISOString().slice(0, 10),
+    tolerance,
+    countries: countryList,
+    admin1
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, JSON.stringify(output));
+  const size = (fs.statSync(OUTPUT).size / 1024 / 1024).toFixed(1);
+  console.log(`✅ ${countryList.length} countries, ${admin1.length} admin-1 regions → ${OUTPUT} (${size} MB)`);
+}
+
+main();
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// ============================================================================
+// build-nws-zones.js — Build the bundled offline NWS zone shapes
+// ============================================================================
+//
+// Many NWS alerts arrive with geometry: null and only list the zones they
+// cover (geocode.UGC) plus the matching county FIPS codes (geocode.SAME).
+// Marine and many forecast-zone alerts carry no county code at all. This
+// script produces data/nws-zones.json so those alerts can be drawn:
+//
+//   counties   5-digit FIPS → polygons, from the us-atlas county TopoJSON
+//              (US Census cartographic boundaries, public domain):
+//                https://github.com/topojson/us-atlas (counties-10m.json)
+//   zones      UGC code (e.g. CAZ041, PZZ655) → polygons, from the NWS zone
+//              shapefiles converted to GeoJSON (public domain):
+//                https://www.weather.gov/gis/PublicZones   forecast zones (z_*)
+//                https://www.weather.gov/gis/MarineZones   coastal (mz*),
+//                                                          offshore (oz*) and
+//                                                          high seas (hz*)
+//
+// Every ring is simplified (Douglas–Peucker, TOLERANCE degrees) — the shapes
+// are drawn as warning areas, not used for survey-grade containment.
+//
+// Usage:
+//   node scripts/build-nws-zones.js <counties-10m.json> [zones.geojson ...]
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { simplifyRing } = require('../enhancements/geometry');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'nws-zones.json');
+const PRECISION = 1000;
+// ~1 km at mid latitudes
+const TOLERANCE = 0.01;
+
+function round(n) {
+  return Math.round(n * PRECISION) / PRECISION;
+}
+
+function roundRing(ring) {
+  return ring
+    .map(([lon, lat]) => [round(lon), round(lat)])
+    .filter((pt, i, arr) => i === 0 || pt[0] !== arr[i - 1][0] || pt[1] !== arr[i - 1][1]);
+}
+
+/**
+ * Decode quantized TopoJSON arcs into absolute [lon, lat] coordinates.
+ */
+function decodeArcs(topology) {
+  const { scale, translate } = topology.transform;
+  return topology.arcs.map(arc => {
+    let x = 0, y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * scale[0] + translate[0], y * scale[1] + translate[1]];
+    });
+  });
+}
+
+function topoRing(indexes, arcs) {
+  const ring = [];
+  indexes.forEach(index => {
+    const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+    arc.forEach((point, i) => {
+      // Consecutive arcs share their joining point
+      if (i === 0 && ring.length > 0) return;
+      ring.push(point);
+    });
+  });
+  return ring;
+}
+
+/**
+ * Rounded, simplified polygons. Islands and holes that collapse at
+ * TOLERANCE are dropped; a shape that would vanish entirely keeps its
+ * rounded rings.
+ */
+function simplifyPolygons(polygons) {
+  const rounded = polygons
+    .map(rings => rings.map(roundRing).filter(r => r.length >= 4))
+    .filter(rings => rings.length > 0);
+  const simplified = rounded
+    .map(rings => rings.map(r => simplifyRing(r, TOLERANCE)))
+    .filter(rings => rings[0])
+    .map(rings => rings.filter(Boolean));
+  return simplified.length > 0 ? simplified : rounded;
+}
+
+function topoPolygons(geometry, arcs) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.arcs]
+    : geometry.type === 'MultiPolygon' ? geometry.arcs : [];
+  return simplifyPolygons(polygons.map(rings => rings.map(r => topoRing(r, arcs))));
+}
+
+function geojsonPolygons(geometry) {
+  if (!geometry) return [];
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+  return simplifyPolygons(polygons);
+}
+
+/**
+ * UGC code of a zone shapefile record: forecast zones have STATE + ZONE
+ * (or STATE_ZONE, e.g. CA041 → CAZ041), marine zones their ID (PZZ655).
+ */
+function ugcCode(p) {
+  if (p.STATE_ZONE) return `${p.STATE_ZONE.slice(0, 2)}Z${p.STATE_ZONE.slice(2)}`;
+  if (p.STATE && p.ZONE) return `${p.STATE}Z${p.ZONE}`;
+  const id = p.ID || p.id;
+  return id && /^[A-Z]{2}Z\d{3}$/.test(id) ? id : null;
+}
+
+/**
+ * Add the zones of one GeoJSON FeatureCollection to a UGC → shape table.
+ * @returns {number} records added
+ */
+function addZoneShapes(zones, geojson) {
+  let added = 0;
+  geojson.features.forEach(f => {
+    const p = f.properties || {};
+    const ugc = ugcCode(p);
+    const polygons = geojsonPolygons(f.geometry);
+    if (!ugc || !polygons.length) return;
+    // A zone split across records (islands) is one entry
+    if (zones[ugc]) zones[ugc].polygons.push(...polygons);
+    else zones[ugc] = { name: p.NAME || p.name || '', polygons };
+    added++;
+  });
+  return added;
+}
+
+function main() {
+  const [countiesFile, ...zoneFiles] = process.argv.slice(2);
+  if (!countiesFile) {
+    console.error('Usage: node scripts/build-nws-zones.js <counties-10m.json> [zones.geojson ...]');
+    process.exit(1);
+  }
+
+  const topology = JSON.parse(fs.readFileSync(countiesFile, 'utf8'));
+  const arcs = decodeArcs(topology);
+  const counties = {};
+  topology.objects.counties.geometries.forEach(g => {
+    const polygons = topoPolygons(g, arcs);
+    if (g.id && polygons.length) {
+      counties[g.id] = { name: g.properties?.name || '', polygons };
+    }
+  });
+
+  const zones = {};
+  zoneFiles.forEach(file => {
+    const added = addZoneShapes(zones, JSON.parse(fs.readFileSync(file, 'utf8')));
+    console.log(`   ${path.basename(file)}: ${added} zone shapes`);
+  });
+
+  const output = {
+    source: 'us-atlas counties (US Census, public domain)' + (zoneFiles.length ? ' + NWS forecast / marine zones' : ''),
+    generated: new Date().toISOString().slice(0, 10),
+    tolerance: TOLERANCE,
+    counties,
+    zones
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, JSON.stringify(output));
+  const size = (fs.statSync(OUTPUT).size / 1024 / 1024).toFixed(1);
+  console.log(`✅ ${Object.keys(counties).length} counties, ${Object.keys(zones).length} zones → ${OUTPUT} (${size} MB)`);
+}
+
+if (require.main === module) main();
+
+module.exports = { addZoneShapes, ugcCode };
@@ -16,6 +16,24 @@ const { Server } = require('socket.io');
 const axios = require('axios');
 const cron = require('node-cron');
 const cookieParser = require('cookie-parser');
+const { loadSourceRegistry } = require('./sources');
+const { locateTitle } = require('./enhancements/gazetteer');
+const { resolveZoneGeometry } = require('./enhancements/nws-zones');
+const { centroid, mergePolygons } = require('./enhancements/geometry');
+const { threadAlerts } = require('./enhancements/nws-threads');
+const { TsunamiFeed } = require('./enhancements/tsunami');
+const { detectSequences, collapseSequences } = require('./enhancements/sequences');
+const { UsgsDetailEnricher } = require('./enhancements/usgs-detail');
+const { FireComplexTracker } = require('./enhancements/fire-complexes');
+const { FirmsStore, parseFirmsCsv } = require('./enhancements/firms');
+const { StaticHeatMask } = require('./enhancements/static-heat');
+const { SpaceWeatherFeed } = require('./enhancements/space-weather');
+const { buildAuroraZones } = require('./enhancements/aurora');
+const { linkVolcanoes, isCurrent } = require('./enhancements/vaac');
+const { ConflictStore } = require('./enhancements/conflicts');
+const { FetchCoordinator, UpdateRelay, layerRoom, userRoom } = require('./enhancements/cluster');
+const { FilterRooms } = require('./enhancements/socket-filters');
+const { SseHub, parseStreamQuery, MAX_REPLAY } = require('./enhancements/sse');
 require('dotenv').config();
 
 const app = express();
@@ -61,96 +79,30 @@ class DisasterDataAggregator {
     this.processedEvents = new Map();
     this.lastFetchTime = {};
     
-    this.dataSources = {
-      // 1. EARTHQUAKES - USGS
-      earthquakes: {
-        url: 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/2.5_week.geojson',
-        interval: '*/5 * * * *',
-        transform: this.transformUSGSEarthquakes.bind(this),
-        priority: 1
-      },
-
-      // 2. FIRES - NASA FIRMS
-      fires: {
-        url: () => {
-          const key = process.env.FIRMS_MAP_KEY || '1ab1f40c11fa5a952619c58594702b1f';
-          return `https://firms.modaps.eosdis.nasa.gov/api/area/csv/${key}/VIIRS_SNPP_NRT/world/3`;
-        },
-        interval: '*/10 * * * *',
-        transform: this.transformNASAFires.bind(this),
-        priority: 2
-      },
-
-      // 3. WEATHER ALERTS - NOAA
-      weather: {
-        url: 'https://api.weather.gov/alerts/active',
-        interval: '*/5 * * * *',
-        transform: this.transformNOAAWeather.bind(this),
-        priority: 3
-      },
-
-      // 4. VOLCANOES - NASA EONET
-      volcanoes_eonet: {
-        url: 'https://eonet.gsfc.nasa.gov/api/v3/events?category=volcanoes&status=open&limit=100',
-        interval: '*/15 * * * *',
-        transform: this.transformEONETVolcanoes.bind(this),
-        priority: 4
-      },
-
-      // 5. FLOODS - NASA EONET (PRIMARY)
-      floods_nasa: {
-        url: 'https://eonet.gsfc.nasa.gov/api/v3/events?category=floods&status=open&limit=100',
-        interval: '*/10 * * * *',
-        transform: this.transformNASAFloods.bind(this),
-        priority: 5
-      },
-
-      // 6. FLOODS - RELIEFWEB (HUMANITARIAN)
-      floods_reliefweb: {
-        url: 'https://api.reliefweb.int/v1/disasters?appname=realnow&preset=latest&limit=100&profile=list',
-        interval: '*/15 * * * *',
-        transform: this.transformReliefWebFloods.bind(this),
-        priority: 6
-      },
-
-      // 7. GDACS COMBINED - fetch all and filter by type
-      gdacs_combined: {
-        url: 'https://www.gdacs.org/gdacsapi/api/events/geteventlist/SEARCH',
-        interval: '*/15 * * * *',
-        transform: this.transformGDACSSplitData.bind(this),
-        priority: 7
-      },
-
-      // 8. SPACE WEATHER - NOAA SWPC
-      spaceweather: {
-        url: 'https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json',
-        interval: '*/30 * * * *',
-        transform: this.transformSpaceWeather.bind(this),
-        priority: 8
-      },
-
-      // 9. LANDSLIDES - NASA EONET
-      landslides: {
-        url: 'https://eonet.gsfc.nasa.gov/api/v3/events?category=landslides&status=open&limit=50',
-        interval: '*/30 * * * *',
-        transform: this.transformLandslides.bind(this),
-        priority: 9
-      },
-
-      // 10. TSUNAMIS - NOAA PTWC
-      tsunamis: {
-        url: 'https://www.tsunami.gov/events/xml/PAAQAtom.xml',
-        interval: '*/5 * * * *',
-        transform: this.transformTsunamis.bind(this),
-        priority: 10
-      }
+    // Feeds are declared as adapter modules in ./sources — see sources/index.js
+    this.registry = loadSourceRegistry();
+    this.tsunamiFeed = new TsunamiFeed();
+    this.usgsDetail = new UsgsDetailEnricher();
+    this.shakemapKeys = [];
+    this.firms = new FirmsStore({ onSettled: () => this.publishFires() });
+    this.staticHeat = new StaticHeatMask(redis);
+    this.fireComplexes = new FireComplexTracker();
+    this.spaceWeather = new SpaceWeatherFeed();
+    this.conflicts = new ConflictStore({ redis });
+    // Only the lease holder fetches when several instances share Redis
+    this.coordinator = new FetchCoordinator(redis);
+    this.relay = null;
+    this.mergers = {
+      floods: () => this.mergeFloodData(),
+      weather: () => this.mergeWeatherData(),
+      ashadvisories: () => this.mergeAshAdvisories()
     };
   }
 
   // ===================
   // GDACS SPLIT TRANSFORM
   // ===================
-  async transformGDACSSplitData(data) {
+  transformGDACSSplitData(data) {
     console.log('📊 Processing GDACS combined data...');
     
     if (!data?.features) {
@@ -178,32 +130,17 @@ class DisasterDataAggregator {
     const transformedFloods = this.transformGDACSFloods({ features: floods });
     const transformedWildfires = this.transformGDACSWildfires({ features: wildfires });
     const transformedDroughts = this.transformGDACSDroughts({ features: droughts });
-    
-    if (transformedCyclones?.features?.length > 0) {
-      await this.storeInRedis('cyclones', transformedCyclones);
-    } else {
-      await this.storeInRedis('cyclones', {
-        type: 'cyclones', timestamp: new Date().toISOString(), count: 0, features: [],
-        note: 'No active tropical cyclones currently'
-      });
-    }
-    
-    if (transformedFloods?.features?.length > 0) {
-      await this.storeInRedis('floods_gdacs', transformedFloods);
-    }
-    
-    if (transformedWildfires?.features?.length > 0) {
-      await this.storeInRedis('wildfires', transformedWildfires);
-    }
-    
-    if (transformedDroughts?.features?.length > 0) {
-      await this.storeInRedis('droughts', transformedDroughts);
-    }
 
-    await this.mergeFloodData();
-
-    return { 
-      processed: true, 
+    return {
+      layers: {
+        cyclones: transformedCyclones?.features?.length > 0 ? transformedCyclones : {
+          type: 'cyclones', timestamp: new Date().toISOString(), count: 0, features: [],
+          note: 'No active tropical cyclones currently'
+        },
+        floods_gdacs: transformedFloods,
+        wildfires: transformedWildfires,
+        droughts: transformedDroughts
+      },
       counts: typeCounts,
       filtered: { cyclones: cyclones.length, floods: floods.length, wildfires: wildfires.length, droughts: droughts.length }
     };
@@ -257,13 +194,13 @@ class DisasterDataAggregator {
   // TRANSFORM FUNCTIONS
   // ===================
 
-  transformUSGSEarthquakes(data) {
+  async transformUSGSEarthquakes(data) {
       if (!data?.features) {
         console.log('No earthquake data received');
         return null;
       }
 
-      const earthquakes = data.features
+      let earthquakes = data.features
         .filter(f => f.properties.mag >= 2.5 && f.geometry?.coordinates?.length >= 2)
         .map(f => {
           const p = f.properties;
@@ -302,6 +239,7 @@ class DisasterDataAggregator {
             significance: p.sig,
             source: 'USGS',
             url: p.url || '',
+            detailUrl: p.detail || null,
             // ── NEW v5.1 FIELDS ──
             magType: p.magType || '',
             title: p.title || '',
@@ -313,120 +251,145 @@ class DisasterDataAggregator {
             depthClass: depthClass,
             intensityDesc: intensityDesc
           };
-        })
+        });
+
+      // Mainshock / aftershock grouping runs on the full week so sequence
+      // counts are not cut short by the 500-event cap below
+      const sequences = detectSequences(earthquakes);
+      earthquakes = earthquakes
         .sort((a, b) => b.magnitude - a.magnitude)
         .slice(0, 500);
 
-      console.log(`✅ Processed ${earthquakes.length} earthquakes from USGS`);
+      // PAGER / ShakeMap / moment tensor for the big ones. Contours are kept
+      // out of the layer and served by /api/event/:id/shakemap.
+      try {
+        const contours = await this.usgsDetail.enrich(earthquakes);
+        await Promise.all([...contours].map(([id, geojson]) =>
+          redis.setEx(`shakemap:${id}`, this.fetchCache.ttl, JSON.stringify(geojson))
+        ));
+        // Kept alive with the layer on unchanged cycles (sources/earthquakes.js)
+        this.shakemapKeys = [...contours.keys()].map(id => `shakemap:${id}`);
+      } catch (e) {
+        console.error('Error enriching USGS event details:', e.message);
+      }
+
+      console.log(`✅ Processed ${earthquakes.length} earthquakes from USGS (${sequences.length} aftershock sequences)`);
 
       return {
         type: 'earthquakes',
         timestamp: new Date().toISOString(),
         count: earthquakes.length,
+        sequenceCount: sequences.length,
         features: earthquakes
       };
     }
 
-  transformNASAFires(csvData) {
-      console.log('🔥 Processing NASA FIRMS fires...');
+  // Each FIRMS product only feeds the store; the layers are rebuilt once the
+  // staggered products of a cycle are in (FirmsStore onSettled → publishFires)
+  transformNASAFires(csvData, productId = 'VIIRS_SNPP_NRT') {
+      console.log(`🔥 Processing NASA FIRMS ${productId}...`);
 
-      if (!csvData || typeof csvData !== 'string') {
-        console.log('❌ No fire CSV data received');
+      const detections = parseFirmsCsv(csvData, productId);
+      if (detections.length === 0) {
+        console.log(`❌ No ${productId} fire data received`);
         return null;
       }
+      this.firms.ingest(productId, detections);
+      console.log(`🔥 NASA FIRMS ${productId}: ${detections.length} detections, re-clustering once the cycle settles`);
+      return null;
+    }
 
-      const lines = csvData.split('\n').filter(line => line.trim());
-      if (lines.length <= 1) {
-        console.log('❌ No fire data lines found');
-        return null;
-      }
+  async publishFires() {
+    if (!this.coordinator.isLeader) return;
+    const adapter = this.registry.list().find(a => a.layers.some(layer => layer.id === 'fires'));
+    if (!adapter) return;
+    try {
+      await this.publishLayers(adapter, await this.buildFireLayers());
+    } catch (error) {
+      console.error('❌ Error publishing NASA FIRMS layers:', error.message);
+    }
+  }
 
-      console.log(`📊 NASA FIRMS: Processing ${lines.length - 1} total fires`);
-
-      const allFires = [];
-
-      for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(',');
-        if (values.length >= 13) {
-          const lat = parseFloat(values[0]);
-          const lon = parseFloat(values[1]);
-          const brightness = parseFloat(values[2]);
-          const frp = parseFloat(values[12]) || 0;
-          const scan = parseFloat(values[3]) || 0;
-          const track = parseFloat(values[4]) || 0;
-
-          if (!isNaN(lat) && !isNaN(lon)) {
-            let region = 'Other';
-            if (lon > -170 && lon < -30) region = 'Americas';
-            else if (lon > -25 && lon < 45 && lat > 35 && lat < 71) region = 'Europe';
-            else if (lon > -20 && lon < 52 && lat > -35 && lat < 37) region = 'Africa';
-            else if (lon > 45 && lon < 180 && lat > -10 && lat < 77) region = 'Asia';
-            else if (lon > 110 && lon < 160 && lat > -50 && lat < -10) region = 'Australia';
-
-            // ── Intensity classification from FRP ──
-            let intensity = 'Low';
-            if (frp >= 100) intensity = 'Extreme';
-            else if (frp >= 50) intensity = 'High';
-            else if (frp >= 20) intensity = 'Moderate';
-
-            allFires.push({
-              id: `fire_${i}_${Date.now()}`,
-              type: 'fire',
-              latitude: lat,
-              longitude: lon,
-              coordinates: [lon, lat],
-              brightness: brightness,
-              scan: scan,
-              track: track,
-              date: values[5],
-              time: values[6],
-              satellite: values[7],
-              confidence: values[9],
-              version: values[10],
-              bright_t31: parseFloat(values[11]),
-              frp: frp,
-              daynight: values[13] || 'D',
-              source: 'NASA_FIRMS',
-              region: region,
-              // ── NEW v5.1 FIELDS ──
-              instrument: values[8] || '',
-              intensity: intensity,
-              estimatedArea: scan * track,
-              dayNight: values[13] || 'D'
-            });
-          }
-        }
+  async buildFireLayers() {
+      // Every product's latest detections, cross-checked between sensors
+      const { detections: all, counts, confirmed } = this.firms.snapshot();
+      console.log(`📊 NASA FIRMS: ${all.length} detections from ${Object.keys(counts).length} products, ${confirmed} confirmed`);
+
+      // Gas flares, industry and lava lakes: learned from persistence
+      try {
+        await this.staticHeat.learn(all);
+      } catch (error) {
+        console.error('❌ [StaticHeat] Failed to learn:', error.message);
       }
+      const likelyStatic = this.staticHeat.tag(all);
 
       const byRegion = {};
-      allFires.forEach(fire => {
-        if (!byRegion[fire.region]) byRegion[fire.region] = [];
-        byRegion[fire.region].push(fire);
+      all.forEach(d => {
+        let region = 'Other';
+        const lat = d.latitude;
+        const lon = d.longitude;
+        if (lon > -170 && lon < -30) region = 'Americas';
+        else if (lon > -25 && lon < 45 && lat > 35 && lat < 71) region = 'Europe';
+        else if (lon > -20 && lon < 52 && lat > -35 && lat < 37) region = 'Africa';
+        else if (lon > 45 && lon < 180 && lat > -10 && lat < 77) region = 'Asia';
+        else if (lon > 110 && lon < 160 && lat > -50 && lat < -10) region = 'Australia';
+
+        if (!byRegion[region]) byRegion[region] = [];
+        byRegion[region].push(d);
       });
 
       const maxFires = 2000;
       const sampledFires = [];
-      const totalFires = allFires.length;
+      const totalFires = all.length;
 
       Object.entries(byRegion).forEach(([region, regionFires]) => {
         const proportion = regionFires.length / totalFires;
         const toTake = Math.ceil(proportion * maxFires);
-        regionFires.sort((a, b) => (b.frp || 0) - (a.frp || 0));
-        const selected = regionFires.slice(0, toTake);
+        // Flares burn hot around the clock — real fires get the sample first
+        regionFires.sort((a, b) => (a.likelyStatic - b.likelyStatic) || (b.frp || 0) - (a.frp || 0));
+        const selected = regionFires.slice(0, toTake).map(d => ({ ...d, region }));
         sampledFires.push(...selected);
       });
 
-      sampledFires.sort((a, b) => (b.frp || 0) - (a.frp || 0));
-      const finalFires = sampledFires.slice(0, maxFires);
+      sampledFires.sort((a, b) => (a.likelyStatic - b.likelyStatic) || (b.frp || 0) - (a.frp || 0));
 
-      console.log(`✅ Processed ${finalFires.length} fires from NASA FIRMS (sampled from ${allFires.length} total)`);
+      // Only the sample is shaped into map features
+      const finalFires = sampledFires.slice(0, maxFires).map(d => {
+        // ── Intensity classification from FRP ──
+        let intensity = 'Low';
+        if (d.frp >= 100) intensity = 'Extreme';
+        else if (d.frp >= 50) intensity = 'High';
+        else if (d.frp >= 20) intensity = 'Moderate';
 
+        return {
+          ...d,
+          type: 'fire',
+          coordinates: [d.longitude, d.latitude],
+          source: 'NASA_FIRMS',
+          // ── NEW v5.1 FIELDS ──
+          intensity: intensity,
+          estimatedArea: d.scan * d.track,
+          dayNight: d.daynight
+        };
+      });
+
+      console.log(`✅ Processed ${finalFires.length} fires from NASA FIRMS (sampled from ${all.length} total)`);
+
+      // Complexes are clustered from every detection, not the sample
       return {
-        type: 'fires',
-        timestamp: new Date().toISOString(),
-        count: finalFires.length,
-        features: finalFires,
-        totalAvailable: allFires.length
+        layers: {
+          fires: {
+            type: 'fires',
+            timestamp: new Date().toISOString(),
+            count: finalFires.length,
+            features: finalFires,
+            totalAvailable: all.length,
+            confirmedCount: confirmed,
+            staticCount: likelyStatic,
+            sources: counts
+          },
+          firecomplexes: this.fireComplexes.update(all)
+        }
       };
     }
 
@@ -446,23 +409,47 @@ class DisasterDataAggregator {
 
       const now = new Date();
 
-      const alerts = data.features
-        .filter(alert => alert.properties && alert.geometry)
-        .map(alert => {
+      // Fold Update / Cancel messages and per-zone segments into one
+      // logical alert per warning (see enhancements/nws-threads.js)
+      const threads = threadAlerts(data.features);
+      const unresolved = [];
+
+      const alerts = threads
+        .map(thread => {
+          const alert = thread.primary;
           const p = alert.properties;
-          let coordinates = [0, 0];
-          if (alert.geometry?.coordinates?.length > 0) {
-            if (alert.geometry.type === 'Polygon' && alert.geometry.coordinates[0]?.length > 0) {
-              coordinates = alert.geometry.coordinates[0][0];
-            } else if (alert.geometry.type === 'Point') {
-              coordinates = alert.geometry.coordinates;
-            }
+
+          // Storm-based warnings carry their own polygon; zone-based alerts
+          // (geometry: null) are resolved from the bundled zone/county shapes
+          let geometry = mergePolygons(thread.messages.map(m => m.geometry).filter(Boolean));
+          let geometrySource = geometry ? 'alert' : null;
+          let geometryRef = null;
+          if (!geometry) {
+            const resolved = resolveZoneGeometry({ UGC: thread.zones, SAME: thread.same });
+            if (resolved) ({ geometry, geometrySource, geometryRef } = resolved);
+          }
+
+          let coordinates = null;
+          if (geometry) {
+            coordinates = centroid(geometry);
+          } else if (alert.geometry?.type === 'Point') {
+            coordinates = alert.geometry.coordinates;
           }
+          if (!coordinates) {
+            unresolved.push(thread);
+            return null;
+          }
+
+          const areas = [...new Set(thread.messages.map(m => m.properties.areaDesc).filter(Boolean))].join('; ');
+          const expires = thread.messages
+            .map(m => m.properties.expires)
+            .filter(Boolean)
+            .reduce((latest, e) => (!latest || new Date(e) > new Date(latest) ? e : latest), null);
 
           // Calculate time remaining
           let timeRemaining = '';
-          if (p.expires) {
-            const diff = new Date(p.expires) - now;
+          if (expires) {
+            const diff = new Date(expires) - now;
             if (diff > 0) {
               const hrs = Math.floor(diff / 3600000);
               const mins = Math.floor((diff % 3600000) / 60000);
@@ -471,17 +458,21 @@ class DisasterDataAggregator {
           }
 
           return {
-            id: alert.id,
+            id: thread.id,
             type: 'weather',
             severity: p.severity,
             urgency: p.urgency,
             event: p.event,
             headline: p.headline,
             description: p.description?.substring(0, 800),
-            areas: p.areaDesc,
-            coordinates: coordinates,
+            areas,
+            zones: thread.zones,
+            coordinates: coordinates.map(c => Math.round(c * 1e4) / 1e4),
+            geometry,
+            geometrySource,
+            geometryRef,
             onset: p.onset,
-            expires: p.expires,
+            expires,
             source: 'NOAA',
             category: this.categorizeWeatherEvent(p.event),
             // ── NEW v5.1 FIELDS ──
@@ -494,6 +485,9 @@ class DisasterDataAggregator {
             timeRemaining: timeRemaining,
             status: p.status || '',
             messageType: p.messageType || '',
+            vtec: thread.vtec,
+            alertIds: thread.messages.map(m => m.id),
+            supersededCount: thread.supersededCount,
             parameters: {
               nwsHeadline: p.parameters?.NWSheadline?.[0] || '',
               windThreat: p.parameters?.windThreat?.[0] || '',
@@ -507,14 +501,20 @@ class DisasterDataAggregator {
             }
           };
         })
+        .filter(Boolean)
         .slice(0, 500);
 
-      console.log(`✅ Processed ${alerts.length} weather alerts from NOAA`);
+      console.log(`✅ Processed ${alerts.length} weather alerts from NOAA (${data.features.length} messages)`);
+      if (unresolved.length > 0) {
+        const zones = [...new Set(unresolved.flatMap(t => t.zones))];
+        console.log(`⚠️ Skipped ${unresolved.length} weather alerts with no polygon and no bundled shape for their zones: ${zones.slice(0, 20).join(', ')}${zones.length > 20 ? ` (+${zones.length - 20} more)` : ''}`);
+      }
 
       return {
         type: 'weather',
         timestamp: new Date().toISOString(),
         count: alerts.length,
+        unresolvedCount: unresolved.length,
         features: alerts
       };
     }
@@ -684,11 +684,12 @@ class DisasterDataAggregator {
       })
       .map(disaster => {
         const name = disaster.fields?.name || 'Unknown Flood';
-        const nameParts = name.split(':');
-        const country = nameParts.length > 1 ? nameParts[0].trim() : 'Unknown';
-        const floodName = nameParts.length > 1 ? nameParts[1].trim() : name;
-        
-        const coords = this.getApproximateCoordinates(country);
+        const place = locateTitle(name);
+        if (!place) {
+          console.log(`  ⏭️ Skipping ReliefWeb flood with unknown country: "${name}"`);
+          return null;
+        }
+        const { country, name: floodName, coordinates: coords } = place;
         
         const eventDate = disaster.fields?.date?.created || 
                           disaster.fields?.date?.changed || 
@@ -727,7 +728,8 @@ class DisasterDataAggregator {
           url: disaster.href || `https://reliefweb.int/node/${disaster.id}`,
           description: `Humanitarian flood disaster: ${floodName} in ${country}`
         };
-      });
+      })
+      .filter(Boolean);
 
     console.log(`✅ Processed ${floods.length} floods from ReliefWeb`);
     
@@ -773,7 +775,7 @@ class DisasterDataAggregator {
             latitude: coords[1],
             longitude: coords[0],
             alertLevel: props.alertlevel || 'Green',
-            alertScore: parseInt(props.alertscore || 0),
+            alertScore: parseFloat(props.alertscore || 0),
             severity: props.severitydata?.severity || props.severity || 'Unknown',
             affectedArea: parseInt(props.affectedarea || 0),
             country: props.country || '',
@@ -792,7 +794,6 @@ class DisasterDataAggregator {
             // ── NEW v5.1 FIELDS ──
             url: props.url?.report || props.url?.details || props.link || '',
             htmlDescription: props.htmldescription || '',
-            severityScore: parseFloat(props.alertscore || 0),
             episodeId: props.episodeid || null,
             glide: props.glide || '',
             iso3: props.iso3 || '',
@@ -1231,7 +1232,7 @@ class DisasterDataAggregator {
       };
     }
 
-  transformSpaceWeather(data) {
+  async transformSpaceWeather(data) {
     if (!Array.isArray(data) || data.length < 2) {
       console.log('No space weather data received');
       return null;
@@ -1249,19 +1250,32 @@ class DisasterDataAggregator {
     const kp = latest.kpIndex || 0;
     
     console.log(`✅ Space Weather: Kp index ${kp}`);
+
+    // X-ray flux, protons, solar wind, forecast and SWPC products → G/S/R scales
+    const model = await this.spaceWeather.read({ ...latest, kpIndex: kp });
+    const { scales } = model;
     
     return {
       type: 'spaceweather',
       timestamp: new Date().toISOString(),
       count: 1,
       features: [{
-        id: `space_${Date.now()}`,
+        id: `space_kp_${latest.time}`,
         type: 'spaceweather',
         currentKp: kp,
         severity: this.getSpaceWeatherSeverity(kp),
         time: latest.time,
         coordinates: [0, 90],
-        description: this.getSpaceWeatherDescription(kp),
+        // A geomagnetic storm keeps its impact text; otherwise the worst scale speaks
+        description: scales.G.level > 0 && scales.G.level >= scales.maxLevel
+          ? this.getSpaceWeatherDescription(kp)
+          : model.description,
+        scales,
+        xray: model.xray,
+        protons: model.protons,
+        solarWind: model.solarWind,
+        forecast: model.forecast,
+        alerts: model.alerts,
         source: 'NOAA_SWPC'
       }]
     };
@@ -1285,6 +1299,24 @@ class DisasterDataAggregator {
     return 'Quiet conditions - No significant impacts';
   }
 
+  transformAurora(data) {
+    if (!Array.isArray(data?.coordinates)) {
+      console.log('No aurora forecast data received');
+      return null;
+    }
+
+    const features = buildAuroraZones(data);
+    console.log(`🌌 Aurora: ${features.map(f => `${f.zone}/${f.hemisphere} ≥${f.threshold}%`).join(', ') || 'no zones'} (forecast ${data['Forecast Time']})`);
+
+    return {
+      type: 'aurora',
+      timestamp: new Date().toISOString(),
+      count: features.length,
+      features,
+      forecastTime: data['Forecast Time'] || null
+    };
+  }
+
   // =====================================================================
   // LANDSLIDES — NASA EONET
   // =====================================================================
@@ -1339,59 +1371,51 @@ class DisasterDataAggregator {
     };
   }
 
+  // =====================================================================
+  // CONFLICTS — GDELT DOC 2.0 news coverage
+  // =====================================================================
+  async transformConflicts(data) {
+    // GDELT answers rate limits and query errors with a plain-text body
+    if (!Array.isArray(data?.articles)) {
+      console.log('No GDELT articles received, keeping the current conflicts layer');
+      return null;
+    }
+
+    // Articles accumulate across polls (and restarts); incidents are regrouped from all of them
+    try {
+      await this.conflicts.load();
+    } catch (error) {
+      console.error('❌ [Conflicts] Failed to restore articles:', error.message);
+    }
+    const added = this.conflicts.ingest(data);
+    try {
+      await this.conflicts.save();
+    } catch (error) {
+      console.error('❌ [Conflicts] Failed to save articles:', error.message);
+    }
+    const features = this.conflicts.incidents();
+    const highConfidence = features.filter(f => f.confidenceLevel === 'high').length;
+    console.log(`⚔️ GDELT: ${added} new placeable articles → ${features.length} incidents (${highConfidence} high confidence)`);
+
+    return {
+      type: 'conflicts',
+      timestamp: new Date().toISOString(),
+      count: features.length,
+      features,
+      articleCount: this.conflicts.articles.size
+    };
+  }
+
   // =====================================================================
   // TSUNAMIS — NOAA Pacific Tsunami Warning Center
   // =====================================================================
-  transformTsunamis(data) {
+  async transformTsunamis(data) {
     console.log('🌊 Processing NOAA Tsunami alerts...');
-    const events = [];
+    let events = [];
     
     try {
-      if (typeof data !== 'string') data = '';
-      const entries = data.split('<entry>').slice(1);
-      
-      entries.forEach(entry => {
-        const getTag = (tag) => {
-          const m = entry.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`));
-          return m ? m[1].trim() : null;
-        };
-        
-        const title = getTag('title') || 'Tsunami Alert';
-        const updated = getTag('updated') || new Date().toISOString();
-        const summary = getTag('summary') || '';
-        const id = getTag('id') || `tsunami_${Date.now()}`;
-        
-        const pointMatch = entry.match(/<georss:point>([^<]+)<\/georss:point>/);
-        let lat = 0, lon = 0;
-        if (pointMatch) {
-          const parts = pointMatch[1].trim().split(/\s+/);
-          lat = parseFloat(parts[0]);
-          lon = parseFloat(parts[1]);
-        }
-        
-        let severity = 'Advisory';
-        const text = (title + ' ' + summary).toLowerCase();
-        if (text.includes('warning')) severity = 'Warning';
-        else if (text.includes('watch')) severity = 'Watch';
-        else if (text.includes('information')) severity = 'Information';
-        
-        if (lat !== 0 || lon !== 0) {
-          events.push({
-            id: `tsunami_${id}`,
-            type: 'tsunami',
-            name: title,
-            coordinates: [lon, lat],
-            latitude: lat,
-            longitude: lon,
-            date: updated,
-            severity: severity,
-            region: title,
-            source: 'NOAA_PTWC',
-            description: summary.substring(0, 500),
-            isActive: true
-          });
-        }
-      });
+      // Atom index → linked CAP + bulletin per entry (see enhancements/tsunami.js)
+      events = await this.tsunamiFeed.read(typeof data === 'string' ? data : '');
     } catch (e) {
       console.error('Error parsing tsunami XML:', e.message);
     }
@@ -1435,56 +1459,21 @@ class DisasterDataAggregator {
     return fallbackCountry ? [fallbackCountry] : [];
   }
 
-  getApproximateCoordinates(country) {
-    const countryCoords = {
-      'Bangladesh': [90.356, 23.685], 'India': [78.962, 20.594],
-      'Pakistan': [69.345, 30.375], 'Philippines': [121.774, 12.880],
-      'Indonesia': [113.921, -0.789], 'Thailand': [100.993, 15.870],
-      'Vietnam': [108.277, 14.058], 'China': [104.195, 35.861],
-      'Myanmar': [95.956, 21.914], 'Brazil': [-51.925, -14.235],
-      'Colombia': [-74.297, 4.571], 'Peru': [-75.015, -9.190],
-      'Mexico': [-102.553, 23.635], 'United States': [-95.712, 37.090],
-      'Nigeria': [8.676, 9.082], 'Kenya': [37.906, -0.023],
-      'Somalia': [46.200, 5.152], 'Sudan': [30.217, 12.863],
-      'South Sudan': [31.307, 6.877], 'Ethiopia': [40.490, 9.145],
-      'Mozambique': [35.530, -18.666], 'South Africa': [22.937, -30.560],
-      'Australia': [133.775, -25.274], 'Honduras': [-86.241, 15.200],
-      'Guatemala': [-90.231, 15.784], 'Nicaragua': [-85.207, 12.865],
-      'El Salvador': [-88.897, 13.794], 'Venezuela': [-66.590, 6.423],
-      'Germany': [10.452, 51.166], 'Japan': [138.253, 36.204]
-    };
-    
-    for (const [countryName, coords] of Object.entries(countryCoords)) {
-      if (country.includes(countryName) || countryName.includes(country)) {
-        return coords;
-      }
-    }
-    return [0, 0];
-  }
-
+  // Country centroid from the offline gazetteer, or null if the name is unknown
   // =====================================================================
   // Merge flood data from multiple sources
   // =====================================================================
   async mergeFloodData() {
     try {
-      const [nasaData, reliefwebData, gdacsData] = await Promise.all([
-        redis.get('data:floods_nasa'),
-        redis.get('data:floods_reliefweb'),
-        redis.get('data:floods_gdacs')
-      ]);
-
-      const nasa = nasaData ? JSON.parse(nasaData) : { features: [] };
-      const reliefweb = reliefwebData ? JSON.parse(reliefwebData) : { features: [] };
-      const gdacs = gdacsData ? JSON.parse(gdacsData) : { features: [] };
+      // Every layer whose adapter declares mergeInto: 'floods'
+      const layers = this.registry.layersMergedInto('floods');
+      const cachedLayers = await Promise.all(layers.map(layer => redis.get(`data:${layer}`)));
+      const layerData = cachedLayers.map(cached => cached ? JSON.parse(cached) : { features: [] });
 
       const now = new Date();
       const MAX_STALE_DAYS = 14;
 
-      const allFloods = [
-        ...(nasa.features || []),
-        ...(reliefweb.features || []),
-        ...(gdacs.features || [])
-      ];
+      const allFloods = layerData.flatMap(data => data.features || []);
 
       const freshFloods = allFloods.filter(flood => {
         if (flood.toDate) {
@@ -1539,11 +1528,10 @@ class DisasterDataAggregator {
         timestamp: now.toISOString(),
         count: uniqueFloods.length,
         features: uniqueFloods,
-        sources: {
-          nasa: nasa.count || 0,
-          reliefweb: reliefweb.count || 0,
-          gdacs: gdacs.count || 0
-        }
+        sources: layers.reduce((acc, layer, i) => {
+          acc[layer.replace(/^floods_/, '')] = layerData[i].count || 0;
+          return acc;
+        }, {})
       };
 
       await this.storeInRedis('floods', mergedData);
@@ -1556,6 +1544,85 @@ class DisasterDataAggregator {
     }
   }
 
+  // =====================================================================
+  // Merge weather alerts: NWS plus every configured CAP feed
+  // =====================================================================
+  async mergeWeatherData() {
+    try {
+      const layers = this.registry.layersMergedInto('weather');
+      const cachedLayers = await Promise.all(layers.map(layer => redis.get(`data:${layer}`)));
+      const layerData = cachedLayers.map(cached => cached ? JSON.parse(cached) : { features: [] });
+
+      const seen = new Set();
+      const alerts = layerData.flatMap(data => data.features || []).filter(alert => {
+        if (seen.has(alert.id)) return false;
+        seen.add(alert.id);
+        return true;
+      });
+
+      const mergedData = {
+        type: 'weather',
+        timestamp: new Date().toISOString(),
+        count: alerts.length,
+        features: alerts,
+        sources: layers.reduce((acc, layer, i) => {
+          acc[layer.replace(/^weather_(cap_)?/, '')] = layerData[i].count || 0;
+          return acc;
+        }, {})
+      };
+
+      await this.storeInRedis('weather', mergedData);
+      console.log(`⚠️ Merged ${alerts.length} weather alerts from ${layers.length} sources`);
+
+      return mergedData;
+    } catch (error) {
+      console.error('Error merging weather data:', error);
+      return null;
+    }
+  }
+
+  async mergeAshAdvisories() {
+    try {
+      const layers = this.registry.layersMergedInto('ashadvisories');
+      const cachedLayers = await Promise.all(layers.map(layer => redis.get(`data:${layer}`)));
+      const layerData = cachedLayers.map(cached => cached ? JSON.parse(cached) : { features: [] });
+
+      // A VAAC whose fetches are failing still has its last layer cached
+      const now = Date.now();
+      const seen = new Set();
+      const advisories = layerData.flatMap(data => data.features || []).filter(advisory => {
+        if (!isCurrent(advisory, now) || seen.has(advisory.id)) return false;
+        seen.add(advisory.id);
+        return true;
+      });
+
+      // Link each ash cloud to the volcano event that produced it
+      const cachedVolcanoes = await redis.get('data:volcanoes');
+      const volcanoes = cachedVolcanoes ? JSON.parse(cachedVolcanoes).features || [] : [];
+      const linked = linkVolcanoes(advisories, volcanoes);
+
+      const mergedData = {
+        type: 'ashadvisories',
+        timestamp: new Date().toISOString(),
+        count: advisories.length,
+        features: advisories,
+        activeCount: advisories.filter(a => a.isActive).length,
+        sources: layers.reduce((acc, layer, i) => {
+          acc[layer.replace(/^ashadvisories_/, '')] = layerData[i].count || 0;
+          return acc;
+        }, {})
+      };
+
+      await this.storeInRedis('ashadvisories', mergedData);
+      console.log(`🌋 Merged ${advisories.length} ash advisories from ${layers.length} VAACs (${linked} linked to volcanoes)`);
+
+      return mergedData;
+    } catch (error) {
+      console.error('Error merging ash advisories:', error);
+      return null;
+    }
+  }
+
   // ====================
   // STORAGE & FETCH
   // ====================
@@ -1563,7 +1630,8 @@ class DisasterDataAggregator {
   async storeInRedis(type, data) {
     try {
       await redis.set(`data:${type}`, JSON.stringify(data), { EX: 600 });
-      io.emit(`update:${type}`, data);
+      if (this.relay) this.relay.emit(`update:${type}`, data, { layer: type });
+      else io.emit(`update:${type}`, data);
       console.log(`💾 Stored ${data.count} ${type} in Redis`);
     } catch (error) {
       console.error(`Error storing ${type} in Redis:`, error.message);
@@ -1571,46 +1639,49 @@ class DisasterDataAggregator {
   }
 
   async fetchData(source) {
+    const adapter = this.registry.get(source);
+    if (!adapter) {
+      console.error(`❌ Unknown source: ${source}`);
+      return null;
+    }
+
     try {
-      const config = this.dataSources[source];
-      const url = typeof config.url === 'function' ? config.url() : config.url;
-      
-      console.log(`📡 Fetching ${source}...`);
-      
-      const response = await axios.get(url, {
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'RealNow-DisasterTracker/5.0',
-          'Accept': 'application/json, text/csv, application/xml, */*'
-        }
+      const url = this.registry.resolveUrl(adapter);
+      const result = await this.fetchCache.fetch(source, options => {
+        console.log(`📡 Fetching ${source}...`);
+        return axios.get(url, options);
+      }, {
+        fetchOptions: adapter.fetchOptions,
+        // The body is not all the parser reads (e.g. spaceweather): always parse
+        conditional: adapter.conditional !== false,
+        expired: adapter.expired
       });
 
-      const transformedData = config.transform(response.data);
-      
-      if (source === 'gdacs_combined') {
-        return transformedData;
-      }
-      
-      if (source.startsWith('floods_')) {
-        if (transformedData?.features?.length > 0) {
-          await this.storeInRedis(source, transformedData);
-        }
-        await this.mergeFloodData();
-      } else if (transformedData?.features?.length > 0) {
-        await this.storeInRedis(transformedData.type || source, transformedData);
+      // Unchanged upstream: skip parse, store and broadcast, keep the cache alive.
+      // The fetch cache has already refetched once if a cached layer or what
+      // the adapter parsed last expired — there rather than through
+      // this.fetchData, which the circuit breaker wraps.
+      if (!result.changed) {
+        if (result.skipped) console.log(`⏭️  ${source}: ${result.reason}, skipping update`);
+        this.lastFetchTime[source] = new Date();
+        return this.getCachedLayer(adapter);
       }
 
+      const parsed = await adapter.parse(result.data, this);
+      const stored = await this.publishLayers(adapter, parsed);
+      this.fetchCache.commit(source, stored, adapter.cacheKeys ? adapter.cacheKeys(this) : []);
+
       this.lastFetchTime[source] = new Date();
-      return transformedData;
+      return parsed;
       
     } catch (error) {
       console.error(`❌ Error fetching ${source}:`, error.message);
       
       try {
-        const cached = await redis.get(`data:${source}`);
+        const cached = await this.getCachedLayer(adapter);
         if (cached) {
           console.log(`   Using cached data for ${source}`);
-          return JSON.parse(cached);
+          return cached;
         }
       } catch (e) {
         console.error(`   No cached data for ${source}`);
@@ -1620,20 +1691,64 @@ class DisasterDataAggregator {
     }
   }
 
-  async startScheduledFetching() {
-    console.log('🚀 Starting scheduled data fetching...\n');
-    
-    for (const [source, config] of Object.entries(this.dataSources)) {
-      await this.fetchData(source);
+  async getCachedLayer(adapter) {
+    const cached = await redis.get(`data:${adapter.layers[0].id}`);
+    return cached ? JSON.parse(cached) : null;
+  }
+
+  // Store each layer an adapter produced, then rebuild any merged layer it feeds.
+  // A parser returns either one layer payload or { layers: { <layer>: payload } }.
+  // Resolves to the layers written, merged layers included.
+  async publishLayers(adapter, parsed) {
+    const stored = [];
+    if (!parsed) return stored;
+
+    const payloads = parsed.layers || { [parsed.type || adapter.layers[0].id]: parsed };
+
+    for (const layer of adapter.layers) {
+      const payload = payloads[layer.id];
+      if (!payload) continue;
+      if (payload.features?.length > 0 || layer.storeEmpty) {
+        await this.storeInRedis(layer.id, payload);
+        stored.push(layer.id);
+      }
+    }
+
+    for (const target of this.registry.mergeTargets(adapter)) {
+      if (this.mergers[target]) {
+        await this.mergers[target]();
+        stored.push(target);
+      }
+    }
+    return stored;
+  }
+
+  // Fetch a source unless another instance is fetching it right now
+  fetchExclusive(source) {
+    return this.coordinator.withLock(`fetch:${source}`, () => this.fetchData(source));
+  }
+
+  // Initial sweep of every source, run each time this instance wins the lease
+  async fetchAll() {
+    for (const adapter of this.registry.list()) {
+      if (!this.coordinator.isLeader) return;
+      await this.fetchExclusive(adapter.id);
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
+  }
 
-    Object.entries(this.dataSources).forEach(([source, config]) => {
-      cron.schedule(config.interval, () => {
-        this.fetchData(source);
+  async startScheduledFetching() {
+    console.log('🚀 Starting scheduled data fetching...\n');
+
+    // Every instance keeps the schedule; only the lease holder acts on it
+    this.registry.list().forEach(adapter => {
+      cron.schedule(adapter.interval, () => {
+        if (this.coordinator.isLeader) this.fetchExclusive(adapter.id);
       });
-      console.log(`📅 Scheduled ${source}: ${config.interval}`);
+      console.log(`📅 Scheduled ${adapter.id}: ${adapter.interval}`);
     });
+
+    this.coordinator.start({ onElected: () => this.fetchAll() });
   }
 }
 
@@ -1648,12 +1763,28 @@ const aggregator = new DisasterDataAggregator();
 // =====================================================================
 enhancements.enhanceAggregator(aggregator, redis);
 aggregator.io = io; // Give aggregator reference to socket.io
+// Socket updates stored by the fetching instance reach every instance's clients
+aggregator.relay = new UpdateRelay(redis, io, { instanceId: aggregator.coordinator.id });
+const loadLayer = async (type) => {
+  const cached = await redis.get(`data:${type}`);
+  return cached ? JSON.parse(cached) : null;
+};
+// Filtered subscriptions and SSE streams get their share of every update delivered here
+const filterRooms = new FilterRooms(io, {
+  loadLayer,
+  knownTypes: () => aggregator.registry.publicLayers()
+});
+const sseHub = new SseHub();
+aggregator.relay.use((event, payload) => filterRooms.handle(event, payload));
+aggregator.relay.use((event, payload) => sseHub.handle(event, payload));
 
+// ?collapse=sequences replaces each aftershock sequence by its mainshock
 app.get('/api/data/:type', async (req, res) => {
   try {
     const cached = await redis.get(`data:${req.params.type}`);
     if (cached) {
-      res.json(JSON.parse(cached));
+      const data = JSON.parse(cached);
+      res.json(req.query.collapse === 'sequences' ? collapseSequences(data) : data);
     } else {
       res.status(404).json({ error: 'Data not available', type: req.params.type });
     }
@@ -1663,18 +1794,18 @@ app.get('/api/data/:type', async (req, res) => {
 });
 
 app.get('/api/aggregate', async (req, res) => {
-  const types = [
-    'earthquakes', 'fires', 'weather', 
-    'volcanoes', 'cyclones', 'floods', 
-    'droughts', 'wildfires', 'spaceweather',
-    'landslides', 'tsunamis'
-  ];
+  const types = aggregator.registry.publicLayers();
+  const collapse = req.query.collapse === 'sequences';
   
   const results = {};
   
   for (const type of types) {
     try {
       const cached = await redis.get(`data:${type}`);
+      if (cached && collapse) {
+        results[type] = collapseSequences(JSON.parse(cached));
+        continue;
+      }
       results[type] = cached ? JSON.parse(cached) : { 
         type, features: [], count: 0, timestamp: new Date().toISOString() 
       };
@@ -1687,16 +1818,15 @@ app.get('/api/aggregate', async (req, res) => {
 });
 
 app.get('/api/stats', async (req, res) => {
-  const types = [
-    'earthquakes', 'fires', 'weather', 
-    'volcanoes', 'cyclones', 'floods', 
-    'droughts', 'wildfires', 'spaceweather',
-    'landslides', 'tsunamis'
-  ];
+  const types = aggregator.registry.publicLayers();
   
   const stats = {
     timestamp: new Date().toISOString(),
     lastFetch: aggregator.lastFetchTime,
+    scheduler: aggregator.coordinator.status(),
+    socketFilters: filterRooms.stats(),
+    streams: sseHub.stats(),
+    fetch: aggregator.fetchCache.getStats(),
     data: {}
   };
   
@@ -1708,7 +1838,8 @@ app.get('/api/stats', async (req, res) => {
         count: data?.count || 0,
         hasData: !!data?.features?.length,
         lastUpdate: data?.timestamp || 'Never',
-        sources: data?.sources || null
+        sources: data?.sources || null,
+        history: await aggregator.history.getStats(type)
       };
     } catch (e) {
       stats.data[type] = { count: 0, hasData: false };
@@ -1732,39 +1863,47 @@ app.get('/health', (req, res) => {
 
 app.post('/api/refresh/:type', async (req, res) => {
   const type = req.params.type;
-  
-  if (type === 'floods') {
-    console.log('Manual flood refresh requested');
-    await aggregator.fetchData('floods_nasa');
-    await aggregator.fetchData('floods_reliefweb');
-    await aggregator.fetchData('gdacs_combined');
-    const result = await aggregator.mergeFloodData();
-    res.json({ success: true, type: 'floods', count: result?.count || 0, sources: result?.sources || {} });
-  } else if (type === 'gdacs') {
-    console.log('Manual GDACS refresh requested');
-    await aggregator.fetchData('gdacs_combined');
-    res.json({ success: true, type: 'gdacs', message: 'All GDACS data refreshed' });
-  } else if (type === 'cyclones') {
-    console.log('Manual cyclone refresh requested');
-    await aggregator.fetchData('gdacs_combined');
-    const cached = await redis.get('data:cyclones');
-    const data = cached ? JSON.parse(cached) : { count: 0 };
-    res.json({ success: true, type: 'cyclones', count: data.count });
-  } else if (aggregator.dataSources[type]) {
-    console.log(`Manual refresh requested for ${type}`);
-    const result = await aggregator.fetchData(type);
-    res.json({ success: !!result, type, count: result?.count || 0 });
-  } else {
-    res.status(404).json({ error: 'Unknown data type' });
+
+  // A source id refreshes that source; a layer name (e.g. 'floods') refreshes
+  // every source that writes or merges into it.
+  const adapters = aggregator.registry.has(type)
+    ? [aggregator.registry.get(type)]
+    : aggregator.registry.adaptersForLayer(type);
+
+  if (adapters.length === 0) {
+    return res.status(404).json({ error: 'Unknown data type' });
   }
+
+  const ids = adapters.map(a => a.id);
+  console.log(`Manual refresh requested for ${type} (${ids.join(', ')})`);
+
+  // A source another instance is fetching right now is left to it. Success
+  // is the fetch itself, not what it parsed: FIRMS parses to null and
+  // publishes once the cycle settles, and a failed fetch still returns the
+  // cached layer. fetchData stamps lastFetchTime only when the upstream answered.
+  const results = [];
+  const failed = [];
+  for (const id of ids) {
+    const before = aggregator.lastFetchTime[id];
+    results.push(await aggregator.fetchExclusive(id));
+    if (aggregator.lastFetchTime[id] === before) failed.push(id);
+  }
+
+  const cached = await redis.get(`data:${type}`);
+  const data = cached ? JSON.parse(cached) : results[0];
+  res.json({
+    success: failed.length < ids.length,
+    type,
+    refreshed: ids,
+    failed,
+    count: data?.count || 0,
+    sources: data?.sources || {}
+  });
 });
 
 app.get('/api/event/:id', async (req, res) => {
   const eventId = req.params.id;
-  const types = [
-    'earthquakes', 'fires', 'weather', 'volcanoes', 'cyclones', 'floods',
-    'droughts', 'wildfires', 'spaceweather', 'landslides', 'tsunamis'
-  ];
+  const types = aggregator.registry.publicLayers();
   
   for (const type of types) {
     try {
@@ -1772,34 +1911,158 @@ app.get('/api/event/:id', async (req, res) => {
       if (!cached) continue;
       const data = JSON.parse(cached);
       const match = data.features?.find(f => f.id === eventId || f.name === eventId);
-      if (match) return res.json({ success: true, type, event: match });
+      if (!match) continue;
+
+      // Causally linked events (earthquake → tsunami / landslides)
+      const cascade = await aggregator.cascades.getChainFor(match.id || match.name).catch(() => null);
+      return res.json({
+        success: true,
+        type,
+        event: match,
+        chain: cascade ? { ...cascade.chain, role: cascade.role, relation: cascade.relation } : null,
+        linked: cascade ? cascade.events.filter(e => e.id !== String(match.id || match.name)) : []
+      });
     } catch (e) { continue; }
   }
   
   res.status(404).json({ error: 'Event not found', id: eventId });
 });
 
-app.get('/api/history/:type', async (req, res) => {
+// ShakeMap MMI contours of an enriched earthquake (see enhancements/usgs-detail.js)
+app.get('/api/event/:id/shakemap', async (req, res) => {
   try {
-    const cached = await redis.get(`data:${req.params.type}`);
-    if (!cached) return res.status(404).json({ error: 'No data' });
+    const cached = await redis.get(`shakemap:${req.params.id}`);
+    if (!cached) return res.status(404).json({ error: 'No ShakeMap for this event', id: req.params.id });
     res.json(JSON.parse(cached));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+app.get('/api/history/:type', async (req, res) => {
+  const type = req.params.type;
+  if (!aggregator.registry.publicLayers().includes(type)) {
+    return res.status(404).json({ error: 'Unknown data type', type });
+  }
+
+  const { options, error } = enhancements.parseHistoryQuery(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const observations = await aggregator.history.query(type, options);
+    res.json({
+      type,
+      from: options.from !== null ? new Date(options.from).toISOString() : null,
+      to: options.to !== null ? new Date(options.to).toISOString() : null,
+      bbox: options.bbox,
+      limit: options.limit,
+      count: observations.length,
+      observations
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Filtered events across layers, backed by the spatial/temporal index:
+// bbox | lat+lon+radiusKm, types, since/until, minSeverity, country, source,
+// limit + cursor for pagination, fields for projection.
+app.get('/api/events', async (req, res) => {
+  const { options, error } = enhancements.parseEventsQuery(req.query, aggregator.registry.publicLayers());
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const result = await aggregator.eventIndex.query(options);
+    res.json({
+      timestamp: new Date().toISOString(),
+      types: options.types,
+      ...result
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/transitions', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const types = req.query.types ? String(req.query.types).split(',').map(s => s.trim()).filter(Boolean) : null;
+  const since = req.query.since || null;
+
+  if (since && !/^\d+-\d+$/.test(since)) {
+    return res.status(400).json({ error: 'Invalid "since" — expected a transition streamId' });
+  }
+
+  try {
+    const transitions = await aggregator.lifecycle.getTransitions({ since, types, limit });
+    res.json({ count: transitions.length, transitions });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Server-Sent Events: the socket update:<type> / event:<kind> events over
+// plain HTTP, filtered like a socket subscription
+app.get('/api/stream', async (req, res) => {
+  const { filter, lastEventId, error } = parseStreamQuery(req.query, req.headers, aggregator.registry.publicLayers());
+  if (error) return res.status(400).json({ error });
+  if (sseHub.full) return res.status(503).json({ error: 'Too many open streams, try again later' });
+
+  try {
+    // A resuming client replays what it missed instead of whole layers
+    const snapshots = {};
+    let replay = [];
+    if (lastEventId) {
+      replay = await aggregator.lifecycle.getTransitions({ since: lastEventId, types: filter.types, limit: MAX_REPLAY });
+    } else {
+      for (const type of filter.types) {
+        const data = await loadLayer(type);
+        if (data) snapshots[type] = data;
+      }
+    }
+    sseHub.open(req, res, { filter, snapshots, replay });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ====================
 // WEBSOCKET HANDLING
 // ====================
 
+// Same user id as the preferences API: cookie first, then handshake auth
+function socketUserId(socket) {
+  const match = /(?:^|;\s*)realnow_uid=([^;]+)/.exec(socket.handshake.headers.cookie || '');
+  if (match) return decodeURIComponent(match[1]);
+  return socket.handshake.auth?.uid || null;
+}
+
 io.on('connection', (socket) => {
   console.log(`🔌 Client connected: ${socket.id}`);
+
+  // Per-user events (aggregator.relay.emitToUser) reach every tab and instance
+  const userId = socketUserId(socket);
+  if (userId) socket.join(userRoom(userId));
   
-  socket.on('subscribe', async (types) => {
+  // A list of layers subscribes to whole layers (layer:<type> rooms); a
+  // filter object { types, bbox, minSeverity, countries } to a filter room
+  // that only gets matching events and deltas. Either replaces the other.
+  socket.on('subscribe', async (request) => {
+    if (request && typeof request === 'object' && !Array.isArray(request)) {
+      const { filter, error } = await filterRooms.subscribe(socket, request);
+      if (error) return socket.emit('subscribe:error', { error });
+      [...socket.rooms].filter(room => room.startsWith('layer:')).forEach(room => socket.leave(room));
+      const bbox = filter.bbox ? ` in ${[filter.bbox.minLon, filter.bbox.minLat, filter.bbox.maxLon, filter.bbox.maxLat].join(',')}` : '';
+      console.log(`   Client filtering ${filter.types.length} layers${bbox}`);
+      return;
+    }
+
+    const types = request;
+    if (!Array.isArray(types)) return;
+    filterRooms.unsubscribe(socket);
     console.log(`   Client subscribing to: ${types.join(', ')}`);
     
     for (const type of types) {
+      socket.join(layerRoom(type));
       try {
         const cached = await redis.get(`data:${type}`);
         if (cached) {
@@ -1811,7 +2074,13 @@ io.on('connection', (socket) => {
     }
   });
   
+  socket.on('unsubscribe', (types) => {
+    if (!Array.isArray(types)) return;
+    types.forEach(type => socket.leave(layerRoom(type)));
+  });
+  
   socket.on('disconnect', () => {
+    filterRooms.unsubscribe(socket);
     console.log(`🔌 Client disconnected: ${socket.id}`);
   });
 });
@@ -1834,8 +2103,16 @@ server.listen(PORT, () => {
   console.log('🌀 GDACS: Fixed filtering for mixed data bug');
   console.log('⛰️  Landslide monitoring (NASA EONET)');
   console.log('🌊 Tsunami alerts (NOAA PTWC)');
-  console.log('🔗 Deep link sharing (/api/event/:id)');
-  console.log('⏱️  Historical timeline (/api/history/:type)');
+  console.log('🔗 Deep link sharing (/api/event/:id) with linked hazard chains');
+  console.log('⏱️  Event history: /api/history/:type?from=&to=&bbox=&limit=');
+  console.log('🗺️  Event query: /api/events?bbox=|lat=&lon=&radiusKm=&types=&since=&until=&collapse=sequences&cursor=');
+  console.log('🧬 Lifecycle: event:new / event:updated / event:ended + /api/transitions');
+  console.log('📨 Conditional fetch: ETag/Last-Modified + body hash skip (see /api/stats)');
+  console.log(`🔌 Source adapters: ${aggregator.registry.ids().length} loaded from ./sources`);
+  console.log(`👑 Fetch scheduling: Redis lease election + per-source locks (instance ${aggregator.coordinator.id})`);
+  console.log('📣 Socket fan-out: Redis pub/sub relay with layer:<type> and user:<uid> rooms');
+  console.log('🎯 Filtered subscriptions: subscribe({ types, bbox, minSeverity, countries }) → delta:<type>');
+  console.log('📡 SSE stream: /api/stream?types=&bbox= with Last-Event-ID resume');
   console.log('──── v5.0 ENHANCEMENTS ────');
   console.log('⚡ Circuit breaker: Exponential backoff on source failures');
   console.log('🔒 Rate limiting: All API routes protected');
@@ -1846,18 +2123,26 @@ server.listen(PORT, () => {
   console.log('📊 Circuit status: /api/circuit-status');
   console.log('═══════════════════════════════════════\n');
   
+  aggregator.relay.start();
   aggregator.startScheduledFetching();
 
   // v5: Start background services (digest scheduler)
-  enhancements.startServices(redis);
+  enhancements.startServices(redis, { coordinator: aggregator.coordinator });
 });
 
+// Hand the fetch lease to another instance before exiting
 process.on('SIGTERM', async () => {
   console.log('\n📴 SIGTERM received, shutting down gracefully...');
+  await aggregator.coordinator.stop();
+  await aggregator.relay.stop();
+  sseHub.close();
   server.close(() => { redis.quit(); process.exit(0); });
 });
 
 process.on('SIGINT', async () => {
   console.log('\n📴 SIGINT received, shutting down gracefully...');
+  await aggregator.coordinator.stop();
+  await aggregator.relay.stop();
+  sseHub.close();
   server.close(() => { redis.quit(); process.exit(0); });
 });
\ No newline at end of file
@@ -0,0 +1,17 @@
+// ============================================================================
+// aurora.js — NOAA SWPC OVATION aurora forecast grid
+// ============================================================================
+//
+// 30–90 minute aurora probability grid, contoured into "likely overhead" and
+// "visible on the horizon" zones by enhancements/aurora.js. The layer is
+// republished even when no zone remains, so a faded oval clears the map.
+// ============================================================================
+
+module.exports = {
+  id: 'aurora',
+  priority: 11,
+  interval: '*/10 * * * *',
+  url: 'https://services.swpc.noaa.gov/json/ovation_aurora_latest.json',
+  layers: [{ id: 'aurora', storeEmpty: true }],
+  parse: (data, aggregator) => aggregator.transformAurora(data)
+};
@@ -0,0 +1,56 @@
+// ============================================================================
+// cap-feeds.js — International CAP 1.2 alert feeds (one source per feed)
+// ============================================================================
+//
+// Feeds are configured in cap-feeds.json next to this file, or in the file
+// named by CAP_FEEDS_FILE:
+//
+//   { "feeds": [ { "id": "meteoalarm_de", "name": "MeteoAlarm Germany",
+//                  "url": "https://...atom", "country": "Germany",
+//                  "language": "en", "interval": "*/10 * * * *" } ] }
+//
+// Each feed gets its own source id (cap_<id>), schedule and circuit
+// breaker, writes weather_cap_<id> and is merged into the weather layer.
+// Set "enabled": false to keep a feed in the file without polling it.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { CapFeed } = require('../enhancements/cap');
+
+const DEFAULT_FILE = path.join(__dirname, 'cap-feeds.json');
+
+function loadFeeds() {
+  const file = process.env.CAP_FEEDS_FILE
+    ? path.resolve(__dirname, '..', process.env.CAP_FEEDS_FILE)
+    : DEFAULT_FILE;
+  if (!fs.existsSync(file)) return [];
+  return (JSON.parse(fs.readFileSync(file, 'utf8')).feeds || [])
+    .filter(feed => feed.enabled !== false);
+}
+
+module.exports = loadFeeds().map(feed => {
+  if (!feed.id || !feed.url) {
+    throw new Error('CAP feed entries need an "id" and a "url"');
+  }
+  const reader = new CapFeed(feed);
+  const layer = `weather_cap_${feed.id}`;
+
+  return {
+    id: `cap_${feed.id}`,
+    priority: 20,
+    interval: feed.interval || '*/10 * * * *',
+    url: feed.url,
+    fetchOptions: { timeout: feed.timeout || 30000 },
+    // An empty feed is normal (no warnings) and must clear the layer
+    layers: [{ id: layer, storeEmpty: true }],
+    mergeInto: 'weather',
+    // An unchanged index still lists alerts that run out
+    expired: () => reader.expired(),
+    parse: async (data, aggregator) => ({
+      layers: {
+        [layer]: await reader.parse(data, { categorize: event => aggregator.categorizeWeatherEvent(event) })
+      }
+    })
+  };
+});
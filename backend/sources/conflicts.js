@@ -0,0 +1,22 @@
+// ============================================================================
+// conflicts.js — GDELT DOC 2.0 conflict coverage (English-language news)
+// ============================================================================
+//
+// GDELT refreshes every 15 minutes. Each poll lists the last day's matching
+// articles; enhancements/conflicts.js geocodes their headlines, keeps them
+// for three days (in Redis, so a restart keeps the window) and groups the
+// coverage into incidents with a confidence score. The layer is republished
+// when nothing can be placed, so incidents age out of the map; a response
+// without an article list (rate limit or error text) leaves it as it is.
+// ============================================================================
+
+const { buildQueryUrl } = require('../enhancements/conflicts');
+
+module.exports = {
+  id: 'conflicts',
+  priority: 13,
+  interval: '*/15 * * * *',
+  url: buildQueryUrl({ timespan: '24h' }),
+  layers: [{ id: 'conflicts', storeEmpty: true }],
+  parse: (data, aggregator) => aggregator.transformConflicts(data)
+};
@@ -0,0 +1,14 @@
+// ============================================================================
+// earthquakes.js — USGS M2.5+ earthquakes (past 7 days)
+// ============================================================================
+
+module.exports = {
+  id: 'earthquakes',
+  priority: 1,
+  interval: '*/5 * * * *',
+  url: 'https://earthquake.usgs.gov/earthquakes/feed/v1.0/summary/2.5_week.geojson',
+  layers: ['earthquakes'],
+  // ShakeMap contours served by /api/event/:id/shakemap live as long as the layer
+  cacheKeys: (aggregator) => aggregator.shakemapKeys || [],
+  parse: (data, aggregator) => aggregator.transformUSGSEarthquakes(data)
+};
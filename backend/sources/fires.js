@@ -0,0 +1,36 @@
+// ============================================================================
+// fires.js — NASA FIRMS active fire detections (past 3 days, world)
+// ============================================================================
+//
+// One source per FIRMS product (VIIRS S-NPP, NOAA-20, NOAA-21 and MODIS),
+// each with its own schedule and circuit breaker. A fetch only updates its
+// product in the FIRMS store (enhancements/firms.js); once the cycle's
+// fetches have settled, two layers are rebuilt from the latest detections
+// of all products: the sampled hotspot pixels, with cross-sensor
+// confirmation, and the fire complexes clustered from all of them
+// (enhancements/fire-complexes.js).
+//
+// FIRMS_PRODUCTS=VIIRS_SNPP_NRT,MODIS_NRT limits the products polled.
+// ============================================================================
+
+const { FIRMS_PRODUCTS } = require('../enhancements/firms');
+
+const enabled = (process.env.FIRMS_PRODUCTS || '')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+module.exports = FIRMS_PRODUCTS
+  .filter(product => enabled.length === 0 || enabled.includes(product.id))
+  .map((product, i) => ({
+    id: product.source,
+    priority: product.priority,
+    // Staggered within the 10-minute cycle; FirmsStore re-clusters after the last
+    interval: `${i * 2}-59/10 * * * *`,
+    url: () => {
+      const key = process.env.FIRMS_MAP_KEY || '1ab1f40c11fa5a952619c58594702b1f';
+      return `https://firms.modaps.eosdis.nasa.gov/api/area/csv/${key}/${product.id}/world/3`;
+    },
+    layers: ['fires', { id: 'firecomplexes', storeEmpty: true }],
+    // Published by the settled re-cluster, not by the fetch itself
+    cacheKeys: () => ['data:fires', 'data:firecomplexes'],
+    parse: (data, aggregator) => aggregator.transformNASAFires(data, product.id)
+  }));
@@ -0,0 +1,13 @@
+// ============================================================================
+// floods-nasa.js — NASA EONET flood events (primary flood source)
+// ============================================================================
+
+module.exports = {
+  id: 'floods_nasa',
+  priority: 5,
+  interval: '*/10 * * * *',
+  url: 'https://eonet.gsfc.nasa.gov/api/v3/events?category=floods&status=open&limit=100',
+  layers: ['floods_nasa'],
+  mergeInto: 'floods',
+  parse: (data, aggregator) => aggregator.transformNASAFloods(data)
+};
@@ -0,0 +1,13 @@
+// ============================================================================
+// floods-reliefweb.js — ReliefWeb humanitarian flood disasters
+// ============================================================================
+
+module.exports = {
+  id: 'floods_reliefweb',
+  priority: 6,
+  interval: '*/15 * * * *',
+  url: 'https://api.reliefweb.int/v1/disasters?appname=realnow&preset=latest&limit=100&profile=list',
+  layers: ['floods_reliefweb'],
+  mergeInto: 'floods',
+  parse: (data, aggregator) => aggregator.transformReliefWebFloods(data)
+};
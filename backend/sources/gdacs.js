@@ -0,0 +1,23 @@
+// ============================================================================
+// gdacs.js — GDACS combined event list, split by event type
+// ============================================================================
+//
+// One request returns cyclones (TC), floods (FL), wildfires (WF) and
+// droughts (DR). The parser splits them into separate layers; the GDACS
+// flood layer is folded into the merged 'floods' layer. The cyclone layer
+// is always published so clients see an explicit "no active storms" state.
+// ============================================================================
+
+module.exports = {
+  id: 'gdacs_combined',
+  priority: 7,
+  interval: '*/15 * * * *',
+  url: 'https://www.gdacs.org/gdacsapi/api/events/geteventlist/SEARCH',
+  layers: [
+    { id: 'cyclones', storeEmpty: true },
+    { id: 'floods_gdacs', mergeInto: 'floods' },
+    'wildfires',
+    'droughts'
+  ],
+  parse: (data, aggregator) => aggregator.transformGDACSSplitData(data)
+};
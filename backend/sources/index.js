@@ -0,0 +1,224 @@
+// ============================================================================
+// index.js — Source Adapter Registry
+// Drop into: /var/www/realnow/backend/sources/index.js
+// ============================================================================
+//
+// Every upstream feed is described by one adapter module in this directory.
+// The registry loads them, normalizes their declarations and answers the
+// questions DisasterDataAggregator used to hard-code: which sources exist,
+// when they run, which Redis layers they write and which merged layers
+// they feed.
+//
+// Adapter shape:
+//
+//   module.exports = {
+//     id: 'earthquakes',                  // unique source id (cron + circuit breaker key)
+//     priority: 1,                        // startup fetch order (lowest first)
+//     interval: '*/5 * * * *',            // node-cron schedule
+//     url: 'https://...' | () => 'https://...',
+//     fetchOptions: { timeout, headers }, // merged over DEFAULT_FETCH_OPTIONS
+//     layers: ['earthquakes'],            // Redis layers written (data:<layer>)
+//     mergeInto: 'floods',                // optional — merged layer the layers feed
+//     cacheKeys: (aggregator) => [...],   // optional — other Redis keys kept alive with the layers
+//     expired: () => boolean,             // optional — re-parse an unchanged body when true
+//     conditional: false,                 // optional — parse every poll (no 304 / unchanged-body skip)
+//     parse: (data, aggregator) => payload | { layers: { <layer>: payload } }
+//   };
+//
+// A module may also export an array of adapters — sources/cap-feeds.js
+// builds one per feed listed in sources/cap-feeds.json.
+//
+// A layer entry may also be an object, e.g. { id: 'cyclones', storeEmpty: true }
+// to publish the layer even when the parser returned no features, or
+// { id: 'floods_gdacs', mergeInto: 'floods' } to merge only that layer.
+//
+// Extra adapter directories can be listed in SOURCE_ADAPTER_DIRS
+// (comma-separated, absolute or relative to the backend root), and
+// individual sources switched off with SOURCES_DISABLED=id1,id2.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FETCH_OPTIONS = {
+  timeout: 30000,
+  headers: {
+    'User-Agent': 'RealNow-DisasterTracker/5.0',
+    'Accept': 'application/json, text/csv, application/xml, */*'
+  }
+};
+
+function normalizeLayer(layer, mergeInto) {
+  if (typeof layer === 'string') return { id: layer, storeEmpty: false, mergeInto };
+  return { storeEmpty: false, mergeInto, ...layer };
+}
+
+/**
+ * Validate an adapter module and fill in defaults.
+ * Throws if a required field is missing so a broken adapter fails at boot.
+ */
+function normalizeAdapter(adapter, file) {
+  const where = file ? ` (${path.basename(file)})` : '';
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error(`Source adapter${where} must export an object`);
+  }
+  for (const field of ['id', 'interval', 'url', 'parse']) {
+    if (!adapter[field]) {
+      throw new Error(`Source adapter${where} is missing "${field}"`);
+    }
+  }
+  if (typeof adapter.parse !== 'function') {
+    throw new Error(`Source adapter ${adapter.id}: "parse" must be a function`);
+  }
+
+  const layers = (adapter.layers && adapter.layers.length ? adapter.layers : [adapter.id])
+    .map(layer => normalizeLayer(layer, adapter.mergeInto || null));
+
+  return {
+    priority: 100,
+    mergeInto: null,
+    ...adapter,
+    layers,
+    fetchOptions: {
+      ...DEFAULT_FETCH_OPTIONS,
+      ...(adapter.fetchOptions || {}),
+      headers: {
+        ...DEFAULT_FETCH_OPTIONS.headers,
+        ...((adapter.fetchOptions && adapter.fetchOptions.headers) || {})
+      }
+    }
+  };
+}
+
+class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter, file) {
+    const normalized = normalizeAdapter(adapter, file);
+    if (this.adapters.has(normalized.id)) {
+      throw new Error(`Duplicate source adapter id "${normalized.id}"`);
+    }
+    this.adapters.set(normalized.id, normalized);
+    return normalized;
+  }
+
+  /**
+   * Load every *.js adapter in a directory (this index file excluded).
+   */
+  loadDirectory(dir, disabled = new Set()) {
+    if (!fs.existsSync(dir)) {
+      console.log(`⚠️ [Sources] Adapter directory not found: ${dir}`);
+      return;
+    }
+
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js') && file !== 'index.js')
+      .sort()
+      .forEach(file => {
+        const fullPath = path.join(dir, file);
+        // A module may export one adapter or an array (e.g. one per configured feed)
+        [].concat(require(fullPath)).forEach(adapter => {
+          if (disabled.has(adapter.id)) {
+            console.log(`⏭️ [Sources] ${adapter.id} disabled via SOURCES_DISABLED`);
+            return;
+          }
+          this.register(adapter, fullPath);
+        });
+      });
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  has(id) {
+    return this.adapters.has(id);
+  }
+
+  /**
+   * All adapters, lowest priority number first.
+   */
+  list() {
+    return [...this.adapters.values()].sort((a, b) => a.priority - b.priority);
+  }
+
+  ids() {
+    return this.list().map(a => a.id);
+  }
+
+  /**
+   * Adapters that write the given layer directly or feed it through a merge.
+   */
+  adaptersForLayer(layer) {
+    return this.list().filter(a =>
+      a.layers.some(l => l.id === layer || l.mergeInto === layer)
+    );
+  }
+
+  /**
+   * Layers that are combined into the given merged layer.
+   */
+  layersMergedInto(target) {
+    const layers = [];
+    this.list().forEach(a => {
+      a.layers.forEach(l => {
+        if (l.mergeInto === target && !layers.includes(l.id)) layers.push(l.id);
+      });
+    });
+    return layers;
+  }
+
+  /**
+   * Merged layers an adapter's output feeds.
+   */
+  mergeTargets(adapter) {
+    return [...new Set(adapter.layers.map(l => l.mergeInto).filter(Boolean))];
+  }
+
+  /**
+   * Layers served to clients: every written layer that is not a merge
+   * input, plus every merge target.
+   */
+  publicLayers() {
+    const layers = [];
+    const add = (id) => { if (!layers.includes(id)) layers.push(id); };
+    this.list().forEach(a => {
+      a.layers.forEach(l => add(l.mergeInto || l.id));
+    });
+    return layers;
+  }
+
+  resolveUrl(adapter) {
+    return typeof adapter.url === 'function' ? adapter.url() : adapter.url;
+  }
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Build the registry from this directory plus any SOURCE_ADAPTER_DIRS.
+ */
+function loadSourceRegistry(options = {}) {
+  const registry = new SourceRegistry();
+  const disabled = new Set(options.disabled || parseList(process.env.SOURCES_DISABLED));
+  const extraDirs = options.dirs || parseList(process.env.SOURCE_ADAPTER_DIRS);
+
+  registry.loadDirectory(__dirname, disabled);
+  extraDirs.forEach(dir => {
+    registry.loadDirectory(path.resolve(__dirname, '..', dir), disabled);
+  });
+
+  console.log(`🔌 [Sources] Loaded ${registry.adapters.size} source adapters: ${registry.ids().join(', ')}`);
+  return registry;
+}
+
+module.exports = {
+  SourceRegistry,
+  loadSourceRegistry,
+  normalizeAdapter,
+  DEFAULT_FETCH_OPTIONS
+};
@@ -0,0 +1,12 @@
+// ============================================================================
+// landslides.js — NASA EONET landslide events
+// ============================================================================
+
+module.exports = {
+  id: 'landslides',
+  priority: 9,
+  interval: '*/30 * * * *',
+  url: 'https://eonet.gsfc.nasa.gov/api/v3/events?category=landslides&status=open&limit=50',
+  layers: ['landslides'],
+  parse: (data, aggregator) => aggregator.transformLandslides(data)
+};
@@ -0,0 +1,20 @@
+// ============================================================================
+// spaceweather.js — NOAA SWPC planetary K-index
+// ============================================================================
+//
+// The K-index drives the poll; the remaining SWPC products (X-ray flux,
+// protons, solar wind, Kp forecast, alerts) are read alongside it by
+// enhancements/space-weather.js during parse. The K-index itself only moves
+// every three hours, so the source opts out of the unchanged-body skip and
+// every poll re-reads the minute-cadence products and expires old alerts.
+// ============================================================================
+
+module.exports = {
+  id: 'spaceweather',
+  priority: 8,
+  interval: '*/5 * * * *',
+  conditional: false,
+  url: 'https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json',
+  layers: ['spaceweather'],
+  parse: (data, aggregator) => aggregator.transformSpaceWeather(data)
+};
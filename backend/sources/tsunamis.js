@@ -0,0 +1,12 @@
+// ============================================================================
+// tsunamis.js — NOAA Pacific Tsunami Warning Center Atom feed
+// ============================================================================
+
+module.exports = {
+  id: 'tsunamis',
+  priority: 10,
+  interval: '*/5 * * * *',
+  url: 'https://www.tsunami.gov/events/xml/PAAQAtom.xml',
+  layers: ['tsunamis'],
+  parse: (data, aggregator) => aggregator.transformTsunamis(data)
+};
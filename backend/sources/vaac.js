@@ -0,0 +1,55 @@
+// ============================================================================
+// vaac.js — Volcanic Ash Advisory Centre advisories (one source per VAAC)
+// ============================================================================
+//
+// VAACs are configured in vaac-feeds.json next to this file, or in the file
+// named by VAAC_FEEDS_FILE:
+//
+//   { "feeds": [ { "id": "washington", "name": "Washington VAAC",
+//                  "url": "https://.../messages.html",
+//                  "linkPattern": "href=\"([^\"]+\\.html)\"",
+//                  "interval": "*/10 * * * *" } ] }
+//
+// "url" is a page that carries advisory text or lists the advisories;
+// "linkPattern" (first group = href) picks the advisory documents it links
+// to. Each VAAC writes ashadvisories_<id>, merged into ashadvisories and
+// linked to the matching volcano event (enhancements/vaac.js).
+// Set "enabled": false to keep a VAAC in the file without polling it.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { VaacFeed } = require('../enhancements/vaac');
+
+const DEFAULT_FILE = path.join(__dirname, 'vaac-feeds.json');
+
+function loadFeeds() {
+  const file = process.env.VAAC_FEEDS_FILE
+    ? path.resolve(__dirname, '..', process.env.VAAC_FEEDS_FILE)
+    : DEFAULT_FILE;
+  if (!fs.existsSync(file)) return [];
+  return (JSON.parse(fs.readFileSync(file, 'utf8')).feeds || [])
+    .filter(feed => feed.enabled !== false);
+}
+
+module.exports = loadFeeds().map(feed => {
+  if (!feed.id || !feed.url) {
+    throw new Error('VAAC feed entries need an "id" and a "url"');
+  }
+  const reader = new VaacFeed(feed);
+  const layer = `ashadvisories_${feed.id}`;
+
+  return {
+    id: `vaac_${feed.id}`,
+    priority: 12,
+    interval: feed.interval || '*/10 * * * *',
+    url: feed.url,
+    fetchOptions: { timeout: feed.timeout || 30000 },
+    // No advisories is the normal state and must clear the layer
+    layers: [{ id: layer, storeEmpty: true }],
+    mergeInto: 'ashadvisories',
+    // messages.html can stay unchanged for hours while advisories expire
+    expired: () => reader.expired(),
+    parse: async (data) => ({ layers: { [layer]: await reader.parse(data) } })
+  };
+});
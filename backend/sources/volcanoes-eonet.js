@@ -0,0 +1,12 @@
+// ============================================================================
+// volcanoes-eonet.js — NASA EONET open volcano events
+// ============================================================================
+
+module.exports = {
+  id: 'volcanoes_eonet',
+  priority: 4,
+  interval: '*/15 * * * *',
+  url: 'https://eonet.gsfc.nasa.gov/api/v3/events?category=volcanoes&status=open&limit=100',
+  layers: ['volcanoes'],
+  parse: (data, aggregator) => aggregator.transformEONETVolcanoes(data)
+};
@@ -0,0 +1,13 @@
+// ============================================================================
+// weather.js — NOAA / NWS active weather alerts
+// ============================================================================
+
+module.exports = {
+  id: 'weather',
+  priority: 3,
+  interval: '*/5 * * * *',
+  url: 'https://api.weather.gov/alerts/active',
+  layers: ['weather_nws'],
+  mergeInto: 'weather',
+  parse: (data, aggregator) => ({ layers: { weather_nws: aggregator.transformNOAAWeather(data) } })
+};
@@ -0,0 +1,63 @@
+// ============================================================================
+// aurora.test.js — OVATION grid → aurora zones and the watch-area outlook
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAuroraZones, auroraOutlook, magneticLatitude } = require('../enhancements/aurora');
+
+// Synthetic northern oval: 60% between 65° and 70° magnetic, 20% from 60° to 65°
+function ovation(probability) {
+  const coordinates = [];
+  for (let lon = 0; lon < 360; lon++) {
+    for (let lat = -90; lat <= 90; lat++) {
+      coordinates.push([lon, lat, lat > 0 ? probability(magneticLatitude(lat, lon)) : 0]);
+    }
+  }
+  return {
+    'Observation Time': '2026-10-19T23:50:00Z',
+    'Forecast Time': '2026-10-20T00:00:00Z',
+    'Data Format': '[Longitude, Latitude, Aurora]',
+    coordinates
+  };
+}
+
+const OVAL = ovation(mlat => (mlat >= 65 && mlat <= 70 ? 60 : mlat >= 60 && mlat < 65 ? 20 : 0));
+
+test('buildAuroraZones contours overhead and horizon bands per hemisphere', () => {
+  const zones = buildAuroraZones(OVAL);
+  assert.deepEqual(zones.map(z => z.id), ['aurora_overhead_north', 'aurora_horizon_north']);
+
+  const [overhead, horizon] = zones;
+  assert.equal(overhead.maxProbability, 60);
+  assert.equal(overhead.forecastTime, '2026-10-20T00:00:00Z');
+  // The horizon band reaches ~7° further equatorward than the 10% edge
+  assert.ok(horizon.equatorwardLatitude < overhead.equatorwardLatitude - 7);
+  assert.ok(horizon.nightsideMagLat > 52 && horizon.nightsideMagLat < 53);
+
+  // One band around the pole, closed, with runs along a parallel merged
+  const rings = horizon.geometry.coordinates;
+  assert.equal(rings.length, 1);
+  const ring = rings[0][0];
+  assert.deepEqual(ring[0], ring[ring.length - 1]);
+  assert.ok(ring.length < 360);
+  assert.ok(ring.every(([lon, lat]) => lon >= -180 && lon <= 180 && lat > 0));
+});
+
+test('a quiet grid yields no zones', () => {
+  assert.deepEqual(buildAuroraZones(ovation(() => 3)), []);
+  assert.deepEqual(buildAuroraZones({}), []);
+});
+
+test('auroraOutlook flags watch areas poleward of the night-side edge', () => {
+  const zones = buildAuroraZones(OVAL);
+  assert.deepEqual(auroraOutlook(zones, 69.65, 18.96), { visibleTonight: true, overheadTonight: true, magneticLatitude: 67.4 });
+  // Edinburgh: on the horizon only
+  const edinburgh = auroraOutlook(zones, 55.95, -3.19);
+  assert.equal(edinburgh.visibleTonight, true);
+  assert.equal(edinburgh.overheadTonight, false);
+  // Madrid, and anywhere in the empty southern hemisphere
+  assert.equal(auroraOutlook(zones, 40.4, -3.7).visibleTonight, false);
+  assert.equal(auroraOutlook(zones, -45.9, 170.5).visibleTonight, false);
+});
@@ -0,0 +1,193 @@
+// ============================================================================
+// cap.test.js — CAP 1.2 ingestion against recorded fixture documents
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  CapFeed, parseXml, parseCapAlert, parseCapIndex, currentAlerts, capToEvents
+} = require('../enhancements/cap');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'cap');
+const NOW = new Date('2026-01-15T16:10:00Z');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// Serves https://alerts.example.org/cap/<file> from the fixtures directory
+function fixtureFetch(calls = []) {
+  return async url => {
+    calls.push(url);
+    const file = path.join(FIXTURES, path.basename(new URL(url).pathname));
+    if (!fs.existsSync(file)) throw new Error('Request failed with status code 404');
+    return fs.readFileSync(file, 'utf8');
+  };
+}
+
+test('parseXml drops namespace prefixes and decodes entities / CDATA', () => {
+  const root = parseXml('<a:root x:attr="1 &amp; 2"><a:b>x &lt; y</a:b><c><![CDATA[<raw>]]></c><d/></a:root>');
+  const node = root.children[0];
+  assert.equal(node.name, 'root');
+  assert.equal(node.attrs.attr, '1 & 2');
+  assert.deepEqual(node.children.map(c => c.name), ['b', 'c', 'd']);
+  assert.equal(node.children[0].text, 'x < y');
+  assert.equal(node.children[1].text, '<raw>');
+});
+
+test('parseCapAlert reads the alert block, infos, parameters and areas', () => {
+  const alert = parseCapAlert(fixture('nws-polygon.xml'));
+  assert.equal(alert.identifier, 'urn:oid:2.49.0.1.840.0.aaaa1111.001.1');
+  assert.equal(alert.msgType, 'Alert');
+  assert.equal(alert.infos.length, 1);
+
+  const info = alert.infos[0];
+  assert.equal(info.event, 'Severe Thunderstorm Warning');
+  assert.equal(info.severity, 'Severe');
+  assert.equal(info.parameters.maxWindGust, '70 MPH');
+  assert.match(info.description, /Norman & moving east/);
+  assert.deepEqual(info.areas[0].geocodes, [{ valueName: 'UGC', value: 'OKC027' }]);
+
+  // CAP polygons are "lat,lon" — GeoJSON rings are [lon, lat]
+  const ring = info.areas[0].polygons[0][0];
+  assert.deepEqual(ring[0], [-97.6, 35.1]);
+  assert.deepEqual(ring[0], ring[ring.length - 1]);
+});
+
+test('parseCapAlert handles prefixed CAP and references', () => {
+  const prefixed = parseCapAlert(fixture('same-geocodes.xml'));
+  assert.equal(prefixed.infos[0].event, 'Wind Advisory');
+  assert.equal(prefixed.infos[0].description, 'Northeast winds 20 to 30 mph with gusts up to 55 <b>mph</b>.');
+
+  const update = parseCapAlert(fixture('multilang-circle.xml'));
+  assert.deepEqual(update.references, [{
+    sender: 'opendata@dwd.de',
+    identifier: '2.49.0.0.276.0.DWD.PVW.1768460400000.original',
+    sent: '2026-01-15T07:00:00+01:00'
+  }]);
+  assert.deepEqual(update.infos.map(i => i.language), ['de-DE', 'en-GB']);
+
+  assert.equal(parseCapAlert('<feed><entry/></feed>'), null);
+});
+
+test('parseCapIndex reads Atom and RSS indexes', () => {
+  const atom = parseCapIndex(fixture('index.atom'));
+  assert.equal(atom.length, 5);
+  // The CAP-typed link wins over the HTML alternate
+  assert.equal(atom[0].url, 'https://alerts.example.org/cap/nws-polygon.xml');
+  assert.equal(atom[0].updated, '2026-01-15T16:00:00Z');
+  assert.equal(atom[3].url, 'https://alerts.example.org/cap/multilang-circle.xml');
+
+  const rss = parseCapIndex(fixture('index.rss'));
+  assert.deepEqual(rss.map(e => e.id), ['2.49.0.0.724.0.ES.260115.region', 'TEST-0001']);
+  assert.equal(rss[0].url, 'https://alerts.example.org/cap/region-only.xml');
+});
+
+test('capToEvents maps polygons to the canonical weather model', () => {
+  const [event] = capToEvents(parseCapAlert(fixture('nws-polygon.xml')), { id: 'test', name: 'Test Feed' }, { now: NOW });
+  assert.equal(event.id, 'cap:test:urn:oid:2.49.0.1.840.0.aaaa1111.001.1');
+  assert.equal(event.type, 'weather');
+  assert.equal(event.source, 'Test Feed');
+  assert.equal(event.geometrySource, 'alert');
+  assert.equal(event.geometry.type, 'MultiPolygon');
+  assert.deepEqual(event.coordinates, [-97.4, 35.2]);
+  assert.deepEqual(event.zones, ['OKC027']);
+  assert.equal(event.response, 'Shelter');
+  assert.equal(event.sender, 'NWS Norman OK');
+  assert.equal(event.parameters.nwsHeadline, 'SEVERE THUNDERSTORM WARNING IN EFFECT');
+  assert.equal(event.timeRemaining, '50m remaining');
+});
+
+test('capToEvents resolves SAME geocodes from the bundled county shapes', () => {
+  const [event] = capToEvents(parseCapAlert(fixture('same-geocodes.xml')), { id: 'test' }, { now: NOW });
+  assert.equal(event.geometrySource, 'counties');
+  assert.ok(event.geometryRef.includes('06037'));
+  const [lon, lat] = event.coordinates;
+  assert.ok(lon > -119 && lon < -117.6 && lat > 33.7 && lat < 34.9, `${lon},${lat} should be in Los Angeles County`);
+});
+
+test('capToEvents picks the preferred language and turns circles into polygons', () => {
+  const alert = parseCapAlert(fixture('multilang-circle.xml'));
+  const [english] = capToEvents(alert, { id: 'dwd', language: 'en' }, { now: NOW });
+  assert.equal(english.event, 'gale-force gusts');
+  assert.equal(english.language, 'en-GB');
+  assert.equal(english.geometry.coordinates[0][0].length, 33);
+  assert.ok(Math.abs(english.coordinates[0] - 6.96) < 0.01);
+  assert.ok(Math.abs(english.coordinates[1] - 50.94) < 0.01);
+
+  const [german] = capToEvents(alert, { id: 'dwd', language: 'de' }, { now: NOW });
+  assert.equal(german.event, 'STURMBÖEN');
+});
+
+test('capToEvents places region-only alerts with the gazetteer', () => {
+  const [event] = capToEvents(parseCapAlert(fixture('region-only.xml')), { id: 'es', country: 'Spain' }, { now: NOW });
+  assert.equal(event.geometry, null);
+  const [lon, lat] = event.coordinates;
+  assert.ok(lon > -2.6 && lon < -0.7 && lat > 41.9 && lat < 43.4, `${lon},${lat} should be in Navarra`);
+});
+
+test('capToEvents skips non-Actual and expired alerts', () => {
+  assert.deepEqual(capToEvents(parseCapAlert(fixture('exercise.xml')), { id: 'x' }, { now: NOW }), []);
+  const later = new Date('2026-01-15T18:00:00Z');
+  assert.deepEqual(capToEvents(parseCapAlert(fixture('nws-polygon.xml')), { id: 'x' }, { now: later }), []);
+});
+
+test('currentAlerts drops superseded and cancelled messages and keeps thread ids', () => {
+  const original = parseCapAlert(fixture('nws-polygon.xml'));
+  const cancel = parseCapAlert(fixture('cancel.xml'));
+  assert.deepEqual(currentAlerts([original, cancel]), []);
+
+  const [update] = currentAlerts([parseCapAlert(fixture('multilang-circle.xml'))]);
+  assert.equal(update.threadId, '2.49.0.0.276.0.DWD.PVW.1768460400000.original');
+  assert.equal(update.supersededCount, 1);
+  const [event] = capToEvents(update, { id: 'dwd' }, { now: NOW });
+  assert.equal(event.id, 'cap:dwd:2.49.0.0.276.0.DWD.PVW.1768460400000.original');
+  assert.equal(event.supersededCount, 1);
+});
+
+test('CapFeed reads an Atom index end to end and caches CAP documents', async () => {
+  const calls = [];
+  const feed = new CapFeed({ id: 'example', name: 'Example', language: 'en' }, { fetch: fixtureFetch(calls) });
+  const payload = await feed.parse(fixture('index.atom'), { now: NOW, categorize: e => (e.includes('Wind') ? 'storm' : 'other') });
+
+  // Thunderstorm warning cancelled, broken link skipped
+  assert.equal(payload.type, 'weather');
+  assert.deepEqual(payload.features.map(f => f.event).sort(), ['Wind Advisory', 'gale-force gusts']);
+  assert.equal(payload.features.find(f => f.event === 'Wind Advisory').category, 'storm');
+  assert.equal(calls.length, 5);
+
+  // Unchanged entries are not downloaded again (the failed one is retried)
+  await feed.parse(fixture('index.atom'), { now: NOW });
+  assert.deepEqual(calls.slice(5), ['https://alerts.example.org/cap/missing.xml']);
+});
+
+test('CapFeed reports expired once the earliest parsed alert has run out', async () => {
+  const feed = new CapFeed({ id: 'example', language: 'en' }, { fetch: fixtureFetch() });
+  assert.equal(feed.expired(NOW.getTime()), false);
+
+  await feed.parse(fixture('index.atom'), { now: NOW });
+  // The gale warning runs out at 17:00 UTC, the wind advisory a day later
+  assert.equal(feed.expiresAt, Date.parse('2026-01-15T17:00:00Z'));
+  assert.equal(feed.expired(NOW.getTime()), false);
+  assert.equal(feed.expired(Date.parse('2026-01-15T17:01:00Z')), true);
+
+  // Re-reading the unchanged index drops the gale warning and moves the deadline
+  const later = new Date('2026-01-15T17:01:00Z');
+  const payload = await feed.parse(fixture('index.atom'), { now: later });
+  assert.deepEqual(payload.features.map(f => f.event), ['Wind Advisory']);
+  assert.equal(feed.expiresAt, Date.parse('2026-01-16T16:00:00Z'));
+  assert.equal(feed.expired(later.getTime()), false);
+});
+
+test('CapFeed accepts a single CAP document and RSS indexes', async () => {
+  const feed = new CapFeed({ id: 'single' }, { fetch: fixtureFetch() });
+  const single = await feed.parse(fixture('nws-polygon.xml'), { now: NOW });
+  assert.equal(single.count, 1);
+
+  const rssFeed = new CapFeed({ id: 'es', country: 'Spain' }, { fetch: fixtureFetch() });
+  const rss = await rssFeed.parse(fixture('index.rss'), { now: NOW });
+  assert.deepEqual(rss.features.map(f => f.event), ['Moderate snowfall warning']);
+});
@@ -0,0 +1,93 @@
+// ============================================================================
+// cascade.test.js — Earthquake → tsunami / landslide chain linking
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { linkHazards } = require('../enhancements/cascade');
+
+const QUAKE_TIME = Date.parse('2026-01-15T09:12:00Z');
+
+function quake(id, magnitude, lon, lat, offsetMinutes = 0) {
+  return {
+    id, type: 'earthquake', magnitude, place: `${id} place`,
+    time: QUAKE_TIME + offsetMinutes * 60000, coordinates: [lon, lat, 30]
+  };
+}
+
+const earthquakes = [
+  quake('us7000aleut', 7.9, -179.3, 51.2),
+  quake('us7000small', 5.2, -178.9, 51.0, 30),
+  quake('ci40000la', 6.2, -118.4, 34.2, -600)
+];
+
+const tsunamis = [
+  {
+    id: 'tsunami_PAAQ_202601150912', type: 'tsunami', coordinates: [-179.2, 51.1],
+    date: '2026-01-15T09:40:00Z',
+    earthquake: { magnitude: 7.9, originTime: '2026-01-15T09:12:00.000Z', latitude: 51.1, longitude: -179.2 }
+  },
+  // Summary-only entry: no origin time, matched on the issue time instead
+  { id: 'tsunami_PAAQ_urn:uuid:entry-info', type: 'tsunami', coordinates: [-118.5, 34.1], date: '2026-01-15T00:20:00Z', earthquake: {} },
+  // Unrelated Hawaii information statement
+  { id: 'tsunami_PHEB_1', type: 'tsunami', coordinates: [-155.5, 19.4], date: '2026-01-15T09:30:00Z' }
+];
+
+const landslides = [
+  { id: 'landslide_near', coordinates: [-178.2, 51.8], date: '2026-01-16T00:00:00Z' },
+  // Same day, but far outside the M7.9 envelope
+  { id: 'landslide_far', coordinates: [-150.0, 61.2], date: '2026-01-15T00:00:00Z' },
+  // Close to the quake but before it
+  { id: 'landslide_before', coordinates: [-179.0, 51.5], date: '2026-01-13T00:00:00Z' }
+];
+
+test('linkHazards chains tsunamis and landslides to their triggering quake', () => {
+  const chains = linkHazards({ earthquakes, tsunamis, landslides });
+  const aleutian = chains.find(c => c.parentId === 'us7000aleut');
+
+  assert.equal(aleutian.id, 'chain_us7000aleut');
+  assert.equal(aleutian.parentType, 'earthquakes');
+  assert.equal(aleutian.magnitude, 7.9);
+  assert.deepEqual(aleutian.members.map(m => [m.id, m.relation]), [
+    ['tsunami_PAAQ_202601150912', 'triggered_tsunami'],
+    ['landslide_near', 'triggered_landslide']
+  ]);
+
+  const [tsunami] = aleutian.members;
+  assert.equal(tsunami.parentId, 'us7000aleut');
+  assert.equal(tsunami.lagMinutes, 0);
+  assert.ok(tsunami.distanceKm < 20);
+  assert.ok(tsunami.confidence > 0.9);
+});
+
+test('linkHazards applies magnitude, distance and time rules', () => {
+  const chains = linkHazards({ earthquakes, tsunamis, landslides });
+  const linked = chains.flatMap(c => c.members.map(m => m.id));
+
+  assert.ok(!linked.includes('tsunami_PHEB_1'));
+  assert.ok(!linked.includes('landslide_far'));
+  assert.ok(!linked.includes('landslide_before'));
+  // Too weak for a tsunami
+  assert.ok(!chains.some(c => c.parentId === 'us7000small' && c.members.some(m => m.type === 'tsunamis')));
+
+  const la = chains.find(c => c.parentId === 'ci40000la');
+  assert.deepEqual(la.members.map(m => m.id), ['tsunami_PAAQ_urn:uuid:entry-info']);
+  assert.equal(la.members[0].lagMinutes, 68);
+});
+
+test('linkHazards attaches a child to the best-fitting quake only', () => {
+  const chains = linkHazards({
+    earthquakes,
+    tsunamis: [],
+    landslides: [{ id: 'landslide_between', coordinates: [-178.95, 51.05], date: '2026-01-15T00:00:00Z' }]
+  });
+  // Inside both the M5.2 and the M7.9 envelopes — the mainshock fits better
+  assert.equal(chains.length, 1);
+  assert.equal(chains[0].parentId, 'us7000aleut');
+  assert.deepEqual(chains[0].members.map(m => m.id), ['landslide_between']);
+});
+
+test('linkHazards returns no chains without earthquakes', () => {
+  assert.deepEqual(linkHazards({ tsunamis, landslides }), []);
+});
@@ -0,0 +1,177 @@
+// ============================================================================
+// cluster.test.js — Fetch lease election, source locks and the update relay
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FetchCoordinator, UpdateRelay, LEADER_KEY, userRoom } = require('../enhancements/cluster');
+
+// One shared keyspace with PX expiry on a manual clock, plus pub/sub.
+// Every client (and duplicate) made from it sees the same Redis.
+function sharedRedis() {
+  const keys = new Map();
+  const channels = new Map();
+  const clock = { now: 0 };
+
+  const live = (key) => {
+    const entry = keys.get(key);
+    if (entry && entry.expires <= clock.now) keys.delete(key);
+    return keys.get(key);
+  };
+
+  const client = () => ({
+    async set(key, value, { NX, PX } = {}) {
+      if (NX && live(key)) return null;
+      keys.set(key, { value, expires: PX ? clock.now + PX : Infinity });
+      return 'OK';
+    },
+    async get(key) { return live(key) ? live(key).value : null; },
+    async eval(script, { keys: [key], arguments: [token, ms] }) {
+      const entry = live(key);
+      if (!entry || entry.value !== token) return 0;
+      if (script.includes('pexpire')) entry.expires = clock.now + Number(ms);
+      else keys.delete(key);
+      return 1;
+    },
+    async publish(channel, message) {
+      (channels.get(channel) || []).forEach(listener => listener(message));
+      return (channels.get(channel) || []).length;
+    },
+    duplicate() { return client(); },
+    on() {},
+    async connect() {},
+    async subscribe(channel, listener) {
+      channels.set(channel, [...(channels.get(channel) || []), listener]);
+    }
+  });
+
+  return { client, clock, keys };
+}
+
+// Election and lock logs interleave with the runner's own output; mute them
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+}
+
+// Records [event, payload] for broadcasts and [room, event, payload] for rooms
+function fakeIo() {
+  const emitted = [];
+  return {
+    emitted,
+    emit: (event, payload) => emitted.push([event, payload]),
+    to: (room) => ({ emit: (event, payload) => emitted.push([room, event, payload]) })
+  };
+}
+
+test('one instance holds the lease; another takes over when it lapses', async (t) => {
+  quiet(t);
+  const redis = sharedRedis();
+  const a = new FetchCoordinator(redis.client(), { instanceId: 'a', leaseMs: 30000 });
+  const b = new FetchCoordinator(redis.client(), { instanceId: 'b', leaseMs: 30000 });
+  const elected = [];
+  a.handlers = { onElected: () => elected.push('a'), onDemoted: () => elected.push('a-') };
+  b.handlers = { onElected: () => elected.push('b') };
+
+  assert.equal(await a.tick(), true);
+  assert.equal(await b.tick(), false);
+
+  // Renewals keep the lease alive past its original expiry
+  redis.clock.now = 20000;
+  assert.equal(await a.tick(), true);
+  redis.clock.now = 40000;
+  assert.equal(await b.tick(), false);
+
+  // a stops renewing: b wins once the lease expires, a notices and stands down
+  redis.clock.now = 51000;
+  assert.equal(await b.tick(), true);
+  assert.equal(await a.tick(), false);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(elected, ['a', 'b', 'a-']);
+  assert.equal(b.status().elections, 1);
+
+  // A clean stop hands the lease over at once
+  await b.stop();
+  assert.equal(await redis.client().get(LEADER_KEY), null);
+  assert.equal(await a.tick(), true);
+});
+
+test('followers never join the election', async (t) => {
+  quiet(t);
+  const redis = sharedRedis();
+  const follower = new FetchCoordinator(redis.client(), { instanceId: 'f', role: 'follower' });
+  follower.start();
+  assert.equal(follower.timer, null);
+  assert.equal(follower.isLeader, false);
+  assert.equal(await redis.client().get(LEADER_KEY), null);
+});
+
+test('withLock runs a source on one instance at a time and releases after', async (t) => {
+  quiet(t);
+  const redis = sharedRedis();
+  const a = new FetchCoordinator(redis.client(), { instanceId: 'a' });
+  const b = new FetchCoordinator(redis.client(), { instanceId: 'b' });
+
+  let finish;
+  const running = a.withLock('fetch:earthquakes', () => new Promise(resolve => { finish = resolve; }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  let ran = false;
+  assert.equal(await b.withLock('fetch:earthquakes', () => { ran = true; }), null);
+  assert.equal(ran, false);
+  assert.equal(b.status().lockSkips, 1);
+
+  finish('parsed');
+  assert.equal(await running, 'parsed');
+  assert.equal(await b.withLock('fetch:earthquakes', () => 'again'), 'again');
+
+  // keep: true leaves the lock to expire — a once-per-period job
+  assert.equal(await a.withLock('digest:daily:2026-10-19', () => 'sent', { ttlMs: 1000, keep: true }), 'sent');
+  assert.equal(await b.withLock('digest:daily:2026-10-19', () => 'sent twice', { ttlMs: 1000, keep: true }), null);
+});
+
+test('the relay re-emits other instances\' updates from the stored layer', async (t) => {
+  quiet(t);
+  const redis = sharedRedis();
+  const ioA = fakeIo();
+  const ioB = fakeIo();
+  const a = new UpdateRelay(redis.client(), ioA, { instanceId: 'a' });
+  const b = new UpdateRelay(redis.client(), ioB, { instanceId: 'b' });
+  await a.start();
+  await b.start();
+
+  const layer = { type: 'earthquakes', count: 1, features: [{ id: 'us7000' }] };
+  await redis.client().set('data:earthquakes', JSON.stringify(layer));
+  a.emit('update:earthquakes', layer, { layer: 'earthquakes' });
+  a.emit('event:new', { id: 'us7000', kind: 'new' });
+  // Receivers read data:<layer> before re-emitting
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  // Same emits locally and on the other instance: the update to its layer room
+  const expected = [
+    ['layer:earthquakes', 'update:earthquakes', layer],
+    ['event:new', { id: 'us7000', kind: 'new' }]
+  ];
+  assert.deepEqual(ioA.emitted, expected);
+  assert.deepEqual(ioB.emitted, expected);
+  assert.equal(b.stats.relayed, 2);
+  assert.equal(a.stats.relayed, 0);
+});
+
+test('per-user events reach the user room on every instance', async (t) => {
+  quiet(t);
+  const redis = sharedRedis();
+  const ioA = fakeIo();
+  const ioB = fakeIo();
+  const a = new UpdateRelay(redis.client(), ioA, { instanceId: 'a' });
+  const b = new UpdateRelay(redis.client(), ioB, { instanceId: 'b' });
+  await a.start();
+  await b.start();
+
+  const alert = { id: 'us7000', title: 'M6.1 in your watch area' };
+  b.emitToUser('3f2a', 'alert:watch', alert);
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  assert.deepEqual(ioA.emitted, [[userRoom('3f2a'), 'alert:watch', alert]]);
+  assert.deepEqual(ioB.emitted, [['user:3f2a', 'alert:watch', alert]]);
+});
@@ -0,0 +1,121 @@
+// ============================================================================
+// conflicts.test.js — GDELT headline geocoding, incident grouping, confidence
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ConflictStore, geocodeTitle, categorize, intensity, fatalities } = require('../enhancements/conflicts');
+
+const ARTLIST = require(path.join(__dirname, 'fixtures', 'gdelt', 'artlist.json'));
+const NOW = Date.parse('2026-10-19T15:00:00Z');
+
+test('geocodeTitle resolves headline places with the gazetteer', () => {
+  const kharkiv = geocodeTitle("Russian drone attack kills 5 in Kharkiv");
+  assert.equal(kharkiv.precision, 'admin1');
+  assert.equal(kharkiv.iso3, 'UKR');
+  assert.equal(kharkiv.admin1Code, 'UA-63');
+
+  assert.equal(geocodeTitle('Gunmen kill 20 in Borno state, Nigeria').admin1Code, 'NG-BO');
+  // Actor → target, unless a locative says where
+  assert.equal(geocodeTitle('Israel strikes Lebanon as tensions rise').iso3, 'LBN');
+  assert.equal(geocodeTitle("Sudan's army says RSF shelled Khartoum").admin1Code, 'SD-KH');
+  assert.equal(geocodeTitle('UN condemns attack in Mali').iso3, 'MLI');
+
+  // Nothing known, or a region name several countries share
+  assert.equal(geocodeTitle('Central bank raises rates amid unrest'), null);
+  assert.equal(geocodeTitle('Punjab police disperse protest'), null);
+  assert.equal(geocodeTitle('Punjab police disperse protest in Pakistan').admin1Code, 'PK-PB');
+});
+
+test('headlines are classified with an intensity and a stated toll', () => {
+  assert.equal(categorize('Protesters clash with police in Nairobi'), 'Protest');
+  assert.equal(categorize('Missile hits apartment block'), 'Strike');
+  assert.equal(intensity('Protesters clash with police in Nairobi'), 3);
+  assert.equal(intensity('Kharkiv drone attack: 7 killed as toll rises'), 5);
+  assert.equal(fatalities('Kharkiv drone attack: 7 killed as toll rises'), 7);
+  assert.equal(fatalities('Gunmen kill at least 1,200 in raid'), 1200);
+  assert.equal(fatalities('Drone attack on Kharkiv leaves five dead'), null);
+});
+
+test('ConflictStore groups coverage of one incident and scores confidence', () => {
+  const store = new ConflictStore();
+  // Unplaceable, too old and repeated articles are skipped
+  assert.equal(store.ingest(ARTLIST, NOW), 6);
+
+  const incidents = store.incidents(NOW);
+  assert.deepEqual(incidents.map(i => i.name), [
+    'Attack — Kharkiv, Ukraine',
+    'Protest — Nairobi, Kenya',
+    'Conflict — Lebanon'
+  ]);
+
+  const [kharkiv, nairobi, lebanon] = incidents;
+  assert.equal(kharkiv.articleCount, 3);
+  assert.equal(kharkiv.sourceCount, 3);
+  assert.equal(kharkiv.fatalities, 7);
+  assert.equal(kharkiv.intensity, 5);
+  assert.equal(kharkiv.firstSeen, '2026-10-19T08:00:00.000Z');
+  assert.equal(kharkiv.lastSeen, '2026-10-19T12:00:00.000Z');
+  assert.deepEqual([kharkiv.confidence, kharkiv.confidenceLevel], [88, 'high']);
+  assert.deepEqual([nairobi.confidence, nairobi.confidenceLevel], [65, 'medium']);
+  assert.deepEqual([lebanon.confidence, lebanon.confidenceLevel, lebanon.locationPrecision], [28, 'low', 'country']);
+  assert.equal(lebanon.isActive, true);
+  assert.equal(kharkiv.articles[0].domain, 'kyivindependent.com');
+});
+
+test('incident ids survive later polls that add coverage', () => {
+  const store = new ConflictStore();
+  store.ingest(ARTLIST, NOW);
+  const before = store.incidents(NOW).find(i => i.locality === 'Kharkiv, Ukraine');
+
+  store.ingest({ articles: [{
+    url: 'https://apnews.com/article/ukraine-kharkiv-drone',
+    title: 'Kharkiv drone attack: rescuers search rubble',
+    seendate: '20261019T140000Z',
+    domain: 'apnews.com'
+  }] }, NOW);
+  const after = store.incidents(NOW).find(i => i.locality === 'Kharkiv, Ukraine');
+
+  assert.equal(after.id, before.id);
+  assert.equal(after.sourceCount, 4);
+  assert.equal(after.confidence, 100);
+
+  // Three days on, the coverage has aged out
+  store.ingest({ articles: [] }, NOW + 4 * 24 * 60 * 60 * 1000);
+  assert.deepEqual(store.incidents(NOW + 4 * 24 * 60 * 60 * 1000), []);
+});
+
+test('retained articles are saved to Redis and restored after a restart', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const hash = new Map();
+  const redis = {
+    hGetAll: async () => Object.fromEntries(hash),
+    multi() {
+      const ops = [];
+      const m = {
+        hSet: (key, field, value) => { ops.push(() => hash.set(field, value)); return m; },
+        hDel: (key, field) => { ops.push(() => hash.delete(field)); return m; },
+        exec: async () => ops.map(op => op())
+      };
+      return m;
+    }
+  };
+
+  const first = new ConflictStore({ redis });
+  await first.load(NOW);
+  first.ingest(ARTLIST, NOW);
+  await first.save();
+  assert.equal(hash.size, 6);
+
+  const restarted = new ConflictStore({ redis });
+  await restarted.load(NOW);
+  assert.deepEqual(restarted.incidents(NOW).map(i => i.id), first.incidents(NOW).map(i => i.id));
+
+  // Aged-out coverage is deleted on the next save
+  const later = new ConflictStore({ redis });
+  await later.load(NOW + 4 * 24 * 60 * 60 * 1000);
+  await later.save();
+  assert.equal(hash.size, 0);
+});
@@ -0,0 +1,148 @@
+// ============================================================================
+// event-index.test.js — /api/events query validation, filters and paging
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventIndex, parseEventsQuery } = require('../enhancements/event-index');
+const { haversineKm } = require('../enhancements/geo-dedup');
+
+const TYPES = ['earthquakes', 'wildfires', 'disasters'];
+
+// Just enough of node-redis for EventIndex: hashes, a GEO set and a ZSET per
+// layer, and the data:<layer> keys that mark a layer as cached
+function indexStore(cachedLayers) {
+  const hashes = new Map();
+  const geos = new Map();
+  const zsets = new Map();
+  const live = new Set(cachedLayers.map(layer => `data:${layer}`));
+  return {
+    exists: async (key) => (live.has(key) ? 1 : 0),
+    hKeys: async (key) => [...(hashes.get(key) || new Map()).keys()],
+    hmGet: async (key, ids) => ids.map(id => (hashes.get(key) || new Map()).get(id) || null),
+    geoSearch: async (key, { longitude, latitude }, { radius }) => (geos.get(key) || [])
+      .filter(p => haversineKm(latitude, longitude, p.latitude, p.longitude) <= radius)
+      .map(p => p.member),
+    zRangeByScore: async (key, min, max) => (zsets.get(key) || [])
+      .filter(z => (min === '-inf' || z.score >= min) && (max === '+inf' || z.score <= max))
+      .map(z => z.value),
+    multi() {
+      const ops = [];
+      const m = {
+        del: (keys) => { ops.push(() => keys.forEach(k => { hashes.delete(k); geos.delete(k); zsets.delete(k); })); return m; },
+        hSet: (key, fields) => { ops.push(() => hashes.set(key, new Map(Object.entries(fields)))); return m; },
+        geoAdd: (key, points) => { ops.push(() => geos.set(key, points)); return m; },
+        zAdd: (key, members) => { ops.push(() => zsets.set(key, members)); return m; },
+        exec: async () => ops.forEach(op => op())
+      };
+      return m;
+    }
+  };
+}
+
+function parse(query) {
+  const { options, error } = parseEventsQuery(query, TYPES);
+  assert.equal(error, undefined);
+  return options;
+}
+
+function rejects(query, message) {
+  const { options, error } = parseEventsQuery(query, TYPES);
+  assert.equal(options, undefined);
+  assert.match(error, message);
+}
+
+test('bbox and lat/lon/radiusKm are validated and mutually exclusive', () => {
+  assert.deepEqual(parse({ bbox: '-125,32,-114,42' }).bbox, { minLon: -125, minLat: 32, maxLon: -114, maxLat: 42 });
+  assert.deepEqual(parse({ lat: '35.7', lon: '139.7', radiusKm: '300' }).near, { lat: 35.7, lon: 139.7, radiusKm: 300 });
+
+  rejects({ bbox: '-125,32,-114' }, /Invalid "bbox"/);
+  rejects({ bbox: '-125,42,-114,32' }, /Invalid "bbox"/);
+  rejects({ bbox: '-125,32,-114,42', lat: '35' }, /either "bbox" or "lat\/lon\/radiusKm"/);
+  rejects({ lat: '35.7', lon: '139.7' }, /must all be given/);
+  rejects({ lat: '95', lon: '139.7', radiusKm: '10' }, /out of range/);
+  rejects({ lat: '35.7', lon: '139.7', radiusKm: '6000' }, /"radiusKm" must be between/);
+  rejects({ lat: '35.7', lon: '139.7', radiusKm: '0' }, /"radiusKm" must be between/);
+});
+
+test('invalid and conflicting parameters are rejected with a message', () => {
+  rejects({ types: 'earthquakes,comets' }, /Unknown type\(s\): comets/);
+  rejects({ since: 'yesterday-ish' }, /Invalid "since"/);
+  rejects({ since: '2026-10-19T00:00:00Z', until: '2026-10-18T00:00:00Z' }, /"since" must be before "until"/);
+  rejects({ limit: '0' }, /Invalid "limit"/);
+  rejects({ collapse: 'clusters' }, /Invalid "collapse"/);
+  rejects({ cursor: 'not-a-cursor' }, /Invalid "cursor"/);
+
+  const options = parse({ types: 'wildfires, earthquakes', limit: '5000', since: '1760832000', collapse: 'sequences' });
+  assert.deepEqual(options.types, ['wildfires', 'earthquakes']);
+  assert.equal(options.limit, 1000);
+  assert.equal(options.since, 1760832000000);
+  assert.equal(options.collapseSequences, true);
+});
+
+test('minSeverity takes a bucket name as its lower bound or a 0-100 score', () => {
+  assert.equal(parse({ minSeverity: 'critical' }).minSeverity, 75);
+  assert.equal(parse({ minSeverity: 'Severe' }).minSeverity, 50);
+  assert.equal(parse({ minSeverity: 'moderate' }).minSeverity, 25);
+  assert.equal(parse({ minSeverity: 'minor' }).minSeverity, 0);
+  assert.equal(parse({ minSeverity: '62.5' }).minSeverity, 62.5);
+  rejects({ minSeverity: 'extreme' }, /Invalid "minSeverity"/);
+  rejects({ minSeverity: '101' }, /Invalid "minSeverity"/);
+});
+
+const EARTHQUAKES = [
+  { id: 'us1', time: Date.parse('2026-10-19T12:00:00Z'), coordinates: [139.7, 35.7], magnitude: 6.1, iso3: 'JPN', country: 'Japan', severityScore: 70, source: 'USGS' },
+  { id: 'us2', time: Date.parse('2026-10-19T10:00:00Z'), coordinates: [-118.2, 34.0], magnitude: 4.2, iso3: 'USA', country: 'United States', severityScore: 30, source: 'USGS' },
+  { id: 'us3', time: Date.parse('2026-10-19T08:00:00Z'), coordinates: [141.0, 38.3], magnitude: 5.0, iso3: 'JPN', country: 'Japan', severityScore: 45, source: 'USGS' }
+];
+const WILDFIRES = [
+  { id: 'w1', date: '2026-10-19T12:00:00Z', coordinates: [-120.5, 38.1], country: 'United States', severityScore: 80, source: 'EONET' },
+  { id: 'w2', date: '2026-10-19T09:00:00Z', coordinates: [150.1, -33.7], affectedCountries: ['Australia'], severityScore: 55, source: 'EONET' }
+];
+
+async function seeded() {
+  const index = new EventIndex(indexStore(['earthquakes', 'wildfires']));
+  await index.index('earthquakes', { features: EARTHQUAKES });
+  await index.index('wildfires', { features: WILDFIRES });
+  // Indexed, but its cached layer has expired
+  await index.index('disasters', { features: [{ id: 'gdacs1', date: '2026-10-19T11:00:00Z', country: 'Japan' }] });
+  return index;
+}
+
+test('country matches an ISO3 code or a name, and filters combine', async () => {
+  const index = await seeded();
+  const ids = async (query) => (await index.query(parse(query))).events.map(e => e.id);
+
+  assert.deepEqual(await ids({ country: 'jpn' }), ['us1', 'us3']);
+  assert.deepEqual(await ids({ country: 'Japan' }), ['us1', 'us3']);
+  assert.deepEqual(await ids({ country: 'australia' }), ['w2']);
+  assert.deepEqual(await ids({ country: 'Japan', minSeverity: 'severe' }), ['us1']);
+  assert.deepEqual(await ids({ bbox: '-125,32,-114,42' }), ['w1', 'us2']);
+  assert.deepEqual(await ids({ lat: '36', lon: '140', radiusKm: '400', source: 'usgs' }), ['us1', 'us3']);
+  assert.deepEqual(await ids({ since: '2026-10-19T09:30:00Z', types: 'earthquakes' }), ['us1', 'us2']);
+});
+
+test('fields projects each event to its layer, id and the requested fields', async () => {
+  const index = await seeded();
+  const { events } = await index.query(parse({ types: 'earthquakes', fields: 'magnitude,country,missing', limit: '1' }));
+  assert.deepEqual(events, [{ layer: 'earthquakes', id: 'us1', magnitude: 6.1, country: 'Japan' }]);
+});
+
+test('keyset cursor pages through every event once, in order', async () => {
+  const index = await seeded();
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = await index.query(parse({ limit: '2', ...(cursor ? { cursor } : {}) }));
+    assert.ok(page.count <= 2);
+    seen.push(...page.events.map(e => `${e.layer}/${e.id}`));
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor && pages < 10);
+
+  // us1 and w1 share a timestamp: layer name breaks the tie
+  assert.deepEqual(seen, ['earthquakes/us1', 'wildfires/w1', 'earthquakes/us2', 'wildfires/w2', 'earthquakes/us3']);
+  assert.equal(pages, 3);
+});
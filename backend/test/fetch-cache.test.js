@@ -0,0 +1,130 @@
+// ============================================================================
+// fetch-cache.test.js — Conditional requests, unchanged bodies and refetches
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FetchCache } = require('../enhancements/fetch-cache');
+
+// Just enough of node-redis for touch(): EXPIRE on the keys that still exist
+function keyStore(keys = []) {
+  const live = new Set(keys);
+  return { live, expire: async (key) => live.has(key) };
+}
+
+function ok(body, headers = {}) {
+  return { status: 200, headers, data: Buffer.from(body) };
+}
+
+const NOT_MODIFIED = { status: 304, headers: {}, data: Buffer.alloc(0) };
+const VALIDATORS = { etag: '"v1"', 'last-modified': 'Mon, 19 Oct 2026 15:00:00 GMT' };
+
+// Stand-in for axios.get: answers with the queued responses and records the
+// request headers
+function upstream(...responses) {
+  const requests = [];
+  const get = async (options) => {
+    requests.push(options.headers);
+    return responses.shift();
+  };
+  return { get, requests };
+}
+
+test('validators are sent back only once the body has been committed', () => {
+  const cache = new FetchCache(keyStore());
+  const fetchOptions = { headers: { 'User-Agent': 'RealNow' }, timeout: 5000 };
+
+  const first = cache.handleResponse('usgs', ok('{"features":[]}', VALIDATORS));
+  assert.equal(first.changed, true);
+  assert.deepEqual(first.data, { features: [] });
+  assert.deepEqual(cache.requestOptions('usgs', fetchOptions).headers, { 'User-Agent': 'RealNow' });
+
+  cache.commit('usgs', ['earthquakes']);
+  const options = cache.requestOptions('usgs', fetchOptions);
+  assert.deepEqual(options.headers, {
+    'User-Agent': 'RealNow',
+    'If-None-Match': '"v1"',
+    'If-Modified-Since': 'Mon, 19 Oct 2026 15:00:00 GMT'
+  });
+  assert.equal(options.timeout, 5000);
+  assert.equal(options.validateStatus(304), true);
+  assert.equal(options.validateStatus(404), false);
+});
+
+test('a 304 or an identical body is unchanged', () => {
+  const cache = new FetchCache(keyStore());
+  cache.handleResponse('gdacs', ok('<rss/>'));
+  cache.commit('gdacs', ['disasters']);
+
+  assert.deepEqual(cache.handleResponse('gdacs', NOT_MODIFIED), { changed: false, reason: '304 Not Modified' });
+  assert.deepEqual(cache.handleResponse('gdacs', ok('<rss/>')), { changed: false, reason: 'body unchanged' });
+  assert.equal(cache.handleResponse('gdacs', ok('<rss><item/></rss>')).changed, true);
+
+  const { sources } = cache.getStats();
+  assert.equal(sources.gdacs.notModified, 1);
+  assert.equal(sources.gdacs.unchanged, 1);
+  assert.equal(sources.gdacs.requests, 4);
+});
+
+test('an uncommitted body is not remembered', () => {
+  const cache = new FetchCache(keyStore());
+  cache.handleResponse('eonet', ok('{"events":[1]}', VALIDATORS));
+
+  // Parse or store failed: the same body next cycle is still a change
+  assert.equal(cache.handleResponse('eonet', ok('{"events":[1]}', VALIDATORS)).changed, true);
+  assert.equal(cache.requestOptions('eonet').headers['If-None-Match'], undefined);
+});
+
+test('an unchanged cycle keeps the cached layers alive without refetching', async () => {
+  const redis = keyStore(['data:earthquakes', 'shakemap:us1']);
+  const cache = new FetchCache(redis);
+  const { get, requests } = upstream(ok('{"v":1}', VALIDATORS), NOT_MODIFIED);
+
+  assert.equal((await cache.fetch('usgs', get)).changed, true);
+  cache.commit('usgs', ['earthquakes'], ['shakemap:us1']);
+
+  const result = await cache.fetch('usgs', get, { expired: () => false });
+  assert.deepEqual(result, { changed: false, reason: '304 Not Modified', skipped: true });
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1]['If-None-Match'], '"v1"');
+});
+
+test('an expired layer or adapter.expired() refetches exactly once, unconditionally', async () => {
+  const redis = keyStore(['data:volcanoes']);
+  const cache = new FetchCache(redis);
+  const prime = upstream(ok('<vaac/>', VALIDATORS));
+  await cache.fetch('vaac', prime.get);
+  cache.commit('vaac', ['volcanoes']);
+
+  // The advisories parsed last have passed their valid-until time
+  const adapterExpired = upstream(NOT_MODIFIED, ok('<vaac/>', VALIDATORS));
+  const refetched = await cache.fetch('vaac', adapterExpired.get, { expired: () => true });
+  assert.equal(refetched.changed, true);
+  assert.equal(refetched.skipped, undefined);
+  assert.equal(adapterExpired.requests.length, 2);
+  assert.equal(adapterExpired.requests[0]['If-None-Match'], '"v1"');
+  assert.deepEqual(adapterExpired.requests[1], {});
+  cache.commit('vaac', ['volcanoes']);
+
+  // The cached layer is gone from Redis
+  redis.live.clear();
+  const layerExpired = upstream(NOT_MODIFIED, NOT_MODIFIED, ok('<vaac/>'));
+  const result = await cache.fetch('vaac', layerExpired.get);
+  assert.equal(result.changed, false);
+  assert.equal(result.skipped, undefined);
+  assert.equal(layerExpired.requests.length, 2);
+  assert.deepEqual(layerExpired.requests[1], {});
+});
+
+test('a non-conditional source never sends validators', async () => {
+  const cache = new FetchCache(keyStore(['data:spaceweather']));
+  const { get, requests } = upstream(ok('{"kp":3}', VALIDATORS), ok('{"kp":3}', VALIDATORS));
+
+  await cache.fetch('spaceweather', get, { conditional: false });
+  cache.commit('spaceweather', ['spaceweather']);
+  const second = await cache.fetch('spaceweather', get, { conditional: false });
+
+  assert.equal(second.changed, true);
+  assert.deepEqual(requests, [{}, {}]);
+});
@@ -0,0 +1,94 @@
+// ============================================================================
+// fire-complexes.test.js — FIRMS hotspot clustering into fire complexes
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FireComplexTracker, buildFireComplexes, convexHull, areaKm2, hotspotTime
+} = require('../enhancements/fire-complexes');
+
+const NOW = Date.parse('2026-08-12T12:00:00Z');
+
+function hotspot(lat, lon, date, time, frp = 10) {
+  return {
+    id: `fire_${lat.toFixed(4)}_${lon.toFixed(4)}_${date}_${time}`,
+    latitude: lat,
+    longitude: lon,
+    date,
+    time,
+    frp,
+    scan: 0.4,
+    track: 0.4,
+    satellite: 'N'
+  };
+}
+
+// A fire spreading east over three overpasses, a separate fire 20 km away
+// and two isolated pixels (below MIN_DETECTIONS)
+function detections() {
+  const fires = [];
+  [['2026-08-11', '0412', 0], ['2026-08-11', '2118', 1], ['2026-08-12', '0918', 2]].forEach(([date, time, pass]) => {
+    for (let k = 0; k < 4; k++) {
+      fires.push(hotspot(39.5 + k * 0.004, -121.5 + pass * 0.02 + k * 0.004, date, time, 20 + pass * 10));
+    }
+  });
+  fires.push(hotspot(39.5, -121.25, '2026-08-12', '0918', 50));
+  fires.push(hotspot(39.504, -121.25, '2026-08-12', '0918', 60));
+  fires.push(hotspot(39.5, -121.246, '2026-08-12', '0918', 70));
+  fires.push(hotspot(38.0, -120.0, '2026-08-12', '0918', 5));
+  fires.push(hotspot(38.0, -120.004, '2026-08-10', '0918', 5));
+  return fires;
+}
+
+test('hotspotTime reads FIRMS date + HHMM', () => {
+  assert.equal(hotspotTime({ date: '2026-08-12', time: '918' }), Date.parse('2026-08-12T09:18:00Z'));
+  assert.equal(hotspotTime({ date: 'bad', time: '0918' }), null);
+});
+
+test('convexHull and areaKm2 on a square', () => {
+  const hull = convexHull([[0, 0], [1, 0], [1, 1], [0, 1], [0.5, 0.5]]);
+  assert.equal(hull.length, 4);
+  // 1° × 1° at the equator
+  assert.ok(Math.abs(areaKm2(hull) - 111.32 * 111.32) < 1);
+});
+
+test('buildFireComplexes links overpasses and skips isolated pixels', () => {
+  const complexes = buildFireComplexes(detections(), { now: NOW });
+  assert.equal(complexes.length, 2);
+
+  const [spreading, small] = complexes.sort((a, b) => b.detectionCount - a.detectionCount);
+  assert.equal(spreading.detectionCount, 12);
+  assert.equal(spreading.totalFrp, 4 * 20 + 4 * 30 + 4 * 40);
+  assert.equal(spreading.firstSeen, '2026-08-11T04:12:00.000Z');
+  assert.equal(spreading.lastSeen, '2026-08-12T09:18:00.000Z');
+  assert.equal(spreading.detectionsLast24h, 8);
+  assert.equal(spreading.geometry.type, 'Polygon');
+  const ring = spreading.geometry.coordinates[0];
+  assert.deepEqual(ring[0], ring[ring.length - 1]);
+  assert.ok(spreading.growthKm2PerDay > 0);
+  assert.ok(spreading.areaKm2 > spreading.growthKm2PerDay);
+  assert.equal(spreading.isActive, true);
+
+  assert.equal(small.detectionCount, 3);
+  // Everything within the last day — no growth baseline
+  assert.equal(small.growthKm2PerDay, null);
+  assert.equal(JSON.parse(JSON.stringify(small)).hotspotIds, undefined);
+});
+
+test('FireComplexTracker keeps complex ids across fetches', () => {
+  const tracker = new FireComplexTracker();
+  const first = tracker.update(detections().slice(0, 8), { now: NOW });
+  assert.equal(first.count, 1);
+  const id = first.features[0].id;
+
+  // Next fetch: the oldest overpass has rolled out of the window and a new
+  // one arrived, so the earliest hotspot (the provisional id) changed
+  const fires = detections().slice(4, 12);
+  for (let k = 0; k < 4; k++) fires.push(hotspot(39.5 + k * 0.004, -121.44 + k * 0.004, '2026-08-12', '2054', 45));
+  const second = tracker.update(fires, { now: NOW + 12 * 60 * 60 * 1000 });
+  assert.equal(second.count, 1);
+  assert.equal(second.features[0].id, id);
+  assert.equal(second.features[0].detectionCount, 12);
+});
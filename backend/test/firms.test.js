@@ -0,0 +1,111 @@
+// ============================================================================
+// firms.test.js — Multi-sensor FIRMS parsing and cross-sensor confirmation
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FirmsStore, parseFirmsCsv, normalizeConfidence, confirmDetections
+} = require('../enhancements/firms');
+
+const VIIRS_HEADER = 'latitude,longitude,bright_ti4,scan,track,acq_date,acq_time,satellite,instrument,confidence,version,bright_ti5,frp,daynight';
+const MODIS_HEADER = 'latitude,longitude,brightness,scan,track,acq_date,acq_time,satellite,confidence,version,bright_t31,frp,daynight';
+
+const SNPP = [
+  VIIRS_HEADER,
+  // Fire seen on two overpasses
+  '39.5000,-121.5000,340.1,0.39,0.36,2026-08-12,0918,N,VIIRS,h,2.0NRT,290.2,12.5,D',
+  '39.5020,-121.5010,335.0,0.40,0.37,2026-08-12,2054,N,VIIRS,n,2.0NRT,288.0,8.1,N',
+  // Neighbouring pixel of the same look — not a confirmation
+  '39.5000,-121.4920,330.0,0.39,0.36,2026-08-12,0918,N,VIIRS,n,2.0NRT,287.0,4.0,D',
+  // Isolated single detection
+  '10.0000,20.0000,310.0,0.39,0.36,2026-08-12,0918,N,VIIRS,l,2.0NRT,285.0,1.2,D'
+].join('\n');
+
+const NOAA20 = [
+  VIIRS_HEADER,
+  '39.5004,-121.4922,338.0,0.40,0.38,2026-08-12,1008,N20,VIIRS,n,2.0NRT,289.0,9.0,D'
+].join('\n');
+
+// MODIS has no instrument column in this export and a 0–100 confidence
+const MODIS = [
+  MODIS_HEADER,
+  '-12.3000,130.1000,320.5,1.2,1.1,2026-08-12,0130,Aqua,85,6.1NRT,300.1,40.2,D'
+].join('\n');
+
+test('normalizeConfidence maps both sensor scales', () => {
+  assert.equal(normalizeConfidence('h', 'VIIRS'), 'high');
+  assert.equal(normalizeConfidence('l', 'VIIRS'), 'low');
+  assert.equal(normalizeConfidence('85', 'MODIS'), 'high');
+  assert.equal(normalizeConfidence('50', 'MODIS'), 'nominal');
+  assert.equal(normalizeConfidence('12', 'MODIS'), 'low');
+  assert.equal(normalizeConfidence('', 'MODIS'), null);
+});
+
+test('parseFirmsCsv reads columns by header for VIIRS and MODIS', () => {
+  const viirs = parseFirmsCsv(SNPP, 'VIIRS_SNPP_NRT');
+  assert.equal(viirs.length, 4);
+  assert.equal(viirs[0].id, 'fire_39.5000_-121.5000_2026-08-12_0918');
+  assert.equal(viirs[0].brightness, 340.1);
+  assert.equal(viirs[0].bright_t31, 290.2);
+  assert.equal(viirs[0].confidence, 'high');
+  assert.equal(viirs[0].sensor, 'VIIRS');
+
+  const [modis] = parseFirmsCsv(MODIS, 'MODIS_NRT');
+  assert.equal(modis.brightness, 320.5);
+  assert.equal(modis.frp, 40.2);
+  assert.equal(modis.confidence, 'high');
+  assert.equal(modis.confidenceRaw, '85');
+  assert.equal(modis.instrument, 'MODIS');
+  assert.equal(modis.satellite, 'Aqua');
+});
+
+test('confirmDetections needs a second sensor or overpass', () => {
+  const detections = parseFirmsCsv(SNPP, 'VIIRS_SNPP_NRT');
+  assert.equal(confirmDetections(detections), 2);
+  const byId = id => detections.find(d => d.id === id);
+  assert.equal(byId('fire_39.5000_-121.5000_2026-08-12_0918').confirmed, true);
+  assert.equal(byId('fire_39.5020_-121.5010_2026-08-12_2054').confirmed, true);
+  assert.equal(byId('fire_39.5000_-121.4920_2026-08-12_0918').confirmed, false);
+  assert.equal(byId('fire_10.0000_20.0000_2026-08-12_0918').confirmed, false);
+});
+
+test('FirmsStore merges products and confirms across sensors', () => {
+  const store = new FirmsStore();
+  store.ingest('VIIRS_SNPP_NRT', parseFirmsCsv(SNPP, 'VIIRS_SNPP_NRT'));
+  store.ingest('VIIRS_NOAA20_NRT', parseFirmsCsv(NOAA20, 'VIIRS_NOAA20_NRT'));
+  store.ingest('MODIS_NRT', parseFirmsCsv(MODIS, 'MODIS_NRT'));
+
+  const { detections, counts, confirmed } = store.snapshot(Date.parse('2026-08-13T00:00:00Z'));
+  assert.equal(detections.length, 6);
+  assert.deepEqual(counts, { VIIRS_SNPP_NRT: 4, VIIRS_NOAA20_NRT: 1, MODIS_NRT: 1 });
+  assert.equal(confirmed, 4);
+
+  const sameLook = detections.find(d => d.id === 'fire_39.5000_-121.4920_2026-08-12_0918');
+  assert.equal(sameLook.confirmed, true);
+  assert.deepEqual(sameLook.confirmedBy, ['N20']);
+
+  // Detections older than the 3-day window drop out
+  const later = store.snapshot(Date.parse('2026-08-16T00:00:00Z'));
+  assert.equal(later.detections.length, 0);
+});
+
+test('FirmsStore keeps slim rows and settles once per burst of products', async () => {
+  let settled = 0;
+  const store = new FirmsStore({ settleMs: 20, onSettled: () => settled++ });
+  store.ingest('VIIRS_SNPP_NRT', parseFirmsCsv(SNPP, 'VIIRS_SNPP_NRT'));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  store.ingest('VIIRS_NOAA20_NRT', parseFirmsCsv(NOAA20, 'VIIRS_NOAA20_NRT'));
+  store.ingest('MODIS_NRT', parseFirmsCsv(MODIS, 'MODIS_NRT'));
+  assert.equal(settled, 0);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(settled, 1);
+
+  const [row] = store.products.get('MODIS_NRT');
+  assert.equal(row.bright_t31, undefined);
+  assert.equal(row.version, undefined);
+  assert.equal(typeof row.frp, 'number');
+  assert.equal(row.sensor, 'MODIS');
+});
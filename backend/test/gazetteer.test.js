@@ -0,0 +1,80 @@
+// ============================================================================
+// gazetteer.test.js — Forward / reverse lookups against the bundled gazetteer
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getGazetteer, enrichLocation, locateTitle } = require('../enhancements/gazetteer');
+
+// The first call loads data/gazetteer.json and logs it
+function gazetteer(t) {
+  t.mock.method(console, 'log', () => {});
+  return getGazetteer();
+}
+
+test('forward lookup resolves countries, aliases and admin-1 regions', (t) => {
+  const g = gazetteer(t);
+
+  assert.equal(g.forward('DR Congo').iso3, 'COD');
+  assert.equal(g.forward('IND').level, 'country');
+  const kerala = g.forward('Kerala, India');
+  assert.equal(kerala.level, 'admin1');
+  assert.equal(kerala.code, 'IN-KL');
+  assert.equal(kerala.country, 'India');
+
+  assert.equal(g.forward('Atlantis'), null);
+  assert.equal(g.findCountry('Atlantis'), null);
+});
+
+test('reverse lookup finds the region on land and the nearest coast offshore', (t) => {
+  const g = gazetteer(t);
+
+  const tokyo = g.reverse(35.68, 139.69);
+  assert.equal(tokyo.iso3, 'JPN');
+  assert.equal(tokyo.admin1Code, 'JP-13');
+  assert.equal(tokyo.match, 'within');
+  assert.equal(tokyo.distanceKm, 0);
+
+  // Off the Miyagi coast, where the 2011 Tohoku quake struck
+  const offshore = g.reverse(38.3, 142.8);
+  assert.equal(offshore.iso3, 'JPN');
+  assert.equal(offshore.match, 'nearest');
+  assert.ok(offshore.distanceKm > 0 && offshore.distanceKm <= 200, `${offshore.distanceKm} km`);
+  assert.equal(g.reverse(38.3, 142.8, { maxDistanceKm: 0 }), null);
+
+  // Mid-Pacific
+  assert.equal(g.reverse(0, -140), null);
+});
+
+test('enrichLocation stamps iso3 and admin-1 from coordinates or the source', (t) => {
+  gazetteer(t);
+  const { features } = enrichLocation('earthquakes', {
+    features: [
+      { id: 'land', coordinates: [139.69, 35.68] },
+      { id: 'offshore', coordinates: [142.8, 38.3], country: 'Unknown' },
+      { id: 'tagged', coordinates: [139.69, 35.68], iso3: 'USA' },
+      { id: 'named', country: 'Kenya' },
+      { id: 'unknown', country: 'Atlantis' }
+    ]
+  });
+  const byId = Object.fromEntries(features.map(e => [e.id, e]));
+
+  assert.deepEqual([byId.land.iso3, byId.land.admin1Code, byId.land.country], ['JPN', 'JP-13', 'Japan']);
+  assert.deepEqual([byId.offshore.iso3, byId.offshore.admin1, byId.offshore.country], ['JPN', null, 'Japan']);
+  assert.deepEqual([byId.tagged.iso3, byId.tagged.admin1], ['USA', null]);
+  assert.equal(byId.named.iso3, 'KEN');
+  assert.deepEqual([byId.unknown.iso3, byId.unknown.country], [null, 'Atlantis']);
+});
+
+test('ReliefWeb titles are placed by country, and unknown countries are skipped', (t) => {
+  gazetteer(t);
+  const kenya = locateTitle('Kenya: Floods - Oct 2026');
+  assert.equal(kenya.country, 'Kenya');
+  assert.equal(kenya.name, 'Floods - Oct 2026');
+  assert.deepEqual(kenya.coordinates, getGazetteer().findCountry('KEN').centroid);
+
+  assert.equal(locateTitle('DR Congo: Floods and Landslides - Oct 2026').coordinates, getGazetteer().findCountry('COD').centroid);
+  assert.equal(locateTitle('Atlantis: Floods - Oct 2026'), null);
+  assert.equal(locateTitle('Floods in the Sahel'), null);
+});
@@ -0,0 +1,37 @@
+// ============================================================================
+// helpers.js — Recorded-fixture readers and fetch stubs for the tests
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Reader for one fixtures/<dir>: name → file contents.
+ * @param {string} dir — e.g. 'tsunami'
+ */
+function fixtureReader(dir) {
+  return name => fs.readFileSync(path.join(FIXTURES, dir, name), 'utf8');
+}
+
+/**
+ * Stand-in for a module's fetch(url) that serves fixtures/<dir> and records
+ * the requested URLs. A URL without a fixture fails like a 404.
+ * @param {string} dir
+ * @param {Array} calls — receives every requested URL
+ * @param {Object} options
+ * @param {Function} options.resolve — url → fixture name (default: the URL's file name)
+ */
+function fixtureFetch(dir, calls = [], options = {}) {
+  const resolve = options.resolve || (url => path.basename(new URL(url).pathname));
+  return async (url) => {
+    calls.push(url);
+    const name = resolve(url);
+    const file = name && path.join(FIXTURES, dir, name);
+    if (!file || !fs.existsSync(file)) throw new Error('Request failed with status code 404');
+    return fs.readFileSync(file, 'utf8');
+  };
+}
+
+module.exports = { fixtureReader, fixtureFetch };
@@ -0,0 +1,167 @@
+// ============================================================================
+// history.test.js — /api/history parameters, retention and paged queries
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HistoryStore, parseHistoryQuery, getRetention } = require('../enhancements/history');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Just enough of node-redis for HistoryStore: sorted sets and hashes
+function historyStore() {
+  const zsets = new Map();
+  const hashes = new Map();
+  const zset = key => {
+    if (!zsets.has(key)) zsets.set(key, []);
+    return zsets.get(key);
+  };
+  const bound = (value, fallback) => (value === '-inf' || value === '+inf' ? fallback : value);
+  const inRange = (min, max) => z => z.score >= bound(min, -Infinity) && z.score <= bound(max, Infinity);
+  const ascending = (a, b) => a.score - b.score || (a.value < b.value ? -1 : 1);
+
+  const commands = {
+    zAdd: (key, members) => {
+      const set = zset(key);
+      members.forEach(m => {
+        const existing = set.find(z => z.value === m.value);
+        if (existing) existing.score = m.score;
+        else set.push({ ...m });
+      });
+      set.sort(ascending);
+    },
+    zRemRangeByScore: (key, min, max) => zsets.set(key, zset(key).filter(z => !inRange(min, max)(z))),
+    zRemRangeByRank: (key, start, stop) => {
+      const set = zset(key);
+      const last = stop < 0 ? set.length + stop : stop;
+      if (last >= start) set.splice(start, last - start + 1);
+    },
+    zRem: (key, values) => zsets.set(key, zset(key).filter(z => !values.includes(z.value))),
+    hSet: (key, fields) => hashes.set(key, { ...(hashes.get(key) || {}), ...fields }),
+    hDel: (key, fields) => {
+      const hash = { ...(hashes.get(key) || {}) };
+      fields.forEach(f => delete hash[f]);
+      hashes.set(key, hash);
+    }
+  };
+
+  const zRangeCalls = [];
+  return {
+    zsets,
+    zRangeCalls,
+    ...Object.fromEntries(Object.entries(commands).map(([name, fn]) => [name, async (...args) => fn(...args)])),
+    hGetAll: async (key) => ({ ...(hashes.get(key) || {}) }),
+    zRangeByScore: async (key, min, max) => zset(key).filter(inRange(min, max)).map(z => z.value),
+    zRange: async (key, max, min, { LIMIT }) => {
+      zRangeCalls.push(LIMIT);
+      return zset(key).filter(inRange(min, max)).reverse()
+        .slice(LIMIT.offset, LIMIT.offset + LIMIT.count)
+        .map(z => z.value);
+    },
+    multi() {
+      const ops = [];
+      const m = {};
+      Object.entries(commands).forEach(([name, fn]) => {
+        m[name] = (...args) => { ops.push(() => fn(...args)); return m; };
+      });
+      m.exec = async () => ops.forEach(op => op());
+      return m;
+    }
+  };
+}
+
+test('parseHistoryQuery validates from/to, bbox and limit', () => {
+  assert.deepEqual(parseHistoryQuery({}), { options: { from: null, to: null, bbox: null, limit: 500 } });
+
+  const { options } = parseHistoryQuery({
+    from: '2026-10-12T00:00:00Z', to: '1792454400', bbox: '170,-50,-170,-30', limit: '9000'
+  });
+  assert.equal(options.from, Date.parse('2026-10-12T00:00:00Z'));
+  assert.equal(options.to, 1792454400000);
+  assert.deepEqual(options.bbox, { minLon: 170, minLat: -50, maxLon: -170, maxLat: -30 });
+  assert.equal(options.limit, 5000);
+  assert.equal(parseHistoryQuery({ from: '1792454400000' }).options.from, 1792454400000);
+
+  assert.match(parseHistoryQuery({ from: 'last week' }).error, /Invalid "from"/);
+  assert.match(parseHistoryQuery({ to: 'soon' }).error, /Invalid "to"/);
+  assert.match(parseHistoryQuery({ from: '2026-10-19', to: '2026-10-12' }).error, /"from" must be before "to"/);
+  assert.match(parseHistoryQuery({ bbox: '1,2,3' }).error, /Invalid "bbox"/);
+  assert.match(parseHistoryQuery({ limit: '-1' }).error, /Invalid "limit"/);
+});
+
+test('retention is per layer and HISTORY_RETENTION_DAYS overrides the window', (t) => {
+  assert.deepEqual(getRetention('fires'), { days: 7, maxObservations: 50000 });
+  assert.deepEqual(getRetention('droughts'), { days: 180, maxObservations: 5000 });
+  assert.deepEqual(getRetention('earthquakes'), { days: 30, maxObservations: 20000 });
+
+  const saved = process.env.HISTORY_RETENTION_DAYS;
+  t.after(() => {
+    if (saved === undefined) delete process.env.HISTORY_RETENTION_DAYS;
+    else process.env.HISTORY_RETENTION_DAYS = saved;
+  });
+  process.env.HISTORY_RETENTION_DAYS = '3';
+  assert.deepEqual(getRetention('droughts'), { days: 3, maxObservations: 5000 });
+});
+
+test('prune drops observations and seen events outside the layer window', async () => {
+  const redis = historyStore();
+  const history = new HistoryStore(redis);
+  const now = Date.now();
+  const old = JSON.stringify({ id: 'a1', event: { id: 'a1' } });
+  const recent = JSON.stringify({ id: 'a2', event: { id: 'a2' } });
+  await redis.zAdd('history:aurora:obs', [{ score: now - 8 * DAY, value: old }, { score: now - DAY, value: recent }]);
+  await redis.zAdd('history:aurora:seen', [{ score: now - 8 * DAY, value: 'a1' }, { score: now - DAY, value: 'a2' }]);
+  await redis.hSet('history:aurora:hash', { a1: 'h1', a2: 'h2' });
+
+  // Eight days is past aurora's 7-day window but within the 30-day default
+  await redis.zAdd('history:earthquakes:obs', [{ score: now - 8 * DAY, value: old }]);
+  await history.prune('aurora');
+  await history.prune('earthquakes');
+
+  assert.deepEqual(redis.zsets.get('history:aurora:obs').map(z => z.value), [recent]);
+  assert.deepEqual(redis.zsets.get('history:aurora:seen').map(z => z.value), ['a2']);
+  assert.deepEqual(await redis.hGetAll('history:aurora:hash'), { a2: 'h2' });
+  assert.equal(redis.zsets.get('history:earthquakes:obs').length, 1);
+});
+
+test('only new or changed events are appended', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const history = new HistoryStore(historyStore());
+  const warning = (severity, timeRemaining) => ({ id: 'nws1', severity, timeRemaining, coordinates: [-97, 35] });
+
+  assert.equal(await history.record('weather', { features: [warning('Severe', '2h')] }), 1);
+  assert.equal(await history.record('weather', { features: [warning('Severe', '1h')] }), 0);
+  assert.equal(await history.record('weather', { features: [warning('Extreme', '1h')] }), 1);
+
+  const observations = await history.query('weather');
+  assert.deepEqual(observations.map(o => [o.change, o.event.severity]), [['updated', 'Extreme'], ['new', 'Severe']]);
+});
+
+test('a bbox query pages through the time range until the limit is filled', async () => {
+  const redis = historyStore();
+  const history = new HistoryStore(redis);
+  const start = Date.parse('2026-10-01T00:00:00Z');
+
+  // 1500 observations, one in three inside the bbox
+  const observations = Array.from({ length: 1500 }, (_, i) => ({
+    score: start + i * 60000,
+    value: JSON.stringify({ id: `e${i}`, event: { id: `e${i}`, coordinates: i % 3 === 0 ? [10, 45] : [-100, 40] } })
+  }));
+  await redis.zAdd('history:earthquakes:obs', observations);
+
+  const { options } = parseHistoryQuery({ bbox: '0,40,20,50', limit: '300' });
+  const page = await history.query('earthquakes', options);
+
+  assert.equal(page.length, 300);
+  assert.ok(page.every(o => o.event.coordinates[0] === 10));
+  assert.equal(page[0].id, 'e1497');
+  assert.equal(page[299].id, 'e600');
+  assert.deepEqual(redis.zRangeCalls, [{ offset: 0, count: 500 }, { offset: 500, count: 500 }]);
+
+  // Without a bbox one batch fills the limit; a time range bounds it
+  redis.zRangeCalls.length = 0;
+  const window = await history.query('earthquakes', { from: start, to: start + 9 * 60000, limit: 500 });
+  assert.deepEqual(window.map(o => o.id), ['e9', 'e8', 'e7', 'e6', 'e5', 'e4', 'e3', 'e2', 'e1', 'e0']);
+  assert.equal(redis.zRangeCalls.length, 1);
+});
@@ -0,0 +1,161 @@
+// ============================================================================
+// lifecycle.test.js — Which snapshot changes become recorded transitions
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LifecycleTracker, diffSnapshots, stableFields } = require('../enhancements/lifecycle');
+
+// Just enough of node-redis for process(): a MULTI of XADDs
+function streamStore() {
+  const entries = [];
+  return {
+    entries,
+    multi() {
+      const ops = [];
+      const m = {
+        xAdd: (key, id, fields) => { ops.push(fields); return m; },
+        exec: async () => ops.map(fields => {
+          entries.push(fields);
+          return `1760880000000-${entries.length - 1}`;
+        })
+      };
+      return m;
+    }
+  };
+}
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+}
+
+test('diffSnapshots reports new, updated and ended events by id', () => {
+  const transitions = diffSnapshots('earthquakes',
+    [{ id: 'us1', magnitude: 5.1 }, { id: 'us2', magnitude: 4.4 }, { id: 'us3', magnitude: 4.0 }],
+    [{ id: 'us1', magnitude: 5.6, alertLevel: 'yellow' }, { id: 'us3', magnitude: 4.0 }, { id: 'us4', magnitude: 4.8 }]
+  );
+
+  assert.deepEqual(transitions.map(tr => [tr.kind, tr.id]), [['updated', 'us1'], ['new', 'us4'], ['ended', 'us2']]);
+  assert.deepEqual(transitions[0].changes, {
+    magnitude: { from: 5.1, to: 5.6 },
+    alertLevel: { from: null, to: 'yellow' }
+  });
+  assert.equal(transitions[0].escalated, true);
+  assert.equal(transitions[2].event.magnitude, 4.4);
+
+  const revised = diffSnapshots('earthquakes', [{ id: 'us1', magnitude: 5.6 }], [{ id: 'us1', magnitude: 5.4 }]);
+  assert.equal(revised[0].escalated, false);
+});
+
+test('volatile fields are not a change', () => {
+  const warning = (timeRemaining, extra) => ({ id: 'nws1', severity: 'Severe', timeRemaining, ...extra });
+  assert.deepEqual(diffSnapshots('weather', [warning('2h 10m remaining')], [warning('1h 55m remaining')]), []);
+  assert.deepEqual(diffSnapshots('wildfires',
+    [{ id: 'f1', daysSinceStart: 3, freshness: 'fresh' }],
+    [{ id: 'f1', daysSinceStart: 4, freshness: 'recent' }]), []);
+
+  assert.deepEqual(
+    stableFields({ id: 'us1', timeRemaining: 'x', sequence: { count: 3, decay: { omoriP: 1.1 } } }),
+    { id: 'us1', sequence: { count: 3 } }
+  );
+
+  const escalated = diffSnapshots('weather', [warning('2h')], [warning('1h', { severity: 'Extreme' })]);
+  assert.deepEqual(escalated.map(tr => Object.keys(tr.changes)), [['severity']]);
+});
+
+test('FIRMS hotspots and baseline snapshots record nothing', async (t) => {
+  quiet(t);
+  const store = streamStore();
+  const tracker = new LifecycleTracker(store);
+
+  assert.deepEqual(await tracker.process('fires', { features: [{ id: 'h1' }] }, { features: [{ id: 'h2' }] }), []);
+  assert.deepEqual(await tracker.process('earthquakes', null, { features: [{ id: 'us1' }] }), []);
+  assert.equal(store.entries.length, 0);
+
+  const recorded = await tracker.process('earthquakes', { features: [{ id: 'us1' }] }, { features: [] });
+  assert.deepEqual(recorded.map(tr => [tr.kind, tr.streamId]), [['ended', '1760880000000-0']]);
+  assert.deepEqual(store.entries.map(e => [e.kind, e.type, e.id]), [['ended', 'earthquakes', 'us1']]);
+});
+
+test('fire complexes only record updates to intensity, severity or activity', async (t) => {
+  quiet(t);
+  const tracker = new LifecycleTracker(streamStore());
+  const complex = (fields) => ({
+    id: 'firecomplex_1', intensity: 'moderate', severityBucket: 'moderate', isActive: true,
+    detectionCount: 40, totalFrp: 310.5, areaKm2: 12.4, ...fields
+  });
+
+  const regrown = await tracker.process('firecomplexes',
+    { features: [complex()] },
+    { features: [complex({ detectionCount: 55, totalFrp: 402.1, areaKm2: 14.9 })] }
+  );
+  assert.deepEqual(regrown, []);
+
+  const escalated = await tracker.process('firecomplexes',
+    { features: [complex()] },
+    { features: [complex({ detectionCount: 90, intensity: 'high' }), { id: 'firecomplex_2', intensity: 'low' }] }
+  );
+  assert.deepEqual(escalated.map(tr => [tr.kind, tr.id]), [['updated', 'firecomplex_1'], ['new', 'firecomplex_2']]);
+  assert.deepEqual(Object.keys(escalated[0].changes).sort(), ['detectionCount', 'intensity']);
+
+  // Other layers still record any content change
+  const quakes = await tracker.process('earthquakes',
+    { features: [{ id: 'us1', magnitude: 5.1, felt: 10 }] },
+    { features: [{ id: 'us1', magnitude: 5.1, felt: 25 }] }
+  );
+  assert.deepEqual(quakes.map(tr => tr.kind), ['updated']);
+});
+
+test('recomputed sequence decay stats are not a change', async (t) => {
+  quiet(t);
+  const tracker = new LifecycleTracker(streamStore());
+  const mainshock = (count, decay) => ({
+    id: 'us1', magnitude: 6.4,
+    sequence: { id: 'seq_us1', count, decay: { rateFirst24h: 12, ...decay } }
+  });
+
+  const polled = await tracker.process('earthquakes',
+    { features: [mainshock(30, { rateLast24h: 9, dailyCounts: [12, 9], omoriP: 1.08 })] },
+    { features: [mainshock(30, { rateLast24h: 7, dailyCounts: [12, 9, 0], omoriP: 1.12 })] }
+  );
+  assert.deepEqual(polled, []);
+
+  const grew = await tracker.process('earthquakes',
+    { features: [mainshock(30, { rateLast24h: 9 })] },
+    { features: [mainshock(31, { rateLast24h: 10 })] }
+  );
+  assert.deepEqual(grew.map(tr => Object.keys(tr.changes)), [['sequence']]);
+  assert.equal(grew[0].changes.sequence.to.count, 31);
+});
+
+test('republished aurora grids and live space weather samples are not a change', async (t) => {
+  quiet(t);
+  const tracker = new LifecycleTracker(streamStore());
+  const zone = (time) => ({
+    id: 'aurora_high_north', zone: 'high', threshold: 30,
+    observationTime: time, forecastTime: time, date: time
+  });
+  const aurora = await tracker.process('aurora',
+    { features: [zone('2026-10-19T10:00:00Z')] },
+    { features: [zone('2026-10-19T10:10:00Z')] }
+  );
+  assert.deepEqual(aurora, []);
+
+  const sun = (xray, scales) => ({
+    id: 'space_kp_2026-10-19 09:00:00', currentKp: 3, scales,
+    xray: { peakClass: 'M1.2', ...xray }, solarWind: { speed: 410 + xray.flux * 1e7 }
+  });
+  const quiet1 = { R: { level: 1 }, S: { level: 0 } };
+  const sampled = await tracker.process('spaceweather',
+    { features: [sun({ flux: 2e-6, class: 'C2.0', time: '10:00' }, quiet1)] },
+    { features: [sun({ flux: 3e-6, class: 'C3.0', time: '10:01' }, quiet1)] }
+  );
+  assert.deepEqual(sampled, []);
+
+  const flare = await tracker.process('spaceweather',
+    { features: [sun({ flux: 3e-6, class: 'C3.0', time: '10:01' }, quiet1)] },
+    { features: [sun({ flux: 2e-4, class: 'X2.0', time: '10:05', peakClass: 'X2.0' }, { R: { level: 3 }, S: { level: 0 } })] }
+  );
+  assert.deepEqual(flare.map(tr => Object.keys(tr.changes).sort()), [['scales', 'xray']]);
+});
@@ -0,0 +1,101 @@
+// ============================================================================
+// nws-threads.test.js — Folding NWS updates, cancels and zone segments
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { threadAlerts, parseVtec } = require('../enhancements/nws-threads');
+
+const ID = 'https://api.weather.gov/alerts/urn:oid:2.49.0.1.840.0.';
+
+// Minimal api.weather.gov alert feature
+function alert(n, { sent, messageType = 'Alert', zones = [], same = [], vtec, references = [] }) {
+  return {
+    id: ID + n,
+    geometry: null,
+    properties: {
+      id: ID + n,
+      sent,
+      messageType,
+      event: 'Winter Storm Warning',
+      geocode: { UGC: zones, SAME: same },
+      parameters: vtec ? { VTEC: [vtec] } : {},
+      references: references.map(r => ({ '@id': ID + r.n, sent: r.sent }))
+    }
+  };
+}
+
+const WSW = action => `/O.${action}.KBOU.WS.W.0007.261020T0600Z-261021T0000Z/`;
+
+test('parseVtec keys an event by office, phenomena, significance and ETN', () => {
+  assert.deepEqual(parseVtec({ parameters: { VTEC: [WSW('NEW'), 'not vtec', '/O.EXT.KLOX.FW.W.0031.000000T0000Z-261020T0300Z/'] } }), [
+    { key: 'KBOU.WS.W.0007', action: 'NEW' },
+    { key: 'KLOX.FW.W.0031', action: 'EXT' }
+  ]);
+  assert.deepEqual(parseVtec({}), []);
+});
+
+test('an Update supersedes the Alert it references and keeps its thread id', () => {
+  const first = alert(1, { sent: '2026-10-19T18:00:00Z', zones: ['TXZ211'] });
+  const update = alert(2, {
+    sent: '2026-10-19T19:00:00Z',
+    messageType: 'Update',
+    zones: ['TXZ211'],
+    references: [{ n: 1, sent: '2026-10-19T18:00:00Z' }]
+  });
+
+  const [thread, ...rest] = threadAlerts([update, first]);
+  assert.equal(rest.length, 0);
+  assert.equal(thread.id, ID + 1);
+  assert.equal(thread.vtec, null);
+  assert.equal(thread.primary, update);
+  assert.deepEqual(thread.messages, [update]);
+  assert.equal(thread.supersededCount, 1);
+});
+
+test('a Cancel closes its thread', () => {
+  const first = alert(1, { sent: '2026-10-19T18:00:00Z', zones: ['TXZ211'] });
+  const cancel = alert(2, {
+    sent: '2026-10-19T19:00:00Z',
+    messageType: 'Cancel',
+    zones: ['TXZ211'],
+    references: [{ n: 1, sent: '2026-10-19T18:00:00Z' }]
+  });
+  assert.deepEqual(threadAlerts([first, cancel]), []);
+
+  // A VTEC CAN closes the event even when the message is typed Update
+  const vtecFirst = alert(3, { sent: '2026-10-19T18:00:00Z', zones: ['COZ034'], vtec: WSW('NEW') });
+  const vtecCancel = alert(4, { sent: '2026-10-19T19:00:00Z', messageType: 'Update', zones: ['COZ034'], vtec: WSW('CAN') });
+  assert.deepEqual(threadAlerts([vtecFirst, vtecCancel]), []);
+});
+
+test('one VTEC event issued per zone segment is one alert with the zone list', () => {
+  const segments = [
+    alert(1, { sent: '2026-10-19T18:00:00Z', zones: ['COZ035'], same: ['008049'], vtec: WSW('NEW') }),
+    alert(2, { sent: '2026-10-19T18:00:00Z', zones: ['COZ034', 'COZ033'], same: ['008057'], vtec: WSW('NEW') })
+  ];
+
+  const threads = threadAlerts(segments);
+  assert.equal(threads.length, 1);
+  assert.equal(threads[0].id, 'vtec:KBOU.WS.W.0007');
+  assert.equal(threads[0].vtec, 'KBOU.WS.W.0007');
+  assert.deepEqual(threads[0].zones, ['COZ033', 'COZ034', 'COZ035']);
+  assert.deepEqual(threads[0].same.sort(), ['008049', '008057']);
+  assert.equal(threads[0].messages.length, 2);
+});
+
+test('a partial cancel drops one zone and leaves the rest of the thread open', () => {
+  const issued = alert(1, { sent: '2026-10-19T18:00:00Z', zones: ['COZ033', 'COZ034'], vtec: WSW('NEW') });
+  const reference = [{ n: 1, sent: '2026-10-19T18:00:00Z' }];
+  const cancelled = alert(2, { sent: '2026-10-19T21:00:00Z', messageType: 'Update', zones: ['COZ033'], vtec: WSW('CAN'), references: reference });
+  const continued = alert(3, { sent: '2026-10-19T21:00:00Z', messageType: 'Update', zones: ['COZ034'], vtec: WSW('CON'), references: reference });
+
+  const threads = threadAlerts([issued, cancelled, continued]);
+  assert.equal(threads.length, 1);
+  assert.equal(threads[0].id, 'vtec:KBOU.WS.W.0007');
+  assert.deepEqual(threads[0].zones, ['COZ034']);
+  assert.equal(threads[0].primary, continued);
+  assert.deepEqual(threads[0].messages, [continued]);
+  assert.equal(threads[0].supersededCount, 1);
+});
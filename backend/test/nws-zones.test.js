@@ -0,0 +1,53 @@
+// ============================================================================
+// nws-zones.test.js — Zone / county geometry for alerts without a polygon
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { resolveZoneGeometry, MAX_VERTICES } = require('../enhancements/nws-zones');
+const { simplifyRing, vertexCount } = require('../enhancements/geometry');
+const { addZoneShapes, ugcCode } = require('../scripts/build-nws-zones');
+
+const MARINE_ZONES = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'nws', 'marine-zones.geojson'), 'utf8'));
+
+test('simplifyRing drops near-collinear vertices and collapses slivers', () => {
+  const ring = [[0, 0], [1, 0.001], [2, 0], [2, 2], [0, 2], [0, 0]];
+  assert.deepEqual(simplifyRing(ring, 0.01), [[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]);
+  assert.equal(simplifyRing([[0, 0], [1, 0.001], [2, 0], [1, -0.001], [0.5, 0.0005], [0, 0]], 0.01), null);
+});
+
+test('an alert over many counties gets a budgeted geometry and the county list', (t) => {
+  t.mock.method(console, 'log', () => {});
+  // Every California county
+  const same = Array.from({ length: 58 }, (_, i) => `006${String(i * 2 + 1).padStart(3, '0')}`);
+  const resolved = resolveZoneGeometry({ UGC: ['CAZ999'], SAME: same });
+
+  assert.equal(resolved.geometrySource, 'counties');
+  assert.equal(resolved.geometryRef.length, 58);
+  assert.ok(resolved.geometryRef.includes('06037'));
+  assert.ok(vertexCount(resolved.geometry) <= MAX_VERTICES, `${vertexCount(resolved.geometry)} vertices`);
+
+  assert.equal(resolveZoneGeometry({ UGC: ['PZZ999'] }), null);
+});
+
+test('marine zone records are keyed by UGC and resolve without a county code', () => {
+  assert.equal(ugcCode({ STATE: 'CA', ZONE: '041' }), 'CAZ041');
+  assert.equal(ugcCode({ ID: 'PZZ655' }), 'PZZ655');
+  assert.equal(ugcCode({ ID: 'LOX' }), null);
+
+  const zones = {};
+  assert.equal(addZoneShapes(zones, MARINE_ZONES), 3);
+  assert.deepEqual(Object.keys(zones).sort(), ['ANZ335', 'PZZ655']);
+  // Santa Catalina is a second record of the same zone
+  assert.equal(zones.PZZ655.polygons.length, 2);
+
+  const resolved = resolveZoneGeometry({ UGC: ['PZZ655', 'PZZ999'] }, { counties: {}, zones });
+  assert.equal(resolved.geometrySource, 'zones');
+  assert.deepEqual(resolved.geometryRef, ['PZZ655']);
+  assert.equal(resolved.geometry.coordinates.length, 2);
+
+  assert.equal(resolveZoneGeometry({ UGC: ['GMZ850'] }, { counties: {}, zones }), null);
+});
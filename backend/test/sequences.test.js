@@ -0,0 +1,86 @@
+// ============================================================================
+// sequences.test.js — Mainshock / aftershock grouping and collapse
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectSequences, collapseSequences, sequenceWindow, omoriP
+} = require('../enhancements/sequences');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.parse('2026-01-10T06:00:00Z');
+const NOW = T0 + 3 * 24 * HOUR;
+
+function quake(id, magnitude, lon, lat, hours) {
+  return { id, magnitude, time: T0 + hours * HOUR, coordinates: [lon, lat, 10], place: id };
+}
+
+// M6.8 with a foreshock, Omori-like decaying aftershocks (~1/t) and one
+// distant unrelated swarm that never reaches MIN_AFTERSHOCKS
+function catalog() {
+  const quakes = [
+    quake('main', 6.8, 142.0, 38.0, 0),
+    quake('fore', 5.1, 142.1, 38.05, -20),
+    quake('far', 4.6, 150.0, 45.0, 2),
+    quake('far-1', 3.0, 150.02, 45.0, 3)
+  ];
+  for (let i = 1; i <= 40; i++) {
+    const hours = 0.05 * Math.pow(1.15, i);
+    quakes.push(quake(`as${i}`, i === 7 ? 5.6 : 3 + (i % 5) * 0.2, 142.0 + (i % 7) * 0.05, 38.0 - (i % 5) * 0.04, hours));
+  }
+  return quakes;
+}
+
+test('sequenceWindow grows with magnitude', () => {
+  const m4 = sequenceWindow(4);
+  const m7 = sequenceWindow(7);
+  assert.ok(Math.abs(m4.distanceKm - 30) < 1);
+  assert.ok(Math.abs(m7.distanceKm - 70) < 1);
+  assert.ok(m7.days > m4.days);
+});
+
+test('detectSequences stamps mainshock, aftershocks and foreshocks', () => {
+  const quakes = catalog();
+  const sequences = detectSequences(quakes, { now: NOW });
+  assert.equal(sequences.length, 1);
+
+  const [sequence] = sequences;
+  assert.equal(sequence.id, 'seq_main');
+  assert.equal(sequence.count, 40);
+  assert.equal(sequence.foreshockCount, 1);
+  assert.equal(sequence.largestAftershock.id, 'as7');
+  assert.equal(sequence.decay.bathDelta, 1.2);
+  assert.equal(sequence.decay.dailyCounts.length, 3);
+  assert.equal(sequence.decay.dailyCounts[0], sequence.decay.rateFirst24h);
+  assert.equal(sequence.decay.dailyCounts.reduce((a, b) => a + b, 0), 40);
+
+  const byId = Object.fromEntries(quakes.map(q => [q.id, q]));
+  assert.equal(byId.main.sequenceRole, 'mainshock');
+  assert.equal(byId.main.sequence.id, 'seq_main');
+  assert.equal(byId.as7.sequenceRole, 'aftershock');
+  assert.equal(byId.as7.mainshockId, 'main');
+  assert.equal(byId.as7.mainshockMagnitude, 6.8);
+  assert.equal(byId.fore.sequenceRole, 'foreshock');
+  assert.equal(byId.far.sequenceId, undefined);
+});
+
+test('omoriP recovers a ~1/t decay', () => {
+  const [sequence] = detectSequences(catalog(), { now: NOW });
+  assert.ok(sequence.decay.omoriP > 0.7 && sequence.decay.omoriP < 1.3, `p = ${sequence.decay.omoriP}`);
+  assert.equal(omoriP([HOUR, 2 * HOUR], NOW - T0), null);
+});
+
+test('collapseSequences keeps one entry per sequence', () => {
+  const quakes = catalog();
+  detectSequences(quakes, { now: NOW });
+  const collapsed = collapseSequences({ type: 'earthquakes', count: quakes.length, features: quakes });
+
+  assert.deepEqual(collapsed.features.map(q => q.id).sort(), ['far', 'far-1', 'main']);
+  assert.equal(collapsed.count, 3);
+  assert.equal(collapsed.collapsed, 41);
+
+  const plain = { type: 'floods', features: [{ id: 'f1' }] };
+  assert.equal(collapseSequences(plain), plain);
+});
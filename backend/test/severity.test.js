@@ -0,0 +1,104 @@
+// ============================================================================
+// severity.test.js — Per-layer 0–100 curves and bucket boundaries
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applySeverity, bucketFor } = require('../enhancements/severity');
+
+// [layer, event, expected severityScore]
+const CASES = [
+  ['earthquakes', { magnitude: 2.0 }, 0],
+  ['earthquakes', { magnitude: 4.0 }, 25],
+  ['earthquakes', { magnitude: 4.5 }, 38],
+  ['earthquakes', { magnitude: 5.0 }, 50],
+  ['earthquakes', { magnitude: 6.0 }, 75],
+  ['earthquakes', { magnitude: 8.6 }, 100],
+  ['earthquakes', { magnitude: 4.0, alert: 'orange' }, 65],
+
+  ['cyclones', { windSpeed: 50 }, 10],
+  ['cyclones', { windSpeed: 154 }, 50],
+  ['cyclones', { windSpeed: 209 }, 75],
+  ['cyclones', { windSpeed: 320 }, 100],
+  ['cyclones', { windSpeed: 100, alertLevel: 'Red' }, 90],
+
+  ['wildfires', { alertLevel: 'Orange' }, 65],
+  ['wildfires', { affectedArea: 2000 }, 75],
+  ['wildfires', { alertLevel: 'Red', isActive: false }, 45],
+  ['wildfires', {}, 0],
+
+  ['fires', { frp: 0 }, 5],
+  ['fires', { frp: 50 }, 25],
+  ['fires', { frp: 75 }, 38],
+  ['fires', { frp: 100 }, 50],
+  ['fires', { frp: 200 }, 75],
+  ['fires', { frp: 1200 }, 100],
+
+  ['firecomplexes', { totalFrp: 100 }, 25],
+  ['firecomplexes', { totalFrp: 500 }, 50],
+  ['firecomplexes', { totalFrp: 2000 }, 75],
+  ['firecomplexes', { totalFrp: 10000 }, 100],
+
+  ['weather', { severity: 'Unknown' }, 10],
+  ['weather', { severity: 'Minor' }, 15],
+  ['weather', { severity: 'Moderate' }, 40],
+  ['weather', { severity: 'Severe' }, 65],
+  ['weather', { severity: 'Extreme' }, 90],
+
+  ['tsunamis', { severity: 'information' }, 20],
+  ['tsunamis', { severity: 'Advisory' }, 45],
+  ['tsunamis', { severity: 'Watch' }, 65],
+  ['tsunamis', { severity: 'Warning' }, 90],
+
+  ['spaceweather', { currentKp: 3 }, 15],
+  ['spaceweather', { currentKp: 6 }, 50],
+  ['spaceweather', { currentKp: 7 }, 75],
+  ['spaceweather', { currentKp: 3, scales: { maxLevel: 3 } }, 75],
+
+  ['landslides', { fatalities: 0 }, 20],
+  ['landslides', { fatalities: 1 }, 50],
+  ['landslides', { fatalities: 10 }, 75],
+
+  ['ashadvisories', { maxFlightLevel: 100 }, 25],
+  ['ashadvisories', { maxFlightLevel: 200 }, 50],
+  ['ashadvisories', { maxFlightLevel: 300 }, 75],
+
+  ['conflicts', { intensity: 4, confidence: 100 }, 50],
+  ['conflicts', { intensity: 4, confidence: 0 }, 25],
+  ['conflicts', { intensity: 2, fatalities: 10, confidence: 100 }, 75],
+
+  // Merge inputs score as their merged layer; other layers by alert level
+  ['floods_gdacs', { alertLevel: 'Orange' }, 65],
+  ['volcanoes', { alertLevel: 'Yellow' }, 40],
+  ['volcanoes', {}, 0]
+];
+
+test('each layer maps its inputs onto the 0-100 scale', () => {
+  CASES.forEach(([layer, event, expected]) => {
+    const data = applySeverity(layer, { features: [{ ...event }] });
+    assert.equal(data.features[0].severityScore, expected, `${layer} ${JSON.stringify(event)}`);
+  });
+});
+
+test('buckets start at 75, 50 and 25', () => {
+  assert.deepEqual(
+    [100, 75, 74, 50, 49, 25, 24, 0].map(bucketFor),
+    ['critical', 'critical', 'severe', 'severe', 'moderate', 'moderate', 'minor', 'minor']
+  );
+
+  const { features } = applySeverity('earthquakes', {
+    features: [{ magnitude: 6.0 }, { magnitude: 5.96 }, { magnitude: 5.0 }, { magnitude: 4.97 }, { magnitude: 4.0 }, { magnitude: 3.94 }]
+  });
+  assert.deepEqual(features.map(e => [e.severityScore, e.severityBucket]), [
+    [75, 'critical'], [74, 'severe'], [50, 'severe'], [49, 'moderate'], [25, 'moderate'], [24, 'minor']
+  ]);
+});
+
+test('applySeverity annotates features in place and tolerates empty payloads', () => {
+  const event = { id: 'us1', magnitude: 5.0 };
+  const data = { features: [event] };
+  assert.equal(applySeverity('earthquakes', data), data);
+  assert.deepEqual(event, { id: 'us1', magnitude: 5.0, severityScore: 50, severityBucket: 'severe' });
+  assert.equal(applySeverity('earthquakes', null), null);
+});
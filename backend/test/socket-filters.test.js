@@ -0,0 +1,150 @@
+// ============================================================================
+// socket-filters.test.js — Filter parsing, matching and filter-room deltas
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FilterRooms, parseFilter, matchesFilter } = require('../enhancements/socket-filters');
+
+const LAYERS = ['earthquakes', 'fires', 'weather'];
+
+// socket.io rooms as a Map<room, Set<socket id>>, and the sockets that join them
+function fakeServer() {
+  const rooms = new Map();
+  const sent = [];
+  const io = {
+    sockets: { adapter: { rooms } },
+    to: (room) => ({ emit: (event, payload) => sent.push([room, event, payload]) })
+  };
+  const socket = (id) => ({
+    id,
+    data: {},
+    emitted: [],
+    rooms: new Set([id]),
+    join(room) {
+      if (!rooms.has(room)) rooms.set(room, new Set());
+      rooms.get(room).add(id);
+      this.rooms.add(room);
+    },
+    leave(room) {
+      rooms.get(room)?.delete(id);
+      if (rooms.get(room)?.size === 0) rooms.delete(room);
+      this.rooms.delete(room);
+    },
+    emit(event, payload) { this.emitted.push([event, payload]); }
+  });
+  return { io, sent, socket, rooms };
+}
+
+const quake = (id, lon, lat, extra = {}) => ({ id, longitude: lon, latitude: lat, severityScore: 50, ...extra });
+
+test('parseFilter normalizes so equivalent viewports share a room', () => {
+  const { filter } = parseFilter({
+    types: ['fires', 'earthquakes', 'fires', 'spaceweather'],
+    bbox: [-122.6, 37.2, -121.8, 38.1],
+    minSeverity: 'severe',
+    countries: ['USA', ' usa ']
+  }, LAYERS);
+  assert.deepEqual(filter, {
+    types: ['earthquakes', 'fires'],
+    bbox: { minLon: -123, minLat: 37, maxLon: -121, maxLat: 39 },
+    minSeverity: 50,
+    countries: ['usa']
+  });
+
+  // Leaflet keeps counting past the antimeridian with worldCopyJump
+  assert.deepEqual(parseFilter({ bbox: [170.5, -20, 190.2, -10] }, LAYERS).filter.bbox,
+    { minLon: 170, minLat: -20, maxLon: -169, maxLat: -10 });
+  assert.deepEqual(parseFilter({}, LAYERS).filter.types, LAYERS);
+
+  assert.match(parseFilter({ bbox: '1,2,3' }, LAYERS).error, /bbox/);
+  assert.match(parseFilter({ minSeverity: 'huge' }, LAYERS).error, /minSeverity/);
+  assert.match(parseFilter({ types: ['spaceweather'] }, LAYERS).error, /No known layers/);
+  assert.match(parseFilter(['fires'], LAYERS).error, /object/);
+});
+
+test('matchesFilter checks point, area overlap, severity and country', () => {
+  const { filter } = parseFilter({ bbox: [170, -20, -170, -10] }, LAYERS);
+  assert.equal(matchesFilter(quake('a', 178, -15), filter), true);
+  assert.equal(matchesFilter(quake('b', -175, -15), filter), true);
+  assert.equal(matchesFilter(quake('c', 160, -15), filter), false);
+
+  // A warning polygon over the viewport counts even with its point outside
+  const warning = {
+    id: 'w', latitude: -30, longitude: 175,
+    geometry: { type: 'Polygon', coordinates: [[[172, -32], [179, -32], [179, -12], [172, -12], [172, -32]]] }
+  };
+  assert.equal(matchesFilter(warning, filter), true);
+
+  const strict = parseFilter({ minSeverity: 60, countries: ['Chile'] }, LAYERS).filter;
+  assert.equal(matchesFilter(quake('d', -70, -33, { severityScore: 70, country: 'Chile' }), strict), true);
+  assert.equal(matchesFilter(quake('e', -70, -33, { severityScore: 50, country: 'Chile' }), strict), false);
+  assert.equal(matchesFilter(quake('f', -70, -33, { severityScore: 70, iso3: 'PER' }), strict), false);
+});
+
+test('a filter room gets its snapshot, then deltas and matching transitions only', async () => {
+  const server = fakeServer();
+  const layers = {
+    earthquakes: { type: 'earthquakes', count: 3, features: [quake('in1', -122, 37.5), quake('in2', -121.5, 38), quake('out', 140, 35)] }
+  };
+  const rooms = new FilterRooms(server.io, { loadLayer: async type => layers[type] || null, knownTypes: () => LAYERS });
+
+  const phone = server.socket('s1');
+  const { room } = await rooms.subscribe(phone, { types: ['earthquakes'], bbox: [-123, 37, -121, 39] });
+  assert.deepEqual(phone.emitted.map(([event, layer]) => [event, layer.count, layer.features.map(f => f.id)]), [
+    ['update:earthquakes', 2, ['in1', 'in2']]
+  ]);
+
+  // in1 revised, in2 gone, a new one inside, changes outside are not sent
+  rooms.handle('update:earthquakes', {
+    type: 'earthquakes',
+    features: [quake('in1', -122, 37.5, { magnitude: 4.2 }), quake('in3', -122.2, 37.8), quake('out', 140, 35, { magnitude: 6 })]
+  });
+  assert.equal(server.sent.length, 1);
+  const [target, event, delta] = server.sent[0];
+  assert.equal(target, room);
+  assert.equal(event, 'delta:earthquakes');
+  assert.deepEqual(delta.upserts.map(f => f.id).sort(), ['in1', 'in3']);
+  assert.deepEqual(delta.removed, ['in2']);
+  assert.equal(delta.count, 2);
+
+  // Nothing changed inside the filter: no delta
+  rooms.handle('update:earthquakes', {
+    type: 'earthquakes',
+    features: [quake('in1', -122, 37.5, { magnitude: 4.2 }), quake('in3', -122.2, 37.8)]
+  });
+  assert.equal(server.sent.length, 1);
+
+  rooms.handle('event:new', { kind: 'new', type: 'earthquakes', id: 'out2', event: quake('out2', 10, 10) });
+  rooms.handle('event:new', { kind: 'new', type: 'fires', id: 'f1', event: quake('f1', -122, 37.5) });
+  rooms.handle('event:new', { kind: 'new', type: 'earthquakes', id: 'in4', event: quake('in4', -122, 37.9) });
+  assert.deepEqual(server.sent.slice(1).map(([, e, t]) => [e, t.id]), [['event:new', 'in4']]);
+});
+
+test('moving the map switches rooms and empty rooms are dropped', async () => {
+  const server = fakeServer();
+  const layers = { fires: { type: 'fires', features: [quake('sf', -122.4, 37.8), quake('la', -118.2, 34)] } };
+  const rooms = new FilterRooms(server.io, { loadLayer: async type => layers[type] || null, knownTypes: () => LAYERS });
+
+  const a = server.socket('a');
+  const b = server.socket('b');
+  const first = await rooms.subscribe(a, { types: ['fires'], bbox: [-123, 37, -122, 38] });
+  // A slightly different viewport snaps to the same room
+  const same = await rooms.subscribe(b, { types: ['fires'], bbox: [-122.9, 37.1, -122.1, 37.9] });
+  assert.equal(same.room, first.room);
+  assert.equal(rooms.stats().rooms, 1);
+
+  const moved = await rooms.subscribe(a, { types: ['fires'], bbox: [-119, 33.5, -118, 34.5] });
+  assert.notEqual(moved.room, first.room);
+  assert.deepEqual(a.emitted.map(([, layer]) => layer.features.map(f => f.id)), [['sf'], ['la']]);
+  assert.equal(rooms.stats().rooms, 2);
+
+  // Re-sending the same filter is a no-op
+  await rooms.subscribe(a, { types: ['fires'], bbox: [-119, 33.5, -118, 34.5] });
+  assert.equal(a.emitted.length, 2);
+
+  rooms.unsubscribe(b);
+  rooms.unsubscribe(a);
+  assert.equal(rooms.stats().rooms, 0);
+});
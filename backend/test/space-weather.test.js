@@ -0,0 +1,94 @@
+// ============================================================================
+// space-weather.test.js — SWPC product parsing and NOAA G/S/R assessment
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  SpaceWeatherFeed, SWPC_PRODUCTS, parseAlerts, assessScales, flareClass, geomagneticLevel
+} = require('../enhancements/space-weather');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'swpc');
+const NOW = Date.parse('2026-10-19T15:00:00Z');
+
+function fixture(url) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, path.basename(url)), 'utf8'));
+}
+
+test('flare classes and Kp thirds map onto the NOAA scales', () => {
+  assert.equal(flareClass(6.2e-5), 'M6.2');
+  assert.equal(flareClass(3.1e-6), 'C3.1');
+  assert.equal(flareClass(1.2e-3), 'X12.0');
+  assert.equal(flareClass(0), null);
+
+  assert.equal(geomagneticLevel(4.33), 0);
+  assert.equal(geomagneticLevel(4.67), 1);
+  assert.equal(geomagneticLevel(7), 3);
+  assert.equal(geomagneticLevel(9), 5);
+
+  const scales = assessScales({
+    kp: 8.33,
+    xray: { peakFlux: 2.5e-3, peakClass: 'X25.0' },
+    protons: { flux10MeV: 150 },
+    forecast: null
+  });
+  assert.equal(scales.G.label, 'G4');
+  assert.equal(scales.R.label, 'R5');
+  assert.equal(scales.S.label, 'S2');
+  assert.equal(scales.maxLevel, 5);
+  assert.equal(scales.predictedG, null);
+});
+
+test('parseAlerts keeps products in effect and drops cancelled or expired ones', () => {
+  const alerts = parseAlerts(fixture(SWPC_PRODUCTS.alerts), NOW);
+  assert.deepEqual(alerts.map(a => a.code), ['WARK05', 'ALTXMF', 'WATA30']);
+
+  const [warning, alert, watch] = alerts;
+  assert.equal(warning.kind, 'warning');
+  assert.equal(warning.scale, 'G1');
+  assert.equal(warning.validTo, '2026-10-19T21:00:00.000Z');
+  assert.equal(alert.scale, 'R2');
+  assert.equal(alert.headline, 'X-Ray Flux exceeded M5');
+  assert.equal(watch.kind, 'watch');
+  assert.equal(watch.scale, 'G2');
+  assert.equal(watch.issued, '2026-10-18T12:30:44.520Z');
+});
+
+test('read() builds the model from every SWPC product', async () => {
+  const feed = new SpaceWeatherFeed({ fetch: async url => fixture(url) });
+  const model = await feed.read({ kpIndex: 4.33, time: '2026-10-19 12:00:00' }, NOW);
+
+  assert.equal(model.xray.class, 'C3.1');
+  assert.equal(model.xray.peakClass, 'M6.2');
+  assert.equal(model.protons.flux10MeV, 15.2);
+  assert.deepEqual(model.solarWind, {
+    speed: 612, density: 7.12, bz: -12.5, bt: 15.1, time: '2026-10-19T14:58:00.000Z'
+  });
+  assert.deepEqual(model.forecast.days.map(d => [d.date, d.maxKp, d.gScale]), [
+    ['2026-10-19', 5.67, 'G2'],
+    ['2026-10-20', 5, 'G1'],
+    ['2026-10-21', 2.67, 'G0']
+  ]);
+
+  const { G, S, R, maxLevel, predictedG } = model.scales;
+  assert.deepEqual([G.label, S.label, R.label], ['G0', 'S1', 'R2']);
+  assert.equal(maxLevel, 2);
+  assert.equal(predictedG.label, 'G2');
+  assert.equal(model.description, 'Moderate radio blackout (R2)');
+  assert.equal(model.alerts.length, 3);
+});
+
+test('read() degrades to a Kp-only assessment when products fail', async () => {
+  const feed = new SpaceWeatherFeed({ fetch: async () => { throw new Error('Request failed with status code 503'); } });
+  const model = await feed.read({ kpIndex: 7.33 }, NOW);
+
+  assert.equal(model.xray, null);
+  assert.equal(model.solarWind, null);
+  assert.deepEqual(model.alerts, []);
+  assert.equal(model.scales.G.label, 'G3');
+  assert.equal(model.scales.maxLevel, 3);
+  assert.equal(model.description, 'Strong geomagnetic storm (G3)');
+});
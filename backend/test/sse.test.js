@@ -0,0 +1,149 @@
+// ============================================================================
+// sse.test.js — /api/stream query parsing, framing, filtering and resume ids
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { SseHub, parseStreamQuery } = require('../enhancements/sse');
+
+const LAYERS = ['earthquakes', 'fires', 'weather'];
+
+// An Express request/response pair that records what was written.
+// res.full makes write() report a full socket buffer.
+function fakeConnection() {
+  const req = new EventEmitter();
+  const res = Object.assign(new EventEmitter(), {
+    status: null,
+    headers: null,
+    chunks: [],
+    full: false,
+    ended: false,
+    writeHead(status, headers) { this.status = status; this.headers = headers; },
+    write(chunk) { this.chunks.push(chunk); return !this.full; },
+    end() { this.ended = true; }
+  });
+  return { req, res };
+}
+
+// Parse the written SSE frames back into { id, event, data } / { comment }
+function frames(res) {
+  return res.chunks.join('').split('\n\n').filter(Boolean).map(block => {
+    if (block.startsWith(':')) return { comment: block.slice(1).trim() };
+    const out = {};
+    block.split('\n').forEach(line => {
+      const [, field, value] = /^(\w+): (.*)$/.exec(line);
+      out[field] = field === 'data' ? JSON.parse(value) : value;
+    });
+    return out;
+  });
+}
+
+const quake = (id, lon, lat) => ({ id, longitude: lon, latitude: lat, severityScore: 50 });
+
+test('parseStreamQuery reads the socket filter from the query string', () => {
+  const { filter, lastEventId } = parseStreamQuery(
+    { types: 'fires, earthquakes', bbox: '-125,32,-114,42', minSeverity: 'moderate', countries: 'USA' },
+    { 'last-event-id': '1760880000000-0' },
+    LAYERS
+  );
+  assert.deepEqual(filter.types, ['earthquakes', 'fires']);
+  assert.deepEqual(filter.bbox, { minLon: -125, minLat: 32, maxLon: -114, maxLat: 42 });
+  assert.equal(filter.minSeverity, 25);
+  assert.deepEqual(filter.countries, ['usa']);
+  assert.equal(lastEventId, '1760880000000-0');
+
+  assert.deepEqual(parseStreamQuery({}, {}, LAYERS).filter.types, LAYERS);
+  assert.equal(parseStreamQuery({ lastEventId: '1760880000000-3' }, {}, LAYERS).lastEventId, '1760880000000-3');
+  assert.match(parseStreamQuery({}, { 'last-event-id': 'abc' }, LAYERS).error, /Last-Event-ID/);
+  assert.match(parseStreamQuery({ bbox: 'x' }, {}, LAYERS).error, /bbox/);
+});
+
+test('a stream gets filtered snapshots, then matching updates and transitions with ids', () => {
+  const hub = new SseHub({ heartbeatMs: 60000 });
+  const { req, res } = fakeConnection();
+  const { filter } = parseStreamQuery({ types: 'earthquakes', bbox: '-123,37,-121,39' }, {}, LAYERS);
+
+  hub.open(req, res, {
+    filter,
+    snapshots: { earthquakes: { type: 'earthquakes', features: [quake('in', -122, 37.5), quake('out', 140, 35)] } }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['Content-Type'], 'text/event-stream');
+  assert.equal(res.chunks[0], 'retry: 5000\n\n');
+
+  hub.handle('update:fires', { type: 'fires', features: [quake('f1', -122, 37.5)] });
+  hub.handle('update:earthquakes', { type: 'earthquakes', features: [quake('in', -122, 37.5), quake('in2', -122.1, 37.6)] });
+  hub.handle('event:new', { kind: 'new', type: 'earthquakes', id: 'out2', streamId: '1760880000000-0', event: quake('out2', 10, 10) });
+  hub.handle('event:new', { kind: 'new', type: 'earthquakes', id: 'in2', streamId: '1760880000000-1', event: quake('in2', -122.1, 37.6) });
+  hub.heartbeat();
+
+  const sent = frames(res).slice(1);
+  assert.deepEqual(sent.map(f => f.comment ? 'heartbeat' : [f.event, f.id || null]), [
+    ['update:earthquakes', null],
+    ['update:earthquakes', null],
+    ['event:new', '1760880000000-1'],
+    'heartbeat'
+  ]);
+  assert.deepEqual(sent[0].data.features.map(f => f.id), ['in']);
+  assert.equal(sent[1].data.count, 2);
+
+  req.emit('close');
+  assert.equal(hub.stats().clients, 0);
+  hub.heartbeat();
+  assert.equal(hub.timer, null);
+});
+
+test('a resuming stream replays the transitions it missed', () => {
+  const hub = new SseHub({ heartbeatMs: 60000 });
+  const { req, res } = fakeConnection();
+  const { filter } = parseStreamQuery({ types: 'earthquakes,weather' }, {}, LAYERS);
+
+  hub.open(req, res, {
+    filter,
+    replay: [
+      { kind: 'updated', type: 'earthquakes', id: 'a', streamId: '1760880000000-4', event: quake('a', 1, 1) },
+      { kind: 'ended', type: 'fires', id: 'f', streamId: '1760880000000-5', event: quake('f', 1, 1) },
+      { kind: 'ended', type: 'weather', id: 'w', streamId: '1760880000000-6', event: { id: 'w' } }
+    ]
+  });
+
+  assert.deepEqual(frames(res).slice(1).map(f => [f.event, f.id]), [
+    ['event:updated', '1760880000000-4'],
+    ['event:ended', '1760880000000-6']
+  ]);
+  req.emit('close');
+  hub.heartbeat();
+});
+
+test('a stream that stops draining is closed instead of buffered', () => {
+  const hub = new SseHub({ heartbeatMs: 60000 });
+  const slow = fakeConnection();
+  const fast = fakeConnection();
+  const { filter } = parseStreamQuery({ types: 'earthquakes' }, {}, LAYERS);
+  const layer = { type: 'earthquakes', features: [quake('a', 1, 1)] };
+
+  // The opening snapshot may overfill the buffer; the client waits for drain
+  slow.res.full = true;
+  hub.open(slow.req, slow.res, { filter, snapshots: { earthquakes: layer } });
+  hub.open(fast.req, fast.res, { filter });
+  slow.res.full = false;
+  slow.res.emit('drain');
+  hub.handle('update:earthquakes', layer);
+  assert.equal(slow.res.ended, false);
+
+  // Full again, and still not drained when the next frame is due
+  slow.res.full = true;
+  hub.handle('update:earthquakes', layer);
+  hub.heartbeat();
+  assert.equal(slow.res.ended, true);
+  assert.equal(fast.res.ended, false);
+  assert.equal(hub.stats().clients, 1);
+  assert.equal(frames(fast.res).length, 4);
+
+  hub.close();
+  assert.equal(fast.res.ended, true);
+  assert.equal(hub.stats().clients, 0);
+  assert.equal(hub.timer, null);
+});
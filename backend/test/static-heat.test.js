@@ -0,0 +1,83 @@
+// ============================================================================
+// static-heat.test.js — Persistence-learned and seeded static heat mask
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StaticHeatMask } = require('../enhancements/static-heat');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-08-31T12:00:00Z');
+
+// Just enough of node-redis for the mask: one hash
+function hashStore() {
+  const hash = new Map();
+  return {
+    hash,
+    async hGetAll() { return Object.fromEntries(hash); },
+    multi() {
+      const ops = [];
+      const m = {
+        hSet: (key, field, value) => { ops.push(() => hash.set(field, value)); return m; },
+        hDel: (key, field) => { ops.push(() => hash.delete(field)); return m; },
+        exec: async () => ops.forEach(op => op())
+      };
+      return m;
+    }
+  };
+}
+
+function detection(lat, lon, daysAgo) {
+  return { latitude: lat, longitude: lon, date: new Date(NOW - daysAgo * DAY).toISOString().slice(0, 10) };
+}
+
+test('a flare seen on many days is learned, a one-off fire is not stored', async () => {
+  const redis = hashStore();
+  const mask = new StaticHeatMask(redis, { sources: [] });
+
+  // 3-day fetches over two weeks: the flare jitters between two cells
+  for (let fetch = 12; fetch >= 0; fetch -= 3) {
+    const batch = [0, 1, 2].map(d => detection(29.7 + (d % 2) * 0.011, 48.2, fetch + d));
+    batch.push(detection(-5 - fetch, 20, fetch));
+    await mask.learn(batch, NOW);
+  }
+
+  assert.equal(mask.match(29.7, 48.2), 'learned');
+  assert.equal(mask.match(29.711, 48.2), 'learned');
+  assert.equal(mask.match(-5, 20), null);
+  assert.ok(redis.hash.size <= 2);
+  assert.ok([...redis.hash.keys()].every(cell => cell.startsWith('2970:') || cell.startsWith('2971:')));
+
+  // A fresh instance picks the cells up from Redis
+  const reloaded = new StaticHeatMask(redis, { sources: [] });
+  await reloaded.load();
+  assert.equal(reloaded.match(29.7, 48.2), 'learned');
+});
+
+test('days outside the window age out of storage', async () => {
+  const redis = hashStore();
+  const mask = new StaticHeatMask(redis, { sources: [] });
+  await mask.learn([detection(1, 1, 1), detection(1, 1, 2)], NOW);
+  assert.equal(redis.hash.size, 1);
+
+  await mask.learn([], NOW + 40 * DAY);
+  assert.equal(redis.hash.size, 0);
+});
+
+test('seeded sources mask their radius and tag() labels them', async () => {
+  const mask = new StaticHeatMask(hashStore(), {
+    sources: [{ name: 'Erta Ale', type: 'volcano', lat: 13.6, lon: 40.67, radiusKm: 5 }]
+  });
+  await mask.load();
+
+  const fires = [
+    { latitude: 13.62, longitude: 40.68 },
+    { latitude: 13.70, longitude: 40.67 }
+  ];
+  assert.equal(mask.tag(fires), 1);
+  assert.equal(fires[0].likelyStatic, true);
+  assert.equal(fires[0].staticSource, 'volcano: Erta Ale');
+  assert.equal(fires[1].likelyStatic, false);
+  assert.equal(fires[1].staticSource, null);
+});
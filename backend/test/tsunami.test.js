@@ -0,0 +1,119 @@
+// ============================================================================
+// tsunami.test.js — Tsunami Atom / CAP / bulletin parsing against fixtures
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TsunamiFeed, parseBulletin, parseBulletinTime } = require('../enhancements/tsunami');
+const { fixtureReader, fixtureFetch } = require('./helpers');
+
+const BASE = 'https://www.tsunami.gov/events/PAAQ/2026/01/15/t7x1';
+const DOCUMENTS = {
+  [`${BASE}/1/WEAK51/PAAQ.txt`]: 'PAAQ-1.txt',
+  [`${BASE}/2/WEAK51/PAAQ.txt`]: 'PAAQ-2.txt',
+  [`${BASE}/2/WEAK51/PAAQCAP.xml`]: 'PAAQCAP-2.xml'
+};
+
+const fixture = fixtureReader('tsunami');
+
+// Serves the bulletin and CAP documents the Atom entries link to
+const serveDocuments = (calls) => fixtureFetch('tsunami', calls, { resolve: url => DOCUMENTS[url] });
+
+test('parseBulletinTime converts bulletin zones to UTC', () => {
+  assert.equal(parseBulletinTime('0012 AKST JAN 15 2026'), '2026-01-15T09:12:00.000Z');
+  assert.equal(parseBulletinTime('0912 UTC JAN 15 2026'), '2026-01-15T09:12:00.000Z');
+  assert.equal(parseBulletinTime('sometime soon'), null);
+});
+
+test('parseBulletin reads earthquake, arrivals, wave bands and observations', () => {
+  const bulletin = parseBulletin(fixture('PAAQ-2.txt'));
+
+  assert.deepEqual(bulletin.earthquake, {
+    magnitude: 7.9,
+    magnitudeType: null,
+    originTime: '2026-01-15T09:12:00.000Z',
+    latitude: 51.1,
+    longitude: -179.2,
+    depthKm: 32,
+    location: '85 MILES SW OF ADAK, ALASKA'
+  });
+
+  assert.equal(bulletin.forecasts.length, 5);
+  assert.deepEqual(bulletin.forecasts[1], {
+    location: 'SHEMYA',
+    region: 'ALEUTIAN ISLANDS',
+    latitude: 52.7,
+    longitude: 174.1,
+    eta: '2026-01-15T10:10:00.000Z',
+    waveHeight: '1–3 m',
+    waveHeightMinM: 1,
+    waveHeightMaxM: 3
+  });
+  assert.equal(bulletin.forecasts[3].waveHeight, '0.3–1 m');
+  // No band covers California
+  assert.equal(bulletin.forecasts[4].waveHeight, null);
+
+  assert.deepEqual(bulletin.waveBands.map(b => b.regions), [['ALASKA', 'ALEUTIAN ISLANDS'], ['HAWAII', 'RUSSIA']]);
+
+  assert.deepEqual(bulletin.observations[0], {
+    location: 'ADAK AK',
+    latitude: 51.9,
+    longitude: -176.6,
+    time: '2026-01-15T09:48:00.000Z',
+    amplitudeM: 0.62,
+    periodMin: 16
+  });
+});
+
+test('TsunamiFeed folds bulletins for one earthquake into one stable event', async () => {
+  const feed = new TsunamiFeed({ fetch: serveDocuments() });
+  const events = await feed.read(fixture('PAAQAtom.xml'));
+
+  assert.equal(events.length, 2);
+  const [warning] = events;
+
+  assert.equal(warning.id, 'tsunami_PAAQ_202601150912');
+  assert.equal(warning.name, 'Tsunami Warning Number 2');
+  assert.equal(warning.bulletinNumber, 2);
+  assert.equal(warning.severity, 'Warning');
+  assert.equal(warning.isActive, true);
+  assert.equal(warning.headline, 'Tsunami Warning in effect for the Aleutian Islands');
+  assert.deepEqual(warning.coordinates, [-179.2, 51.1]);
+
+  // CAP parameters win over bulletin text
+  assert.equal(warning.earthquake.magnitudeType, 'Mww');
+  assert.equal(warning.earthquake.depthKm, 33);
+  assert.equal(warning.earthquake.location, '85 miles SW of Adak, Alaska');
+
+  assert.equal(warning.geometrySource, 'alert');
+  assert.equal(warning.geometry.type, 'MultiPolygon');
+  assert.deepEqual(warning.threatAreas, ['Coastal areas between Nikolski and Attu']);
+  assert.equal(warning.forecasts.length, 5);
+  assert.equal(warning.observations.length, 2);
+});
+
+test('TsunamiFeed keeps entries without a point and without linked documents', async () => {
+  const feed = new TsunamiFeed({ fetch: serveDocuments() });
+  const [, info] = await feed.read(fixture('PAAQAtom.xml'));
+
+  // No origin time anywhere — falls back to the Atom entry id, never Date.now()
+  assert.equal(info.id, 'tsunami_PAAQ_urn:uuid:entry-info');
+  assert.equal(info.severity, 'Information');
+  assert.deepEqual(info.coordinates, [-121.7, 36.5]);
+  assert.equal(info.earthquake.magnitude, 6.1);
+  assert.equal(info.earthquake.magnitudeType, 'Mwp');
+  assert.equal(info.region, 'Central California');
+  assert.equal(info.description, 'A tsunami is not expected.');
+});
+
+test('TsunamiFeed caches linked documents between fetches', async () => {
+  const calls = [];
+  const feed = new TsunamiFeed({ fetch: serveDocuments(calls) });
+  const first = await feed.read(fixture('PAAQAtom.xml'));
+  assert.equal(calls.length, 3);
+
+  const second = await feed.read(fixture('PAAQAtom.xml'));
+  assert.equal(calls.length, 3);
+  assert.deepEqual(second.map(e => e.id), first.map(e => e.id));
+});
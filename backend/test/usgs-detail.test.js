@@ -0,0 +1,118 @@
+// ============================================================================
+// usgs-detail.test.js — PAGER / ShakeMap / mechanism enrichment from fixtures
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  UsgsDetailEnricher, parseDetail, parseContours, faultingStyle
+} = require('../enhancements/usgs-detail');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'usgs');
+const USGS = 'https://earthquake.usgs.gov';
+const DETAIL_URL = `${USGS}/earthquakes/feed/v1.0/detail/us7000test.geojson`;
+
+// Serves each product document by file name; the tectonic text by directory
+function fixtureFetch(calls = []) {
+  return async (url, { json = true } = {}) => {
+    calls.push(url);
+    const name = url === DETAIL_URL ? 'us7000test.geojson'
+      : url.includes('/general-text/') ? 'tectonic.html'
+      : path.basename(new URL(url).pathname);
+    const file = path.join(FIXTURES, name);
+    if (!fs.existsSync(file)) throw new Error('Request failed with status code 404');
+    const body = fs.readFileSync(file, 'utf8');
+    return json ? JSON.parse(body) : body;
+  };
+}
+
+function quake(overrides = {}) {
+  return {
+    id: 'us7000test', magnitude: 7.1, updated: 1768475000000, detailUrl: DETAIL_URL, ...overrides
+  };
+}
+
+test('parseDetail picks the preferred products and their document URLs', () => {
+  const detail = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'us7000test.geojson'), 'utf8'));
+  const parsed = parseDetail(detail);
+
+  assert.match(parsed.urls.alerts, /json\/alerts\.json$/);
+  assert.match(parsed.urls.losses, /json\/losses\.json$/);
+  assert.match(parsed.urls.contours, /cont_mmi\.json$/);
+  assert.match(parsed.urls.tectonic, /general-text/);
+
+  // Moment tensor wins over the first-motion focal mechanism
+  assert.equal(parsed.focalMechanism.source, 'moment-tensor');
+  assert.deepEqual(parsed.focalMechanism.nodalPlanes[0], { strike: 202, dip: 33, rake: 88 });
+  assert.equal(parsed.focalMechanism.faultingStyle, 'reverse');
+  assert.equal(parsed.focalMechanism.magnitudeType, 'Mww');
+});
+
+test('faultingStyle classifies rake', () => {
+  assert.equal(faultingStyle(-5), 'strike-slip');
+  assert.equal(faultingStyle(170), 'strike-slip');
+  assert.equal(faultingStyle(90), 'reverse');
+  assert.equal(faultingStyle(-90), 'normal');
+  assert.equal(faultingStyle(null), null);
+});
+
+test('parseContours keeps MMI lines with rounded 2D coordinates', () => {
+  const geojson = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'cont_mmi.json'), 'utf8'));
+  const contours = parseContours(geojson);
+
+  assert.deepEqual(contours.features.map(f => f.properties.mmi), [5, 7]);
+  assert.deepEqual(contours.features[0].geometry.coordinates[0], [121, 23]);
+  assert.deepEqual(contours.features[1].geometry.coordinates[0][0], [121.412, 23.512]);
+  assert.equal(contours.features[1].properties.color, '#ff9000');
+});
+
+test('UsgsDetailEnricher attaches PAGER, ShakeMap, mechanism and tectonic summary', async () => {
+  const enricher = new UsgsDetailEnricher({ fetch: fixtureFetch(), minMagnitude: 5.5 });
+  const quakes = [quake(), quake({ id: 'small', magnitude: 4.2 })];
+  const contours = await enricher.enrich(quakes);
+  const [big, small] = quakes;
+
+  assert.equal(big.pager.alertLevel, 'orange');
+  assert.equal(big.pager.maxMmi, 8.1);
+  assert.equal(big.pager.fatality.level, 'orange');
+  assert.deepEqual(big.pager.fatality.likeliest, { color: 'yellow', min: 10, max: 100, probability: 0.36 });
+  assert.equal(big.pager.economic.bins.length, 6);
+  assert.equal(big.pager.estimatedFatalities, 47);
+  assert.equal(big.pager.estimatedLossesUsd, 85000000);
+
+  assert.deepEqual(big.shakemap, { maxMmi: 8.12, contourCount: 2 });
+  assert.equal(big.focalMechanism.faultingStyle, 'reverse');
+  assert.match(big.tectonicSummary, /^Tectonic Summary\nThe January 15, 2026, M 7\.1 earthquake/);
+  assert.match(big.tectonicSummary, /Philippine Sea & Eurasia plates\.$/);
+
+  assert.equal(small.pager, undefined);
+  assert.deepEqual([...contours.keys()], ['us7000test']);
+});
+
+test('UsgsDetailEnricher only refetches when the event was updated', async () => {
+  const calls = [];
+  const enricher = new UsgsDetailEnricher({ fetch: fixtureFetch(calls), minMagnitude: 5.5 });
+
+  await enricher.enrich([quake()]);
+  assert.equal(calls.length, 5);
+
+  const again = [quake()];
+  await enricher.enrich(again);
+  assert.equal(calls.length, 5);
+  assert.equal(again[0].pager.alertLevel, 'orange');
+
+  await enricher.enrich([quake({ updated: 1768479999000 })]);
+  assert.equal(calls.length, 10);
+});
+
+test('UsgsDetailEnricher keeps quakes whose detail cannot be loaded', async () => {
+  const enricher = new UsgsDetailEnricher({ fetch: fixtureFetch(), minMagnitude: 5.5 });
+  const quakes = [quake({ id: 'missing', detailUrl: `${USGS}/earthquakes/feed/v1.0/detail/missing.geojson` })];
+  const contours = await enricher.enrich(quakes);
+
+  assert.equal(quakes[0].pager, undefined);
+  assert.equal(contours.size, 0);
+});
@@ -0,0 +1,120 @@
+// ============================================================================
+// vaac.test.js — VAA text parsing, advisory lifetime and volcano linking
+// Run: npm test   (node --test)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { VaacFeed, parseAdvisory, parseClouds, toFeature, isCurrent, linkVolcanoes } = require('../enhancements/vaac');
+const { feeds } = require('../sources/vaac-feeds.json');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'vaac');
+const NOW = Date.parse('2026-10-19T15:00:00Z');
+
+function fixture(url) {
+  return fs.readFileSync(path.join(FIXTURES, path.basename(url)), 'utf8');
+}
+
+const WASHINGTON = feeds.find(f => f.id === 'washington');
+
+test('parseClouds reads flight-level bands, polygons and movement', () => {
+  const { clouds, note } = parseClouds('SFC/FL200 N1901 W09837 - N1910 W09820 - N1905 W09800 MOV NE 15KT FL250/350 N1900 W09830 - N1920 W09810 - N1912 W09750 STNR');
+  assert.equal(note, null);
+  assert.deepEqual(clouds.map(c => [c.base, c.top, c.baseFl, c.topFl, c.movement]), [
+    ['SFC', 'FL200', 0, 200, 'NE 15KT'],
+    ['FL250', 'FL350', 250, 350, 'STNR']
+  ]);
+  // Rings are closed
+  assert.deepEqual(clouds[0].geometry.coordinates[0], [
+    [-98.6167, 19.0167], [-98.3333, 19.1667], [-98, 19.0833], [-98.6167, 19.0167]
+  ]);
+
+  assert.deepEqual(parseClouds('VA NOT IDENTIFIABLE FM SATELLITE DATA'), { clouds: [], note: 'VA NOT IDENTIFIABLE' });
+});
+
+test('parseAdvisory keeps the observed and forecast time steps', () => {
+  const advisory = parseAdvisory(fixture('2026J191200.html'));
+  assert.equal(advisory.vaac, 'WASHINGTON');
+  assert.equal(advisory.volcano, 'POPOCATEPETL');
+  assert.equal(advisory.volcanoNumber, '341090');
+  assert.deepEqual(advisory.position, [-98.6167, 19.0167]);
+  assert.equal(advisory.summitElevationFt, 17802);
+  assert.equal(advisory.colorCode, 'ORANGE');
+  assert.equal(advisory.final, false);
+  assert.equal(advisory.nextAdvisory, Date.parse('2026-10-19T18:00:00Z'));
+
+  assert.deepEqual(advisory.steps.map(s => [s.label, new Date(s.time).toISOString(), s.clouds.length, s.note]), [
+    ['OBS', '2026-10-19T11:30:00.000Z', 2, null],
+    ['+6 HR', '2026-10-19T17:30:00.000Z', 1, null],
+    ['+12 HR', '2026-10-19T23:30:00.000Z', 1, null],
+    ['+18 HR', '2026-10-20T05:30:00.000Z', 0, 'NO VA EXP']
+  ]);
+  assert.equal(advisory.steps[0].clouds[1].movement, 'E 25KT');
+
+  const feature = toFeature(advisory, { vaacId: 'washington' }, NOW);
+  assert.equal(feature.id, 'vaa_washington_341090');
+  assert.equal(feature.name, 'Volcanic ash — Popocatepetl');
+  assert.equal(feature.maxFlightLevel, 250);
+  assert.equal(feature.geometry.type, 'MultiPolygon');
+  assert.equal(feature.geometry.coordinates.length, 2);
+  assert.equal(feature.isActive, true);
+
+  // Current until three hours past the next advisory time
+  assert.ok(toFeature(advisory, {}, Date.parse('2026-10-19T20:59:00Z')));
+  assert.equal(toFeature(advisory, {}, Date.parse('2026-10-19T21:01:00Z')), null);
+});
+
+test('read() follows advisory links and keeps the newest per volcano', async () => {
+  const fetched = [];
+  const feed = new VaacFeed(WASHINGTON, { fetch: async url => { fetched.push(url); return fixture(url); } });
+  const features = await feed.read(fixture('messages.html'), NOW);
+
+  assert.deepEqual(fetched, [
+    'https://www.ssd.noaa.gov/VAAC/ARCH26/POPO/2026J191200.html',
+    'https://www.ssd.noaa.gov/VAAC/ARCH26/POPO/2026J190600.html',
+    'https://www.ssd.noaa.gov/VAAC/ARCH26/FUEG/2026J180000.html'
+  ]);
+  // Fuego's final advisory has lapsed; the earlier Popocatépetl one is superseded
+  assert.deepEqual(features.map(f => [f.id, f.advisoryNumber]), [['vaa_washington_341090', '2026/04']]);
+  assert.equal(features[0].link, fetched[0]);
+
+  // Documents are cached while the page lists them
+  await feed.read(fixture('messages.html'), NOW);
+  assert.equal(fetched.length, 3);
+});
+
+test('a parse remembers when its first advisory runs out', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const feed = new VaacFeed(WASHINGTON, { fetch: async url => fixture(url) });
+  assert.equal(feed.expired(NOW), false);
+
+  const { features } = await feed.parse(fixture('messages.html'), NOW);
+  assert.equal(features[0].validUntil, '2026-10-19T21:00:00.000Z');
+  assert.equal(feed.expired(Date.parse('2026-10-19T20:59:00Z')), false);
+  assert.equal(feed.expired(Date.parse('2026-10-19T21:01:00Z')), true);
+  assert.equal(isCurrent(features[0], Date.parse('2026-10-19T21:01:00Z')), false);
+
+  // Nothing current, nothing to expire
+  await feed.parse(fixture('messages.html'), Date.parse('2026-10-20T00:00:00Z'));
+  assert.equal(feed.expired(Date.parse('2026-10-21T00:00:00Z')), false);
+});
+
+test('linkVolcanoes prefers a name match, then the nearest event', () => {
+  const advisories = [
+    { volcano: 'POPOCATEPETL', latitude: 19.02, longitude: -98.62 },
+    { volcano: 'UNNAMED', latitude: 14.47, longitude: -90.88 },
+    { volcano: 'ETNA', latitude: 37.75, longitude: 14.99 }
+  ];
+  const volcanoes = [
+    { id: 'EONET_1', name: 'Iztaccíhuatl Volcano, Mexico', latitude: 19.18, longitude: -98.64 },
+    { id: 'EONET_2', name: 'Popocatépetl Volcano, Mexico', latitude: 19.5, longitude: -98.9 },
+    { id: 'EONET_3', name: 'Fuego Volcano, Guatemala', coordinates: [-90.88, 14.47] }
+  ];
+  assert.equal(linkVolcanoes(advisories, volcanoes), 2);
+  assert.equal(advisories[0].volcanoId, 'EONET_2');
+  assert.equal(advisories[0].volcanoEventName, 'Popocatépetl Volcano, Mexico');
+  assert.equal(advisories[1].volcanoId, 'EONET_3');
+  assert.equal(advisories[2].volcanoId, null);
+});
@@ -16,7 +16,7 @@ import './mobile-fix.css';
 import { I18nProvider, useTranslation } from './i18n/i18n';
 
 // v5: New component imports
-import { MapStyleSwitcher, DisasterPolygons, CycloneTrackLine } from './components/MapEnhancements';
+import { MapStyleSwitcher, DisasterPolygons, CycloneTrackLine, ShakeMapContours } from './components/MapEnhancements';
 import ClusterLayer from './components/ClusterLayer';
 import AnalyticsDashboard from './components/AnalyticsDashboard';
 import PreferencesPanel from './components/PreferencesPanel';
@@ -131,9 +131,20 @@ const DISASTER_CONFIG = {
       if (frp > 200) return 'EXTREME'; if (frp > 100) return 'HIGH';
       if (frp > 50) return 'MODERATE'; return 'LOW';
     },
-    getOpacity: (item) => Math.min(0.3 + (item.frp || 0) / 300, 0.8),
+    getOpacity: (item) => item.likelyStatic ? 0.2 : Math.min(0.3 + (item.frp || 0) / 300, 0.8),
     isCritical: () => false
   },
+  firecomplexes: {
+    color: '#ff5500', icon: '🔥', nameKey: 'firecomplexes', enabled: true,
+    getRadius: (item) => {
+      const frp = item.totalFrp || 0;
+      if (frp >= 2000) return 18; if (frp >= 500) return 13;
+      if (frp >= 100) return 9; return 6;
+    },
+    getSeverity: (item) => (item.intensity || 'Low').toUpperCase(),
+    getOpacity: (item) => item.isActive === false || item.likelyStatic ? 0.4 : 0.8,
+    isCritical: (item) => (item.totalFrp || 0) >= 2000 && item.isActive !== false && item.confirmed !== false && !item.likelyStatic
+  },
   weather: { 
     color: '#ffaa00', icon: '⚠️', nameKey: 'weather', enabled: false,
     getRadius: () => 8,
@@ -178,12 +189,37 @@ const DISASTER_CONFIG = {
     color: '#ff00ff', icon: '☀️', nameKey: 'spaceweather', enabled: false,
     getRadius: (item) => (item.currentKp || 0) * 5,
     getSeverity: (item) => {
+      // NOAA scales in effect, e.g. 'G1 · R2'
+      const active = ['G', 'S', 'R'].map(k => item.scales?.[k]).filter(s => s?.level > 0);
+      if (active.length) return active.map(s => s.label).join(' · ');
       const kp = item.currentKp || 0;
       if (kp >= 9) return 'EXTREME STORM'; if (kp >= 8) return 'SEVERE STORM';
       if (kp >= 7) return 'STRONG STORM'; if (kp >= 5) return 'MINOR STORM'; return 'QUIET';
     },
     getOpacity: (item) => Math.min((item.currentKp || 0) / 10, 0.9),
-    isCritical: (item) => (item.currentKp || 0) >= 7
+    isCritical: (item) => (item.currentKp || 0) >= 7 || (item.scales?.maxLevel || 0) >= 3
+  },
+  aurora: {
+    color: '#33ff99', icon: '🌌', nameKey: 'aurora', enabled: false,
+    getRadius: (item) => item.zone === 'overhead' ? 10 : 7,
+    getSeverity: (item) => item.zone === 'overhead' ? 'OVERHEAD' : 'HORIZON',
+    getOpacity: (item) => item.zone === 'overhead' ? 0.8 : 0.5,
+    isCritical: () => false
+  },
+  ashadvisories: {
+    color: '#aaaaaa', icon: '🌋', nameKey: 'ashadvisories', enabled: true,
+    getRadius: (item) => (item.maxFlightLevel || 0) >= 300 ? 16 : (item.maxFlightLevel || 0) >= 200 ? 12 : 9,
+    getSeverity: (item) => item.maxFlightLevel != null ? `FL${String(item.maxFlightLevel).padStart(3, '0')}` : 'ADVISORY',
+    getOpacity: (item) => item.isActive === false ? 0.4 : 0.75,
+    isCritical: (item) => item.isActive !== false && (item.maxFlightLevel || 0) >= 250
+  },
+  conflicts: {
+    color: '#cc3366', icon: '⚔️', nameKey: 'conflicts', enabled: false,
+    getRadius: (item) => 6 + (item.intensity || 1) * 2,
+    getSeverity: (item) => (item.category || 'Conflict').toUpperCase(),
+    // GDELT incidents are news-derived — fade the thinly sourced ones
+    getOpacity: (item) => 0.3 + (item.confidence || 0) / 200,
+    isCritical: (item) => item.intensity >= 5 && item.confidenceLevel === 'high'
   }
 };
 
@@ -227,6 +263,14 @@ const getSeverityColorClass = (level) => {
   return 'sev-minor';
 };
 
+// PAGER bin → "10–100 (36%)"; economic bins are in millions of USD
+const formatPagerBin = (bin, isEconomic) => {
+  if (!bin) return '';
+  const scale = isEconomic ? 1000000 : 1;
+  const range = `${isEconomic ? '$' : ''}${formatNumber(bin.min * scale)}–${formatNumber(bin.max * scale)}`;
+  return bin.probability != null ? `${range} (${Math.round(bin.probability * 100)}%)` : range;
+};
+
 const formatNumber = (num) => {
   if (!num) return '0';
   if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
@@ -307,6 +351,23 @@ const haversineDistance = (lat1, lon1, lat2, lon2) => {
   return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
 };
 
+// Centred-dipole magnetic latitude — mirrors backend/enhancements/aurora.js
+const magneticLatitude = (lat, lon) => {
+  const rad = Math.PI / 180;
+  const sinM = Math.sin(lat * rad) * Math.sin(80.65 * rad) +
+    Math.cos(lat * rad) * Math.cos(80.65 * rad) * Math.cos((lon + 72.68) * rad);
+  return Math.asin(Math.max(-1, Math.min(1, sinM))) / rad;
+};
+
+// Aurora zones reach a point tonight when it is poleward of their night-side edge
+const auroraOutlook = (zones, lat, lon) => {
+  const hemisphere = lat >= 0 ? 'north' : 'south';
+  const mlat = Math.abs(magneticLatitude(lat, lon));
+  const reaches = (zone) => (zones || []).some(z =>
+    z.zone === zone && z.hemisphere === hemisphere && z.nightsideMagLat != null && mlat >= z.nightsideMagLat);
+  return { visibleTonight: reaches('horizon'), overheadTonight: reaches('overhead') };
+};
+
 const hexToRgb = (hex) => {
   const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
   return result ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)] : [255, 255, 255];
@@ -405,25 +466,73 @@ const buildShareUrl = (item, type) => {
 // =====================================================================
 // REAL-TIME DATA HOOK
 // =====================================================================
-const useRealtimeData = () => {
+const MAX_TRANSITIONS = 80;
+// Phones zoomed in this far only stream the events around their viewport
+const VIEWPORT_FILTER_ZOOM = 6;
+
+// Apply one lifecycle transition (event:new / event:updated / event:ended) to a layer
+const applyTransition = (items = [], transition) => {
+  const rest = items.filter(i => String(i.id || i.name) !== transition.id);
+  if (transition.kind === 'ended') return rest;
+  return [transition.event, ...rest];
+};
+
+// Apply a filtered-subscription delta ({ upserts, removed }) to a layer
+const applyDelta = (items = [], delta) => {
+  const upserts = delta.upserts || [];
+  const changed = new Set([...(delta.removed || []), ...upserts.map(i => String(i.id || i.name))]);
+  return [...upserts, ...items.filter(i => !changed.has(String(i.id || i.name)))];
+};
+
+// Whole layers, or only what matches filter ({ bbox, minSeverity, countries })
+const subscribeLayers = (socket, filter) => {
+  const types = Object.keys(DISASTER_CONFIG);
+  socket.emit('subscribe', filter ? { ...filter, types } : types);
+};
+
+const useRealtimeData = (filter = null) => {
   const [rawData, setRawData] = useState({});
+  const [transitions, setTransitions] = useState([]);
   const [connected, setConnected] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [subscriptionError, setSubscriptionError] = useState(null);
+  const socketRef = useRef(null);
+  const filterRef = useRef(filter);
+  filterRef.current = filter;
+  const filterKey = filter ? JSON.stringify(filter) : '';
 
   useEffect(() => {
     const socket = io('/', { path: '/socket.io/', transports: ['websocket', 'polling'] });
+    socketRef.current = socket;
 
     socket.on('connect', () => {
       console.log('Connected to real-time updates');
       setConnected(true);
-      socket.emit('subscribe', Object.keys(DISASTER_CONFIG));
+      subscribeLayers(socket, filterRef.current);
     });
     socket.on('disconnect', () => setConnected(false));
+    // The server keeps the previous subscription when it rejects a filter
+    socket.on('subscribe:error', ({ error }) => {
+      console.error('Subscription rejected:', error);
+      setSubscriptionError({ error, at: Date.now() });
+    });
 
     Object.keys(DISASTER_CONFIG).forEach(type => {
       socket.on(`update:${type}`, (newData) => {
         setRawData(prev => ({ ...prev, [type]: newData?.features || [] }));
       });
+      socket.on(`delta:${type}`, (delta) => {
+        setRawData(prev => ({ ...prev, [type]: applyDelta(prev[type], delta) }));
+      });
+    });
+
+    // Lifecycle deltas — patch the layer in place and keep a running change log
+    ['event:new', 'event:updated', 'event:ended'].forEach(name => {
+      socket.on(name, (transition) => {
+        if (!transition?.type || !DISASTER_CONFIG[transition.type]) return;
+        setRawData(prev => ({ ...prev, [transition.type]: applyTransition(prev[transition.type], transition) }));
+        setTransitions(prev => [transition, ...prev].slice(0, MAX_TRANSITIONS));
+      });
     });
 
     fetch('/api/aggregate')
@@ -438,15 +547,33 @@ const useRealtimeData = () => {
             processed[key] = agg[key]?.features || [];
           }
         });
-        setRawData(processed);
+        // Layers the socket already delivered are as new or newer (and filtered)
+        setRawData(prev => ({ ...processed, ...prev }));
         setLoading(false);
       })
       .catch(err => { console.error('Initial data error:', err); setLoading(false); });
 
+    fetch(`/api/transitions?limit=${MAX_TRANSITIONS}`)
+      .then(res => res.json())
+      .then(result => {
+        const recent = (result.transitions || []).filter(tr => DISASTER_CONFIG[tr.type]).reverse();
+        setTransitions(prev => {
+          const known = new Set(prev.map(tr => tr.streamId));
+          return [...prev, ...recent.filter(tr => !known.has(tr.streamId))].slice(0, MAX_TRANSITIONS);
+        });
+      })
+      .catch(err => console.error('Transitions error:', err));
+
     return () => socket.disconnect();
   }, []);
 
-  return { rawData, connected, loading };
+  // The map moved or zoomed across the threshold: swap the subscription
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (socket?.connected) subscribeLayers(socket, filterRef.current);
+  }, [filterKey]);
+
+  return { rawData, transitions, connected, loading, subscriptionError };
 };
 
 // =====================================================================
@@ -608,8 +735,29 @@ const HeatmapLayer = ({ data, enabledLayers }) => {
 // =====================================================================
 // EVENT DETAIL DRAWER — FULLY i18n
 // =====================================================================
-const DetailDrawer = ({ item, type, onClose, onShare }) => {
+// Layers the backend links into earthquake → tsunami / landslide chains
+const CASCADE_TYPES = ['earthquakes', 'tsunamis', 'landslides'];
+
+const formatLag = (minutes) => {
+  if (Math.abs(minutes) < 60) return `+${minutes} min`;
+  if (Math.abs(minutes) < 48 * 60) return `+${Math.round(minutes / 60)} h`;
+  return `+${Math.round(minutes / 1440)} d`;
+};
+
+const DetailDrawer = ({ item, type, data, onClose, onShare, onSelect }) => {
   const { t } = useTranslation();
+  const [linked, setLinked] = useState([]);
+
+  useEffect(() => {
+    setLinked([]);
+    if (!item?.id || !CASCADE_TYPES.includes(type)) return;
+    let cancelled = false;
+    fetch(`/api/event/${encodeURIComponent(item.id)}`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(json => { if (!cancelled && json?.linked) setLinked(json.linked); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [item, type]);
 
   useEffect(() => {
     if (!item || !type) return;
@@ -625,6 +773,9 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
   const coords = getEventCoords(item);
   const floodInfo = type === 'floods' ? formatFloodInfo(item) : null;
   const shareUrl = buildShareUrl(item, type);
+  // VAAC advisories carry the id of the volcano event they were matched to
+  const ashAdvisories = type === 'volcanoes' ? (data?.ashadvisories || []).filter(a => a.volcanoId === item.id) : [];
+  const ashVolcano = type === 'ashadvisories' && item.volcanoId ? (data?.volcanoes || []).find(v => v.id === item.volcanoId) : null;
 
   const handleCopyLink = () => {
     navigator.clipboard.writeText(shareUrl).then(() => {
@@ -650,6 +801,11 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
               {type === 'floods' && floodInfo ? floodInfo.clearName : (item.name || item.place || item.event || t(config?.nameKey))}
             </h3>
             <span className={`drawer-severity sev-${severity.toLowerCase().replace(/ /g, '-')}`}>{severity}</span>
+            {item.severityScore != null && (
+              <span className={`drawer-severity drawer-severity-score sev-${item.severityBucket}`} title={t('severityScore')}>
+                {item.severityScore}/100
+              </span>
+            )}
           </div>
         </div>
         <button className="drawer-close" onClick={onClose} aria-label={t('close')}>✕</button>
@@ -668,8 +824,34 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
               {item.gap && <div className="drawer-row"><span>{t('azimuthalGap')}</span><strong>{item.gap.toFixed(0)}°</strong></div>}
               {item.rms && <div className="drawer-row"><span>{t('rmsResidual')}</span><strong>{item.rms.toFixed(2)} sec</strong></div>}
               {item.nst && <div className="drawer-row"><span>{t('stationsUsed')}</span><strong>{item.nst}</strong></div>}
+              {item.focalMechanism && (
+                <div className="drawer-row">
+                  <span>{t('faultingStyle')}</span>
+                  <strong>
+                    {item.focalMechanism.faultingStyle || '—'} · {item.focalMechanism.nodalPlanes.map(p => `${p.strike}°/${p.dip}°${p.rake != null ? `/${p.rake}°` : ''}`).join(', ')}
+                  </strong>
+                </div>
+              )}
             </div>
 
+            {item.sequence && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">🔁 {t('aftershockSequence')}</h4>
+                <div className="drawer-row"><span>{t('aftershocks')}</span><strong>{item.sequence.count}{item.sequence.foreshockCount > 0 ? ` · ${item.sequence.foreshockCount} ${t('foreshocks').toLowerCase()}` : ''}</strong></div>
+                {item.sequence.largestAftershock && (
+                  <div className="drawer-row"><span>{t('largestAftershock')}</span><strong>M{item.sequence.largestAftershock.magnitude.toFixed(1)} — {getRelativeTime(item.sequence.largestAftershock.time)}</strong></div>
+                )}
+                <div className="drawer-row"><span>{t('last24h')}</span><strong>{item.sequence.decay.rateLast24h} {t('aftershocks').toLowerCase()}</strong></div>
+                {item.sequence.decay.omoriP != null && <div className="drawer-row"><span>{t('omoriDecay')}</span><strong>{item.sequence.decay.omoriP.toFixed(2)}</strong></div>}
+              </div>
+            )}
+            {item.sequenceId && item.sequenceRole !== 'mainshock' && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">🔁 {t('aftershockSequence')}</h4>
+                <div className="drawer-row"><span>{t('mainshock')}</span><strong>M{item.mainshockMagnitude?.toFixed(1)}</strong></div>
+              </div>
+            )}
+
             <div className="drawer-section">
               <h4 className="drawer-section-title">🏘️ {t('impactAssessment')}</h4>
               {item.mmi > 0 && (
@@ -693,6 +875,32 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
               {item.tsunami === 1 && <div className="drawer-alert tsunami">⚠️ {t('tsunamiWarning')}</div>}
             </div>
 
+            {item.pager && (item.pager.fatality || item.pager.estimatedFatalities != null) && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">📉 {t('pagerEstimates')}</h4>
+                {item.pager.fatality && (
+                  <div className="drawer-row">
+                    <span>{t('estimatedFatalities')}</span>
+                    <strong className={`alert-${item.pager.fatality.level}`}>{formatPagerBin(item.pager.fatality.likeliest, false)}</strong>
+                  </div>
+                )}
+                {item.pager.economic && (
+                  <div className="drawer-row">
+                    <span>{t('economicLosses')}</span>
+                    <strong className={`alert-${item.pager.economic.level}`}>{formatPagerBin(item.pager.economic.likeliest, true)}</strong>
+                  </div>
+                )}
+                {item.shakemap?.maxMmi != null && <div className="drawer-row"><span>{t('maxShaking')}</span><strong>MMI {item.shakemap.maxMmi.toFixed(1)}</strong></div>}
+              </div>
+            )}
+
+            {item.tectonicSummary && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">🧭 {t('tectonicSummary')}</h4>
+                <p className="drawer-description" style={{ whiteSpace: 'pre-line' }}>{item.tectonicSummary}</p>
+              </div>
+            )}
+
             <div className="drawer-section">
               <h4 className="drawer-section-title">ℹ️ {t('details')}</h4>
               <div className="drawer-row"><span>{t('status')}</span><strong>{item.status === 'reviewed' ? '✅ Reviewed' : '⏳ Automatic'}</strong></div>
@@ -779,7 +987,7 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
               {item.alertLevel && (
                 <div className="drawer-row">
                   <span>{t('alertLevel')}</span>
-                  <strong className={`alert-${item.alertLevel?.toLowerCase()}`}>{item.alertLevel} {item.severityScore ? `(${item.severityScore.toFixed(1)})` : (item.alertScore ? `(${item.alertScore})` : '')}</strong>
+                  <strong className={`alert-${item.alertLevel?.toLowerCase()}`}>{item.alertLevel} {item.alertScore ? `(${Number(item.alertScore).toFixed(1)})` : ''}</strong>
                 </div>
               )}
               {item.severity && typeof item.severity === 'string' && <div className="drawer-row"><span>{t('severity')}</span><strong>{item.severity}</strong></div>}
@@ -888,6 +1096,25 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
               {item.closedDate && <div className="drawer-row"><span>{t('closed')}</span><strong>{new Date(item.closedDate).toLocaleDateString()}</strong></div>}
             </div>
 
+            {ashAdvisories.length > 0 && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">☁️ {t('ashadvisories')}</h4>
+                {ashAdvisories.map(a => (
+                  <div
+                    key={a.id}
+                    className="drawer-row drawer-cascade-row"
+                    role="button"
+                    tabIndex={0}
+                    onClick={() => onSelect && onSelect(a, 'ashadvisories')}
+                    onKeyDown={(e) => { if (e.key === 'Enter' && onSelect) onSelect(a, 'ashadvisories'); }}
+                  >
+                    <span>{a.vaac}{a.advisoryNumber ? ` #${a.advisoryNumber}` : ''}</span>
+                    <strong>{DISASTER_CONFIG.ashadvisories.getSeverity(a)} · {getRelativeTime(a.issued)}</strong>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {item.sources?.length > 0 && (
               <div className="drawer-section">
                 <h4 className="drawer-section-title">📚 {t('sources')}</h4>
@@ -940,6 +1167,8 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
             <div className="drawer-section">
               <h4 className="drawer-section-title">📍 {t('areaTiming')}</h4>
               {item.areas && <div className="drawer-row"><span>{t('areas')}</span><strong className="drawer-areas">{item.areas}</strong></div>}
+              {item.zones?.length > 0 && <div className="drawer-row"><span>{t('zones')} ({item.zones.length})</span><strong className="drawer-areas">{item.zones.join(', ')}</strong></div>}
+              {item.supersededCount > 0 && <div className="drawer-row"><span>{t('updates')}</span><strong>{item.supersededCount}</strong></div>}
               {item.onset && <div className="drawer-row"><span>{t('onset')}</span><strong>{new Date(item.onset).toLocaleString()}</strong></div>}
               {item.expires && <div className="drawer-row"><span>{t('expires')}</span><strong>{new Date(item.expires).toLocaleString()}</strong></div>}
               {item.timeRemaining && <div className="drawer-row"><span>{t('timeLeft')}</span><strong className="text-orange">{item.timeRemaining}</strong></div>}
@@ -1058,8 +1287,50 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
               <div className="drawer-alert tsunami">⚠️ {severity}</div>
               {item.region && <div className="drawer-row"><span>{t('region')}</span><strong>{item.region}</strong></div>}
               {item.date && <div className="drawer-row"><span>{t('time')}</span><strong>{new Date(item.date).toLocaleString()}</strong></div>}
+              {item.bulletinUrl && <div className="drawer-row"><span>{t('bulletin')}{item.bulletinNumber ? ` #${item.bulletinNumber}` : ''}</span><a href={item.bulletinUrl} target="_blank" rel="noopener noreferrer" className="drawer-link">View →</a></div>}
             </div>
 
+            {item.earthquake?.magnitude != null && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">🌍 {t('originEarthquake')}</h4>
+                <div className="drawer-row"><span>{t('magnitude')}</span><strong>M{item.earthquake.magnitude.toFixed(1)}{item.earthquake.magnitudeType ? ` (${item.earthquake.magnitudeType})` : ''}</strong></div>
+                {item.earthquake.depthKm != null && <div className="drawer-row"><span>{t('depth')}</span><strong>{item.earthquake.depthKm} km</strong></div>}
+                {item.earthquake.originTime && <div className="drawer-row"><span>{t('time')}</span><strong>{new Date(item.earthquake.originTime).toLocaleString()}</strong></div>}
+                {item.earthquake.location && <div className="drawer-row"><span>{t('location')}</span><strong>{item.earthquake.location}</strong></div>}
+              </div>
+            )}
+
+            {item.threatAreas?.length > 0 && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">🗺️ {t('threatAreas')}</h4>
+                <p className="drawer-description">{item.threatAreas.join('; ')}</p>
+              </div>
+            )}
+
+            {item.forecasts?.length > 0 && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">⏱️ {t('estimatedArrivals')}</h4>
+                {item.forecasts.slice(0, 12).map((f, i) => (
+                  <div key={i} className="drawer-row">
+                    <span>{f.location}, {f.region}</span>
+                    <strong>{new Date(f.eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}{f.waveHeight ? ` · ${f.waveHeight}` : ''}</strong>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {item.observations?.length > 0 && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">📈 {t('observedWaves')}</h4>
+                {item.observations.slice(0, 12).map((o, i) => (
+                  <div key={i} className="drawer-row">
+                    <span>{o.location}</span>
+                    <strong>{o.amplitudeM} m · {new Date(o.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</strong>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {item.description && (
               <div className="drawer-section">
                 <h4 className="drawer-section-title">📝 {t('description')}</h4>
@@ -1069,6 +1340,116 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
           </>
         )}
 
+        {/* ═══ CONFLICTS (GDELT) ═══ */}
+        {type === 'conflicts' && (
+          <>
+            <div className="drawer-section">
+              <h4 className="drawer-section-title">⚔️ {t('incidentDetails')}</h4>
+              <div className={`drawer-status-badge ${item.isActive !== false ? 'active' : 'contained'}`}>
+                {item.isActive !== false ? `🔴 ${t('active')}` : `⚪ ${t('inactive')}`}
+              </div>
+              <div className="drawer-row"><span>{t('category')}</span><strong>{item.category}</strong></div>
+              {item.intensity > 0 && <div className="drawer-row"><span>{t('intensity')}</span><strong>{item.intensity} / 5</strong></div>}
+              {item.fatalities > 0 && <div className="drawer-row"><span>{t('fatalities')}</span><strong className="text-red">{item.fatalities}</strong></div>}
+              {item.confidence != null && <div className="drawer-row"><span>{t('confidence')}</span><strong>{item.confidence}/100 · {item.confidenceLevel}</strong></div>}
+              <div className="drawer-row"><span>{t('locationPrecision')}</span><strong>{item.locationPrecision === 'admin1' ? t('regionLevel') : t('countryLevel')}</strong></div>
+              {item.firstSeen && <div className="drawer-row"><span>{t('firstSeen')}</span><strong>{new Date(item.firstSeen).toLocaleString()}</strong></div>}
+              {item.lastSeen && <div className="drawer-row"><span>{t('lastSeen')}</span><strong>{new Date(item.lastSeen).toLocaleString()} ({getRelativeTime(item.lastSeen)})</strong></div>}
+            </div>
+
+            {item.description && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">📢 {t('headline')}</h4>
+                <p className="drawer-description">{item.description}</p>
+              </div>
+            )}
+
+            {item.articles?.length > 0 && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">📰 {t('newsCoverage')} · {item.articleCount} {t('articles')} / {item.sourceCount} {t('outlets')}</h4>
+                {item.articles.map(a => (
+                  <div key={a.url} className="drawer-row">
+                    <span title={a.title}>{a.domain || t('source')} · {getRelativeTime(a.seen)}</span>
+                    <a href={a.url} target="_blank" rel="noopener noreferrer" className="drawer-link">View →</a>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        {/* ═══ VOLCANIC ASH ADVISORIES ═══ */}
+        {type === 'ashadvisories' && (
+          <>
+            <div className="drawer-section">
+              <h4 className="drawer-section-title">🌋 {t('ashAdvisory')}</h4>
+              <div className={`drawer-status-badge ${item.isActive !== false ? 'active' : 'contained'}`}>
+                {item.isActive !== false ? `🔴 ${t('active')}` : `⚪ ${t('finalAdvisory')}`}
+              </div>
+              {item.vaac && <div className="drawer-row"><span>VAAC</span><strong>{item.vaac}</strong></div>}
+              {item.advisoryNumber && <div className="drawer-row"><span>{t('advisoryNumber')}</span><strong>{item.advisoryNumber}</strong></div>}
+              {item.colorCode && <div className="drawer-row"><span>{t('aviationColorCode')}</span><strong className={`alert-${item.colorCode.toLowerCase()}`}>{item.colorCode}</strong></div>}
+              {item.maxFlightLevel != null && <div className="drawer-row"><span>{t('maxFlightLevel')}</span><strong>{severity}</strong></div>}
+              {item.volcanoEventName && (
+                <div
+                  className="drawer-row drawer-cascade-row"
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => ashVolcano && onSelect && onSelect(ashVolcano, 'volcanoes')}
+                  onKeyDown={(e) => { if (e.key === 'Enter' && ashVolcano && onSelect) onSelect(ashVolcano, 'volcanoes'); }}
+                >
+                  <span>{t('linkedVolcano')}</span><strong>🌋 {item.volcanoEventName}</strong>
+                </div>
+              )}
+              {item.issued && <div className="drawer-row"><span>{t('time')}</span><strong>{new Date(item.issued).toLocaleString()}</strong></div>}
+              {item.nextAdvisory && <div className="drawer-row"><span>{t('nextAdvisory')}</span><strong>{new Date(item.nextAdvisory).toLocaleString()}</strong></div>}
+              {item.link && <div className="drawer-row"><span>{t('bulletin')}</span><a href={item.link} target="_blank" rel="noopener noreferrer" className="drawer-link">View →</a></div>}
+            </div>
+
+            {item.steps?.length > 0 && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">☁️ {t('ashCloudSteps')}</h4>
+                {item.steps.map(step => (
+                  <div key={step.label} className="drawer-row">
+                    <span>{step.label} · {new Date(step.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                    <strong>
+                      {step.clouds.length > 0
+                        ? step.clouds.map(c => `${c.base}/${c.top}${c.movement ? ` ${c.movement}` : ''}`).join('; ')
+                        : step.note || '—'}
+                    </strong>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {item.eruptionDetails && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">🌋 {t('eruptionDetails')}</h4>
+                <p className="drawer-description">{item.eruptionDetails}</p>
+              </div>
+            )}
+
+            {item.remarks && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">📝 {t('remarks')}</h4>
+                <p className="drawer-description">{item.remarks}</p>
+              </div>
+            )}
+          </>
+        )}
+
+        {/* ═══ AURORA ═══ */}
+        {type === 'aurora' && (
+          <div className="drawer-section">
+            <h4 className="drawer-section-title">🌌 {t('aurora')}</h4>
+            <div className="drawer-row"><span>{t('auroraZone')}</span><strong>{t(item.zone === 'overhead' ? 'auroraOverhead' : 'auroraHorizon')} (≥{item.threshold}%)</strong></div>
+            {item.maxProbability > 0 && <div className="drawer-row"><span>{t('maxProbability')}</span><strong>{item.maxProbability}%</strong></div>}
+            {item.equatorwardLatitude != null && <div className="drawer-row"><span>{t('equatorwardEdge')}</span><strong>{Math.abs(item.equatorwardLatitude).toFixed(1)}°{item.equatorwardLatitude >= 0 ? 'N' : 'S'}</strong></div>}
+            {item.nightsideMagLat != null && <div className="drawer-row"><span>{t('nightsideMagLat')}</span><strong>{item.nightsideMagLat}°</strong></div>}
+            {item.forecastTime && <div className="drawer-row"><span>{t('forecastTime')}</span><strong>{new Date(item.forecastTime).toLocaleString()}</strong></div>}
+          </div>
+        )}
+
         {/* ═══ SPACE WEATHER ═══ */}
         {type === 'spaceweather' && (
           <>
@@ -1076,6 +1457,55 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
               <h4 className="drawer-section-title">☀️ {t('spaceweather')}</h4>
               {item.currentKp && <div className="drawer-row"><span>Kp Index</span><strong>{item.currentKp}</strong></div>}
             </div>
+
+            {item.scales && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">📊 {t('noaaScales')}</h4>
+                {[['G', 'geomagneticStorms'], ['S', 'radiationStorms'], ['R', 'radioBlackouts']].map(([k, labelKey]) => item.scales[k] && (
+                  <div key={k} className="drawer-row"><span>{t(labelKey)}</span><strong>{item.scales[k].label} · {item.scales[k].text}</strong></div>
+                ))}
+                {item.scales.predictedG && <div className="drawer-row"><span>{t('geomagneticStorms')} ({t('predicted')})</span><strong>{item.scales.predictedG.label} · {item.scales.predictedG.text}</strong></div>}
+              </div>
+            )}
+
+            {(item.xray || item.protons) && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">⚡ {t('xrayFlux')}</h4>
+                {item.xray?.class && <div className="drawer-row"><span>{t('flareClass')}</span><strong>{item.xray.class}</strong></div>}
+                {item.xray?.peakClass && <div className="drawer-row"><span>{t('peak6h')}</span><strong>{item.xray.peakClass} · {new Date(item.xray.peakTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</strong></div>}
+                {item.protons && <div className="drawer-row"><span>{t('protonFlux')}</span><strong>{item.protons.flux10MeV} pfu</strong></div>}
+              </div>
+            )}
+
+            {item.solarWind && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">💨 {t('solarWind')}</h4>
+                {item.solarWind.speed != null && <div className="drawer-row"><span>{t('speed')}</span><strong>{item.solarWind.speed} km/s</strong></div>}
+                {item.solarWind.density != null && <div className="drawer-row"><span>{t('density')}</span><strong>{item.solarWind.density} p/cm³</strong></div>}
+                {item.solarWind.bz != null && <div className="drawer-row"><span>Bz / Bt</span><strong>{item.solarWind.bz} / {item.solarWind.bt} nT</strong></div>}
+              </div>
+            )}
+
+            {item.forecast?.days?.length > 0 && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">📅 {t('kpForecast')}</h4>
+                {item.forecast.days.map(d => (
+                  <div key={d.date} className="drawer-row"><span>{new Date(`${d.date}T00:00:00Z`).toLocaleDateString([], { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' })}</span><strong>Kp {d.maxKp}{d.gScale !== 'G0' ? ` · ${d.gScale}` : ''}</strong></div>
+                ))}
+              </div>
+            )}
+
+            {item.alerts?.length > 0 && (
+              <div className="drawer-section">
+                <h4 className="drawer-section-title">📣 {t('swpcProducts')}</h4>
+                {item.alerts.slice(0, 8).map(a => (
+                  <div key={a.id} className="drawer-row">
+                    <span>{a.kind.toUpperCase()}: {a.headline}</span>
+                    <strong>{a.scale || ''}{a.validTo ? ` · ${t('expires')} ${new Date(a.validTo).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}</strong>
+                  </div>
+                ))}
+              </div>
+            )}
             {item.description && (
               <div className="drawer-section">
                 <h4 className="drawer-section-title">📝 {t('description')}</h4>
@@ -1092,9 +1522,20 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
               <h4 className="drawer-section-title">🔥 {t('thermalDetection')}</h4>
               <div className="drawer-row"><span>{t('brightness')}</span><strong>{item.brightness?.toFixed(1)} K</strong></div>
               {item.frp > 0 && <div className="drawer-row"><span>FRP</span><strong>{item.frp.toFixed(1)} MW {item.intensity ? `— ${item.intensity}` : ''}</strong></div>}
-              {item.confidence && <div className="drawer-row"><span>{t('confidence')}</span><strong>{item.confidence}</strong></div>}
+              {item.confidence && <div className="drawer-row"><span>{t('confidence')}</span><strong>{item.confidence}{item.confidenceRaw && item.confidenceRaw !== item.confidence ? ` (${item.confidenceRaw})` : ''}</strong></div>}
               {item.satellite && <div className="drawer-row"><span>Satellite</span><strong>{item.satellite}</strong></div>}
               {item.instrument && <div className="drawer-row"><span>Instrument</span><strong>{item.instrument}</strong></div>}
+              {item.confirmed !== undefined && (
+                <div className="drawer-row">
+                  <span>{t('confirmation')}</span>
+                  <strong>
+                    {item.confirmed
+                      ? `✅ ${t('confirmed')}${item.confirmedBy?.length ? ` — ${item.confirmedBy.join(', ')}` : ''}`
+                      : `⚪ ${t('unconfirmed')}`}
+                  </strong>
+                </div>
+              )}
+              {item.likelyStatic && <div className="drawer-row"><span>🏭 {t('likelyStatic')}</span><strong>{item.staticSource === 'learned' ? t('persistentHotspot') : item.staticSource}</strong></div>}
               {(item.dayNight || item.daynight) && <div className="drawer-row"><span>Pass</span><strong>{(item.dayNight || item.daynight) === 'D' ? '☀️ Daytime' : '🌙 Nighttime'}</strong></div>}
               {item.estimatedArea > 0 && <div className="drawer-row"><span>{t('estimatedArea')}</span><strong>{item.estimatedArea.toFixed(2)} km²</strong></div>}
             </div>
@@ -1106,6 +1547,55 @@ const DetailDrawer = ({ item, type, onClose, onShare }) => {
           </>
         )}
 
+        {/* ═══ FIRE COMPLEXES ═══ */}
+        {type === 'firecomplexes' && (
+          <>
+            <div className="drawer-section">
+              <h4 className="drawer-section-title">🔥 {t('fireComplex')}</h4>
+              <div className="drawer-row"><span>{t('totalFrp')}</span><strong>{(item.totalFrp || 0).toFixed(1)} MW {item.intensity ? `— ${item.intensity}` : ''}</strong></div>
+              {item.maxFrp > 0 && <div className="drawer-row"><span>{t('maxFrp')}</span><strong>{item.maxFrp.toFixed(1)} MW</strong></div>}
+              <div className="drawer-row"><span>{t('detections')}</span><strong>{item.detectionCount} ({item.detectionsLast24h} {t('last24h')})</strong></div>
+              {item.areaKm2 > 0 && <div className="drawer-row"><span>{t('complexArea')}</span><strong>{item.areaKm2.toFixed(1)} km²</strong></div>}
+              {item.growthKm2PerDay !== null && item.growthKm2PerDay !== undefined && (
+                <div className="drawer-row"><span>{t('growthRate')}</span><strong>{item.growthKm2PerDay > 0 ? '+' : ''}{item.growthKm2PerDay.toFixed(1)} km²/day</strong></div>
+              )}
+              {item.likelyStatic && <div className="drawer-row"><span>🏭 {t('likelyStatic')}</span><strong>{item.staticSource === 'learned' ? t('persistentHotspot') : item.staticSource}</strong></div>}
+              {item.confirmedCount !== undefined && <div className="drawer-row"><span>{t('confirmation')}</span><strong>{item.confirmed ? '✅' : '⚪'} {item.confirmedCount}/{item.detectionCount} {t('confirmed')}</strong></div>}
+              {item.satellites?.length > 0 && <div className="drawer-row"><span>Satellite</span><strong>{item.satellites.join(', ')}</strong></div>}
+            </div>
+            <div className="drawer-section">
+              <h4 className="drawer-section-title">📅 Detection</h4>
+              {item.firstSeen && <div className="drawer-row"><span>{t('firstSeen')}</span><strong>{new Date(item.firstSeen).toLocaleString()}</strong></div>}
+              {item.lastSeen && <div className="drawer-row"><span>{t('lastSeen')}</span><strong>{new Date(item.lastSeen).toLocaleString()}</strong></div>}
+              <div className="drawer-row"><span>{t('status')}</span><strong>{item.isActive === false ? t('inactive') : t('active')}</strong></div>
+            </div>
+          </>
+        )}
+
+        {/* ═══ HAZARD CHAIN (earthquakes / tsunamis / landslides) ═══ */}
+        {linked.length > 0 && (
+          <div className="drawer-section">
+            <h4 className="drawer-section-title">⛓️ {t('hazardChain')}</h4>
+            {linked.map(link => (
+              <div
+                key={link.id}
+                className="drawer-row drawer-cascade-row"
+                role="button"
+                tabIndex={0}
+                onClick={() => onSelect && onSelect(link.event, link.type)}
+                onKeyDown={(e) => { if (e.key === 'Enter' && onSelect) onSelect(link.event, link.type); }}
+              >
+                <span>{DISASTER_CONFIG[link.type]?.icon} {link.event.name || link.event.place || link.event.title || link.id}</span>
+                <strong>
+                  {link.role === 'trigger'
+                    ? t('triggerEvent')
+                    : `${formatLag(link.lagMinutes)} · ${link.distanceKm} km`}
+                </strong>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* ═══ COORDINATES (all types) ═══ */}
         <div className="drawer-section">
           <h4 className="drawer-section-title">📍 {t('coordinates')}</h4>
@@ -1159,7 +1649,8 @@ const RegionStats = ({ data, watchArea }) => {
     let total = 0;
     
     Object.entries(data).forEach(([type, items]) => {
-      if (!items?.length) return;
+      // Aurora zones are a sky forecast, not events near the area
+      if (!items?.length || type === 'aurora') return;
       const nearby = items.filter(item => {
         const coords = getEventCoords(item);
         if (!coords) return false;
@@ -1171,10 +1662,10 @@ const RegionStats = ({ data, watchArea }) => {
       }
     });
     
-    return { name, radius, results, total };
+    return { name, radius, results, total, aurora: auroraOutlook(data.aurora, lat, lon) };
   }, [data, watchArea]);
   
-  if (!stats || stats.total === 0) return null;
+  if (!stats || (stats.total === 0 && !stats.aurora.visibleTonight)) return null;
   
   return (
     <div className="region-stats" role="complementary" aria-label="Watch area statistics">
@@ -1191,6 +1682,12 @@ const RegionStats = ({ data, watchArea }) => {
           </div>
         ))}
       </div>
+      {stats.aurora.visibleTonight && (
+        <div className="region-stat-item">
+          <span className="region-stat-icon">🌌</span>
+          <span className="region-stat-label">{t(stats.aurora.overheadTonight ? 'auroraOverheadTonight' : 'auroraVisibleTonight')}</span>
+        </div>
+      )}
       <div className="region-stats-total">
         {stats.total} {t('event')}{stats.total !== 1 ? 's' : ''} — {stats.radius}km
       </div>
@@ -1242,6 +1739,22 @@ const MapController = ({ flyTarget }) => {
   return null;
 };
 
+// Reports the zoom and the padded viewport bbox after every pan or zoom
+const ViewportWatcher = ({ onChange }) => {
+  const map = useMap();
+  useEffect(() => {
+    const report = () => {
+      const b = map.getBounds().pad(0.25);
+      const bbox = [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map(v => +v.toFixed(3));
+      onChange({ zoom: map.getZoom(), bbox });
+    };
+    report();
+    map.on('moveend', report);
+    return () => map.off('moveend', report);
+  }, [map, onChange]);
+  return null;
+};
+
 // =====================================================================
 // TIME CONTROL
 // =====================================================================
@@ -1585,6 +2098,37 @@ const PopupContent = ({ item, type, config, onOpenDrawer }) => {
             {item.satellite && <div className="detail-row"><strong>Satellite:</strong><span className="detail-value">{item.satellite}</span></div>}
           </>
         )}
+
+        {type === 'conflicts' && (
+          <>
+            {item.description && <div className="detail-row"><span className="detail-value">{item.description}</span></div>}
+            {item.fatalities > 0 && <div className="detail-row"><strong>{t('fatalities')}:</strong><span className="detail-value highlight">{item.fatalities}</span></div>}
+            <div className="detail-row"><strong>{t('confidence')}:</strong><span className="detail-value">{item.confidence}/100 · {item.sourceCount} {t('outlets')}</span></div>
+          </>
+        )}
+
+        {type === 'ashadvisories' && (
+          <>
+            {item.maxFlightLevel != null && <div className="detail-row"><strong>{t('maxFlightLevel')}:</strong><span className="detail-value highlight">{severity}</span></div>}
+            {item.vaac && <div className="detail-row"><strong>VAAC:</strong><span className="detail-value">{item.vaac}{item.advisoryNumber ? ` #${item.advisoryNumber}` : ''}</span></div>}
+            {item.volcanoEventName && <div className="detail-row"><strong>{t('linkedVolcano')}:</strong><span className="detail-value">{item.volcanoEventName}</span></div>}
+          </>
+        )}
+
+        {type === 'aurora' && (
+          <>
+            <div className="detail-row"><strong>{t('auroraZone')}:</strong><span className="detail-value">{t(item.zone === 'overhead' ? 'auroraOverhead' : 'auroraHorizon')}</span></div>
+            {item.maxProbability > 0 && <div className="detail-row"><strong>{t('maxProbability')}:</strong><span className="detail-value">{item.maxProbability}%</span></div>}
+          </>
+        )}
+
+        {type === 'firecomplexes' && (
+          <>
+            <div className="detail-row"><strong>{t('totalFrp')}:</strong><span className="detail-value">{(item.totalFrp || 0).toFixed(1)} MW — {item.intensity || ''}</span></div>
+            <div className="detail-row"><strong>{t('detections')}:</strong><span className="detail-value">{item.detectionCount}</span></div>
+            {item.areaKm2 > 0 && <div className="detail-row"><strong>{t('complexArea')}:</strong><span className="detail-value">{item.areaKm2.toFixed(1)} km²</span></div>}
+          </>
+        )}
       </div>
 
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px', paddingTop: '6px', borderTop: '1px solid rgba(255,255,255,0.08)', fontSize: '11px' }}>
@@ -1604,11 +2148,15 @@ const FEED_ICONS = {
   earthquakes: { icon: '🌍', color: '#ff4444', labelKey: 'earthquake' },
   wildfires:   { icon: '🔥', color: '#ff6600', labelKey: 'wildfire' },
   fires:       { icon: '🔥', color: '#ff8800', labelKey: 'hotspot' },
+  firecomplexes: { icon: '🔥', color: '#ff5500', labelKey: 'fireComplex' },
   floods:      { icon: '🌊', color: '#4488ff', labelKey: 'flood' },
   cyclones:    { icon: '🌀', color: '#00ccff', labelKey: 'cyclone' },
   volcanoes:   { icon: '🌋', color: '#ff3333', labelKey: 'volcano' },
   droughts:    { icon: '🏜️', color: '#cc9900', labelKey: 'drought' },
   spaceweather:{ icon: '☀️', color: '#ff00ff', labelKey: 'space' },
+  aurora:      { icon: '🌌', color: '#33ff99', labelKey: 'aurora' },
+  ashadvisories: { icon: '🌋', color: '#aaaaaa', labelKey: 'ashAdvisory' },
+  conflicts:   { icon: '⚔️', color: '#cc3366', labelKey: 'conflict' },
   weather:     { icon: '⚠️', color: '#ffaa00', labelKey: 'weatherAlert' },
   landslides:  { icon: '⛰️', color: '#8B4513', labelKey: 'landslide' },
   tsunamis:    { icon: '🌊', color: '#0066cc', labelKey: 'tsunami' },
@@ -1616,41 +2164,86 @@ const FEED_ICONS = {
 
 const MAX_FEED_ITEMS = 80;
 
-const LiveFeed = ({ data, connected, onEventClick, activeEventId, onShowAnalytics, onShowPreferences }) => {
+// One-line summary of an event:updated change set
+const describeChanges = (changes) => {
+  if (!changes) return '';
+  if (changes.magnitude) return `M${Number(changes.magnitude.from || 0).toFixed(1)} → M${Number(changes.magnitude.to || 0).toFixed(1)}`;
+  if (changes.alertLevel) return `${changes.alertLevel.from || '—'} → ${changes.alertLevel.to || '—'}`;
+  if (changes.severity) return `${changes.severity.from || '—'} → ${changes.severity.to || '—'}`;
+  if (changes.windSpeed) return `${changes.windSpeed.from || 0} → ${changes.windSpeed.to || 0} km/h`;
+  if (changes.areaKm2) return `${Number(changes.areaKm2.from || 0).toFixed(1)} → ${Number(changes.areaKm2.to || 0).toFixed(1)} km²`;
+  if (changes.sequence) return `${changes.sequence.from?.count || 0} → ${changes.sequence.to?.count || 0} aftershocks`;
+  return Object.keys(changes).slice(0, 3).join(', ');
+};
+
+const buildFeedItem = (item, type, extra = {}) => {
+  const coords = getEventCoords(item);
+  if (!coords) return null;
+  const id = item.id || item.name || JSON.stringify(coords);
+  const meta = FEED_ICONS[type] || { icon: '❓', color: '#888', labelKey: type };
+  return {
+    feedId: `${type}_${id}_${Date.now()}`,
+    type, icon: meta.icon, color: meta.color, labelKey: meta.labelKey,
+    severity: DISASTER_CONFIG[type]?.getSeverity?.(item) || '',
+    title: item.name || item.place || item.event || meta.labelKey,
+    lat: coords.lat, lon: coords.lon,
+    timestamp: getEventTimestamp(item, type), isNew: true, item,
+    ...extra
+  };
+};
+
+// Aftershocks / foreshocks are represented by their mainshock when collapsed
+const isSequenceMember = (item) => !!item?.sequenceId && item.sequenceRole !== 'mainshock';
+
+const LiveFeed = ({ data, transitions = [], connected, onEventClick, activeEventId, onShowAnalytics, onShowPreferences, collapseSequences = true }) => {
   const { t, timeAgo } = useTranslation();
   const [feedItems, setFeedItems] = useState([]);
   const [isMinimized, setIsMinimized] = useState(false);
   const [unreadCount, setUnreadCount] = useState(0);
   const [isHovered, setIsHovered] = useState(false);
   const [isAutoScroll, setIsAutoScroll] = useState(true);
-  const prevDataRef = useRef({});
+  const seededRef = useRef(false);
+  const seenTransitionsRef = useRef(new Set());
   const listRef = useRef(null);
 
+  // Seed the feed once from the initial snapshot; after that only real
+  // lifecycle transitions from the server add entries.
   useEffect(() => {
-    const prevData = prevDataRef.current;
-    const newItems = [];
-
+    if (seededRef.current) return;
+    const initialItems = [];
     Object.keys(data).forEach(type => {
       if (!data[type]?.length || type === 'fires') return;
-      const prevIds = new Set((prevData[type] || []).map(i => i.id || i.name || JSON.stringify(getEventCoords(i))));
-
       data[type].forEach(item => {
-        const id = item.id || item.name || JSON.stringify(getEventCoords(item));
-        if (prevIds.has(id)) return;
-        const coords = getEventCoords(item);
-        if (!coords) return;
-        const meta = FEED_ICONS[type] || { icon: '❓', color: '#888', labelKey: type };
-        const ts = getEventTimestamp(item, type);
-        const severity = DISASTER_CONFIG[type]?.getSeverity?.(item) || '';
-        
-        newItems.push({
-          feedId: `${type}_${id}_${Date.now()}`,
-          type, icon: meta.icon, color: meta.color, labelKey: meta.labelKey, severity,
-          title: item.name || item.place || item.event || meta.labelKey,
-          lat: coords.lat, lon: coords.lon,
-          timestamp: ts, isNew: true, item
-        });
+        if (collapseSequences && isSequenceMember(item)) return;
+        const feedItem = buildFeedItem(item, type);
+        if (feedItem) initialItems.push(feedItem);
+      });
+    });
+    if (initialItems.length === 0) return;
+    seededRef.current = true;
+    initialItems.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    setFeedItems(prev => [...prev, ...initialItems].slice(0, MAX_FEED_ITEMS));
+  }, [data, collapseSequences]);
+
+  useEffect(() => {
+    const newItems = [];
+
+    transitions.forEach(tr => {
+      const key = tr.streamId || `${tr.type}_${tr.id}_${tr.kind}_${tr.at}`;
+      if (seenTransitionsRef.current.has(key)) return;
+      seenTransitionsRef.current.add(key);
+      if (tr.type === 'fires' || !tr.event) return;
+      // The mainshock's 'updated' transition reports the sequence growing
+      if (collapseSequences && isSequenceMember(tr.event)) return;
+
+      const feedItem = buildFeedItem(tr.event, tr.type, {
+        feedId: `${tr.type}_${tr.id}_${key}`,
+        kind: tr.kind,
+        escalated: !!tr.escalated,
+        changeSummary: tr.kind === 'updated' ? describeChanges(tr.changes) : '',
+        timestamp: new Date(tr.at).getTime()
       });
+      if (feedItem) newItems.push(feedItem);
     });
 
     if (newItems.length > 0) {
@@ -1658,9 +2251,7 @@ const LiveFeed = ({ data, connected, onEventClick, activeEventId, onShowAnalytic
       setFeedItems(prev => [...newItems, ...prev].slice(0, MAX_FEED_ITEMS));
       if (isMinimized) setUnreadCount(prev => prev + newItems.length);
     }
-
-    prevDataRef.current = { ...data };
-  }, [data, isMinimized]);
+  }, [transitions, isMinimized, collapseSequences]);
 
   useEffect(() => {
     if (isAutoScroll && listRef.current) listRef.current.scrollTop = 0;
@@ -1727,11 +2318,17 @@ const LiveFeed = ({ data, connected, onEventClick, activeEventId, onShowAnalytic
               <div className="livefeed-item-body">
                 <div className="livefeed-item-top">
                   <span className="livefeed-item-label" style={{ color: feedItem.color }}>{t(feedItem.labelKey)}</span>
+                  {feedItem.kind && (
+                    <span className={`livefeed-kind livefeed-kind-${feedItem.kind} ${feedItem.escalated ? 'livefeed-kind-escalated' : ''}`}>
+                      {t(feedItem.kind === 'new' ? 'eventNew' : feedItem.kind === 'ended' ? 'eventEnded' : feedItem.escalated ? 'eventEscalated' : 'eventUpdated')}
+                    </span>
+                  )}
                   {feedItem.severity && /EXTREME|CRITICAL|ERUPTING|CAT.*[4-5]|WARNING/i.test(feedItem.severity) && (
                     <span className="livefeed-severity livefeed-severity-extreme">{feedItem.severity}</span>
                   )}
                 </div>
                 <div className="livefeed-item-title">{feedItem.title}</div>
+                {feedItem.changeSummary && <div className="livefeed-item-change">{feedItem.changeSummary}</div>}
                 <div className="livefeed-item-time">{timeAgo(feedItem.timestamp) || formatTime(feedItem.timestamp)}</div>
               </div>
             </div>
@@ -2034,8 +2631,8 @@ const MobileMenu = ({
 // MAIN APP COMPONENT v5.2
 // =====================================================================
 function App() {
-  const { rawData, connected, loading } = useRealtimeData();
   const isMobile = useIsMobile();
+  const [viewport, setViewport] = useState(null);
   const { t } = useTranslation();
   const [timeFilter, setTimeFilter] = useState(0);
   const [enabledLayers, setEnabledLayers] = useState(
@@ -2068,6 +2665,12 @@ function App() {
   const [soundEnabled, setSoundEnabled] = useState(() => {
     try { return localStorage.getItem('realnow_sound') !== 'false'; } catch { return true; }
   });
+  const [collapseSequences, setCollapseSequences] = useState(() => {
+    try { return localStorage.getItem('realnow_collapse_sequences') !== 'false'; } catch { return true; }
+  });
+  const [maskStaticHeat, setMaskStaticHeat] = useState(() => {
+    try { return localStorage.getItem('realnow_mask_static_heat') !== 'false'; } catch { return true; }
+  });
   const [showAnalytics, setShowAnalytics] = useState(false);
   const [showPreferences, setShowPreferences] = useState(false);
   const [digestEmail, setDigestEmail] = useState(() => {
@@ -2081,12 +2684,22 @@ function App() {
   useEffect(() => { try { localStorage.setItem('realnow_mapstyle', mapStyle); } catch {} }, [mapStyle]);
   useEffect(() => { try { localStorage.setItem('realnow_language', language); } catch {} }, [language]);
   useEffect(() => { try { localStorage.setItem('realnow_sound', String(soundEnabled)); } catch {} }, [soundEnabled]);
+  useEffect(() => { try { localStorage.setItem('realnow_collapse_sequences', String(collapseSequences)); } catch {} }, [collapseSequences]);
+  useEffect(() => { try { localStorage.setItem('realnow_mask_static_heat', String(maskStaticHeat)); } catch {} }, [maskStaticHeat]);
   useEffect(() => { try { localStorage.setItem('realnow_digest_email', digestEmail); } catch {} }, [digestEmail]);
   useEffect(() => { try { localStorage.setItem('realnow_digest_freq', digestFrequency); } catch {} }, [digestFrequency]);
 
+  // Zoomed-in phones stream their region only — unless alerts need every event
+  const socketFilter = useMemo(() => (
+    isMobile && !alertsEnabled && viewport && viewport.zoom >= VIEWPORT_FILTER_ZOOM
+      ? { bbox: viewport.bbox }
+      : null
+  ), [isMobile, alertsEnabled, viewport]);
+  const { rawData, transitions, connected, loading, subscriptionError } = useRealtimeData(socketFilter);
+
   const data = filterDataByTime(rawData, timeFilter);
   
-  useSmartAlerts(data, alertsEnabled, watchArea, { soundEnabled });
+  useSmartAlerts(data, alertsEnabled, watchArea, { soundEnabled, collapseSequences, maskStaticHeat });
   useCriticalAlerts(data, alertsEnabled && !watchArea);
   
   useEffect(() => { registerServiceWorker(); }, []);
@@ -2113,7 +2726,7 @@ function App() {
 
   useEffect(() => {
     const prefs = {
-      enabledLayers, mapStyle, language, soundEnabled,
+      enabledLayers, mapStyle, language, soundEnabled, collapseSequences, maskStaticHeat,
       alertsEnabled, digestEmail, digestFrequency,
       watchArea: watchArea ? { lat: watchArea.lat, lon: watchArea.lon, radius: watchArea.radius, name: watchArea.name } : null
     };
@@ -2122,7 +2735,7 @@ function App() {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(prefs)
     }).catch(() => {});
-  }, [enabledLayers, mapStyle, language, soundEnabled, alertsEnabled, digestEmail, digestFrequency, watchArea]);
+  }, [enabledLayers, mapStyle, language, soundEnabled, collapseSequences, maskStaticHeat, alertsEnabled, digestEmail, digestFrequency, watchArea]);
 
   const handleFeedClick = useCallback((feedItem) => {
     setFlyTarget({ lat: feedItem.lat, lon: feedItem.lon, zoom: 7, _ts: Date.now() });
@@ -2155,6 +2768,10 @@ function App() {
     setTimeout(() => setShareToast(''), 2500);
   }, []);
 
+  useEffect(() => {
+    if (subscriptionError) handleShare(t('subscriptionRejected'));
+  }, [subscriptionError, handleShare, t]);
+
   const renderDisasterMarkers = (items, type) => {
     if (type === 'fires') return null;
     if (!enabledLayers[type] || !items?.length) return null;
@@ -2228,9 +2845,11 @@ function App() {
         <MapContainer id="main-map" center={[20, 0]} zoom={2} className="map-container" zoomControl={false} worldCopyJump={true}>
           <MapStyleSwitcher mapStyle={mapStyle} onStyleChange={setMapStyle} />
           <MapController flyTarget={flyTarget} />
+          <ViewportWatcher onChange={setViewport} />
           {heatmapEnabled && <HeatmapLayer data={data} enabledLayers={enabledLayers} />}
           {watchArea && <WatchAreaCircle watchArea={watchArea} />}
           <DisasterPolygons data={data} enabledLayers={enabledLayers} />
+          <ShakeMapContours quake={drawerType === 'earthquakes' ? drawerItem : null} />
           {enabledLayers.cyclones && data.cyclones?.map((cyclone, i) => (
             <CycloneTrackLine key={`ct-${i}`} cyclone={cyclone} />
           ))}
@@ -2258,8 +2877,9 @@ function App() {
               onShowAnalytics={() => setShowAnalytics(true)}
               onShowPreferences={() => setShowPreferences(true)}
             />
-            <LiveFeed data={data} connected={connected} onEventClick={handleFeedClick} activeEventId={activeEventId}
-              onShowAnalytics={() => setShowAnalytics(true)} onShowPreferences={() => setShowPreferences(true)} />
+            <LiveFeed data={data} transitions={transitions} connected={connected} onEventClick={handleFeedClick} activeEventId={activeEventId}
+              onShowAnalytics={() => setShowAnalytics(true)} onShowPreferences={() => setShowPreferences(true)}
+              collapseSequences={collapseSequences} />
           </>
         ) : (
           <>
@@ -2284,12 +2904,13 @@ function App() {
               )}
             </div>
             
-            <LiveFeed data={data} connected={connected} onEventClick={handleFeedClick} activeEventId={activeEventId}
-              onShowAnalytics={() => setShowAnalytics(true)} onShowPreferences={() => setShowPreferences(true)} />
+            <LiveFeed data={data} transitions={transitions} connected={connected} onEventClick={handleFeedClick} activeEventId={activeEventId}
+              onShowAnalytics={() => setShowAnalytics(true)} onShowPreferences={() => setShowPreferences(true)}
+              collapseSequences={collapseSequences} />
           </>
         )}
         
-        <DetailDrawer item={drawerItem} type={drawerType} onClose={() => { setDrawerItem(null); setDrawerType(null); }} onShare={handleShare} />
+        <DetailDrawer item={drawerItem} type={drawerType} data={data} onClose={() => { setDrawerItem(null); setDrawerType(null); }} onShare={handleShare} onSelect={handleOpenDrawer} />
         
         {showAnalytics && (
           <AnalyticsDashboard data={data} isOpen={true} connected={connected} onClose={() => setShowAnalytics(false)} />
@@ -2303,6 +2924,8 @@ function App() {
             language={language} onLanguageChange={setLanguage}
             alertsEnabled={alertsEnabled} onAlertsToggle={setAlertsEnabled}
             soundEnabled={soundEnabled} onSoundToggle={setSoundEnabled}
+            collapseSequences={collapseSequences} onCollapseSequencesToggle={setCollapseSequences}
+            maskStaticHeat={maskStaticHeat} onMaskStaticHeatToggle={setMaskStaticHeat}
             watchArea={watchArea} onClearWatchArea={() => setWatchArea(null)}
             digestEmail={digestEmail} onDigestEmailChange={setDigestEmail}
             digestFrequency={digestFrequency} onDigestFrequencyChange={setDigestFrequency}
@@ -79,7 +79,16 @@ const DonutChart = ({ segments, size = 120, eventsLabel = 'EVENTS' }) => {
 
 // ── Country Extraction ─────────────────────────────────────────────────────
 
-function extractCountry(item) {
+// Events carrying the backend's normalized iso3 are grouped by code, so
+// "DR Congo" (GDACS) and "Democratic Republic of the Congo" (ReliefWeb)
+// land in one row labelled with the first name seen.
+function extractCountry(item, namesByIso3 = {}) {
+  if (item.iso3) {
+    if (!namesByIso3[item.iso3]) {
+      namesByIso3[item.iso3] = item.country || item.affectedCountries?.[0] || item.iso3;
+    }
+    return namesByIso3[item.iso3];
+  }
   if (item.country) return item.country;
   if (item.affectedCountries && item.affectedCountries.length > 0) {
     return item.affectedCountries[0];
@@ -93,6 +102,11 @@ function extractCountry(item) {
 // ── Severity Distribution ──────────────────────────────────────────────────
 
 function getSeverityBucket(item, type) {
+  // Backend-normalized bucket (critical/severe/moderate/minor) when present
+  if (item.severityBucket) {
+    if (item.isActive === false) return 'Inactive';
+    return item.severityBucket.charAt(0).toUpperCase() + item.severityBucket.slice(1);
+  }
   if (type === 'earthquakes') {
     const m = item.magnitude || 0;
     if (m >= 6) return 'Critical';
@@ -160,10 +174,11 @@ const AnalyticsDashboard = ({ data, isOpen, onClose, connected }) => {
 
     // Country leaderboard
     const countryCounts = {};
+    const namesByIso3 = {};
     Object.entries(data).forEach(([type, items]) => {
       if (!items?.length) return;
       items.forEach(item => {
-        const country = extractCountry(item);
+        const country = extractCountry(item, namesByIso3);
         if (country && country !== 'Unknown' && country.length < 40) {
           if (!countryCounts[country]) countryCounts[country] = { total: 0, types: {} };
           countryCounts[country].total++;
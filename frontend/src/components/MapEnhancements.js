@@ -11,7 +11,7 @@
 //   3. Added 'mapStyle' as primary prop name for consistency with App.js
 // ============================================================================
 
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useEffect } from 'react';
 import { TileLayer, Polygon, Polyline, CircleMarker, Tooltip } from 'react-leaflet';
 
 // ── Map Tile Styles ────────────────────────────────────────────────────────
@@ -113,8 +113,26 @@ function getItemCoords(item) {
   return null;
 }
 
+// GeoJSON (Multi)Polygon [lon, lat] → Leaflet positions [lat, lon]
+function geometryToPositions(geometry) {
+  if (!geometry?.coordinates) return null;
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : null;
+  if (!polygons?.length) return null;
+  return polygons.map(rings => rings.map(ring => ring.map(([lon, lat]) => [lat, lon])));
+}
+
+const WEATHER_SEVERITY_COLORS = {
+  Extreme: '#ff2222',
+  Severe: '#ff6600',
+  Moderate: '#ffaa00',
+  Minor: '#ffdd55'
+};
+
 /**
- * DisasterPolygons — Renders affected-area polygons for floods, wildfires, and droughts.
+ * DisasterPolygons — Renders affected-area polygons for floods, wildfires,
+ * droughts, fire-complex hulls, aurora zones, VAAC ash clouds per time step,
+ * and the real warning areas of weather alerts and tsunami threats.
  */
 export const DisasterPolygons = ({ data, enabledLayers }) => {
   const polygons = useMemo(() => {
@@ -170,6 +188,27 @@ export const DisasterPolygons = ({ data, enabledLayers }) => {
       });
     }
 
+    // FIRMS fire-complex hulls (clustered server-side from all hotspots)
+    if (enabledLayers?.firecomplexes && data.firecomplexes?.length) {
+      data.firecomplexes.forEach((item, i) => {
+        const positions = geometryToPositions(item.geometry);
+        if (!positions) return;
+        const active = item.isActive !== false;
+
+        results.push({
+          key: `firecomplex_poly_${item.id || i}`,
+          positions,
+          color: active ? '#ff5500' : '#884400',
+          fillColor: active ? '#ff3300' : '#663300',
+          opacity: active ? 0.3 : 0.1,
+          weight: active ? 2 : 1,
+          name: item.name || 'Fire complex',
+          type: 'firecomplex',
+          area: item.areaKm2
+        });
+      });
+    }
+
     // Drought affected areas
     if (enabledLayers?.droughts && data.droughts?.length) {
       data.droughts.forEach((item, i) => {
@@ -194,6 +233,97 @@ export const DisasterPolygons = ({ data, enabledLayers }) => {
       });
     }
 
+    // OVATION aurora zones — the wide horizon band first, overhead on top
+    if (enabledLayers?.aurora && data.aurora?.length) {
+      [...data.aurora].sort((a, b) => (a.zone === 'overhead') - (b.zone === 'overhead')).forEach((item, i) => {
+        const positions = geometryToPositions(item.geometry);
+        if (!positions) return;
+        const overhead = item.zone === 'overhead';
+
+        results.push({
+          key: `aurora_poly_${item.id || i}`,
+          positions,
+          color: overhead ? '#00ff66' : '#33ff99',
+          fillColor: overhead ? '#00ff66' : '#33ff99',
+          opacity: overhead ? 0.25 : 0.08,
+          weight: overhead ? 1 : 2,
+          dashed: !overhead,
+          name: item.name || 'Aurora',
+          type: 'aurora',
+          detail: item.maxProbability ? `≥${item.threshold}% · peak ${item.maxProbability}%` : null
+        });
+      });
+    }
+
+    // VAAC ash clouds — every time step; forecasts dashed and fading with lead
+    // time, drawn first so the observed cloud sits on top
+    if (enabledLayers?.ashadvisories && data.ashadvisories?.length) {
+      data.ashadvisories.forEach((item, i) => {
+        const active = item.isActive !== false;
+        [...(item.steps || [])].reverse().forEach(step => {
+          step.clouds.forEach((cloud, c) => {
+            const positions = geometryToPositions(cloud.geometry);
+            if (!positions) return;
+            const time = new Date(step.time).toISOString().slice(11, 16);
+
+            results.push({
+              key: `ash_poly_${item.id || i}_${step.offsetHours}_${c}`,
+              positions,
+              color: step.observed ? '#888888' : '#aaaaaa',
+              fillColor: '#777777',
+              opacity: (step.observed ? 0.35 : Math.max(0.06, 0.2 - step.offsetHours * 0.01)) * (active ? 1 : 0.4),
+              weight: step.observed ? 2 : 1,
+              dashed: !step.observed,
+              name: item.name || 'Volcanic ash',
+              type: 'ashadvisory',
+              detail: `${step.label} ${time}Z ${cloud.base}/${cloud.top}${cloud.movement ? ` · ${cloud.movement}` : ''}`
+            });
+          });
+        });
+      });
+    }
+
+    // Weather alert warning areas (storm polygons or resolved NWS zones)
+    if (enabledLayers?.weather && data.weather?.length) {
+      data.weather.forEach((item, i) => {
+        const positions = geometryToPositions(item.geometry);
+        if (!positions) return;
+        const color = WEATHER_SEVERITY_COLORS[item.severity] || '#ffaa00';
+
+        results.push({
+          key: `weather_poly_${item.id || i}`,
+          positions,
+          color,
+          fillColor: color,
+          opacity: item.severity === 'Extreme' ? 0.3 : 0.15,
+          weight: item.geometrySource === 'alert' ? 2 : 1,
+          name: item.event || 'Weather alert',
+          type: 'weather',
+          detail: item.areas
+        });
+      });
+    }
+
+    // Tsunami threat areas from the warning center's CAP message
+    if (enabledLayers?.tsunamis && data.tsunamis?.length) {
+      data.tsunamis.forEach((item, i) => {
+        const positions = geometryToPositions(item.geometry);
+        if (!positions || item.isActive === false) return;
+
+        results.push({
+          key: `tsunami_poly_${item.id || i}`,
+          positions,
+          color: '#0066cc',
+          fillColor: '#0066cc',
+          opacity: item.severity === 'Warning' ? 0.3 : 0.15,
+          weight: 2,
+          name: item.headline || item.name || 'Tsunami threat area',
+          type: 'tsunami',
+          detail: item.threatAreas?.join('; ')
+        });
+      });
+    }
+
     return results;
   }, [data, enabledLayers]);
 
@@ -208,13 +338,15 @@ export const DisasterPolygons = ({ data, enabledLayers }) => {
             fillColor: p.fillColor,
             fillOpacity: p.opacity,
             weight: p.weight,
-            dashArray: p.type === 'drought' ? '5 5' : undefined
+            dashArray: p.type === 'drought' || p.dashed ? '5 5' : undefined
           }}
         >
           <Tooltip direction="center" opacity={0.8}>
             <span style={{ fontFamily: 'monospace', fontSize: 11 }}>
               {p.name}<br />
-              <span style={{ color: '#888' }}>~{Math.round(p.area).toLocaleString()} km²</span>
+              {p.area
+                ? <span style={{ color: '#888' }}>~{Math.round(p.area).toLocaleString()} km²</span>
+                : p.detail && <span style={{ color: '#888' }}>{p.detail.length > 80 ? `${p.detail.slice(0, 80)}…` : p.detail}</span>}
             </span>
           </Tooltip>
         </Polygon>
@@ -312,4 +444,65 @@ export const CycloneTrackLine = ({ cyclone, cyclones, enabled = true }) => {
   );
 };
 
+// USGS ShakeMap intensity colours, used when a contour carries none
+const MMI_COLORS = ['#ffffff', '#ffffff', '#bfccff', '#a0e6ff', '#80ffff', '#7aff93', '#ffff00', '#ffc800', '#ff9100', '#ff0000', '#c80000'];
+const MMI_ROMAN = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'X+'];
+
+// GeoJSON (Multi)LineString / (Multi)Polygon [lon, lat] → Leaflet polylines [lat, lon]
+function geometryToLines(geometry) {
+  const flip = line => line.map(([lon, lat]) => [lat, lon]);
+  switch (geometry?.type) {
+    case 'LineString': return [flip(geometry.coordinates)];
+    case 'MultiLineString':
+    case 'Polygon': return geometry.coordinates.map(flip);
+    case 'MultiPolygon': return geometry.coordinates.flat().map(flip);
+    default: return [];
+  }
+}
+
+/**
+ * ShakeMapContours — MMI intensity contours of the selected earthquake.
+ * Loaded on demand from /api/event/:id/shakemap (only enriched M5.5+ quakes
+ * carry a `shakemap` summary).
+ */
+export const ShakeMapContours = ({ quake }) => {
+  const [contours, setContours] = useState(null);
+  const id = quake?.shakemap?.contourCount ? quake.id : null;
+
+  useEffect(() => {
+    setContours(null);
+    if (!id) return;
+    let cancelled = false;
+    fetch(`/api/event/${encodeURIComponent(id)}/shakemap`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(json => { if (!cancelled && json?.features) setContours(json.features); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [id]);
+
+  if (!contours?.length) return null;
+
+  return (
+    <>
+      {contours.map((feature, i) => {
+        const mmi = feature.properties?.mmi || 0;
+        const color = feature.properties?.color || MMI_COLORS[Math.min(Math.round(mmi), 10)];
+        return (
+          <Polyline
+            key={`shakemap_${id}_${i}`}
+            positions={geometryToLines(feature.geometry)}
+            pathOptions={{ color, weight: mmi >= 6 ? 3 : 2, opacity: 0.85 }}
+          >
+            <Tooltip sticky opacity={0.85}>
+              <span style={{ fontFamily: 'monospace', fontSize: 11 }}>
+                ShakeMap MMI {MMI_ROMAN[Math.min(Math.round(mmi), 11)]} ({mmi.toFixed(1)})
+              </span>
+            </Tooltip>
+          </Polyline>
+        );
+      })}
+    </>
+  );
+};
+
 export { MAP_STYLES };
\ No newline at end of file
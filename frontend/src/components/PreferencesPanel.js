@@ -49,6 +49,10 @@ const PreferencesPanel = ({
   onAlertsToggle,
   soundEnabled = true,
   onSoundToggle,
+  collapseSequences = true,
+  onCollapseSequencesToggle,
+  maskStaticHeat = true,
+  onMaskStaticHeatToggle,
   watchArea = null,
   onClearWatchArea,
   digestEmail = '',
@@ -89,12 +93,12 @@ const PreferencesPanel = ({
     if (!isOpen) return;
     const timer = setTimeout(() => {
       syncToBackend({
-        mapStyle, language, alertsEnabled, soundEnabled,
+        mapStyle, language, alertsEnabled, soundEnabled, collapseSequences, maskStaticHeat,
         digestEmail: localEmail, digestFrequency, watchArea
       });
     }, 1000);
     return () => clearTimeout(timer);
-  }, [mapStyle, language, alertsEnabled, soundEnabled, localEmail, digestFrequency, watchArea, isOpen, syncToBackend]);
+  }, [mapStyle, language, alertsEnabled, soundEnabled, collapseSequences, maskStaticHeat, localEmail, digestFrequency, watchArea, isOpen, syncToBackend]);
 
   // Load from backend on open
   useEffect(() => {
@@ -153,6 +157,16 @@ const PreferencesPanel = ({
     flashSaved('sound');
   };
 
+  const handleCollapseSequencesToggle = (val) => {
+    onCollapseSequencesToggle?.(val);
+    flashSaved('collapseSequences');
+  };
+
+  const handleMaskStaticHeatToggle = (val) => {
+    onMaskStaticHeatToggle?.(val);
+    flashSaved('maskStaticHeat');
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -214,6 +228,14 @@ const PreferencesPanel = ({
             <span className="prefs-label">🔊 {t('alertSounds') || 'Alert Sounds'}</span>
             <Toggle checked={soundEnabled} onChange={handleSoundToggle} label="Toggle alert sounds" />
           </div>
+          <div className="prefs-row">
+            <span className="prefs-label">🔗 {t('collapseAftershocks') || 'Collapse Aftershocks'}</span>
+            <Toggle checked={collapseSequences} onChange={handleCollapseSequencesToggle} label="Toggle aftershock sequence grouping" />
+          </div>
+          <div className="prefs-row">
+            <span className="prefs-label">🏭 {t('maskStaticHeat') || 'Mask Static Heat Sources'}</span>
+            <Toggle checked={maskStaticHeat} onChange={handleMaskStaticHeatToggle} label="Toggle static heat source masking" />
+          </div>
         </div>
 
         {/* Watch Area */}
@@ -39,12 +39,50 @@ function getCoords(item) {
   return null;
 }
 
+function ringContains(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (((yi > lat) !== (yj > lat)) && (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Distance in km from a point to a GeoJSON (Multi)Polygon — 0 when inside.
+// Edges are measured on a local flat projection, fine at warning-area scale.
+function distanceToGeometryKm(geometry, lat, lon) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+  if (polygons.some(rings => rings[0] && ringContains(rings[0], lon, lat) &&
+      !rings.slice(1).some(hole => ringContains(hole, lon, lat)))) {
+    return 0;
+  }
+
+  const kx = Math.cos(lat * Math.PI / 180);
+  let best = Infinity;
+  polygons.forEach(rings => rings.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const ax = (ring[i - 1][0] - lon) * kx, ay = ring[i - 1][1] - lat;
+      const bx = (ring[i][0] - lon) * kx, by = ring[i][1] - lat;
+      const dx = bx - ax, dy = by - ay;
+      const len = dx * dx + dy * dy;
+      const t = len === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len));
+      const d = Math.hypot(ax + t * dx, ay + t * dy) * 111.32;
+      if (d < best) best = d;
+    }
+  }));
+  return best;
+}
+
 const ALERT_CONFIGS = {
   earthquakes: {
     icon: '🌍',
     isCritical: (item) => (item.magnitude || 0) >= 5.5,
     getSummary: (item) => `M${(item.magnitude || 0).toFixed(1)} Earthquake`,
-    getDetail: (item) => item.place || item.name || 'Unknown location'
+    getDetail: (item) => `${item.place || item.name || 'Unknown location'}${item.sequence?.count ? ` · ${item.sequence.count} aftershocks` : ''}`
   },
   cyclones: {
     icon: '🌀',
@@ -64,12 +102,25 @@ const ALERT_CONFIGS = {
     getSummary: (item) => `Wildfire${item.isActive ? ' (Active)' : ''}`,
     getDetail: (item) => item.name || item.place || 'Unknown area'
   },
+  firecomplexes: {
+    icon: '🔥',
+    // Unconfirmed complexes are single-look detections — likely noise
+    isCritical: (item) => item.isActive !== false && item.confirmed !== false && (item.totalFrp || 0) >= 2000,
+    getSummary: (item) => `Fire Complex (${Math.round(item.totalFrp || 0)} MW)`,
+    getDetail: (item) => `${item.name || 'Unknown area'}${item.areaKm2 ? ` · ${item.areaKm2.toFixed(1)} km²` : ''}`
+  },
   volcanoes: {
     icon: '🌋',
     isCritical: (item) => item.alertLevel === 'Red',
     getSummary: (item) => `Volcanic Activity`,
     getDetail: (item) => item.name || 'Unknown volcano'
   },
+  ashadvisories: {
+    icon: '🌋',
+    isCritical: (item) => item.isActive !== false && (item.maxFlightLevel || 0) >= 250,
+    getSummary: (item) => `Volcanic Ash to FL${String(item.maxFlightLevel || 0).padStart(3, '0')}`,
+    getDetail: (item) => `${item.volcano || item.name || 'Unknown volcano'}${item.vaac ? ` · ${item.vaac} VAAC` : ''}`
+  },
   tsunamis: {
     icon: '🌊',
     isCritical: (item) => item.severity === 'Warning' || item.severity === 'Watch',
@@ -81,6 +132,25 @@ const ALERT_CONFIGS = {
     isCritical: (item) => (item.fatalities || 0) > 5,
     getSummary: (item) => `Landslide${item.fatalities ? ` (${item.fatalities} fatalities)` : ''}`,
     getDetail: (item) => item.name || item.place || 'Unknown location'
+  },
+  spaceweather: {
+    icon: '☀️',
+    isCritical: (item) => (item.scales?.maxLevel || 0) >= 3,
+    getSummary: (item) => `Space Weather: ${['G', 'S', 'R'].map(k => item.scales?.[k]).filter(s => s?.level >= 3).map(s => s.label).join(' · ')}`,
+    getDetail: (item) => item.description || ''
+  },
+  conflicts: {
+    icon: '⚔️',
+    // Only well-corroborated deadly incidents — single reports are too noisy
+    isCritical: (item) => item.isActive !== false && item.intensity >= 5 && item.confidenceLevel === 'high',
+    getSummary: (item) => `${item.category || 'Conflict'}${item.fatalities ? ` (${item.fatalities} killed)` : ''}`,
+    getDetail: (item) => `${item.locality || item.country || 'Unknown location'} · ${item.sourceCount || 1} outlets`
+  },
+  weather: {
+    icon: '⚠️',
+    isCritical: (item) => item.severity === 'Extreme' || (item.severity === 'Severe' && item.urgency === 'Immediate'),
+    getSummary: (item) => item.event || 'Weather Alert',
+    getDetail: (item) => item.areas || ''
   }
 };
 
@@ -128,10 +198,10 @@ function sendNotification(title, body, tag = 'realnow') {
  * @param {Object} data — Current disaster data
  * @param {boolean} alertsEnabled — Whether alerts are turned on
  * @param {Object|null} watchArea — { lat, lon, radiusKm, label } or null
- * @param {Object} options — { soundEnabled: boolean }
+ * @param {Object} options — { soundEnabled: boolean, collapseSequences: boolean, maskStaticHeat: boolean }
  */
 export function useSmartAlerts(data, alertsEnabled, watchArea, options = {}) {
-  const { soundEnabled = true } = options;
+  const { soundEnabled = true, collapseSequences = true, maskStaticHeat = true } = options;
   const alertedIds = useRef(new Set());
   const lastAlertTime = useRef(0);
   const ALERT_COOLDOWN = 10000; // 10 second minimum between alerts
@@ -152,6 +222,10 @@ export function useSmartAlerts(data, alertsEnabled, watchArea, options = {}) {
         const id = item.id || `${type}_${item.name}_${item.latitude}_${item.longitude}`;
         if (alertedIds.current.has(id)) return;
         if (!config.isCritical(item)) return;
+        // One alert per aftershock sequence — the mainshock's
+        if (collapseSequences && item.sequenceId && item.sequenceRole !== 'mainshock') return;
+        // Gas flares, industry and lava lakes are not news
+        if (maskStaticHeat && item.likelyStatic) return;
 
         const coords = getCoords(item);
         if (!coords) return;
@@ -160,14 +234,17 @@ export function useSmartAlerts(data, alertsEnabled, watchArea, options = {}) {
         let isNearby = false;
 
         if (watchArea) {
-          distance = haversineKm(watchArea.lat, watchArea.lon, coords.lat, coords.lon);
+          // Warning areas count as nearby when they overlap the watch area
+          distance = item.geometry
+            ? distanceToGeometryKm(item.geometry, watchArea.lat, watchArea.lon)
+            : haversineKm(watchArea.lat, watchArea.lon, coords.lat, coords.lon);
           isNearby = distance <= (watchArea.radiusKm || 500);
         }
 
         // Calculate priority score (lower = more urgent)
         let priority = 50;
         if (isNearby) priority -= 30;
-        if (distance && distance < 100) priority -= 10;
+        if (distance !== null && distance < 100) priority -= 10;
         if (type === 'earthquakes' && (item.magnitude || 0) >= 7) priority -= 20;
         if (type === 'tsunamis') priority -= 15;
         if (item.alertLevel === 'Red') priority -= 10;
@@ -187,9 +264,9 @@ export function useSmartAlerts(data, alertsEnabled, watchArea, options = {}) {
     const top = newAlerts[0];
     const summary = top.config.getSummary(top.item);
     const detail = top.config.getDetail(top.item);
-    const distText = top.distance != null
-      ? ` — ${Math.round(top.distance)}km from ${watchArea?.label || 'your watch area'}`
-      : '';
+    const distText = top.distance == null ? ''
+      : top.distance === 0 ? ` — covers ${watchArea?.label || 'your watch area'}`
+      : ` — ${Math.round(top.distance)}km from ${watchArea?.label || 'your watch area'}`;
     const nearbyTag = top.isNearby ? ' ⚠️ NEARBY' : '';
 
     const title = `${top.config.icon} ${summary}${nearbyTag}`;
@@ -210,7 +287,7 @@ export function useSmartAlerts(data, alertsEnabled, watchArea, options = {}) {
     // Log
     console.log(`🚨 [SmartAlert] ${title}: ${body} (${newAlerts.length} new events)`);
 
-  }, [data, alertsEnabled, watchArea, soundEnabled]);
+  }, [data, alertsEnabled, watchArea, soundEnabled, collapseSequences, maskStaticHeat]);
 
   useEffect(() => {
     checkAlerts();
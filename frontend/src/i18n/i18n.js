@@ -20,21 +20,21 @@ export const LANGUAGES = {
 
 const TRANSLATIONS = {
   en: {
-    loading:'Loading Real-Time Disaster Data...',connected:'Connected',disconnected:'Disconnected',live:'LIVE',offline:'OFFLINE',close:'Close',back:'Back',search:'Search',share:'Share',settings:'Settings',analytics:'Analytics',copyLink:'Copy Link',linkCopied:'Link copied!',viewFullDetails:'View Full Details →',streamingLive:'Streaming live',reconnecting:'Reconnecting...',unknown:'Unknown',noData:'No data',reports:'reports',
+    loading:'Loading Real-Time Disaster Data...',connected:'Connected',disconnected:'Disconnected',live:'LIVE',offline:'OFFLINE',close:'Close',back:'Back',search:'Search',share:'Share',settings:'Settings',analytics:'Analytics',copyLink:'Copy Link',linkCopied:'Link copied!',subscriptionRejected:'Live update filter rejected',viewFullDetails:'View Full Details →',streamingLive:'Streaming live',reconnecting:'Reconnecting...',unknown:'Unknown',noData:'No data',reports:'reports',
     earthquakes:'Earthquakes',wildfires:'Wildfires',floods:'Floods',cyclones:'Cyclones',volcanoes:'Volcanoes',droughts:'Droughts',landslides:'Landslides',tsunamis:'Tsunamis',spaceweather:'Space Weather',fires:'Fire Hotspots',weather:'Weather Alerts',
     earthquake:'Earthquake',wildfire:'Wildfire',flood:'Flood',cyclone:'Cyclone',volcano:'Volcano',drought:'Drought',landslide:'Landslide',tsunami:'Tsunami',hotspot:'Hotspot',space:'Space',weatherAlert:'Weather',
     critical:'CRITICAL',severe:'SEVERE',moderate:'MODERATE',minor:'MINOR',active:'ACTIVE',ended:'ENDED',contained:'CONTAINED',activelyBurning:'ACTIVELY BURNING',justContained:'JUST CONTAINED',inactive:'Inactive',extreme:'EXTREME',warning:'WARNING',watch:'WATCH',erupting:'ERUPTING',actual:'Actual',expected:'Expected',likely:'Likely',
     totalEvents:'Total Events',activeEvents:'Active Events',endedEvents:'Ended Events',mostAffected:'Most Affected Regions',severityDist:'Severity Distribution',sourceHealth:'Data Source Health',criticalAlerts:'Critical Alerts',criticalAlert:'Critical Alert',
-    liveFeed:'Live Feed',newEvents:'new events',noEvents:'Waiting for events...',autoScroll:'Auto-scroll',
+    liveFeed:'Live Feed',newEvents:'new events',noEvents:'Waiting for events...',autoScroll:'Auto-scroll',eventNew:'NEW',eventUpdated:'UPDATED',eventEscalated:'ESCALATED',eventEnded:'ENDED',
     zoomIn:'Zoom in for details',searchLocation:'Search location...',viewDetails:'View Details',magnitude:'Magnitude',depth:'Depth',nearby:'Nearby',kmAway:'km away',location:'Location',coordinates:'Coordinates',source:'Source',time:'Time',event:'Event',country:'Country',areas:'Areas',population:'Population',popAtRisk:'Pop. at Risk',affectedArea:'Affected Area',
-    seismicData:'Seismic Data',feltReports:'Felt Reports',alertLevel:'Alert Level',tsunamiWarning:'TSUNAMI WARNING ISSUED',tsunamiWarningShort:'TSUNAMI WARNING',shaking:'Shaking',magType:'Type',depthClass:'Depth Class',
+    seismicData:'Seismic Data',feltReports:'Felt Reports',alertLevel:'Alert Level',severityScore:'Severity score',tsunamiWarning:'TSUNAMI WARNING ISSUED',tsunamiWarningShort:'TSUNAMI WARNING',shaking:'Shaking',magType:'Type',depthClass:'Depth Class',
     stormData:'Storm Data',stormType:'Type',category:'Category',windSpeed:'Wind Speed',pressure:'Pressure',track:'Track',movement:'Movement',windRadius:'Wind Radius',basin:'Basin',season:'Season',
     fireStatus:'Fire Status',alert:'Alert',
     floodData:'Flood Data',floodActive:'ACTIVE FLOODING',floodEnded:'Flooding Ended',severity:'Severity',duration:'Duration',affected:'Affected',fromDate:'From',toDate:'To',countries:'Countries',description:'Description',
     droughtData:'Drought Data',droughtLevel:'Level',
     volcanoData:'Volcano Data',alertColor:'Alert Color',lastEruption:'Last Eruption',elevation:'Elevation',type:'Type',
     landslideData:'Landslide Data',fatalities:'Fatalities',trigger:'Trigger',
-    alertDetails:'Alert Details',areaTiming:'Area & Timing',headline:'Headline',certainty:'Certainty',response:'Response',status:'Status',onset:'Onset',expires:'Expires',timeLeft:'Time Left',timeRemaining:'{time} remaining',issuedBy:'Issued By',instruction:'Instructions',wind:'Wind',hail:'Hail',tornado:'Tornado',flashFlood:'Flash Flood',thunderstorm:'Thunderstorm',
+    alertDetails:'Alert Details',areaTiming:'Area & Timing',headline:'Headline',certainty:'Certainty',response:'Response',status:'Status',onset:'Onset',expires:'Expires',timeLeft:'Time Left',timeRemaining:'{time} remaining',issuedBy:'Issued By',zones:'Zones',updates:'Updates',originEarthquake:'Origin Earthquake',threatAreas:'Threat Areas',estimatedArrivals:'Estimated Arrivals',observedWaves:'Observed Waves',bulletin:'Bulletin',hazardChain:'Hazard Chain',triggerEvent:'Trigger',collapseAftershocks:'Collapse Aftershocks',aftershockSequence:'Aftershock Sequence',aftershocks:'Aftershocks',foreshocks:'Foreshocks',largestAftershock:'Largest Aftershock',last24h:'Last 24h',omoriDecay:'Omori Decay (p)',mainshock:'Mainshock',pagerEstimates:'PAGER Estimates',estimatedFatalities:'Est. Fatalities',economicLosses:'Economic Losses',faultingStyle:'Faulting',tectonicSummary:'Tectonic Summary',firecomplexes:'Fire Complexes',fireComplex:'Fire Complex',totalFrp:'Total FRP',maxFrp:'Peak FRP',detections:'Detections',complexArea:'Complex Area',growthRate:'Growth',firstSeen:'First Seen',lastSeen:'Last Seen',confirmation:'Cross-Sensor Check',confirmed:'Confirmed',unconfirmed:'Single detection',maskStaticHeat:'Mask Static Heat Sources',likelyStatic:'Likely static heat source',persistentHotspot:'Persistent hotspot (learned)',noaaScales:'NOAA Scales',geomagneticStorms:'Geomagnetic storms',radiationStorms:'Radiation storms',radioBlackouts:'Radio blackouts',predicted:'Predicted',xrayFlux:'X-ray Flux',flareClass:'Flare class',peak6h:'6 h peak',protonFlux:'Protons ≥10 MeV',solarWind:'Solar Wind',speed:'Speed',density:'Density',kpForecast:'3-Day Kp Forecast',swpcProducts:'Watches & Warnings',aurora:'Aurora',auroraZone:'Zone',auroraOverhead:'Likely overhead',auroraHorizon:'Visible on the horizon',maxProbability:'Peak probability',equatorwardEdge:'Equatorward edge',nightsideMagLat:'Night-side magnetic latitude',forecastTime:'Forecast for',auroraVisibleTonight:'Aurora visible tonight',auroraOverheadTonight:'Aurora likely overhead tonight',ashadvisories:'Volcanic Ash',ashAdvisory:'Volcanic Ash Advisory',advisoryNumber:'Advisory No.',aviationColorCode:'Aviation Colour Code',maxFlightLevel:'Max Flight Level',linkedVolcano:'Volcano Event',nextAdvisory:'Next Advisory',finalAdvisory:'Final advisory',ashCloudSteps:'Ash Cloud (observed & forecast)',eruptionDetails:'Eruption Details',remarks:'Remarks',conflicts:'Conflicts',conflict:'Conflict',incidentDetails:'Incident Details',intensity:'Intensity',newsCoverage:'News Coverage',articles:'Articles',outlets:'Outlets',locationPrecision:'Location Precision',regionLevel:'Region',countryLevel:'Country only',instruction:'Instructions',wind:'Wind',hail:'Hail',tornado:'Tornado',flashFlood:'Flash Flood',thunderstorm:'Thunderstorm',
     spaceWeatherData:'Space Weather Data',tsunamiData:'Tsunami Data',
     locationCoords:'Location',sources:'Sources',timeline:'Timeline',impact:'Impact',details:'Details',parameters:'Parameters',
     mapStyleTitle:'Map Style',darkMode:'Dark',satellite:'Satellite',terrain:'Terrain',light:'Light',language:'Language',sound:'Sound',alertsTitle:'Alerts & Notifications',browserNotifications:'Browser Notifications',alertSounds:'Alert Sounds',watchArea:'Watch Area',clearWatchArea:'Clear Watch Area',noWatchArea:'No watch area set. Click the map with the watch tool.',emailDigest:'Email Digest',emailDigestDesc:'Receive a summary of events in your watch area.',saveEmail:'Save Email',frequency:'Frequency',off:'Off',daily:'Daily',weekly:'Weekly',about:'About',
@@ -44,21 +44,21 @@ const TRANSLATIONS = {
 
   },
   es: {
-    loading:'Cargando datos de desastres en tiempo real...',connected:'Conectado',disconnected:'Desconectado',live:'EN VIVO',offline:'SIN CONEXIÓN',close:'Cerrar',back:'Volver',search:'Buscar',share:'Compartir',settings:'Configuración',analytics:'Analíticas',copyLink:'Copiar Enlace',linkCopied:'¡Enlace copiado!',viewFullDetails:'Ver Detalles Completos →',streamingLive:'Transmitiendo en vivo',reconnecting:'Reconectando...',unknown:'Desconocido',noData:'Sin datos',reports:'reportes',
+    loading:'Cargando datos de desastres en tiempo real...',connected:'Conectado',disconnected:'Desconectado',live:'EN VIVO',offline:'SIN CONEXIÓN',close:'Cerrar',back:'Volver',search:'Buscar',share:'Compartir',settings:'Configuración',analytics:'Analíticas',copyLink:'Copiar Enlace',linkCopied:'¡Enlace copiado!',subscriptionRejected:'Filtro de actualizaciones en vivo rechazado',viewFullDetails:'Ver Detalles Completos →',streamingLive:'Transmitiendo en vivo',reconnecting:'Reconectando...',unknown:'Desconocido',noData:'Sin datos',reports:'reportes',
     earthquakes:'Terremotos',wildfires:'Incendios',floods:'Inundaciones',cyclones:'Ciclones',volcanoes:'Volcanes',droughts:'Sequías',landslides:'Deslizamientos',tsunamis:'Tsunamis',spaceweather:'Clima Espacial',fires:'Puntos de Calor',weather:'Alertas Climáticas',
     earthquake:'Terremoto',wildfire:'Incendio',flood:'Inundación',cyclone:'Ciclón',volcano:'Volcán',drought:'Sequía',landslide:'Deslizamiento',tsunami:'Tsunami',hotspot:'Punto de Calor',space:'Espacial',weatherAlert:'Clima',
     critical:'CRÍTICO',severe:'SEVERO',moderate:'MODERADO',minor:'MENOR',active:'ACTIVO',ended:'FINALIZADO',contained:'CONTENIDO',activelyBurning:'EN LLAMAS',justContained:'RECIÉN CONTENIDO',inactive:'Inactivo',extreme:'EXTREMO',warning:'ADVERTENCIA',watch:'VIGILANCIA',erupting:'EN ERUPCIÓN',actual:'Actual',expected:'Esperado',likely:'Probable',
     totalEvents:'Eventos Totales',activeEvents:'Eventos Activos',endedEvents:'Eventos Finalizados',mostAffected:'Regiones Más Afectadas',severityDist:'Distribución de Severidad',sourceHealth:'Salud de Fuentes',criticalAlerts:'Alertas Críticas',criticalAlert:'Alerta Crítica',
-    liveFeed:'Feed en Vivo',newEvents:'nuevos eventos',noEvents:'Esperando eventos...',autoScroll:'Auto-desplazar',
+    liveFeed:'Feed en Vivo',newEvents:'nuevos eventos',noEvents:'Esperando eventos...',autoScroll:'Auto-desplazar',eventNew:'NUEVO',eventUpdated:'ACTUALIZADO',eventEscalated:'ESCALADO',eventEnded:'FINALIZADO',
     zoomIn:'Acerca para ver detalles',searchLocation:'Buscar ubicación...',viewDetails:'Ver Detalles',magnitude:'Magnitud',depth:'Profundidad',nearby:'Cercano',kmAway:'km',location:'Ubicación',coordinates:'Coordenadas',source:'Fuente',time:'Hora',event:'Evento',country:'País',areas:'Áreas',population:'Población',popAtRisk:'Pob. en Riesgo',affectedArea:'Área Afectada',
-    seismicData:'Datos Sísmicos',feltReports:'Reportes Sentidos',alertLevel:'Nivel de Alerta',tsunamiWarning:'ALERTA DE TSUNAMI EMITIDA',tsunamiWarningShort:'ALERTA DE TSUNAMI',shaking:'Sacudida',magType:'Tipo',depthClass:'Clase de Profundidad',
+    seismicData:'Datos Sísmicos',feltReports:'Reportes Sentidos',alertLevel:'Nivel de Alerta',severityScore:'Puntuación de severidad',tsunamiWarning:'ALERTA DE TSUNAMI EMITIDA',tsunamiWarningShort:'ALERTA DE TSUNAMI',shaking:'Sacudida',magType:'Tipo',depthClass:'Clase de Profundidad',
     stormData:'Datos de Tormenta',stormType:'Tipo',category:'Categoría',windSpeed:'Velocidad del Viento',pressure:'Presión',track:'Trayectoria',movement:'Movimiento',windRadius:'Radio de Viento',basin:'Cuenca',season:'Temporada',
     fireStatus:'Estado del Incendio',alert:'Alerta',
     floodData:'Datos de Inundación',floodActive:'INUNDACIÓN ACTIVA',floodEnded:'Inundación Finalizada',severity:'Severidad',duration:'Duración',affected:'Afectados',fromDate:'Desde',toDate:'Hasta',countries:'Países',description:'Descripción',
     droughtData:'Datos de Sequía',droughtLevel:'Nivel',
     volcanoData:'Datos del Volcán',alertColor:'Color de Alerta',lastEruption:'Última Erupción',elevation:'Elevación',type:'Tipo',
     landslideData:'Datos de Deslizamiento',fatalities:'Fatalidades',trigger:'Causa',
-    alertDetails:'Detalles de Alerta',areaTiming:'Área y Horario',headline:'Titular',certainty:'Certeza',response:'Respuesta',status:'Estado',onset:'Inicio',expires:'Expira',timeLeft:'Tiempo Restante',timeRemaining:'{time} restante',issuedBy:'Emitido Por',instruction:'Instrucciones',wind:'Viento',hail:'Granizo',tornado:'Tornado',flashFlood:'Inundación Repentina',thunderstorm:'Tormenta',
+    alertDetails:'Detalles de Alerta',areaTiming:'Área y Horario',headline:'Titular',certainty:'Certeza',response:'Respuesta',status:'Estado',onset:'Inicio',expires:'Expira',timeLeft:'Tiempo Restante',timeRemaining:'{time} restante',issuedBy:'Emitido Por',zones:'Zonas',updates:'Actualizaciones',originEarthquake:'Sismo de Origen',threatAreas:'Zonas Amenazadas',estimatedArrivals:'Llegadas Estimadas',observedWaves:'Olas Observadas',bulletin:'Boletín',hazardChain:'Cadena de Amenazas',triggerEvent:'Detonante',collapseAftershocks:'Agrupar Réplicas',aftershockSequence:'Secuencia de Réplicas',aftershocks:'Réplicas',foreshocks:'Premonitores',largestAftershock:'Mayor Réplica',last24h:'Últimas 24h',omoriDecay:'Decaimiento de Omori (p)',mainshock:'Sismo Principal',pagerEstimates:'Estimaciones PAGER',estimatedFatalities:'Víctimas Estimadas',economicLosses:'Pérdidas Económicas',faultingStyle:'Tipo de Falla',tectonicSummary:'Resumen Tectónico',firecomplexes:'Complejos de Incendios',fireComplex:'Complejo de Incendios',totalFrp:'FRP Total',maxFrp:'FRP Máximo',detections:'Detecciones',complexArea:'Área del Complejo',growthRate:'Crecimiento',firstSeen:'Primera Detección',lastSeen:'Última Detección',confirmation:'Verificación Multisensor',confirmed:'Confirmado',unconfirmed:'Detección única',maskStaticHeat:'Ocultar Fuentes de Calor Estáticas',likelyStatic:'Probable fuente de calor estática',persistentHotspot:'Punto de calor persistente (aprendido)',noaaScales:'Escalas NOAA',geomagneticStorms:'Tormentas geomagnéticas',radiationStorms:'Tormentas de radiación',radioBlackouts:'Apagones de radio',predicted:'Previsto',xrayFlux:'Flujo de rayos X',flareClass:'Clase de fulguración',peak6h:'Pico de 6 h',protonFlux:'Protones ≥10 MeV',solarWind:'Viento solar',speed:'Velocidad',density:'Densidad',kpForecast:'Pronóstico Kp a 3 días',swpcProducts:'Vigilancias y avisos',aurora:'Aurora',auroraZone:'Zona',auroraOverhead:'Probable sobre la vertical',auroraHorizon:'Visible en el horizonte',maxProbability:'Probabilidad máxima',equatorwardEdge:'Borde ecuatorial',nightsideMagLat:'Latitud magnética nocturna',forecastTime:'Pronóstico para',auroraVisibleTonight:'Aurora visible esta noche',auroraOverheadTonight:'Aurora probable sobre la vertical esta noche',ashadvisories:'Ceniza Volcánica',ashAdvisory:'Aviso de Ceniza Volcánica',advisoryNumber:'Aviso N.º',aviationColorCode:'Código de Color de Aviación',maxFlightLevel:'Nivel de Vuelo Máx.',linkedVolcano:'Evento Volcánico',nextAdvisory:'Próximo Aviso',finalAdvisory:'Aviso final',ashCloudSteps:'Nube de Ceniza (observada y pronóstico)',eruptionDetails:'Detalles de la Erupción',remarks:'Observaciones',conflicts:'Conflictos',conflict:'Conflicto',incidentDetails:'Detalles del Incidente',intensity:'Intensidad',newsCoverage:'Cobertura Informativa',articles:'Artículos',outlets:'Medios',locationPrecision:'Precisión de Ubicación',regionLevel:'Región',countryLevel:'Solo país',instruction:'Instrucciones',wind:'Viento',hail:'Granizo',tornado:'Tornado',flashFlood:'Inundación Repentina',thunderstorm:'Tormenta',
     spaceWeatherData:'Datos de Clima Espacial',tsunamiData:'Datos de Tsunami',
     locationCoords:'Ubicación',sources:'Fuentes',timeline:'Línea de Tiempo',impact:'Impacto',details:'Detalles',parameters:'Parámetros',
     mapStyleTitle:'Estilo del Mapa',darkMode:'Oscuro',satellite:'Satélite',terrain:'Terreno',light:'Claro',language:'Idioma',sound:'Sonido',alertsTitle:'Alertas y Notificaciones',browserNotifications:'Notificaciones del Navegador',alertSounds:'Sonidos de Alerta',watchArea:'Zona de Vigilancia',clearWatchArea:'Limpiar Zona de Vigilancia',noWatchArea:'Sin zona de vigilancia. Haz clic en el mapa con la herramienta de vigilancia.',emailDigest:'Resumen por Email',emailDigestDesc:'Recibe un resumen de eventos en tu zona de vigilancia.',saveEmail:'Guardar Email',frequency:'Frecuencia',off:'Apagado',daily:'Diario',weekly:'Semanal',about:'Acerca de',
@@ -72,21 +72,21 @@ const TRANSLATIONS = {
   
   },
   fr: {
-    loading:'Chargement des données en temps réel...',connected:'Connecté',disconnected:'Déconnecté',live:'EN DIRECT',offline:'HORS LIGNE',close:'Fermer',back:'Retour',search:'Rechercher',share:'Partager',settings:'Paramètres',analytics:'Analytique',copyLink:'Copier le lien',linkCopied:'Lien copié !',viewFullDetails:'Voir tous les détails →',streamingLive:'Diffusion en direct',reconnecting:'Reconnexion...',unknown:'Inconnu',noData:'Pas de données',reports:'rapports',
+    loading:'Chargement des données en temps réel...',connected:'Connecté',disconnected:'Déconnecté',live:'EN DIRECT',offline:'HORS LIGNE',close:'Fermer',back:'Retour',search:'Rechercher',share:'Partager',settings:'Paramètres',analytics:'Analytique',copyLink:'Copier le lien',linkCopied:'Lien copié !',subscriptionRejected:'Filtre des mises à jour en direct refusé',viewFullDetails:'Voir tous les détails →',streamingLive:'Diffusion en direct',reconnecting:'Reconnexion...',unknown:'Inconnu',noData:'Pas de données',reports:'rapports',
     earthquakes:'Séismes',wildfires:'Feux de forêt',floods:'Inondations',cyclones:'Cyclones',volcanoes:'Volcans',droughts:'Sécheresses',landslides:'Glissements',tsunamis:'Tsunamis',spaceweather:'Météo Spatiale',fires:'Points Chauds',weather:'Alertes Météo',
     earthquake:'Séisme',wildfire:'Feu de forêt',flood:'Inondation',cyclone:'Cyclone',volcano:'Volcan',drought:'Sécheresse',landslide:'Glissement',tsunami:'Tsunami',hotspot:'Point Chaud',space:'Spatial',weatherAlert:'Météo',
     critical:'CRITIQUE',severe:'SÉVÈRE',moderate:'MODÉRÉ',minor:'MINEUR',active:'ACTIF',ended:'TERMINÉ',contained:'MAÎTRISÉ',activelyBurning:'EN FEU',justContained:'RÉCEMMENT MAÎTRISÉ',inactive:'Inactif',extreme:'EXTRÊME',warning:'AVERTISSEMENT',watch:'VEILLE',erupting:'EN ÉRUPTION',actual:'Réel',expected:'Attendu',likely:'Probable',
     totalEvents:'Total des événements',activeEvents:'Événements actifs',endedEvents:'Événements terminés',mostAffected:'Régions les plus touchées',severityDist:'Distribution de gravité',sourceHealth:'Santé des sources',criticalAlerts:'Alertes critiques',criticalAlert:'Alerte critique',
-    liveFeed:'Flux en direct',newEvents:'nouveaux événements',noEvents:'En attente d\'événements...',autoScroll:'Défilement auto',
+    liveFeed:'Flux en direct',newEvents:'nouveaux événements',noEvents:'En attente d\'événements...',autoScroll:'Défilement auto',eventNew:'NOUVEAU',eventUpdated:'MIS À JOUR',eventEscalated:'AGGRAVÉ',eventEnded:'TERMINÉ',
     zoomIn:'Zoomer pour plus de détails',searchLocation:'Rechercher un lieu...',viewDetails:'Voir les détails',magnitude:'Magnitude',depth:'Profondeur',nearby:'À proximité',kmAway:'km',location:'Lieu',coordinates:'Coordonnées',source:'Source',time:'Heure',event:'Événement',country:'Pays',areas:'Zones',population:'Population',popAtRisk:'Pop. à risque',affectedArea:'Zone affectée',
-    seismicData:'Données sismiques',feltReports:'Rapports ressentis',alertLevel:'Niveau d\'alerte',tsunamiWarning:'ALERTE TSUNAMI ÉMISE',tsunamiWarningShort:'ALERTE TSUNAMI',shaking:'Secousses',magType:'Type',depthClass:'Classe de profondeur',
+    seismicData:'Données sismiques',feltReports:'Rapports ressentis',alertLevel:'Niveau d\'alerte',severityScore:'Score de gravité',tsunamiWarning:'ALERTE TSUNAMI ÉMISE',tsunamiWarningShort:'ALERTE TSUNAMI',shaking:'Secousses',magType:'Type',depthClass:'Classe de profondeur',
     stormData:'Données de tempête',stormType:'Type',category:'Catégorie',windSpeed:'Vitesse du vent',pressure:'Pression',track:'Trajectoire',movement:'Mouvement',windRadius:'Rayon de vent',basin:'Bassin',season:'Saison',
     fireStatus:'État de l\'incendie',alert:'Alerte',
     floodData:'Données d\'inondation',floodActive:'INONDATION ACTIVE',floodEnded:'Inondation terminée',severity:'Gravité',duration:'Durée',affected:'Affectés',fromDate:'Du',toDate:'Au',countries:'Pays',description:'Description',
     droughtData:'Données de sécheresse',droughtLevel:'Niveau',
     volcanoData:'Données volcaniques',alertColor:'Couleur d\'alerte',lastEruption:'Dernière éruption',elevation:'Altitude',type:'Type',
     landslideData:'Données de glissement',fatalities:'Victimes',trigger:'Cause',
-    alertDetails:'Détails de l\'alerte',areaTiming:'Zone et horaire',headline:'Titre',certainty:'Certitude',response:'Réponse',status:'Statut',onset:'Début',expires:'Expire',timeLeft:'Temps restant',timeRemaining:'{time} restant',issuedBy:'Émis par',instruction:'Instructions',wind:'Vent',hail:'Grêle',tornado:'Tornade',flashFlood:'Crue subite',thunderstorm:'Orage',
+    alertDetails:'Détails de l\'alerte',areaTiming:'Zone et horaire',headline:'Titre',certainty:'Certitude',response:'Réponse',status:'Statut',onset:'Début',expires:'Expire',timeLeft:'Temps restant',timeRemaining:'{time} restant',issuedBy:'Émis par',zones:'Zones',updates:'Mises à jour',originEarthquake:'Séisme d\'origine',threatAreas:'Zones menacées',estimatedArrivals:'Arrivées estimées',observedWaves:'Vagues observées',bulletin:'Bulletin',hazardChain:'Chaîne de risques',triggerEvent:'Déclencheur',collapseAftershocks:'Regrouper les répliques',aftershockSequence:'Séquence de répliques',aftershocks:'Répliques',foreshocks:'Précurseurs',largestAftershock:'Plus forte réplique',last24h:'Dernières 24h',omoriDecay:'Décroissance d\'Omori (p)',mainshock:'Choc principal',pagerEstimates:'Estimations PAGER',estimatedFatalities:'Victimes estimées',economicLosses:'Pertes économiques',faultingStyle:'Type de faille',tectonicSummary:'Contexte tectonique',firecomplexes:'Complexes de feux',fireComplex:'Complexe de feux',totalFrp:'FRP total',maxFrp:'FRP max.',detections:'Détections',complexArea:'Surface du complexe',growthRate:'Croissance',firstSeen:'Première détection',lastSeen:'Dernière détection',confirmation:'Vérification multi-capteurs',confirmed:'Confirmé',unconfirmed:'Détection unique',maskStaticHeat:'Masquer les sources de chaleur fixes',likelyStatic:'Source de chaleur fixe probable',persistentHotspot:'Point chaud persistant (appris)',noaaScales:'Échelles NOAA',geomagneticStorms:'Tempêtes géomagnétiques',radiationStorms:'Tempêtes de radiations',radioBlackouts:'Black-out radio',predicted:'Prévu',xrayFlux:'Flux de rayons X',flareClass:'Classe d\'éruption',peak6h:'Pic sur 6 h',protonFlux:'Protons ≥10 MeV',solarWind:'Vent solaire',speed:'Vitesse',density:'Densité',kpForecast:'Prévision Kp sur 3 jours',swpcProducts:'Veilles et avertissements',aurora:'Aurore',auroraZone:'Zone',auroraOverhead:'Probable au zénith',auroraHorizon:'Visible à l\'horizon',maxProbability:'Probabilité maximale',equatorwardEdge:'Bord équatorial',nightsideMagLat:'Latitude magnétique côté nuit',forecastTime:'Prévision pour',auroraVisibleTonight:'Aurore visible cette nuit',auroraOverheadTonight:'Aurore probable au zénith cette nuit',ashadvisories:'Cendres Volcaniques',ashAdvisory:'Avis de Cendres Volcaniques',advisoryNumber:'Avis n°',aviationColorCode:'Code Couleur Aviation',maxFlightLevel:'Niveau de Vol Max',linkedVolcano:'Événement Volcanique',nextAdvisory:'Prochain Avis',finalAdvisory:'Dernier avis',ashCloudSteps:'Nuage de Cendres (observé et prévu)',eruptionDetails:'Détails de l\'Éruption',remarks:'Remarques',conflicts:'Conflits',conflict:'Conflit',incidentDetails:'Détails de l\'incident',intensity:'Intensité',newsCoverage:'Couverture médiatique',articles:'Articles',outlets:'Médias',locationPrecision:'Précision du lieu',regionLevel:'Région',countryLevel:'Pays uniquement',instruction:'Instructions',wind:'Vent',hail:'Grêle',tornado:'Tornade',flashFlood:'Crue subite',thunderstorm:'Orage',
     spaceWeatherData:'Données météo spatiale',tsunamiData:'Données de tsunami',
     locationCoords:'Localisation',sources:'Sources',timeline:'Chronologie',impact:'Impact',details:'Détails',parameters:'Paramètres',
     mapStyleTitle:'Style de carte',darkMode:'Sombre',satellite:'Satellite',terrain:'Terrain',light:'Clair',language:'Langue',sound:'Son',alertsTitle:'Alertes et notifications',browserNotifications:'Notifications du navigateur',alertSounds:'Sons d\'alerte',watchArea:'Zone de surveillance',clearWatchArea:'Effacer la zone',noWatchArea:'Aucune zone définie. Cliquez sur la carte.',emailDigest:'Résumé par email',emailDigestDesc:'Recevez un résumé des événements.',saveEmail:'Enregistrer l\'email',frequency:'Fréquence',off:'Désactivé',daily:'Quotidien',weekly:'Hebdomadaire',about:'À propos',
@@ -100,21 +100,21 @@ const TRANSLATIONS = {
   
   },
   pt: {
-    loading:'Carregando dados em tempo real...',connected:'Conectado',disconnected:'Desconectado',live:'AO VIVO',offline:'OFFLINE',close:'Fechar',back:'Voltar',search:'Buscar',share:'Compartilhar',settings:'Configurações',analytics:'Análises',copyLink:'Copiar Link',linkCopied:'Link copiado!',viewFullDetails:'Ver Detalhes Completos →',streamingLive:'Transmitindo ao vivo',reconnecting:'Reconectando...',unknown:'Desconhecido',noData:'Sem dados',reports:'relatórios',
+    loading:'Carregando dados em tempo real...',connected:'Conectado',disconnected:'Desconectado',live:'AO VIVO',offline:'OFFLINE',close:'Fechar',back:'Voltar',search:'Buscar',share:'Compartilhar',settings:'Configurações',analytics:'Análises',copyLink:'Copiar Link',linkCopied:'Link copiado!',subscriptionRejected:'Filtro de atualizações ao vivo rejeitado',viewFullDetails:'Ver Detalhes Completos →',streamingLive:'Transmitindo ao vivo',reconnecting:'Reconectando...',unknown:'Desconhecido',noData:'Sem dados',reports:'relatórios',
     earthquakes:'Terremotos',wildfires:'Incêndios',floods:'Enchentes',cyclones:'Ciclones',volcanoes:'Vulcões',droughts:'Secas',landslides:'Deslizamentos',tsunamis:'Tsunamis',spaceweather:'Clima Espacial',fires:'Pontos de Calor',weather:'Alertas Meteorológicos',
     earthquake:'Terremoto',wildfire:'Incêndio',flood:'Enchente',cyclone:'Ciclone',volcano:'Vulcão',drought:'Seca',landslide:'Deslizamento',tsunami:'Tsunami',hotspot:'Ponto de Calor',space:'Espacial',weatherAlert:'Clima',
     critical:'CRÍTICO',severe:'SEVERO',moderate:'MODERADO',minor:'MENOR',active:'ATIVO',ended:'ENCERRADO',contained:'CONTIDO',activelyBurning:'EM CHAMAS',justContained:'RECÉM CONTIDO',inactive:'Inativo',extreme:'EXTREMO',warning:'AVISO',watch:'VIGILÂNCIA',erupting:'EM ERUPÇÃO',actual:'Real',expected:'Esperado',likely:'Provável',
     totalEvents:'Total de Eventos',activeEvents:'Eventos Ativos',endedEvents:'Eventos Encerrados',mostAffected:'Regiões Mais Afetadas',severityDist:'Distribuição de Severidade',sourceHealth:'Saúde das Fontes',criticalAlerts:'Alertas Críticos',criticalAlert:'Alerta Crítico',
-    liveFeed:'Feed ao Vivo',newEvents:'novos eventos',noEvents:'Aguardando eventos...',autoScroll:'Rolagem automática',
+    liveFeed:'Feed ao Vivo',newEvents:'novos eventos',noEvents:'Aguardando eventos...',autoScroll:'Rolagem automática',eventNew:'NOVO',eventUpdated:'ATUALIZADO',eventEscalated:'AGRAVADO',eventEnded:'ENCERRADO',
     zoomIn:'Aproxime para detalhes',searchLocation:'Buscar localização...',viewDetails:'Ver Detalhes',magnitude:'Magnitude',depth:'Profundidade',nearby:'Próximo',kmAway:'km',location:'Localização',coordinates:'Coordenadas',source:'Fonte',time:'Hora',event:'Evento',country:'País',areas:'Áreas',population:'População',popAtRisk:'Pop. em Risco',affectedArea:'Área Afetada',
-    seismicData:'Dados Sísmicos',feltReports:'Relatos Sentidos',alertLevel:'Nível de Alerta',tsunamiWarning:'ALERTA DE TSUNAMI EMITIDO',tsunamiWarningShort:'ALERTA DE TSUNAMI',shaking:'Tremor',magType:'Tipo',depthClass:'Classe de Profundidade',
+    seismicData:'Dados Sísmicos',feltReports:'Relatos Sentidos',alertLevel:'Nível de Alerta',severityScore:'Pontuação de severidade',tsunamiWarning:'ALERTA DE TSUNAMI EMITIDO',tsunamiWarningShort:'ALERTA DE TSUNAMI',shaking:'Tremor',magType:'Tipo',depthClass:'Classe de Profundidade',
     stormData:'Dados da Tempestade',stormType:'Tipo',category:'Categoria',windSpeed:'Velocidade do Vento',pressure:'Pressão',track:'Trajetória',movement:'Movimento',windRadius:'Raio de Vento',basin:'Bacia',season:'Temporada',
     fireStatus:'Status do Incêndio',alert:'Alerta',
     floodData:'Dados da Enchente',floodActive:'ENCHENTE ATIVA',floodEnded:'Enchente Encerrada',severity:'Severidade',duration:'Duração',affected:'Afetados',fromDate:'De',toDate:'Até',countries:'Países',description:'Descrição',
     droughtData:'Dados da Seca',droughtLevel:'Nível',
     volcanoData:'Dados do Vulcão',alertColor:'Cor de Alerta',lastEruption:'Última Erupção',elevation:'Elevação',type:'Tipo',
     landslideData:'Dados do Deslizamento',fatalities:'Fatalidades',trigger:'Causa',
-    alertDetails:'Detalhes do Alerta',areaTiming:'Área e Horário',headline:'Manchete',certainty:'Certeza',response:'Resposta',status:'Status',onset:'Início',expires:'Expira',timeLeft:'Tempo Restante',timeRemaining:'{time} restante',issuedBy:'Emitido Por',instruction:'Instruções',wind:'Vento',hail:'Granizo',tornado:'Tornado',flashFlood:'Enchente Relâmpago',thunderstorm:'Tempestade',
+    alertDetails:'Detalhes do Alerta',areaTiming:'Área e Horário',headline:'Manchete',certainty:'Certeza',response:'Resposta',status:'Status',onset:'Início',expires:'Expira',timeLeft:'Tempo Restante',timeRemaining:'{time} restante',issuedBy:'Emitido Por',zones:'Zonas',updates:'Atualizações',originEarthquake:'Terremoto de Origem',threatAreas:'Áreas Ameaçadas',estimatedArrivals:'Chegadas Estimadas',observedWaves:'Ondas Observadas',bulletin:'Boletim',hazardChain:'Cadeia de Ameaças',triggerEvent:'Gatilho',collapseAftershocks:'Agrupar Réplicas',aftershockSequence:'Sequência de Réplicas',aftershocks:'Réplicas',foreshocks:'Abalos Precursores',largestAftershock:'Maior Réplica',last24h:'Últimas 24h',omoriDecay:'Decaimento de Omori (p)',mainshock:'Tremor Principal',pagerEstimates:'Estimativas PAGER',estimatedFatalities:'Vítimas Estimadas',economicLosses:'Perdas Econômicas',faultingStyle:'Tipo de Falha',tectonicSummary:'Resumo Tectônico',firecomplexes:'Complexos de Incêndio',fireComplex:'Complexo de Incêndio',totalFrp:'FRP Total',maxFrp:'FRP Máximo',detections:'Detecções',complexArea:'Área do Complexo',growthRate:'Crescimento',firstSeen:'Primeira Detecção',lastSeen:'Última Detecção',confirmation:'Verificação Multissensor',confirmed:'Confirmado',unconfirmed:'Detecção única',maskStaticHeat:'Ocultar Fontes de Calor Estáticas',likelyStatic:'Provável fonte de calor estática',persistentHotspot:'Ponto de calor persistente (aprendido)',noaaScales:'Escalas NOAA',geomagneticStorms:'Tempestades geomagnéticas',radiationStorms:'Tempestades de radiação',radioBlackouts:'Apagões de rádio',predicted:'Previsto',xrayFlux:'Fluxo de raios X',flareClass:'Classe da erupção',peak6h:'Pico de 6 h',protonFlux:'Prótons ≥10 MeV',solarWind:'Vento solar',speed:'Velocidade',density:'Densidade',kpForecast:'Previsão Kp de 3 dias',swpcProducts:'Vigilâncias e avisos',aurora:'Aurora',auroraZone:'Zona',auroraOverhead:'Provável no zênite',auroraHorizon:'Visível no horizonte',maxProbability:'Probabilidade máxima',equatorwardEdge:'Borda equatorial',nightsideMagLat:'Latitude magnética noturna',forecastTime:'Previsão para',auroraVisibleTonight:'Aurora visível esta noite',auroraOverheadTonight:'Aurora provável no zênite esta noite',ashadvisories:'Cinza Vulcânica',ashAdvisory:'Aviso de Cinza Vulcânica',advisoryNumber:'Aviso N.º',aviationColorCode:'Código de Cor da Aviação',maxFlightLevel:'Nível de Voo Máx.',linkedVolcano:'Evento Vulcânico',nextAdvisory:'Próximo Aviso',finalAdvisory:'Aviso final',ashCloudSteps:'Nuvem de Cinza (observada e prevista)',eruptionDetails:'Detalhes da Erupção',remarks:'Observações',conflicts:'Conflitos',conflict:'Conflito',incidentDetails:'Detalhes do Incidente',intensity:'Intensidade',newsCoverage:'Cobertura Jornalística',articles:'Artigos',outlets:'Veículos',locationPrecision:'Precisão da Localização',regionLevel:'Região',countryLevel:'Apenas país',instruction:'Instruções',wind:'Vento',hail:'Granizo',tornado:'Tornado',flashFlood:'Enchente Relâmpago',thunderstorm:'Tempestade',
     spaceWeatherData:'Dados de Clima Espacial',tsunamiData:'Dados de Tsunami',
     locationCoords:'Localização',sources:'Fontes',timeline:'Linha do Tempo',impact:'Impacto',details:'Detalhes',parameters:'Parâmetros',
     mapStyleTitle:'Estilo do Mapa',darkMode:'Escuro',satellite:'Satélite',terrain:'Terreno',light:'Claro',language:'Idioma',sound:'Som',alertsTitle:'Alertas e Notificações',browserNotifications:'Notificações do Navegador',alertSounds:'Sons de Alerta',watchArea:'Área de Vigilância',clearWatchArea:'Limpar Área',noWatchArea:'Nenhuma área definida. Clique no mapa.',emailDigest:'Resumo por Email',emailDigestDesc:'Receba um resumo dos eventos.',saveEmail:'Salvar Email',frequency:'Frequência',off:'Desligado',daily:'Diário',weekly:'Semanal',about:'Sobre',
@@ -130,21 +130,21 @@ const TRANSLATIONS = {
   
   },
   ar: {
-    loading:'جاري تحميل بيانات الكوارث...',connected:'متصل',disconnected:'غير متصل',live:'مباشر',offline:'غير متصل',close:'إغلاق',back:'رجوع',search:'بحث',share:'مشاركة',settings:'الإعدادات',analytics:'التحليلات',copyLink:'نسخ الرابط',linkCopied:'تم نسخ الرابط!',viewFullDetails:'عرض التفاصيل الكاملة ←',streamingLive:'بث مباشر',reconnecting:'إعادة الاتصال...',unknown:'غير معروف',noData:'لا توجد بيانات',reports:'تقارير',
+    loading:'جاري تحميل بيانات الكوارث...',connected:'متصل',disconnected:'غير متصل',live:'مباشر',offline:'غير متصل',close:'إغلاق',back:'رجوع',search:'بحث',share:'مشاركة',settings:'الإعدادات',analytics:'التحليلات',copyLink:'نسخ الرابط',linkCopied:'تم نسخ الرابط!',subscriptionRejected:'تم رفض مرشح التحديثات المباشرة',viewFullDetails:'عرض التفاصيل الكاملة ←',streamingLive:'بث مباشر',reconnecting:'إعادة الاتصال...',unknown:'غير معروف',noData:'لا توجد بيانات',reports:'تقارير',
     earthquakes:'الزلازل',wildfires:'حرائق الغابات',floods:'الفيضانات',cyclones:'الأعاصير',volcanoes:'البراكين',droughts:'الجفاف',landslides:'الانهيارات',tsunamis:'تسونامي',spaceweather:'طقس الفضاء',fires:'نقاط الحرارة',weather:'تنبيهات الطقس',
     earthquake:'زلزال',wildfire:'حريق',flood:'فيضان',cyclone:'إعصار',volcano:'بركان',drought:'جفاف',landslide:'انهيار',tsunami:'تسونامي',hotspot:'نقطة ساخنة',space:'فضائي',weatherAlert:'طقس',
     critical:'حرج',severe:'شديد',moderate:'متوسط',minor:'طفيف',active:'نشط',ended:'منتهي',contained:'محتوى',activelyBurning:'يحترق بنشاط',justContained:'تم احتواؤه',inactive:'غير نشط',extreme:'شديد جداً',warning:'تحذير',watch:'مراقبة',erupting:'ثائر',actual:'فعلي',expected:'متوقع',likely:'محتمل',
     totalEvents:'إجمالي الأحداث',activeEvents:'الأحداث النشطة',endedEvents:'الأحداث المنتهية',mostAffected:'المناطق الأكثر تأثراً',severityDist:'توزيع الشدة',sourceHealth:'صحة المصادر',criticalAlerts:'تنبيهات حرجة',criticalAlert:'تنبيه حرج',
-    liveFeed:'البث المباشر',newEvents:'أحداث جديدة',noEvents:'في انتظار الأحداث...',autoScroll:'تمرير تلقائي',
+    liveFeed:'البث المباشر',newEvents:'أحداث جديدة',noEvents:'في انتظار الأحداث...',autoScroll:'تمرير تلقائي',eventNew:'جديد',eventUpdated:'محدّث',eventEscalated:'تصاعد',eventEnded:'انتهى',
     zoomIn:'تكبير للتفاصيل',searchLocation:'البحث عن موقع...',viewDetails:'عرض التفاصيل',magnitude:'القوة',depth:'العمق',nearby:'قريب',kmAway:'كم',location:'الموقع',coordinates:'الإحداثيات',source:'المصدر',time:'الوقت',event:'الحدث',country:'البلد',areas:'المناطق',population:'السكان',popAtRisk:'السكان المعرضون',affectedArea:'المنطقة المتأثرة',
-    seismicData:'البيانات الزلزالية',feltReports:'تقارير الشعور',alertLevel:'مستوى التنبيه',tsunamiWarning:'تحذير تسونامي صادر',tsunamiWarningShort:'تحذير تسونامي',shaking:'الاهتزاز',magType:'النوع',depthClass:'فئة العمق',
+    seismicData:'البيانات الزلزالية',feltReports:'تقارير الشعور',alertLevel:'مستوى التنبيه',severityScore:'درجة الخطورة',tsunamiWarning:'تحذير تسونامي صادر',tsunamiWarningShort:'تحذير تسونامي',shaking:'الاهتزاز',magType:'النوع',depthClass:'فئة العمق',
     stormData:'بيانات العاصفة',stormType:'النوع',category:'الفئة',windSpeed:'سرعة الرياح',pressure:'الضغط',track:'المسار',movement:'الحركة',windRadius:'نطاق الرياح',basin:'الحوض',season:'الموسم',
     fireStatus:'حالة الحريق',alert:'تنبيه',
     floodData:'بيانات الفيضان',floodActive:'فيضان نشط',floodEnded:'انتهى الفيضان',severity:'الشدة',duration:'المدة',affected:'المتأثرون',fromDate:'من',toDate:'إلى',countries:'الدول',description:'الوصف',
     droughtData:'بيانات الجفاف',droughtLevel:'المستوى',
     volcanoData:'بيانات البركان',alertColor:'لون التنبيه',lastEruption:'آخر ثوران',elevation:'الارتفاع',type:'النوع',
     landslideData:'بيانات الانهيار',fatalities:'الوفيات',trigger:'السبب',
-    alertDetails:'تفاصيل التنبيه',areaTiming:'المنطقة والتوقيت',headline:'العنوان',certainty:'اليقين',response:'الاستجابة',status:'الحالة',onset:'البدء',expires:'ينتهي',timeLeft:'الوقت المتبقي',timeRemaining:'{time} متبقي',issuedBy:'صادر من',instruction:'التعليمات',wind:'رياح',hail:'برد',tornado:'إعصار قمعي',flashFlood:'فيضان مفاجئ',thunderstorm:'عاصفة رعدية',
+    alertDetails:'تفاصيل التنبيه',areaTiming:'المنطقة والتوقيت',headline:'العنوان',certainty:'اليقين',response:'الاستجابة',status:'الحالة',onset:'البدء',expires:'ينتهي',timeLeft:'الوقت المتبقي',timeRemaining:'{time} متبقي',issuedBy:'صادر من',zones:'المناطق',updates:'التحديثات',originEarthquake:'الزلزال المسبب',threatAreas:'المناطق المهددة',estimatedArrivals:'أوقات الوصول المقدرة',observedWaves:'الأمواج المرصودة',bulletin:'النشرة',hazardChain:'سلسلة المخاطر',triggerEvent:'الحدث المسبب',collapseAftershocks:'تجميع الهزات الارتدادية',aftershockSequence:'سلسلة الهزات الارتدادية',aftershocks:'الهزات الارتدادية',foreshocks:'الهزات التمهيدية',largestAftershock:'أكبر هزة ارتدادية',last24h:'آخر 24 ساعة',omoriDecay:'اضمحلال أوموري (p)',mainshock:'الهزة الرئيسية',pagerEstimates:'تقديرات PAGER',estimatedFatalities:'الوفيات المقدرة',economicLosses:'الخسائر الاقتصادية',faultingStyle:'نوع الصدع',tectonicSummary:'الملخص التكتوني',firecomplexes:'مجمعات الحرائق',fireComplex:'مجمع حرائق',totalFrp:'إجمالي القدرة الإشعاعية',maxFrp:'أقصى قدرة إشعاعية',detections:'الرصدات',complexArea:'مساحة المجمع',growthRate:'النمو',firstSeen:'أول رصد',lastSeen:'آخر رصد',confirmation:'التحقق متعدد المستشعرات',confirmed:'مؤكد',unconfirmed:'رصد منفرد',maskStaticHeat:'إخفاء مصادر الحرارة الثابتة',likelyStatic:'مصدر حرارة ثابت محتمل',persistentHotspot:'نقطة ساخنة مستمرة (مكتسبة)',noaaScales:'مقاييس NOAA',geomagneticStorms:'العواصف المغناطيسية الأرضية',radiationStorms:'العواصف الإشعاعية',radioBlackouts:'انقطاع الراديو',predicted:'متوقع',xrayFlux:'تدفق الأشعة السينية',flareClass:'فئة التوهج',peak6h:'الذروة خلال 6 ساعات',protonFlux:'البروتونات ≥10 MeV',solarWind:'الرياح الشمسية',speed:'السرعة',density:'الكثافة',kpForecast:'توقعات Kp لثلاثة أيام',swpcProducts:'المراقبات والتحذيرات',aurora:'الشفق القطبي',auroraZone:'المنطقة',auroraOverhead:'مرجح فوق الرأس',auroraHorizon:'مرئي في الأفق',maxProbability:'أعلى احتمال',equatorwardEdge:'الحافة نحو خط الاستواء',nightsideMagLat:'خط العرض المغناطيسي الليلي',forecastTime:'التوقع لـ',auroraVisibleTonight:'الشفق مرئي الليلة',auroraOverheadTonight:'الشفق مرجح فوق الرأس الليلة',ashadvisories:'الرماد البركاني',ashAdvisory:'تنبيه الرماد البركاني',advisoryNumber:'رقم التنبيه',aviationColorCode:'رمز لون الطيران',maxFlightLevel:'أقصى مستوى طيران',linkedVolcano:'حدث البركان',nextAdvisory:'التنبيه التالي',finalAdvisory:'التنبيه الأخير',ashCloudSteps:'سحابة الرماد (المرصودة والمتوقعة)',eruptionDetails:'تفاصيل الثوران',remarks:'ملاحظات',conflicts:'النزاعات',conflict:'نزاع',incidentDetails:'تفاصيل الحادث',intensity:'الشدة',newsCoverage:'التغطية الإخبارية',articles:'المقالات',outlets:'وسائل الإعلام',locationPrecision:'دقة الموقع',regionLevel:'المنطقة',countryLevel:'الدولة فقط',instruction:'التعليمات',wind:'رياح',hail:'برد',tornado:'إعصار قمعي',flashFlood:'فيضان مفاجئ',thunderstorm:'عاصفة رعدية',
     spaceWeatherData:'بيانات طقس الفضاء',tsunamiData:'بيانات تسونامي',
     locationCoords:'الموقع',sources:'المصادر',timeline:'الجدول الزمني',impact:'التأثير',details:'التفاصيل',parameters:'المعلمات',
     mapStyleTitle:'نمط الخريطة',darkMode:'داكن',satellite:'قمر صناعي',terrain:'تضاريس',light:'فاتح',language:'اللغة',sound:'الصوت',alertsTitle:'التنبيهات والإشعارات',browserNotifications:'إشعارات المتصفح',alertSounds:'أصوات التنبيه',watchArea:'منطقة المراقبة',clearWatchArea:'مسح المنطقة',noWatchArea:'لا توجد منطقة مراقبة.',emailDigest:'ملخص البريد',emailDigestDesc:'احصل على ملخص للأحداث.',saveEmail:'حفظ البريد',frequency:'التكرار',off:'إيقاف',daily:'يومي',weekly:'أسبوعي',about:'حول',
@@ -158,21 +158,21 @@ const TRANSLATIONS = {
   
   },
   zh: {
-    loading:'正在加载实时灾害数据...',connected:'已连接',disconnected:'已断开',live:'直播',offline:'离线',close:'关闭',back:'返回',search:'搜索',share:'分享',settings:'设置',analytics:'分析',copyLink:'复制链接',linkCopied:'链接已复制！',viewFullDetails:'查看完整详情 →',streamingLive:'实时传输中',reconnecting:'正在重连...',unknown:'未知',noData:'无数据',reports:'报告',
+    loading:'正在加载实时灾害数据...',connected:'已连接',disconnected:'已断开',live:'直播',offline:'离线',close:'关闭',back:'返回',search:'搜索',share:'分享',settings:'设置',analytics:'分析',copyLink:'复制链接',linkCopied:'链接已复制！',subscriptionRejected:'实时更新筛选被拒绝',viewFullDetails:'查看完整详情 →',streamingLive:'实时传输中',reconnecting:'正在重连...',unknown:'未知',noData:'无数据',reports:'报告',
     earthquakes:'地震',wildfires:'野火',floods:'洪水',cyclones:'气旋',volcanoes:'火山',droughts:'干旱',landslides:'滑坡',tsunamis:'海啸',spaceweather:'空间天气',fires:'热点',weather:'天气预警',
     earthquake:'地震',wildfire:'野火',flood:'洪水',cyclone:'气旋',volcano:'火山',drought:'干旱',landslide:'滑坡',tsunami:'海啸',hotspot:'热点',space:'空间',weatherAlert:'天气',
     critical:'危急',severe:'严重',moderate:'中等',minor:'轻微',active:'活跃',ended:'已结束',contained:'已控制',activelyBurning:'正在燃烧',justContained:'刚控制',inactive:'不活跃',extreme:'极端',warning:'警告',watch:'监视',erupting:'正在喷发',actual:'实际',expected:'预期',likely:'可能',
     totalEvents:'事件总数',activeEvents:'活跃事件',endedEvents:'已结束事件',mostAffected:'受影响最大地区',severityDist:'严重程度分布',sourceHealth:'数据源状况',criticalAlerts:'紧急警报',criticalAlert:'紧急警报',
-    liveFeed:'实时动态',newEvents:'个新事件',noEvents:'等待事件中...',autoScroll:'自动滚动',
+    liveFeed:'实时动态',newEvents:'个新事件',noEvents:'等待事件中...',autoScroll:'自动滚动',eventNew:'新',eventUpdated:'已更新',eventEscalated:'升级',eventEnded:'已结束',
     zoomIn:'放大查看详情',searchLocation:'搜索位置...',viewDetails:'查看详情',magnitude:'震级',depth:'深度',nearby:'附近',kmAway:'公里',location:'位置',coordinates:'坐标',source:'来源',time:'时间',event:'事件',country:'国家',areas:'区域',population:'人口',popAtRisk:'受威胁人口',affectedArea:'受影响面积',
-    seismicData:'地震数据',feltReports:'感知报告',alertLevel:'警报级别',tsunamiWarning:'海啸警报已发布',tsunamiWarningShort:'海啸警报',shaking:'震感',magType:'类型',depthClass:'深度等级',
+    seismicData:'地震数据',feltReports:'感知报告',alertLevel:'警报级别',severityScore:'严重程度评分',tsunamiWarning:'海啸警报已发布',tsunamiWarningShort:'海啸警报',shaking:'震感',magType:'类型',depthClass:'深度等级',
     stormData:'风暴数据',stormType:'类型',category:'类别',windSpeed:'风速',pressure:'气压',track:'路径',movement:'移动',windRadius:'风力半径',basin:'海盆',season:'季节',
     fireStatus:'火灾状态',alert:'警报',
     floodData:'洪水数据',floodActive:'活跃洪水',floodEnded:'洪水已结束',severity:'严重程度',duration:'持续时间',affected:'受影响',fromDate:'从',toDate:'到',countries:'国家',description:'描述',
     droughtData:'干旱数据',droughtLevel:'级别',
     volcanoData:'火山数据',alertColor:'警报颜色',lastEruption:'上次喷发',elevation:'海拔',type:'类型',
     landslideData:'滑坡数据',fatalities:'死亡人数',trigger:'触发原因',
-    alertDetails:'警报详情',areaTiming:'区域和时间',headline:'标题',certainty:'确定性',response:'响应',status:'状态',onset:'开始',expires:'到期',timeLeft:'剩余时间',timeRemaining:'剩余 {time}',issuedBy:'发布者',instruction:'指导',wind:'风',hail:'冰雹',tornado:'龙卷风',flashFlood:'山洪',thunderstorm:'雷暴',
+    alertDetails:'警报详情',areaTiming:'区域和时间',headline:'标题',certainty:'确定性',response:'响应',status:'状态',onset:'开始',expires:'到期',timeLeft:'剩余时间',timeRemaining:'剩余 {time}',issuedBy:'发布者',zones:'区域',updates:'更新',originEarthquake:'源地震',threatAreas:'威胁区域',estimatedArrivals:'预计到达时间',observedWaves:'观测波浪',bulletin:'公报',hazardChain:'灾害链',triggerEvent:'触发事件',collapseAftershocks:'合并余震',aftershockSequence:'余震序列',aftershocks:'余震',foreshocks:'前震',largestAftershock:'最大余震',last24h:'最近24小时',omoriDecay:'大森衰减 (p)',mainshock:'主震',pagerEstimates:'PAGER 估计',estimatedFatalities:'估计死亡人数',economicLosses:'经济损失',faultingStyle:'断层类型',tectonicSummary:'构造概述',firecomplexes:'火场群',fireComplex:'火场群',totalFrp:'总辐射功率',maxFrp:'峰值辐射功率',detections:'探测次数',complexArea:'火场面积',growthRate:'增长',firstSeen:'首次发现',lastSeen:'最近发现',confirmation:'多传感器核验',confirmed:'已确认',unconfirmed:'单次探测',maskStaticHeat:'屏蔽固定热源',likelyStatic:'疑似固定热源',persistentHotspot:'持续热点（学习所得）',noaaScales:'NOAA 等级',geomagneticStorms:'地磁暴',radiationStorms:'辐射暴',radioBlackouts:'无线电中断',predicted:'预测',xrayFlux:'X射线通量',flareClass:'耀斑等级',peak6h:'6小时峰值',protonFlux:'质子 ≥10 MeV',solarWind:'太阳风',speed:'速度',density:'密度',kpForecast:'3天Kp预报',swpcProducts:'监视与警告',aurora:'极光',auroraZone:'区域',auroraOverhead:'可能出现在头顶',auroraHorizon:'地平线上可见',maxProbability:'最高概率',equatorwardEdge:'赤道向边界',nightsideMagLat:'夜侧磁纬度',forecastTime:'预报时间',auroraVisibleTonight:'今晚可见极光',auroraOverheadTonight:'今晚极光可能出现在头顶',ashadvisories:'火山灰',ashAdvisory:'火山灰咨询',advisoryNumber:'咨询编号',aviationColorCode:'航空颜色代码',maxFlightLevel:'最高飞行高度层',linkedVolcano:'火山事件',nextAdvisory:'下次咨询',finalAdvisory:'最终咨询',ashCloudSteps:'火山灰云（观测与预报）',eruptionDetails:'喷发详情',remarks:'备注',conflicts:'冲突',conflict:'冲突',incidentDetails:'事件详情',intensity:'强度',newsCoverage:'新闻报道',articles:'文章',outlets:'媒体',locationPrecision:'位置精度',regionLevel:'地区',countryLevel:'仅国家',instruction:'指导',wind:'风',hail:'冰雹',tornado:'龙卷风',flashFlood:'山洪',thunderstorm:'雷暴',
     spaceWeatherData:'空间天气数据',tsunamiData:'海啸数据',
     locationCoords:'位置',sources:'来源',timeline:'时间线',impact:'影响',details:'详情',parameters:'参数',
     mapStyleTitle:'地图样式',darkMode:'暗色',satellite:'卫星',terrain:'地形',light:'亮色',language:'语言',sound:'声音',alertsTitle:'警报和通知',browserNotifications:'浏览器通知',alertSounds:'警报声音',watchArea:'监视区域',clearWatchArea:'清除监视区域',noWatchArea:'未设置监视区域。',emailDigest:'邮件摘要',emailDigestDesc:'接收事件摘要。',saveEmail:'保存邮箱',frequency:'频率',off:'关闭',daily:'每日',weekly:'每周',about:'关于',
@@ -186,21 +186,21 @@ const TRANSLATIONS = {
  
   },
   hi: {
-    loading:'रियल-टाइम आपदा डेटा लोड हो रहा है...',connected:'कनेक्टेड',disconnected:'डिस्कनेक्टेड',live:'लाइव',offline:'ऑफ़लाइन',close:'बंद करें',back:'वापस',search:'खोजें',share:'शेयर',settings:'सेटिंग्स',analytics:'विश्लेषण',copyLink:'लिंक कॉपी करें',linkCopied:'लिंक कॉपी हो गया!',viewFullDetails:'पूरा विवरण देखें →',streamingLive:'लाइव स्ट्रीमिंग',reconnecting:'पुनः कनेक्ट हो रहा है...',unknown:'अज्ञात',noData:'कोई डेटा नहीं',reports:'रिपोर्ट',
+    loading:'रियल-टाइम आपदा डेटा लोड हो रहा है...',connected:'कनेक्टेड',disconnected:'डिस्कनेक्टेड',live:'लाइव',offline:'ऑफ़लाइन',close:'बंद करें',back:'वापस',search:'खोजें',share:'शेयर',settings:'सेटिंग्स',analytics:'विश्लेषण',copyLink:'लिंक कॉपी करें',linkCopied:'लिंक कॉपी हो गया!',subscriptionRejected:'लाइव अपडेट फ़िल्टर अस्वीकार किया गया',viewFullDetails:'पूरा विवरण देखें →',streamingLive:'लाइव स्ट्रीमिंग',reconnecting:'पुनः कनेक्ट हो रहा है...',unknown:'अज्ञात',noData:'कोई डेटा नहीं',reports:'रिपोर्ट',
     earthquakes:'भूकंप',wildfires:'जंगल की आग',floods:'बाढ़',cyclones:'चक्रवात',volcanoes:'ज्वालामुखी',droughts:'सूखा',landslides:'भूस्खलन',tsunamis:'सुनामी',spaceweather:'अंतरिक्ष मौसम',fires:'हॉटस्पॉट',weather:'मौसम चेतावनी',
     earthquake:'भूकंप',wildfire:'आग',flood:'बाढ़',cyclone:'चक्रवात',volcano:'ज्वालामुखी',drought:'सूखा',landslide:'भूस्खलन',tsunami:'सुनामी',hotspot:'हॉटस्पॉट',space:'अंतरिक्ष',weatherAlert:'मौसम',
     critical:'गंभीर',severe:'तीव्र',moderate:'मध्यम',minor:'मामूली',active:'सक्रिय',ended:'समाप्त',contained:'नियंत्रित',activelyBurning:'जल रहा है',justContained:'अभी नियंत्रित',inactive:'निष्क्रिय',extreme:'अत्यंत',warning:'चेतावनी',watch:'निगरानी',erupting:'विस्फोट',actual:'वास्तविक',expected:'अपेक्षित',likely:'संभावित',
     totalEvents:'कुल घटनाएं',activeEvents:'सक्रिय घटनाएं',endedEvents:'समाप्त घटनाएं',mostAffected:'सबसे प्रभावित क्षेत्र',severityDist:'गंभीरता वितरण',sourceHealth:'स्रोत स्वास्थ्य',criticalAlerts:'गंभीर अलर्ट',criticalAlert:'गंभीर अलर्ट',
-    liveFeed:'लाइव फीड',newEvents:'नई घटनाएं',noEvents:'घटनाओं की प्रतीक्षा...',autoScroll:'ऑटो-स्क्रॉल',
+    liveFeed:'लाइव फीड',newEvents:'नई घटनाएं',noEvents:'घटनाओं की प्रतीक्षा...',autoScroll:'ऑटो-स्क्रॉल',eventNew:'नया',eventUpdated:'अपडेट',eventEscalated:'गंभीर हुआ',eventEnded:'समाप्त',
     zoomIn:'विवरण के लिए ज़ूम करें',searchLocation:'स्थान खोजें...',viewDetails:'विवरण देखें',magnitude:'तीव्रता',depth:'गहराई',nearby:'पास',kmAway:'किमी',location:'स्थान',coordinates:'निर्देशांक',source:'स्रोत',time:'समय',event:'घटना',country:'देश',areas:'क्षेत्र',population:'जनसंख्या',popAtRisk:'जोखिम में जनसंख्या',affectedArea:'प्रभावित क्षेत्र',
-    seismicData:'भूकंपीय डेटा',feltReports:'अनुभव रिपोर्ट',alertLevel:'अलर्ट स्तर',tsunamiWarning:'सुनामी चेतावनी जारी',tsunamiWarningShort:'सुनामी चेतावनी',shaking:'कंपन',magType:'प्रकार',depthClass:'गहराई वर्ग',
+    seismicData:'भूकंपीय डेटा',feltReports:'अनुभव रिपोर्ट',alertLevel:'अलर्ट स्तर',severityScore:'गंभीरता स्कोर',tsunamiWarning:'सुनामी चेतावनी जारी',tsunamiWarningShort:'सुनामी चेतावनी',shaking:'कंपन',magType:'प्रकार',depthClass:'गहराई वर्ग',
     stormData:'तूफान डेटा',stormType:'प्रकार',category:'श्रेणी',windSpeed:'हवा की गति',pressure:'दबाव',track:'पथ',movement:'गति',windRadius:'पवन त्रिज्या',basin:'बेसिन',season:'मौसम',
     fireStatus:'आग की स्थिति',alert:'अलर्ट',
     floodData:'बाढ़ डेटा',floodActive:'सक्रिय बाढ़',floodEnded:'बाढ़ समाप्त',severity:'गंभीरता',duration:'अवधि',affected:'प्रभावित',fromDate:'से',toDate:'तक',countries:'देश',description:'विवरण',
     droughtData:'सूखा डेटा',droughtLevel:'स्तर',
     volcanoData:'ज्वालामुखी डेटा',alertColor:'अलर्ट रंग',lastEruption:'अंतिम विस्फोट',elevation:'ऊंचाई',type:'प्रकार',
     landslideData:'भूस्खलन डेटा',fatalities:'मृत्यु',trigger:'कारण',
-    alertDetails:'अलर्ट विवरण',areaTiming:'क्षेत्र और समय',headline:'शीर्षक',certainty:'निश्चितता',response:'प्रतिक्रिया',status:'स्थिति',onset:'शुरुआत',expires:'समाप्ति',timeLeft:'शेष समय',timeRemaining:'{time} शेष',issuedBy:'द्वारा जारी',instruction:'निर्देश',wind:'हवा',hail:'ओले',tornado:'बवंडर',flashFlood:'अचानक बाढ़',thunderstorm:'तूफान',
+    alertDetails:'अलर्ट विवरण',areaTiming:'क्षेत्र और समय',headline:'शीर्षक',certainty:'निश्चितता',response:'प्रतिक्रिया',status:'स्थिति',onset:'शुरुआत',expires:'समाप्ति',timeLeft:'शेष समय',timeRemaining:'{time} शेष',issuedBy:'द्वारा जारी',zones:'क्षेत्र',updates:'अपडेट',originEarthquake:'मूल भूकंप',threatAreas:'खतरे वाले क्षेत्र',estimatedArrivals:'अनुमानित आगमन',observedWaves:'देखी गई लहरें',bulletin:'बुलेटिन',hazardChain:'आपदा श्रृंखला',triggerEvent:'ट्रिगर',collapseAftershocks:'आफ्टरशॉक समूहित करें',aftershockSequence:'आफ्टरशॉक अनुक्रम',aftershocks:'आफ्टरशॉक',foreshocks:'पूर्वझटके',largestAftershock:'सबसे बड़ा आफ्टरशॉक',last24h:'पिछले 24 घंटे',omoriDecay:'ओमोरी क्षय (p)',mainshock:'मुख्य झटका',pagerEstimates:'PAGER अनुमान',estimatedFatalities:'अनुमानित मृत्यु',economicLosses:'आर्थिक नुकसान',faultingStyle:'भ्रंश प्रकार',tectonicSummary:'विवर्तनिक सारांश',firecomplexes:'अग्नि परिसर',fireComplex:'अग्नि परिसर',totalFrp:'कुल FRP',maxFrp:'अधिकतम FRP',detections:'पहचान',complexArea:'परिसर क्षेत्र',growthRate:'वृद्धि',firstSeen:'पहली बार देखा गया',lastSeen:'अंतिम बार देखा गया',confirmation:'बहु-सेंसर जाँच',confirmed:'पुष्टि',unconfirmed:'एकल पहचान',maskStaticHeat:'स्थिर ताप स्रोत छिपाएँ',likelyStatic:'संभावित स्थिर ताप स्रोत',persistentHotspot:'स्थायी हॉटस्पॉट (सीखा गया)',noaaScales:'NOAA स्केल',geomagneticStorms:'भू-चुंबकीय तूफ़ान',radiationStorms:'विकिरण तूफ़ान',radioBlackouts:'रेडियो ब्लैकआउट',predicted:'अनुमानित',xrayFlux:'एक्स-रे फ्लक्स',flareClass:'फ्लेयर श्रेणी',peak6h:'6 घंटे का शिखर',protonFlux:'प्रोटॉन ≥10 MeV',solarWind:'सौर वायु',speed:'गति',density:'घनत्व',kpForecast:'3-दिवसीय Kp पूर्वानुमान',swpcProducts:'निगरानी और चेतावनियाँ',aurora:'ध्रुवीय ज्योति',auroraZone:'क्षेत्र',auroraOverhead:'सिर के ऊपर संभावित',auroraHorizon:'क्षितिज पर दिखाई देगी',maxProbability:'अधिकतम संभावना',equatorwardEdge:'भूमध्य-रेखीय किनारा',nightsideMagLat:'रात्रि-पक्ष चुंबकीय अक्षांश',forecastTime:'पूर्वानुमान समय',auroraVisibleTonight:'आज रात ध्रुवीय ज्योति दिखेगी',auroraOverheadTonight:'आज रात ध्रुवीय ज्योति सिर के ऊपर संभावित',ashadvisories:'ज्वालामुखी राख',ashAdvisory:'ज्वालामुखी राख परामर्श',advisoryNumber:'परामर्श संख्या',aviationColorCode:'विमानन रंग कोड',maxFlightLevel:'अधिकतम उड़ान स्तर',linkedVolcano:'ज्वालामुखी घटना',nextAdvisory:'अगला परामर्श',finalAdvisory:'अंतिम परामर्श',ashCloudSteps:'राख बादल (प्रेक्षित और पूर्वानुमान)',eruptionDetails:'विस्फोट विवरण',remarks:'टिप्पणियाँ',conflicts:'संघर्ष',conflict:'संघर्ष',incidentDetails:'घटना विवरण',intensity:'तीव्रता',newsCoverage:'समाचार कवरेज',articles:'लेख',outlets:'समाचार स्रोत',locationPrecision:'स्थान सटीकता',regionLevel:'क्षेत्र',countryLevel:'केवल देश',instruction:'निर्देश',wind:'हवा',hail:'ओले',tornado:'बवंडर',flashFlood:'अचानक बाढ़',thunderstorm:'तूफान',
     spaceWeatherData:'अंतरिक्ष मौसम डेटा',tsunamiData:'सुनामी डेटा',
     locationCoords:'स्थान',sources:'स्रोत',timeline:'समयरेखा',impact:'प्रभाव',details:'विवरण',parameters:'पैरामीटर',
     mapStyleTitle:'मानचित्र शैली',darkMode:'डार्क',satellite:'सैटेलाइट',terrain:'भूभाग',light:'लाइट',language:'भाषा',sound:'ध्वनि',alertsTitle:'अलर्ट और सूचनाएं',browserNotifications:'ब्राउज़र सूचनाएं',alertSounds:'अलर्ट ध्वनि',watchArea:'निगरानी क्षेत्र',clearWatchArea:'क्षेत्र साफ़ करें',noWatchArea:'कोई निगरानी क्षेत्र नहीं।',emailDigest:'ईमेल सारांश',emailDigestDesc:'घटनाओं का सारांश प्राप्त करें।',saveEmail:'ईमेल सहेजें',frequency:'आवृत्ति',off:'बंद',daily:'दैनिक',weekly:'साप्ताहिक',about:'के बारे में',